@@ -1,4 +1,4 @@
-DROP TABLE IF EXISTS visits;
+-- 0001: 初始表结构 (与最初的 schema.sql 完全一致，之后的每项结构变更各自一个迁移)
 
 -- 创建访问记录表
 CREATE TABLE IF NOT EXISTS visits (
@@ -13,4 +13,4 @@ CREATE TABLE IF NOT EXISTS visits (
 -- 创建索引以优化查询速度
 CREATE INDEX IF NOT EXISTS idx_site_id ON visits(site_id);
 CREATE INDEX IF NOT EXISTS idx_timestamp ON visits(timestamp);
-CREATE INDEX IF NOT EXISTS idx_country ON visits(country);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_country ON visits(country);
@@ -0,0 +1,2 @@
+-- 0002: 热门页面报表按站点 + 路径查询
+CREATE INDEX IF NOT EXISTS idx_site_path ON visits(site_id, path);
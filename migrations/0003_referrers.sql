@@ -0,0 +1,10 @@
+-- 0003: 来源与 UTM 活动归因
+ALTER TABLE visits ADD COLUMN referrer TEXT;                -- 来源页面 (仅保留 origin + pathname)
+ALTER TABLE visits ADD COLUMN referrer_host TEXT;           -- 来源域名 (去掉 www.)
+ALTER TABLE visits ADD COLUMN source TEXT DEFAULT 'direct'; -- 来源分组: direct / internal / search / social / referral
+ALTER TABLE visits ADD COLUMN utm_source TEXT;              -- UTM 活动参数
+ALTER TABLE visits ADD COLUMN utm_medium TEXT;
+ALTER TABLE visits ADD COLUMN utm_campaign TEXT;
+ALTER TABLE visits ADD COLUMN utm_term TEXT;
+ALTER TABLE visits ADD COLUMN utm_content TEXT;
+CREATE INDEX IF NOT EXISTS idx_site_source ON visits(site_id, source);
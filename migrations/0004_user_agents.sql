@@ -0,0 +1,5 @@
+-- 0004: User-Agent 解析结果与爬虫标记
+ALTER TABLE visits ADD COLUMN browser TEXT;                 -- 浏览器
+ALTER TABLE visits ADD COLUMN os TEXT;                      -- 操作系统
+ALTER TABLE visits ADD COLUMN device TEXT;                  -- 设备类型: desktop / mobile / tablet
+ALTER TABLE visits ADD COLUMN is_bot INTEGER DEFAULT 0;     -- 是否为爬虫 (BOT_TRAFFIC=tag 时记录)
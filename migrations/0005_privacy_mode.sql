@@ -0,0 +1,10 @@
+-- 0005: 隐私模式 (隐私模式下 visits.ip 为掩码 IP)
+ALTER TABLE visits ADD COLUMN visitor_id TEXT;              -- 访客哈希 (IP + UA + site_id 加盐)，用于独立访客统计
+CREATE INDEX IF NOT EXISTS idx_site_visitor ON visits(site_id, visitor_id);
+
+-- 访客哈希盐 (隐私模式下按 UTC 日期轮换，旧盐会被删除)
+CREATE TABLE IF NOT EXISTS salts (
+    day TEXT PRIMARY KEY,                -- UTC 日期 (YYYY-MM-DD) 或 'static'
+    salt TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
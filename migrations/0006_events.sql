@@ -0,0 +1,15 @@
+-- 0006: 自定义事件
+
+-- 自定义事件表
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id TEXT DEFAULT 'default',      -- 站点ID
+    name TEXT NOT NULL,                  -- 事件名称 (如 signup / download)
+    props TEXT,                          -- 事件属性 (JSON 对象)
+    path TEXT,                           -- 触发页面
+    visitor_id TEXT,                     -- 访客哈希
+    country TEXT,                        -- 访客国家/地区代码
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_events_site_name ON events(site_id, name, timestamp);
+CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
@@ -0,0 +1,22 @@
+-- 0007: 转化目标与漏斗
+
+-- 转化目标
+CREATE TABLE IF NOT EXISTS goals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id TEXT NOT NULL,               -- 所属站点
+    name TEXT NOT NULL,                  -- 目标名称
+    type TEXT NOT NULL,                  -- 匹配类型: path (支持 * 通配) / event
+    match TEXT NOT NULL,                 -- 路径或事件名称
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_goals_site ON goals(site_id);
+
+-- 转化漏斗
+CREATE TABLE IF NOT EXISTS funnels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id TEXT NOT NULL,               -- 所属站点
+    name TEXT NOT NULL,                  -- 漏斗名称
+    steps TEXT NOT NULL,                 -- 步骤 JSON 数组: [{ "type": "path", "match": "/pricing" }, ...]
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_funnels_site ON funnels(site_id);
@@ -0,0 +1,16 @@
+-- 0008: 会话重建
+ALTER TABLE visits ADD COLUMN session_id TEXT;              -- 所属会话 (sessions.id)
+
+-- 会话表 (同一访客在超时时间内的连续访问)
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,                 -- 会话 ID (UUID)
+    site_id TEXT,                        -- 站点ID
+    visitor_id TEXT,                     -- 访客哈希
+    entry_path TEXT,                     -- 入口页
+    exit_path TEXT,                      -- 退出页 (最后访问的页面)
+    pageviews INTEGER DEFAULT 1,         -- 会话内页面数，1 即为跳出
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP -- 最后一次访问或心跳时间
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_visitor ON sessions(site_id, visitor_id, last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_started ON sessions(started_at);
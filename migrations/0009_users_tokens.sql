@@ -0,0 +1,26 @@
+-- 0009: 登录账号与 API 令牌
+
+-- 登录账号 (内置管理员使用 ADMIN_PASSWORD，不在此表中)
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,         -- pbkdf2$<迭代次数>$<盐>$<哈希>
+    role TEXT NOT NULL DEFAULT 'viewer', -- admin: 读写全部站点 / viewer: 只读
+    sites TEXT,                          -- viewer 可查看的站点 JSON 数组，NULL 为全部站点
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API 令牌 (明文只在创建时返回一次)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,                     -- 创建者 (users.id)，内置管理员创建时为 NULL
+    name TEXT NOT NULL,                  -- 令牌备注名
+    token_hash TEXT NOT NULL UNIQUE,     -- 令牌的 SHA-256 哈希
+    token_prefix TEXT,                   -- 令牌前几位，便于辨认
+    role TEXT NOT NULL DEFAULT 'viewer',
+    sites TEXT,                          -- 站点范围 JSON 数组，NULL 为不限
+    expires_at DATETIME,                 -- 过期时间，NULL 为永不过期
+    last_used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
@@ -0,0 +1,15 @@
+-- 0010: 站点登记
+
+-- 站点登记 (未登记的站点是否接收上报由 UNKNOWN_SITES 决定)
+CREATE TABLE IF NOT EXISTS sites (
+    id TEXT PRIMARY KEY,                 -- 站点ID (即上报的 site_id)
+    name TEXT NOT NULL,                  -- 显示名称
+    allowed_origins TEXT,                -- 允许上报的来源域名 JSON 数组 (支持 *.example.com)，NULL 为不限
+    ingest_key TEXT,                     -- 上报密钥，设置后上报须携带 key 字段或 X-Ingest-Key 头
+    enabled INTEGER DEFAULT 1,           -- 0 表示停用，上报将被忽略
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 默认停用的站点 (原硬编码的屏蔽列表)
+INSERT OR IGNORE INTO sites (id, name, enabled) VALUES ('broadcast', 'broadcast', 0);
@@ -0,0 +1,18 @@
+-- 0011: 上报限流与被拒绝的上报计数
+
+-- 限流计数 (RATE_LIMIT_STORE=d1 时使用，每个固定窗口一行，过期窗口自动清理)
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT NOT NULL,                   -- ip:<IP 的 HMAC>、site:<站点ID> 或 share:<分享ID>[:ip:<IP 的 HMAC>]
+    window_start INTEGER NOT NULL,       -- 窗口序号 (毫秒时间戳 / 窗口长度)
+    count INTEGER DEFAULT 0,
+    PRIMARY KEY (key, window_start)
+);
+
+-- 被拒绝的上报计数 (按 UTC 日期、站点、原因汇总)
+CREATE TABLE IF NOT EXISTS rejected_hits (
+    day TEXT NOT NULL,                   -- YYYY-MM-DD
+    site_id TEXT NOT NULL,               -- 无法识别站点时为空字符串
+    reason TEXT NOT NULL,                -- rate_limit_ip / rate_limit_site / invalid / forbidden / disabled / duplicate / bot
+    count INTEGER DEFAULT 0,
+    PRIMARY KEY (day, site_id, reason)
+);
@@ -0,0 +1,34 @@
+-- 0012: 按小时 / 按天的汇总表
+
+-- 小时汇总 (定时任务写入，只保存站点合计，用于按小时的趋势图)
+CREATE TABLE IF NOT EXISTS rollup_hourly (
+    bucket TEXT NOT NULL,                -- 小时起点 (UTC, YYYY-MM-DD HH:00:00)
+    site_id TEXT,
+    dimension TEXT NOT NULL DEFAULT '',  -- 固定为空字符串 (站点合计)
+    value TEXT NOT NULL DEFAULT '',
+    pv INTEGER DEFAULT 0,
+    uv INTEGER DEFAULT 0,                -- 该小时内的独立访客
+    PRIMARY KEY (bucket, site_id, dimension, value)
+);
+
+-- 日汇总 (站点合计及国家 / 页面 / 来源 / 浏览器 / 系统 / 设备排行)
+CREATE TABLE IF NOT EXISTS rollup_daily (
+    bucket TEXT NOT NULL,                -- 日期起点 (UTC, YYYY-MM-DD 00:00:00)
+    site_id TEXT,
+    dimension TEXT NOT NULL DEFAULT '',  -- '' 为站点合计，或 country / path / source / browser / os / device
+    value TEXT NOT NULL DEFAULT '',      -- 维度取值
+    pv INTEGER DEFAULT 0,
+    uv INTEGER DEFAULT 0,                -- 当天的独立访客
+    PRIMARY KEY (bucket, site_id, dimension, value)
+);
+CREATE INDEX IF NOT EXISTS idx_rollup_daily_site ON rollup_daily(site_id, dimension, bucket);
+
+-- 访客草图 (HyperLogLog)，跨桶合并后估算范围内的 UV；单独 ADD COLUMN，用旧版 schema.sql 建过汇总表的数据库也能补齐
+ALTER TABLE rollup_hourly ADD COLUMN visitors TEXT;
+ALTER TABLE rollup_daily ADD COLUMN visitors TEXT;
+
+-- 汇总水位: hourly / daily 为下一个待汇总的桶起点，之前的数据均已汇总；pruned 为保留策略已清理到的时间点
+CREATE TABLE IF NOT EXISTS rollup_state (
+    name TEXT PRIMARY KEY,
+    value TEXT
+);
@@ -0,0 +1,2 @@
+-- 0013: 按站点的数据保留天数
+ALTER TABLE sites ADD COLUMN retention_days INTEGER;        -- 原始数据保留天数，NULL 使用全局 RETENTION_DAYS，0 为永久保留
@@ -0,0 +1,46 @@
+-- 0014: 历史数据导入
+ALTER TABLE visits ADD COLUMN import_id INTEGER;            -- 导入批次 (imports.id)，实时上报的记录为 NULL
+ALTER TABLE visits ADD COLUMN import_source TEXT;           -- 导入来源: ga4 / plausible / umami / ndjson
+-- 导入的记录与实时上报使用相同的取值约定: 缺少国家时写入 'Unknown'，不写入 NULL
+CREATE INDEX IF NOT EXISTS idx_import_id ON visits(import_id);
+
+-- 历史数据导入记录 (分片上传时累加进度)
+CREATE TABLE IF NOT EXISTS imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id TEXT NOT NULL,               -- 导入到的站点
+    format TEXT NOT NULL,                -- ga4 / plausible / umami / ndjson
+    filename TEXT,                       -- 上传的文件名
+    rows_read INTEGER DEFAULT 0,         -- 已读取的数据行数
+    rows_failed INTEGER DEFAULT 0,       -- 出错的行数
+    visits INTEGER DEFAULT 0,            -- 写入的访问记录数 (聚合格式按浏览量展开)
+    first_at DATETIME,                   -- 导入数据的最早 / 最晚时间
+    last_at DATETIME,
+    errors TEXT,                         -- 前若干条行错误 JSON 数组: [{ "line": 12, "error": "Invalid date" }]
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 导入数据的汇总 (结构同 rollup_hourly / rollup_daily，另按导入批次区分)：撤销导入时整批删除，不影响实时数据的汇总
+CREATE TABLE IF NOT EXISTS rollup_hourly_imports (
+    bucket TEXT NOT NULL,
+    site_id TEXT,
+    dimension TEXT NOT NULL DEFAULT '',
+    value TEXT NOT NULL DEFAULT '',
+    import_id INTEGER NOT NULL,          -- 导入批次 (imports.id)
+    pv INTEGER DEFAULT 0,
+    uv INTEGER DEFAULT 0,
+    visitors TEXT,
+    PRIMARY KEY (bucket, site_id, dimension, value, import_id)
+);
+CREATE TABLE IF NOT EXISTS rollup_daily_imports (
+    bucket TEXT NOT NULL,
+    site_id TEXT,
+    dimension TEXT NOT NULL DEFAULT '',
+    value TEXT NOT NULL DEFAULT '',
+    import_id INTEGER NOT NULL,
+    pv INTEGER DEFAULT 0,
+    uv INTEGER DEFAULT 0,
+    visitors TEXT,
+    PRIMARY KEY (bucket, site_id, dimension, value, import_id)
+);
+CREATE INDEX IF NOT EXISTS idx_rollup_daily_imports_site ON rollup_daily_imports(site_id, dimension, bucket);
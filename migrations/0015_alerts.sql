@@ -0,0 +1,37 @@
+-- 0015: 告警规则与告警历史
+
+-- 告警规则 (定时任务每 5 分钟评估一次)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id TEXT NOT NULL,               -- 监控的站点
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,                  -- pv_above / pv_below / change / no_hits
+    threshold REAL,                      -- PV 阈值，或 change 的变化百分比 (正数为上涨、负数为下跌)；no_hits 不使用
+    window_minutes INTEGER NOT NULL,     -- 统计窗口 (no_hits 为无访问的分钟数)
+    webhook_url TEXT NOT NULL,
+    webhook_format TEXT NOT NULL DEFAULT 'generic', -- generic / slack / telegram
+    chat_id TEXT,                        -- Telegram 的 chat_id
+    secret TEXT NOT NULL,                -- Webhook 签名密钥 (HMAC-SHA256)
+    repeat_minutes INTEGER DEFAULT 0,    -- 持续触发时重复通知的间隔，0 为只在状态变化时通知
+    enabled INTEGER DEFAULT 1,
+    state TEXT DEFAULT 'ok',             -- ok / firing
+    last_value REAL,                     -- 最近一次评估的取值
+    last_checked_at DATETIME,
+    last_notified_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 告警历史 (触发 / 恢复通知及投递结果)
+CREATE TABLE IF NOT EXISTS alert_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    site_id TEXT NOT NULL,
+    status TEXT NOT NULL,                -- firing / resolved
+    value REAL,
+    message TEXT,
+    delivered INTEGER DEFAULT 0,         -- Webhook 是否返回 2xx
+    error TEXT,                          -- 投递失败原因
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_alert_events_created ON alert_events(created_at);
@@ -0,0 +1,8 @@
+-- 0016: 地区、城市与网络运营商
+-- rollup_daily 同时新增 continent / region / city / network 维度 (region 的取值为 "国家|地区"，city 为 "国家|地区|城市")，表结构不变
+ALTER TABLE visits ADD COLUMN continent TEXT;               -- 大洲代码 (cf.continent)
+ALTER TABLE visits ADD COLUMN region TEXT;                  -- 省/州 (cf.region)
+ALTER TABLE visits ADD COLUMN city TEXT;                    -- 城市 (cf.city)
+ALTER TABLE visits ADD COLUMN timezone TEXT;                -- 访客时区 (cf.timezone)
+ALTER TABLE visits ADD COLUMN asn INTEGER;                  -- 自治系统号 (cf.asn)
+ALTER TABLE visits ADD COLUMN as_org TEXT;                  -- 网络运营商 (cf.asOrganization)
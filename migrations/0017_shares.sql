@@ -0,0 +1,15 @@
+-- 0017: 公开分享链接
+
+-- 公开分享链接: 绑定一个站点的只读 Dashboard (/share/<slug>)，删除即吊销
+CREATE TABLE IF NOT EXISTS shares (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT NOT NULL UNIQUE,           -- 链接中的随机标识
+    site_id TEXT NOT NULL,
+    name TEXT NOT NULL,                  -- 分享页标题
+    widgets TEXT NOT NULL,               -- 展示的卡片 JSON 数组
+    password_hash TEXT,                  -- 访问口令 (PBKDF2)，NULL 为无需口令
+    expires_at DATETIME,                 -- 过期时间，NULL 为永不过期
+    created_by TEXT,                     -- 创建者用户名
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT                      -- 最后修改时间 (ISO 8601)，写入访问凭证
+);
@@ -0,0 +1,2 @@
+-- 0018: 公开计数器
+ALTER TABLE sites ADD COLUMN public_counter INTEGER DEFAULT 0; -- 1 表示开放公开计数器 (/api/counter 与徽章)，无需登录即可读取累计 PV/UV
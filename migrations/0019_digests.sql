@@ -0,0 +1,23 @@
+-- 0019: 定期摘要订阅
+
+-- 定期摘要订阅: 每个周期 (按 timezone 划分) 结束后由定时任务生成报告，通过 Webhook 或邮件发送
+CREATE TABLE IF NOT EXISTS digests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    frequency TEXT NOT NULL,             -- daily / weekly / monthly
+    timezone TEXT NOT NULL DEFAULT 'UTC', -- 划分周期所用的时区 (IANA 名称)
+    channel TEXT NOT NULL,               -- webhook / email
+    webhook_url TEXT,                    -- channel 为 webhook 时的地址
+    webhook_format TEXT,                 -- generic / slack / telegram
+    chat_id TEXT,                        -- Telegram 的 chat_id
+    recipients TEXT,                     -- channel 为 email 时的收件人 JSON 数组
+    secret TEXT NOT NULL,                -- Webhook 签名密钥 (HMAC-SHA256)
+    enabled INTEGER DEFAULT 1,
+    last_period TEXT,                    -- 最近一次成功发送的周期首日 (YYYY-MM-DD)
+    last_sent_at DATETIME,
+    last_error TEXT,                     -- 最近一次投递失败的原因
+    created_by TEXT,                     -- 创建者用户名
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -5,107 +5,489 @@
  * License: MIT
  */
 
-const BLOCKED_SITE_IDS = ["broadcast"]; // 屏蔽的站点ID列表
+// 数据库迁移文件 (wrangler.toml 中的 [[rules]] 将 .sql 作为文本模块打包)
+import migration0001 from "../migrations/0001_initial.sql";
+import migration0002 from "../migrations/0002_top_pages.sql";
+import migration0003 from "../migrations/0003_referrers.sql";
+import migration0004 from "../migrations/0004_user_agents.sql";
+import migration0005 from "../migrations/0005_privacy_mode.sql";
+import migration0006 from "../migrations/0006_events.sql";
+import migration0007 from "../migrations/0007_goals_funnels.sql";
+import migration0008 from "../migrations/0008_sessions.sql";
+import migration0009 from "../migrations/0009_users_tokens.sql";
+import migration0010 from "../migrations/0010_sites.sql";
+import migration0011 from "../migrations/0011_rate_limits.sql";
+import migration0012 from "../migrations/0012_rollups.sql";
+import migration0013 from "../migrations/0013_retention.sql";
+import migration0014 from "../migrations/0014_imports.sql";
+import migration0015 from "../migrations/0015_alerts.sql";
+import migration0016 from "../migrations/0016_geography.sql";
+import migration0017 from "../migrations/0017_shares.sql";
+import migration0018 from "../migrations/0018_public_counter.sql";
+import migration0019 from "../migrations/0019_digests.sql";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 预设时间范围 (?range=7d)
+const RANGE_PRESETS = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+  "90d": 90 * DAY_MS
+};
+// 对比周期 (?compare=): 紧邻的上一周期 / 去年同期
+const COMPARE_MODES = ["previous", "year"];
+const MAX_HOURLY_SPAN = 31 * DAY_MS; // 超过该跨度时强制按天聚合，避免时间桶过多
+const MAX_SERIES_POINTS = 5000;
+
+const MAX_PATH_LENGTH = 512;
+const MAX_UTM_LENGTH = 128;
+
+const UTM_FIELDS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"];
+
+// 来源分组规则 (按 referrer 域名匹配)
+const SEARCH_ENGINE_PATTERNS = [
+  /(^|\.)google\.[a-z.]+$/, /(^|\.)bing\.com$/, /(^|\.)baidu\.com$/, /(^|\.)duckduckgo\.com$/,
+  /(^|\.)yahoo\.[a-z.]+$/, /(^|\.)yandex\.[a-z.]+$/, /(^|\.)sogou\.com$/, /(^|\.)so\.com$/,
+  /(^|\.)sm\.cn$/, /(^|\.)ecosia\.org$/, /(^|\.)naver\.com$/, /^search\.brave\.com$/, /(^|\.)startpage\.com$/
+];
+const SOCIAL_NETWORK_PATTERNS = [
+  /(^|\.)facebook\.com$/, /^t\.co$/, /(^|\.)twitter\.com$/, /^x\.com$/, /(^|\.)linkedin\.com$/, /^lnkd\.in$/,
+  /(^|\.)reddit\.com$/, /(^|\.)instagram\.com$/, /(^|\.)youtube\.com$/, /(^|\.)tiktok\.com$/, /(^|\.)pinterest\.[a-z.]+$/,
+  /^news\.ycombinator\.com$/, /(^|\.)weibo\.(com|cn)$/, /(^|\.)weixin\.qq\.com$/, /(^|\.)zhihu\.com$/,
+  /(^|\.)douban\.com$/, /(^|\.)bilibili\.com$/, /(^|\.)xiaohongshu\.com$/, /^t\.me$/, /(^|\.)discord\.com$/
+];
+
+// 爬虫 / 自动化工具 UA 特征
+const BOT_UA_PATTERN = /bot\b|bot\/|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl\/|wget\/|python-|go-http-client|java\/|okhttp|axios\/|node-fetch|httpclient|libwww|phantomjs|puppeteer|playwright|selenium|scrapy|semrush|ahrefs|mj12|petalbot|bytespider|gptbot|claudebot|ccbot|baiduspider|yandex(bot|images)|360spider|sogou/i;
+
+// 自定义事件限制
+const MAX_EVENT_NAME_LENGTH = 64;
+const MAX_EVENT_PROPS = 10;
+const MAX_EVENT_PROP_VALUE_LENGTH = 200;
+const EVENT_PROP_KEY_PATTERN = /^[A-Za-z0-9_]{1,40}$/;
+
+// 目标与漏斗限制
+const GOAL_TYPES = ["path", "event"];
+const MAX_FUNNEL_STEPS = 8;
+
+// 会话: 同一访客超过该时长无任何访问 / 心跳即视为新会话 (可通过 SESSION_TIMEOUT_MINUTES 调整)
+const DEFAULT_SESSION_TIMEOUT_MINUTES = 30;
+
+// 托管统计脚本版本号，修改 trackerScript 时请同步递增 (用于 ?v= 缓存失效)
+const TRACKER_VERSION = "1.3.0";
+
+// 账号与令牌: admin 可读写全部站点，viewer 只读且可限定站点
+const USER_ROLES = ["admin", "viewer"];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const PBKDF2_ITERATIONS = 100000; // Workers 中 PBKDF2 的迭代次数上限
+const DEFAULT_AUTH_TOKEN_TTL_HOURS = 12;
+const API_TOKEN_PREFIX = "lat_";
+const BUILTIN_ADMIN = "admin"; // 使用 ADMIN_PASSWORD 登录的内置管理员
+
+// 站点登记: 配置在 isolate 内缓存的时长，以及站点 ID 的格式
+const SITE_CACHE_TTL_MS = 60 * 1000;
+const SITE_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+const MAX_ALLOWED_ORIGINS = 20;
+
+// 上报防护: 请求体与字段长度上限、限流窗口与默认阈值 (每分钟)、重复 PV 的判定窗口
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+const MAX_SITE_ID_LENGTH = 64;
+const MAX_RAW_FIELD_LENGTH = 2048; // path / search / referrer 规范化之前的长度
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT_IP_PER_MINUTE = 120;
+const DEFAULT_RATE_LIMIT_SITE_PER_MINUTE = 3000;
+const DEFAULT_DUPLICATE_WINDOW_SECONDS = 10;
+// 实时推送: 在线访客的统计窗口、订阅凭证有效期与在线人数的推送间隔
+const LIVE_WINDOW_MS = 5 * 60 * 1000;
+const LIVE_TICKET_TTL_SECONDS = 60;
+const LIVE_ACTIVE_INTERVAL_MS = 15 * 1000;
+
+// 批量上报: 请求体大小与条数上限，客户端时间戳允许的最大延迟与超前量
+const MAX_BATCH_BYTES = 512 * 1024;
+const MAX_BATCH_HITS = 500;
+const DEFAULT_BATCH_MAX_AGE_HOURS = 72;
+const BATCH_MAX_FUTURE_MS = 5 * 60 * 1000;
+const IP_PATTERN = /^[0-9A-Fa-f.:]{2,45}$/;
+const REJECT_REASONS = ["rate_limit_ip", "rate_limit_site", "invalid", "forbidden", "disabled", "duplicate", "bot"];
+
+// 地理信息: 地区、城市等文本字段的最大长度，地区 / 城市 / 网络排行的条数
+const MAX_GEO_FIELD_LENGTH = 100;
+const GEO_LIST_LIMIT = 50;
+
+// 汇总表: 日汇总包含的维度 (空字符串为站点合计)，每次定时任务最多推进的天数
+const ROLLUP_DIMENSIONS = {
+  country: "COALESCE(country, 'Unknown')",
+  continent: "COALESCE(continent, 'Unknown')",
+  // 地区与城市带上所属的国家 (及地区)，以便按国家下钻
+  region: "COALESCE(country, 'Unknown') || '|' || COALESCE(region, 'Unknown')",
+  city: "COALESCE(country, 'Unknown') || '|' || COALESCE(region, 'Unknown') || '|' || COALESCE(city, 'Unknown')",
+  network: "COALESCE(as_org, 'Unknown')",
+  path: "COALESCE(path, '/')",
+  source: "COALESCE(source, 'direct')",
+  browser: "COALESCE(browser, 'Other')",
+  os: "COALESCE(os, 'Other')",
+  device: "COALESCE(device, 'desktop')"
+};
+const ROLLUP_MAX_DAYS_PER_RUN = 31;
+const ROLLUP_INSERT_ROWS = 200;
+// 访客草图 (HyperLogLog): 2^10 个寄存器，UV 估算的标准误差约 3%，访客较少时按线性计数估算
+const SKETCH_PRECISION = 10;
+const SKETCH_REGISTERS = 1 << SKETCH_PRECISION;
+
+// 数据保留: 原始数据按批删除，每次运行最多执行的批次数 (剩余部分留给下一次定时任务)
+const MAX_RETENTION_DAYS = 3650;
+const RETENTION_BATCH_SIZE = 5000;
+const RETENTION_MAX_BATCHES = 20;
+const SITE_DATA_TABLES = ["visits", "sessions", "events", "rollup_hourly", "rollup_daily", "rollup_hourly_imports", "rollup_daily_imports", "rejected_hits", "imports"];
+
+// 导出: 原始访问按 id 游标分页，每次请求最多导出 MAX_EXPORT_LIMIT 行，每次查询读取 EXPORT_PAGE_SIZE 行
+const EXPORT_FORMATS = ["csv", "ndjson"];
+const EXPORT_PAGE_SIZE = 1000;
+const DEFAULT_EXPORT_LIMIT = 10000;
+const MAX_EXPORT_LIMIT = 50000;
+const VISIT_EXPORT_COLUMNS = [
+  "id", "timestamp", "site_id", "path", "ip", "visitor_id", "session_id", "country", "continent", "region", "city", "timezone", "asn", "as_org",
+  "referrer", "referrer_host", "source",
+  "utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "browser", "os", "device", "is_bot", "import_source"
+];
+// 导入: 每次请求的请求体大小与写入的访问记录数上限 (大文件需分片上传)，每条 INSERT 写入的行数，保存的行错误数
+const IMPORT_FORMATS = {
+  // 聚合格式: 每行为某天某页面的浏览量与用户数，按浏览量展开为访问记录
+  ga4: {
+    aggregate: true,
+    columns: {
+      date: ["date"],
+      path: ["page path and screen class", "page path", "page path + query string", "landing page", "landing page + query string"],
+      pageviews: ["views", "screen page views", "screenpageviews"],
+      visitors: ["users", "active users", "total users", "activeusers", "totalusers"],
+      country: ["country id", "country"]
+    }
+  },
+  plausible: {
+    aggregate: true,
+    columns: { date: ["date"], path: ["page", "name"], pageviews: ["pageviews"], visitors: ["visitors"], country: ["country"] }
+  },
+  // 原始格式: 每行为一次页面访问
+  umami: {
+    aggregate: false,
+    columns: {
+      timestamp: ["created_at"], path: ["url_path"], country: ["country"], region: ["subdivision1", "region"], city: ["city"],
+      visitor: ["session_id"], hostname: ["hostname"],
+      referrer_domain: ["referrer_domain"], referrer_path: ["referrer_path"], browser: ["browser"], os: ["os"], device: ["device"],
+      event_type: ["event_type"], ...Object.fromEntries(UTM_FIELDS.map((f) => [f, [f]]))
+    }
+  },
+  ndjson: { aggregate: false }
+};
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_VISITS = 100000;
+const IMPORT_INSERT_ROWS = 500;
+const MAX_IMPORT_ERRORS = 50;
+const IMPORT_VISIT_COLUMNS = ["path", "country", "region", "city", "visitor_id", "referrer", "referrer_host", "source", ...UTM_FIELDS, "browser", "os", "device", "timestamp"];
+// Umami 的浏览器标识 -> 本项目使用的浏览器名称
+const UMAMI_BROWSERS = {
+  chrome: "Chrome", crios: "Chrome", "chromium-webview": "Chrome", firefox: "Firefox", fxios: "Firefox", safari: "Safari", ios: "Safari",
+  "ios-webview": "Safari", "edge-chromium": "Edge", edge: "Edge", "edge-ios": "Edge", opera: "Opera", samsung: "Samsung Internet",
+  yandexbrowser: "Yandex", ie: "Internet Explorer"
+};
+
+// 公开分享: 可选的卡片、链接标识的随机字节数、口令换取的访问凭证有效期、热门页面条数
+// 以及每分钟的口令尝试次数上限 (每个客户端 / 每个链接合计)
+const SHARE_WIDGETS = ["summary", "trend", "geography", "pages", "sources", "technology", "sessions"];
+const SHARE_SLUG_BYTES = 12;
+const SHARE_TOKEN_TTL_SECONDS = 24 * 3600;
+const SHARE_PAGE_LIMIT = 20;
+const SHARE_PASSWORD_ATTEMPTS_PER_CLIENT = 5;
+const SHARE_PASSWORD_ATTEMPTS_PER_SHARE = 30;
+// 各卡片对应的 /api/stats 字段 (pages 单独查询)；原始访问 recent、站点列表与网络排行不对外分享
+const SHARE_WIDGET_FIELDS = {
+  summary: ["total", "unique"],
+  trend: ["series"],
+  geography: ["countries", "continents", "regions", "cities"],
+  sources: ["sources", "referrers", "campaigns"],
+  technology: ["browsers", "os", "devices"],
+  sessions: ["sessions", "entryPages", "exitPages"]
+};
+
+// 公开计数器: 边缘缓存秒数 (可用 COUNTER_CACHE_SECONDS 覆盖)、徽章配色 (与 shields.io 的命名一致) 与标签长度
+const DEFAULT_COUNTER_CACHE_SECONDS = 300;
+const MAX_COUNTER_CACHE_SECONDS = 24 * 3600;
+const COUNTER_METRICS = { pv: "views", uv: "visitors" };
+const BADGE_COLORS = {
+  brightgreen: "#4c1",
+  green: "#97ca00",
+  yellowgreen: "#a4a61d",
+  yellow: "#dfb317",
+  orange: "#fe7d37",
+  red: "#e05d44",
+  blue: "#007ec6",
+  lightgrey: "#9f9f9f",
+  grey: "#555"
+};
+const MAX_BADGE_LABEL_LENGTH = 40;
+
+// 告警: 规则类型、Webhook 格式、统计窗口范围 (分钟)、变化率基线 (天前的同一时段)、历史保留
+const ALERT_TYPES = ["pv_above", "pv_below", "change", "no_hits"];
+const ALERT_FORMATS = ["generic", "slack", "telegram"];
+const ALERT_MIN_WINDOW_MINUTES = 5;
+const ALERT_MAX_WINDOW_MINUTES = 7 * 24 * 60;
+const ALERT_BASELINE_DAYS = 7;
+const ALERT_HISTORY_LIMIT = 50;
+const ALERT_HISTORY_DAYS = 90;
+// 告警评估的 Cron (须与 wrangler.toml 中的配置一致)，其余 Cron 用于汇总、清理与定期摘要
+const ALERT_CRON = "*/5 * * * *";
+
+// 告警与定期摘要的 Webhook / 邮件接口请求超时
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// 定期摘要: 周期、投递方式、排行条数、每个订阅的收件人上限，以及邮件服务 (EMAIL_PROVIDER) 的默认接口地址
+const DIGEST_FREQUENCIES = ["daily", "weekly", "monthly"];
+const DIGEST_CHANNELS = ["webhook", "email"];
+const DIGEST_TOP_LIMIT = 10;
+const DIGEST_MAX_RECIPIENTS = 20;
+const EMAIL_PROVIDERS = {
+  resend: "https://api.resend.com/emails",
+  sendgrid: "https://api.sendgrid.com/v3/mail/send"
+};
+
+// 汇总报表名 -> /api/stats 返回值中的字段
+const EXPORT_STATS_REPORTS = {
+  countries: "countries",
+  continents: "continents",
+  regions: "regions",
+  cities: "cities",
+  networks: "networks",
+  sites: "topSites",
+  series: "series",
+  sources: "sources",
+  referrers: "referrers",
+  campaigns: "campaigns",
+  browsers: "browsers",
+  os: "os",
+  devices: "devices",
+  entry_pages: "entryPages",
+  exit_pages: "exitPages"
+};
+
+// 数据库迁移: 按版本顺序排列，name 与 migrations 目录中的文件名一致 (与 wrangler d1 migrations 共用 schema_migrations 表)
+// 新增迁移时添加 migrations/NNNN_xxx.sql 并在此追加一项；结构落后时上报接口返回 503，落后状态每分钟重新检查
+const MIGRATIONS = [
+  { name: "0001_initial.sql", sql: migration0001 },
+  { name: "0002_top_pages.sql", sql: migration0002 },
+  { name: "0003_referrers.sql", sql: migration0003 },
+  { name: "0004_user_agents.sql", sql: migration0004 },
+  { name: "0005_privacy_mode.sql", sql: migration0005 },
+  { name: "0006_events.sql", sql: migration0006 },
+  { name: "0007_goals_funnels.sql", sql: migration0007 },
+  { name: "0008_sessions.sql", sql: migration0008 },
+  { name: "0009_users_tokens.sql", sql: migration0009 },
+  { name: "0010_sites.sql", sql: migration0010 },
+  { name: "0011_rate_limits.sql", sql: migration0011 },
+  { name: "0012_rollups.sql", sql: migration0012 },
+  { name: "0013_retention.sql", sql: migration0013 },
+  { name: "0014_imports.sql", sql: migration0014 },
+  { name: "0015_alerts.sql", sql: migration0015 },
+  { name: "0016_geography.sql", sql: migration0016 },
+  { name: "0017_shares.sql", sql: migration0017 },
+  { name: "0018_public_counter.sql", sql: migration0018 },
+  { name: "0019_digests.sql", sql: migration0019 }
+];
+const SCHEMA_RECHECK_MS = 60 * 1000;
+const INGEST_PATHS = ["/api/track", "/api/batch", "/api/ping", "/api/event"];
+
+// 非隐私模式下访客哈希使用的固定盐 (salts 表中的键)
+const STATIC_SALT_KEY = "static";
+
+// CORS 配置，允许跨域访问以便被其他网站调用
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Ingest-Key",
+  "Access-Control-Expose-Headers": "X-Next-Cursor"
+};
 
 export default {
-  async fetch(request, env) {
-    const ADMIN_PASSWORD = env.ADMIN_PASSWORD;
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
     const path = url.pathname;
-    
-    // CORS 配置，允许跨域访问以便被其他网站调用
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization"
-    };
 
     // 处理预检请求
     if (request.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders });
+      return new Response(null, { headers: CORS_HEADERS });
     }
 
-    // API: 上报数据 (POST)
-    if (path === "/api/track" && request.method === "POST") {
-      try {
-        if (!env.DB) throw new Error("Server Error: env.DB is not defined.");
-        
-        const data = await request.json();
-        const country = request.cf?.country || "Unknown";
-        const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
-        // 如果未提供 site_id，默认为 'default'
-        const siteId = data.site_id && data.site_id.trim() !== "" ? data.site_id : "default";
-        
-        // 检查屏蔽列表
-        if (BLOCKED_SITE_IDS.includes(siteId)) {
-          return new Response(JSON.stringify({ status: "ignored" }), { 
-            headers: { ...corsHeaders, "Content-Type": "application/json" } 
-          });
-        }
+    try {
+      // 数据库结构落后于当前代码时暂停上报，执行迁移后自动恢复
+      if (INGEST_PATHS.includes(path) && request.method === "POST") {
+        await requireCurrentSchema(env);
+      }
 
-        // 写入数据库
-        await env.DB.prepare(
-          `INSERT INTO visits (site_id, ip, country, path) VALUES (?, ?, ?, ?)`
-        ).bind(siteId, ip, country, data.path || "/").run();
+      // API: 上报数据 (POST)
+      if (path === "/api/track" && request.method === "POST") {
+        return await handleTrack(request, env, ctx);
+      }
 
-        return new Response(JSON.stringify({ status: "ok" }), {
-          headers: { ...corsHeaders, "Content-Type": "application/json" }
-        });
-      } catch (err) {
-        return new Response(JSON.stringify({ error: err.message }), { status: 500, headers: corsHeaders });
+      // API: 批量上报 (POST)，用于离线队列与服务端上报
+      if (path === "/api/batch" && request.method === "POST") {
+        return await handleBatch(request, env, ctx);
+      }
+
+      // API: 心跳 / 离开页面时上报，用于计算会话时长 (POST)
+      if (path === "/api/ping" && request.method === "POST") {
+        return await handlePing(request, env, ctx);
+      }
+
+      // API: 上报自定义事件 (POST)
+      if (path === "/api/event" && request.method === "POST") {
+        return await handleEvent(request, env, ctx);
+      }
+
+      // API: 登录，签发会话令牌 (POST)
+      if (path === "/api/login" && request.method === "POST") {
+        return await handleLogin(request, env);
+      }
+
+      // API: 当前访问主体 (GET)
+      if (path === "/api/me") {
+        return await handleMe(request, env);
+      }
+
+      // API: 账号管理 (仅 admin: GET 列表 / POST 创建 / DELETE 删除)
+      if (path === "/api/users") {
+        return await handleUsers(request, env, url);
+      }
+
+      // API: API 令牌管理 (GET 列表 / POST 创建 / DELETE 吊销)
+      if (path === "/api/tokens") {
+        return await handleTokens(request, env, url);
+      }
+
+      // API: 站点登记 (仅 admin: GET 列表 / POST 创建或更新 / DELETE 删除)
+      if (path === "/api/sites") {
+        return await handleSites(request, env, url);
+      }
+
+      // API: 被拒绝的上报统计 (仅 admin, GET)
+      if (path === "/api/rejections") {
+        return await handleRejections(request, env, url);
+      }
+
+      // API: 汇总表状态 (GET) / 立即汇总或从指定日期重建 (POST)，仅 admin
+      if (path === "/api/rollups") {
+        return await handleRollups(request, env);
+      }
+
+      // API: 存储用量 (GET) / 按保留策略立即清理 (POST) / 删除某站点的全部数据 (DELETE)，仅 admin
+      if (path === "/api/data") {
+        return await handleData(request, env, url);
+      }
+
+      // API: 数据库迁移 (仅 admin: GET 已执行与待执行的迁移 / POST 执行待执行的迁移)
+      if (path === "/api/migrations") {
+        return await handleMigrations(request, env);
+      }
+
+      // API: 获取统计数据 (GET)
+      if (path === "/api/stats") {
+        return await handleStats(request, env, url);
+      }
+
+      // API: 实时推送 (POST 获取订阅凭证 / GET 以 WebSocket 订阅新访问与在线人数)
+      if (path === "/api/live") {
+        return await handleLive(request, env, url);
+      }
+
+      // API: 导出原始访问或汇总报表为 CSV / NDJSON (GET)
+      if (path === "/api/export") {
+        return await handleExport(request, env, url);
+      }
+
+      // API: 导入历史数据 (仅 admin: GET 导入记录 / POST 上传 CSV 或 NDJSON / DELETE 撤销一次导入)
+      if (path === "/api/import") {
+        return await handleImport(request, env, url);
+      }
+
+      // API: 告警规则与告警历史 (仅 admin: GET 列表 / POST 创建、更新或 ?test=1 测试 / DELETE 删除)
+      if (path === "/api/alerts") {
+        return await handleAlerts(request, env, url);
+      }
+
+      // API: 定期摘要订阅 (仅 admin: GET 列表或 ?preview=1&id= 预览 / POST 创建、更新或 ?test=1 立即发送 / DELETE 删除)
+      if (path === "/api/digests") {
+        return await handleDigests(request, env, url);
+      }
+
+      // API: 公开分享链接管理 (仅 admin: GET 列表 / POST 创建或更新 / DELETE 吊销)
+      if (path === "/api/shares") {
+        return await handleShares(request, env, url);
+      }
+
+      // API: 公开分享的只读数据 (无需登录: GET 统计数据 / POST 用口令换取访问凭证)
+      if (path.startsWith("/api/share/")) {
+        return await handleShare(request, env, url, path.slice("/api/share/".length));
+      }
+
+      // API: 公开计数器 (无需登录，站点须开启 public_counter: JSON / SVG 徽章)
+      if ((path === "/api/counter" || path === "/api/counter.svg") && request.method === "GET") {
+        return await handleCounter(env, ctx, url, path.endsWith(".svg") ? "svg" : "json");
+      }
+
+      // 公开分享页
+      if (path.startsWith("/share/")) {
+        return await handleSharePage(env, path.slice("/share/".length));
+      }
+
+      // API: 热门页面 / 单页面详情 (GET)
+      if (path === "/api/pages") {
+        return await handlePages(request, env, url);
+      }
+
+      // API: 自定义事件统计 (GET)
+      if (path === "/api/events") {
+        return await handleEvents(request, env, url);
+      }
+
+      // API: 转化目标 (GET 列表与转化率 / POST 创建 / DELETE 删除)
+      if (path === "/api/goals") {
+        return await handleGoals(request, env, url);
+      }
+
+      // API: 转化漏斗 (GET 列表或 ?id= 报告 / POST 创建 / DELETE 删除)
+      if (path === "/api/funnels") {
+        return await handleFunnels(request, env, url);
       }
+    } catch (err) {
+      // 被拒绝的上报计入 rejected_hits，供管理员查看
+      if (err.reason) countRejected(env, ctx, err.siteId, err.reason);
+      return jsonResponse({ error: err.message }, err.status || 500, err.headers);
     }
 
-    // API: 获取统计数据 (GET)
-    if (path === "/api/stats") {
-      try {
-        if (!ADMIN_PASSWORD) throw new Error("Server Config Error: ADMIN_PASSWORD not set.");
-        
-        const authHeader = request.headers.get("Authorization");
-        if (authHeader !== ADMIN_PASSWORD) {
-          return new Response(JSON.stringify({ error: "Unauthorized" }), { status: 401, headers: corsHeaders });
+    // 托管统计脚本
+    if (path === "/tracker.js") {
+      // 带匹配版本号的请求可长期缓存，否则只缓存 1 小时以便升级生效
+      const immutable = url.searchParams.get("v") === TRACKER_VERSION;
+      return new Response(trackerScript, {
+        headers: {
+          ...CORS_HEADERS,
+          "Content-Type": "application/javascript;charset=UTF-8",
+          "Cache-Control": immutable ? "public, max-age=31536000, immutable" : "public, max-age=3600",
+          "X-Tracker-Version": TRACKER_VERSION
         }
-        
-        if (!env.DB) throw new Error("Database Error: env.DB undefined");
-
-        const siteFilter = url.searchParams.get("site_id");
-        let whereClause = "";
-        let params = [];
-
-        // 筛选逻辑
-        if (siteFilter && siteFilter !== "all") {
-          whereClause = "WHERE site_id = ?";
-          params = [siteFilter];
-        }
-
-        // 并行查询数据
-        const [totalResult, uniqueResult, countriesResult, recentResult, sitesResult, topSitesResult] = await Promise.all([
-          // 1. 总访问量 (PV)
-          env.DB.prepare(`SELECT COUNT(*) as count FROM visits ${whereClause}`).bind(...params).first(),
-          // 2. 独立访客 (UV)
-          env.DB.prepare(`SELECT COUNT(DISTINCT ip) as count FROM visits ${whereClause}`).bind(...params).first(),
-          // 3. 国家排行
-          env.DB.prepare(`SELECT country, COUNT(*) as count FROM visits ${whereClause} GROUP BY country ORDER BY count DESC LIMIT 50`).bind(...params).all(),
-          // 4. 最近记录
-          env.DB.prepare(`SELECT * FROM visits ${whereClause} ORDER BY id DESC LIMIT 100`).bind(...params).all(),
-          // 5. 站点列表
-          env.DB.prepare(`SELECT DISTINCT site_id FROM visits ORDER BY site_id ASC`).all(),
-          // 6. 热门站点
-          env.DB.prepare(`SELECT site_id, COUNT(*) as count FROM visits GROUP BY site_id ORDER BY count DESC LIMIT 100`).all()
-        ]);
-
-        return new Response(JSON.stringify({
-          total: totalResult?.count || 0,
-          unique: uniqueResult?.count || 0,
-          countries: countriesResult.results || [],
-          recent: recentResult.results || [],
-          sites: sitesResult.results.map((r) => r.site_id),
-          topSites: topSitesResult.results || []
-        }), { headers: { ...corsHeaders, "Content-Type": "application/json" } });
-
-      } catch (err) {
-        return new Response(JSON.stringify({ error: err.message }), { status: 500, headers: corsHeaders });
-      }
+      });
+    }
+
+    // 计数器挂件脚本
+    if (path === "/counter.js") {
+      return new Response(counterScript, {
+        headers: {
+          ...CORS_HEADERS,
+          "Content-Type": "application/javascript;charset=UTF-8",
+          "Cache-Control": "public, max-age=3600"
+        }
+      });
     }
 
     // 首页: 返回 Dashboard HTML
@@ -116,706 +498,6581 @@ export default {
     }
 
     return new Response("Not Found", { status: 404 });
+  },
+
+  // 定时任务 (见 wrangler.toml 中的 crons)，数据库结构落后时跳过
+  async scheduled(event, env, ctx) {
+    try {
+      await requireCurrentSchema(env);
+    } catch (err) {
+      console.error(err.message);
+      return;
+    }
+    if (event.cron === ALERT_CRON) {
+      ctx.waitUntil(evaluateAlerts(env));
+      return;
+    }
+    // 先汇总再清理，保证被删除的原始访问都已写入汇总表；定期摘要在汇总之后生成
+    ctx.waitUntil(runRollups(env).then(() => pruneRawData(env)).then(() => sendDigests(env)));
   }
 };
 
-// 前端 Dashboard HTML 代码
-const htmlDashboard = `
-<!DOCTYPE html>
-<html lang="zh-CN" class="dark">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
-    <title>Leon Stats</title>
-    <script src="https://cdn.tailwindcss.com"></script>
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js"></script>
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/jsvectormap/1.5.3/css/jsvectormap.min.css" />
+// ==================== 接口处理 ====================
 
-    <script>
-        tailwind.config = {
-            darkMode: 'class',
-            theme: {
-                extend: {
-                    colors: {
-                        dark: { bg: '#0f172a', card: 'rgba(30, 41, 59, 0.65)', border: 'rgba(255,255,255,0.08)' },
-                        light: { bg: '#f8fafc', card: 'rgba(255, 255, 255, 0.9)', border: 'rgba(0,0,0,0.05)' }
-                    },
-                    fontFamily: {
-                        sans: ['Inter', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'sans-serif'],
-                        mono: ['JetBrains Mono', 'Fira Code', 'Consolas', 'Menlo', 'monospace'],
-                    },
-                    fontSize: { 'xxs': '0.65rem' }
-                }
-            }
-        }
-    </script>
-    <link href="https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500&family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
-    <style>
-        body { font-family: 'Inter', sans-serif; transition: background-color 0.4s ease, color 0.4s ease; -webkit-font-smoothing: antialiased; }
-        .font-mono { font-family: 'JetBrains Mono', monospace; letter-spacing: -0.02em; }
-        .ambient-light { position: fixed; top: 0; left: 0; width: 100%; height: 100%; z-index: -1; pointer-events: none; transition: opacity 0.5s ease; }
-        .dark .ambient-light { background: radial-gradient(circle at 10% 20%, rgba(79, 70, 229, 0.08) 0%, transparent 40%), radial-gradient(circle at 90% 80%, rgba(139, 92, 246, 0.08) 0%, transparent 40%); opacity: 1; }
-        .light .ambient-light { background: radial-gradient(circle at 50% 0%, rgba(99, 102, 241, 0.03) 0%, transparent 60%); opacity: 1; }
+async function handleTrack(request, env, ctx) {
+  if (!env.DB) throw new Error("Server Error: env.DB is not defined.");
 
-        .glass-card { backdrop-filter: blur(20px); -webkit-backdrop-filter: blur(20px); transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1); border: 1px solid; border-radius: 12px; }
-        .dark .glass-card { background: var(--card-bg); border-color: var(--border); box-shadow: 0 4px 20px rgba(0,0,0,0.2); }
-        .light .glass-card { background: rgba(255, 255, 255, 0.8); border-color: rgba(0,0,0,0.06); box-shadow: 0 4px 15px rgba(0,0,0,0.03); }
+  const data = await readJsonBody(request);
+  const hit = await resolveHit(request, env, ctx, data);
+  if (!hit) return jsonResponse({ status: "ignored" });
 
-        .toggle-checkbox { display: none; }
-        .toggle-track { 
-            width: 3rem; height: 1.5rem; 
-            background-color: #e2e8f0; 
-            border-radius: 9999px; 
-            position: relative; 
-            transition: background-color 0.3s ease; 
-            border: 1px solid rgba(0,0,0,0.05);
-            box-shadow: inset 0 2px 4px rgba(0,0,0,0.06);
-        }
-        .dark .toggle-track { 
-            background-color: #334155; 
-            border-color: rgba(255,255,255,0.1);
-            box-shadow: inset 0 2px 4px rgba(0,0,0,0.2);
-        }
-        .toggle-checkbox:checked + .toggle-track { background-color: #4f46e5; }
-        
-        .toggle-knob {
-            width: 1.2rem; height: 1.2rem;
-            background-color: white;
-            border-radius: 50%;
-            position: absolute;
-            top: 2px; left: 2px;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.3);
-            transition: transform 0.3s cubic-bezier(0.4, 0.0, 0.2, 1);
-            z-index: 10;
-        }
-        .toggle-checkbox:checked + .toggle-track .toggle-knob {
-            transform: translateX(1.55rem);
-        }
-        
-        .icon-sun, .icon-moon {
-            position: absolute; top: 50%; transform: translateY(-50%);
-            width: 14px; height: 14px; pointer-events: none;
-            transition: opacity 0.3s;
-        }
-        .icon-sun { left: 5px; color: #64748b; opacity: 1; }
-        .icon-moon { right: 5px; color: #e2e8f0; opacity: 0.5; }
-        
-        .toggle-checkbox:checked + .toggle-track .icon-sun { opacity: 0.5; color: #a5b4fc; }
-        .toggle-checkbox:checked + .toggle-track .icon-moon { opacity: 1; color: white; }
+  // 来源与 UTM 活动参数
+  const ref = classifyReferrer(data.referrer, request.headers.get("Origin"));
+  const utm = readUtm(data);
+  const pagePath = normalizePath(data.path);
 
-        ::-webkit-scrollbar { width: 5px; height: 5px; }
-        ::-webkit-scrollbar-track { background: transparent; }
-        ::-webkit-scrollbar-thumb { background: rgba(156, 163, 175, 0.3); border-radius: 3px; }
-        ::-webkit-scrollbar-thumb:hover { background: rgba(156, 163, 175, 0.5); }
-        
-        #app-loader { position: fixed; inset: 0; z-index: 9999; background: #0f172a; display: flex; flex-direction: column; align-items: center; justify-content: center; transition: opacity 0.4s; }
-        .loader-spinner { width: 32px; height: 32px; border: 2px solid rgba(255,255,255,0.1); border-radius: 50%; border-top-color: #818cf8; animation: spin 0.8s linear infinite; }
-        @keyframes spin { to { transform: rotate(360deg); } }
-        
-        .jvm-tooltip { background-color: rgba(15, 23, 42, 0.95); border: 1px solid rgba(255, 255, 255, 0.1); font-family: 'Inter', sans-serif; border-radius: 4px; padding: 6px 10px; font-size: 12px; z-index: 999; box-shadow: 0 4px 6px rgba(0,0,0,0.3); }
-        
-        .rank-1 { color: #fbbf24; text-shadow: 0 0 10px rgba(251, 191, 36, 0.3); }
-        .rank-2 { color: #9ca3af; }
-        .rank-3 { color: #b45309; }
-        .rank-norm { color: #64748b; font-weight: normal; }
-        .dark .rank-norm { color: #94a3b8; }
+  // 同一访客短时间内重复上报同一页面 (重复提交、脚本被加载两次等) 只计一次
+  if (await isDuplicateHit(env, hit, pagePath)) {
+    countRejected(env, ctx, hit.siteId, "duplicate");
+    return jsonResponse({ status: "ignored" });
+  }
 
-        .ide-window { 
-            border-radius: 8px; overflow: hidden; border: 1px solid; 
-            transition: all 0.3s ease;
-        }
-        .dark .ide-window { background: #1e1e2e; border-color: rgba(255,255,255,0.1); box-shadow: 0 10px 30px rgba(0,0,0,0.3); }
-        .dark .ide-header { background: #181825; border-bottom: 1px solid rgba(255,255,255,0.05); }
-        .dark .ide-content { color: #a6accd; }
-        
-        .light .ide-window { background: #f8fafc; border-color: #e2e8f0; box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
-        .light .ide-header { background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
-        .light .ide-content { color: #334155; }
+  // 会话归属 (爬虫不参与会话统计)
+  const sessionId = hit.ua.isBot ? null : await touchSession(env, hit, pagePath);
 
-        .ide-header { padding: 8px 12px; display: flex; align-items: center; justify-content: space-between; }
-        .ide-dots { display: flex; gap: 6px; }
-        .ide-dot { width: 10px; height: 10px; border-radius: 50%; }
-        .ide-content { padding: 16px; font-family: 'JetBrains Mono', monospace; font-size: 13px; line-height: 1.6; overflow-x: auto; }
-        
-        .s-tag { color: #ff5572; } .light .s-tag { color: #ef4444; } 
-        .s-kw { color: #c792ea; } .light .s-kw { color: #8b5cf6; } 
-        .s-str { color: #c3e88d; } .light .s-str { color: #10b981; } 
-        .s-hl { color: #ffcb6b; border-bottom: 1px dashed #ffcb6b; font-weight: bold; } .light .s-hl { color: #d97706; border-bottom: 1px dashed #d97706; }
-        .s-punc { color: #89ddff; } .light .s-punc { color: #64748b; }
-    </style>
-</head>
-<body class="bg-light-bg dark:bg-dark-bg text-slate-700 dark:text-slate-300 min-h-screen relative selection:bg-indigo-500/30">
+  // 写入数据库
+  const timestamp = toSqlTime(new Date());
+  await env.DB.prepare(
+    `INSERT INTO visits (site_id, ip, visitor_id, session_id, country, continent, region, city, timezone, asn, as_org, path, referrer, referrer_host, source, utm_source, utm_medium, utm_campaign, utm_term, utm_content, browser, os, device, is_bot, timestamp)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    hit.siteId, hit.ip, hit.visitorId, sessionId, hit.country, ...geoValues(hit.geo), pagePath,
+    ref.referrer, ref.host, ref.source,
+    ...UTM_FIELDS.map((f) => utm[f]),
+    hit.ua.browser, hit.ua.os, hit.ua.device, hit.ua.isBot ? 1 : 0, timestamp
+  ).run();
 
-    <div id="app-loader"><div class="loader-spinner"></div></div>
-    <div class="ambient-light"></div>
+  if (!hit.ua.isBot) {
+    publishLive(env, ctx, [{
+      site_id: hit.siteId, ip: hit.ip, visitor_id: hit.visitorId, country: hit.country, region: hit.geo.region, city: hit.geo.city, path: pagePath,
+      referrer_host: ref.host, source: ref.source, browser: hit.ua.browser, os: hit.ua.os, device: hit.ua.device, timestamp
+    }]);
+  }
+  return jsonResponse({ status: "ok" });
+}
 
-    <!-- Login -->
-    <div id="login-modal" class="fixed inset-0 z-50 flex items-center justify-center bg-white/90 dark:bg-[#0f172a] opacity-0 hidden transition-opacity duration-300">
-        <div class="glass-card w-full max-w-sm p-8 mx-4 shadow-2xl relative">
-            <div class="text-center mb-8">
-                <div class="w-12 h-12 bg-indigo-500/10 rounded-xl flex items-center justify-center mx-auto mb-4 text-2xl">🛡️</div>
-                <h2 class="text-lg font-bold text-slate-900 dark:text-white">LEON ANALYTICS</h2>
-                <p class="text-xs text-slate-500 mt-1 font-mono tracking-wider">SECURE ACCESS</p>
-            </div>
-            <form onsubmit="handleLogin(event)" class="space-y-4">
-                <input type="password" id="password-input" class="w-full bg-slate-50 dark:bg-slate-900/50 text-center text-sm py-3 rounded-lg border border-slate-200 dark:border-slate-700 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none transition font-mono" placeholder="PASSWORD" required autofocus>
-                <button type="submit" class="w-full bg-indigo-600 hover:bg-indigo-500 text-white text-sm font-bold py-3 rounded-lg shadow-lg transition transform active:scale-[0.98]">UNLOCK</button>
-                <p id="login-error" class="text-red-500 text-xs text-center hidden">INVALID TOKEN</p>
-            </form>
-        </div>
-    </div>
+// 心跳: 只延长当前会话的 last_seen_at，不计入 PV，也不会开启新会话
+async function handlePing(request, env, ctx) {
+  if (!env.DB) throw new Error("Server Error: env.DB is not defined.");
 
-    <!-- Dashboard -->
-    <div id="dashboard-content" class="max-w-6xl mx-auto px-4 py-6 opacity-0 transition-opacity duration-500">
-        
-        <!-- Navbar -->
-        <header class="flex flex-wrap justify-between items-center mb-6 gap-y-4">
-            <div class="flex items-center space-x-3">
-                <div class="w-10 h-10 rounded-lg bg-indigo-500/10 flex items-center justify-center text-xl">📊</div>
-                <div>
-                    <h1 class="text-lg font-bold text-slate-900 dark:text-white tracking-tight leading-tight">Leon Stats</h1>
-                    <div class="flex items-center gap-2">
+  const data = await readJsonBody(request);
+  const hit = await resolveHit(request, env, ctx, data);
+  if (!hit || hit.ua.isBot) return jsonResponse({ status: "ignored" });
+
+  const session = await findActiveSession(env, hit);
+  if (!session) return jsonResponse({ status: "ignored" });
+
+  await env.DB.prepare(`UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?`).bind(session.id).run();
+  return jsonResponse({ status: "ok" });
+}
+
+// 自定义事件上报: { site_id, name, props, path }
+async function handleEvent(request, env, ctx) {
+  if (!env.DB) throw new Error("Server Error: env.DB is not defined.");
+
+  const data = await readJsonBody(request);
+  const name = typeof data.name === "string" ? data.name.trim() : "";
+  if (!name || name.length > MAX_EVENT_NAME_LENGTH) throw httpError(400, "Invalid event name");
+  const props = validateEventProps(data.props);
+
+  // 爬虫触发的事件始终丢弃
+  const hit = await resolveHit(request, env, ctx, data);
+  if (!hit || hit.ua.isBot) return jsonResponse({ status: "ignored" });
+
+  await env.DB.prepare(
+    `INSERT INTO events (site_id, name, props, path, visitor_id, country) VALUES (?, ?, ?, ?, ?, ?)`
+  ).bind(hit.siteId, name, props ? JSON.stringify(props) : null, normalizePath(data.path), hit.visitorId, hit.country).run();
+
+  return jsonResponse({ status: "ok" });
+}
+// 批量上报: { site_id, key, hits: [{ type, path, referrer, utm_*, name, props, timestamp, ip, country, region, city, user_agent }] }
+// 合法的记录通过一次 env.DB.batch() 写入，并按 hits 的顺序逐条返回处理结果
+async function handleBatch(request, env, ctx) {
+  if (!env.DB) throw new Error("Server Error: env.DB is not defined.");
+
+  const data = await readJsonBody(request, MAX_BATCH_BYTES);
+  if (!Array.isArray(data.hits) || data.hits.length === 0) throw rejectHit(400, "'hits' must be a non-empty array", "invalid");
+  if (data.hits.length > MAX_BATCH_HITS) throw rejectHit(413, `At most ${MAX_BATCH_HITS} hits per batch`, "invalid");
+
+  const now = Date.now();
+  const maxAge = clampInt(env.BATCH_MAX_AGE_HOURS, DEFAULT_BATCH_MAX_AGE_HOURS, 1, MAX_RETENTION_DAYS * 24) * HOUR_MS;
+  const skew = { min: now - maxAge, max: now + BATCH_MAX_FUTURE_MS };
+  const results = new Array(data.hits.length);
+  // 拒绝计数按 (站点, 原因) 合并，处理完整批后每组写入一次
+  const rejected = new Map();
+  const tally = (siteId, reason) => {
+    const key = JSON.stringify([siteId, reason]);
+    rejected.set(key, (rejected.get(key) || 0) + 1);
+  };
+  const reject = (index, err, siteId) => {
+    if (!err.reason) throw err;
+    results[index] = { index, status: "rejected", error: err.message };
+    tally(siteId, err.reason);
+  };
+
+  // 逐条校验字段，按站点分组
+  const groups = new Map();
+  for (const [index, raw] of data.hits.entries()) {
+    const item = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : null;
+    const siteId = [item?.site_id, data.site_id].find((v) => typeof v === "string" && v.trim() !== "")?.trim() || "default";
+    try {
+      if (!item) throw rejectHit(400, "Hit must be a JSON object", "invalid", siteId);
+      const hit = parseBatchHit(item, siteId, skew);
+      if (!groups.has(siteId)) groups.set(siteId, []);
+      groups.get(siteId).push({ index, item, ...hit });
+    } catch (err) {
+      reject(index, err, siteId);
+    }
+  }
+
+  // 站点登记、服务端模式与限流按站点检查一次，限流按条数计入
+  const callerIp = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+  const statements = [];
+  const visitStatements = []; // 页面浏览的 INSERT 在 statements 中的位置，用于取回写入的 id
+  const published = [];
+  let earliest = Infinity;
+  for (const [siteId, hits] of groups) {
+    const ignore = (hit, reason) => {
+      results[hit.index] = { index: hit.index, status: "ignored", reason };
+      tally(siteId, reason);
+    };
+    let allowed = hits;
+    try {
+      if (!(await checkSiteAccess(request, env, siteId, data))) {
+        for (const hit of hits) ignore(hit, "disabled");
+        continue;
+      }
+      // 显式传入 ip / country / region / city / user_agent 时须使用站点的上报密钥 (checkSiteAccess 已核对密钥)
+      const site = await getSite(env, siteId);
+      if (!site?.ingest_key) {
+        allowed = [];
+        for (const hit of hits) {
+          if (hit.server) reject(hit.index, rejectHit(403, "Ingest key required for ip, country, region, city or user_agent", "forbidden", siteId), siteId);
+          else allowed.push(hit);
+        }
+        if (!allowed.length) continue;
+      }
+      await checkRateLimit(env, allowed.every((hit) => hit.ip) ? null : callerIp, siteId, allowed.length);
+    } catch (err) {
+      for (const hit of allowed) reject(hit.index, err, siteId);
+      continue;
+    }
+
+    for (const hit of allowed) {
+      const userAgent = hit.userAgent ?? request.headers.get("User-Agent");
+      const ua = parseUserAgent(userAgent);
+      if (!hit.userAgent && request.cf?.botManagement?.verifiedBot) ua.isBot = true;
+      // 事件与默认模式下的爬虫一样直接丢弃
+      if (ua.isBot && (hit.type === "event" || env.BOT_TRAFFIC !== "tag")) {
+        ignore(hit, "bot");
+        continue;
+      }
+
+      const ip = hit.ip || callerIp;
+      const visitorId = await getVisitorId(env, ip, userAgent, siteId);
+      const country = hit.country || request.cf?.country || "Unknown";
+      // 代访客上报时请求本身的地理信息属于调用方，只使用显式传入的地区与城市
+      const geo = hit.ip || hit.country
+        ? { continent: null, region: hit.region || null, city: hit.city || null, timezone: null, asn: null, asOrg: null }
+        : { ...readGeo(request.cf), ...(hit.region && { region: hit.region }), ...(hit.city && { city: hit.city }) };
+      const timestamp = toSqlTime(new Date(hit.time));
+      const pagePath = normalizePath(hit.item.path);
+      if (hit.type === "event") {
+        statements.push(env.DB.prepare(
+          `INSERT INTO events (site_id, name, props, path, visitor_id, country, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)`
+        ).bind(siteId, hit.name, hit.props ? JSON.stringify(hit.props) : null, pagePath, visitorId, country, timestamp));
+      } else {
+        const ref = classifyReferrer(hit.item.referrer, request.headers.get("Origin"));
+        const utm = readUtm(hit.item);
+        const storedIp = isPrivacyMode(env) ? maskIp(ip) : ip;
+        // 批量上报的页面浏览不参与会话重建，也不做重复上报抑制
+        statements.push(env.DB.prepare(
+          `INSERT INTO visits (site_id, ip, visitor_id, country, continent, region, city, timezone, asn, as_org, path, referrer, referrer_host, source, utm_source, utm_medium, utm_campaign, utm_term, utm_content, browser, os, device, is_bot, timestamp)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        ).bind(
+          siteId, storedIp, visitorId, country, ...geoValues(geo), pagePath,
+          ref.referrer, ref.host, ref.source,
+          ...UTM_FIELDS.map((f) => utm[f]),
+          ua.browser, ua.os, ua.device, ua.isBot ? 1 : 0, timestamp
+        ));
+        visitStatements.push(statements.length - 1);
+        earliest = Math.min(earliest, hit.time);
+        // 离线队列补发的旧记录不推送到实时数据流
+        if (!ua.isBot && hit.time >= now - LIVE_WINDOW_MS) {
+          published.push({
+            site_id: siteId, ip: storedIp, visitor_id: visitorId, country, region: geo.region, city: geo.city, path: pagePath,
+            referrer_host: ref.host, source: ref.source, browser: ua.browser, os: ua.os, device: ua.device, timestamp
+          });
+        }
+      }
+      results[hit.index] = { index: hit.index, status: "ok" };
+    }
+  }
+
+  for (const [key, count] of rejected) countRejected(env, ctx, ...JSON.parse(key), count);
+  const written = statements.length ? await env.DB.batch(statements) : [];
+  if (published.length) publishLive(env, ctx, published);
+
+  // 时间戳落在已汇总时段内的访问直接累加进对应的汇总桶，不回退汇总水位
+  if (earliest !== Infinity) {
+    const state = await getRollupState(env);
+    const watermarks = [state.hourly, state.daily].filter(Boolean).map(sqlTimeToMs);
+    if (watermarks.length && earliest < Math.max(...watermarks)) {
+      const ids = visitStatements.map((i) => written[i].meta.last_row_id);
+      await addToRollups(env, "id IN (SELECT value FROM json_each(?))", [JSON.stringify(ids)]);
+    }
+  }
+
+  const accepted = results.filter((r) => r.status === "ok").length;
+  return jsonResponse({ status: "ok", accepted, results });
+}
+
+// 校验批量上报中的单条记录，返回 { type, time, name, props, ip, country, region, city, userAgent, server }
+function parseBatchHit(item, siteId, skew) {
+  validateHitFields(item, siteId);
+  const type = item.type === undefined ? "pageview" : item.type;
+  if (type !== "pageview" && type !== "event") throw rejectHit(400, "'type' must be 'pageview' or 'event'", "invalid", siteId);
+
+  // 客户端时间戳: 毫秒时间戳或 ISO 8601 字符串，须落在允许的时间窗口内；缺省为服务器当前时间
+  let time = Date.now();
+  if (item.timestamp !== undefined && item.timestamp !== null) {
+    time = typeof item.timestamp === "number" ? item.timestamp : typeof item.timestamp === "string" ? Date.parse(item.timestamp) : NaN;
+    if (!Number.isFinite(time)) throw rejectHit(400, "Invalid 'timestamp'", "invalid", siteId);
+    if (time < skew.min || time > skew.max) throw rejectHit(400, "'timestamp' is outside the accepted window", "invalid", siteId);
+  }
+
+  const hit = { type, time };
+  if (type === "event") {
+    hit.name = typeof item.name === "string" ? item.name.trim() : "";
+    if (!hit.name || hit.name.length > MAX_EVENT_NAME_LENGTH) throw rejectHit(400, "Invalid event name", "invalid", siteId);
+    try {
+      hit.props = validateEventProps(item.props);
+    } catch (err) {
+      throw rejectHit(400, err.message, "invalid", siteId);
+    }
+  }
+
+  // 服务端模式: 由调用方提供访客的 IP、国家/地区与 UA
+  if (item.ip !== undefined) {
+    if (typeof item.ip !== "string" || !IP_PATTERN.test(item.ip)) throw rejectHit(400, "Invalid 'ip'", "invalid", siteId);
+    hit.ip = item.ip;
+  }
+  if (item.country !== undefined) {
+    if (typeof item.country !== "string" || !/^[A-Za-z]{2}$/.test(item.country)) throw rejectHit(400, "Invalid 'country'", "invalid", siteId);
+    hit.country = item.country.toUpperCase();
+  }
+  for (const field of ["region", "city"]) {
+    if (item[field] === undefined) continue;
+    if (typeof item[field] !== "string" || !item[field].trim() || item[field].length > MAX_GEO_FIELD_LENGTH) {
+      throw rejectHit(400, `Invalid '${field}'`, "invalid", siteId);
+    }
+    hit[field] = geoText(item[field]);
+  }
+  if (item.user_agent !== undefined) {
+    if (typeof item.user_agent !== "string" || item.user_agent.length > MAX_RAW_FIELD_LENGTH) throw rejectHit(400, "Invalid 'user_agent'", "invalid", siteId);
+    hit.userAgent = item.user_agent;
+  }
+  hit.server = [hit.ip, hit.country, hit.region, hit.city, hit.userAgent].some((v) => v !== undefined);
+  return hit;
+}
+
+// 实时推送 (需绑定 LIVE_HUB):
+//   POST          -> 用登录令牌换取短期订阅凭证 (浏览器的 WebSocket 无法携带 Authorization 头)
+//   GET ?ticket=  -> 升级为 WebSocket，由 LiveHub 推送新的访问与各站点的在线人数
+async function handleLive(request, env, url) {
+  if (!env.LIVE_HUB) throw httpError(501, "Real-time channel is not configured (LIVE_HUB binding missing)");
+
+  if (request.method === "POST") {
+    const principal = await authenticate(request, env);
+    if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+    const exp = Math.floor(Date.now() / 1000) + LIVE_TICKET_TTL_SECONDS;
+    const ticket = await signJwt(env, { sub: principal.username, scope: "live", sites: principal.sites, exp });
+    return jsonResponse({ ticket, expiresIn: LIVE_TICKET_TTL_SECONDS });
+  }
+
+  if ((request.headers.get("Upgrade") || "").toLowerCase() !== "websocket") throw httpError(426, "Expected a WebSocket upgrade");
+  const claims = await verifyJwt(env, url.searchParams.get("ticket") || "");
+  if (!claims || claims.scope !== "live") return jsonResponse({ error: "Unauthorized" }, 401);
+
+  return getLiveHub(env).fetch("https://live-hub/subscribe", {
+    headers: { Upgrade: "websocket", "X-Live-Sites": JSON.stringify(claims.sites || null) }
+  });
+}
+
+function getLiveHub(env) {
+  return env.LIVE_HUB.get(env.LIVE_HUB.idFromName("live"));
+}
+
+// 将新的访问发布到 LiveHub；在响应之后完成，推送失败不影响上报
+function publishLive(env, ctx, hits) {
+  if (!env.LIVE_HUB) return;
+  const task = getLiveHub(env)
+    .fetch("https://live-hub/publish", { method: "POST", body: JSON.stringify({ hits }) })
+    .catch(() => {});
+  if (ctx) ctx.waitUntil(task);
+}
+
+// 最近 LIVE_WINDOW_MS 内的访问 (不含爬虫)，columns / tail 由调用方指定聚合方式
+async function queryActiveVisitors(env, siteId, columns, tail) {
+  const { where, params } = buildFilter({ siteId, range: { from: new Date(Date.now() - LIVE_WINDOW_MS) } });
+  const result = await env.DB.prepare(`SELECT ${columns} FROM visits ${where} ${tail}`).bind(...params).all();
+  return result.results || [];
+}
+
+async function handleStats(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  return jsonResponse(await collectStats(env, principal, url));
+}
+
+// 统计数据 (/api/stats 与报表导出共用)
+// compare=previous|year 时另外返回上一周期 / 去年同期的同一组指标 (previous) 及主要指标的变化率 (changes)
+// geo_country / geo_region 只限定地区与城市排行的范围 (地图下钻)，不影响其他指标
+async function collectStats(env, principal, url) {
+  const siteFilter = scopeSiteFilter(principal, url.searchParams.get("site_id"));
+  const range = parseRange(url);
+  const geo = parseGeoFilter(url);
+  const compare = url.searchParams.get("compare");
+  if (compare && !COMPARE_MODES.includes(compare)) throw httpError(400, `'compare' must be one of: ${COMPARE_MODES.join(", ")}`);
+  const previousRange = compare ? comparisonRange(range, compare) : null;
+  const rollupState = await getRollupState(env);
+
+  const { where: whereClause, params } = buildFilter({ siteId: siteFilter, range });
+  const scope = buildFilter({ siteId: principal.sites, includeBots: true });
+
+  // 并行查询数据
+  const [period, previous, recentResult, sitesResult, activeResult] = await Promise.all([
+    collectPeriodStats(env, principal, siteFilter, range, rollupState, geo),
+    previousRange ? collectPeriodStats(env, principal, siteFilter, previousRange, rollupState, geo) : null,
+    // 最近记录
+    env.DB.prepare(`SELECT * FROM visits ${whereClause} ORDER BY id DESC LIMIT 100`).bind(...params).all(),
+    // 站点列表 (原始记录可能已按保留策略清理，同时从汇总表中读取)
+    env.DB.prepare(
+      `SELECT site_id FROM visits ${scope.where} UNION SELECT site_id FROM ${rollupSource("daily")} ${scope.where} ORDER BY site_id ASC`
+    ).bind(...scope.params, ...scope.params).all(),
+    // 各站点最近 5 分钟的访客 (访客哈希含 site_id，各站点之和即为总数)
+    queryActiveVisitors(env, principal.sites, "site_id, COUNT(DISTINCT visitor_id) as visitors", "GROUP BY site_id")
+  ]);
+
+  const activeSites = Object.fromEntries(activeResult.map((r) => [r.site_id, r.visitors]));
+  const inFilter = (siteId) => !siteFilter || siteFilter === "all" || (Array.isArray(siteFilter) ? siteFilter.includes(siteId) : siteFilter === siteId);
+
+  const stats = {
+    ...period,
+    // 隐私模式下对开启前写入的历史记录同样只展示掩码 IP
+    recent: isPrivacyMode(env)
+      ? (recentResult.results || []).map((r) => ({ ...r, ip: maskIp(r.ip) }))
+      : recentResult.results || [],
+    sites: sitesResult.results.map((r) => r.site_id),
+    current: {
+      visitors: activeResult.filter((r) => inFilter(r.site_id)).reduce((sum, r) => sum + r.visitors, 0),
+      sites: activeSites
+    },
+    geo,
+    range: describeRange(range)
+  };
+  if (previous) {
+    stats.compare = compare;
+    stats.previous = { ...previous, range: describeRange(previousRange) };
+    stats.changes = {
+      total: change(period.total, previous.total),
+      unique: change(period.unique, previous.unique),
+      sessions: change(period.sessions.count, previous.sessions.count),
+      bounceRate: change(period.sessions.bounceRate, previous.sessions.bounceRate),
+      pagesPerSession: change(period.sessions.pagesPerSession, previous.sessions.pagesPerSession),
+      avgDuration: change(period.sessions.avgDuration, previous.sessions.avgDuration),
+      bots: change(period.bots, previous.bots)
+    };
+  }
+  return stats;
+}
+
+// 单个时间范围内的指标与排行；PV/UV、国家、站点、来源与设备排行在汇总水位之前读汇总表
+async function collectPeriodStats(env, principal, siteFilter, range, rollupState, geo) {
+  const visits = splitRange(rollupState, { siteId: siteFilter, range });
+  const allSites = splitRange(rollupState, { siteId: principal.sites, range });
+  const referrers = buildFilter({ siteId: siteFilter, range, extra: ["referrer_host IS NOT NULL", "source != 'internal'"] });
+  const campaigns = buildFilter({ siteId: siteFilter, range, extra: ["(utm_source IS NOT NULL OR utm_campaign IS NOT NULL)"] });
+  const bots = buildFilter({ siteId: siteFilter, range, includeBots: true, extra: ["is_bot = 1"] });
+  const sessions = buildFilter({ siteId: siteFilter, range, includeBots: true, timeColumn: "started_at" });
+
+  const [
+    totalsResult, rolledTotals, countriesResult, rolledCountries, topSitesResult, rolledTopSites, seriesResult,
+    sourcesResult, rolledSources, referrersResult, campaignsResult, browsersResult, rolledBrowsers, osResult, rolledOs,
+    devicesResult, rolledDevices, botsResult, sessionsResult, entryResult, exitResult,
+    continentsResult, rolledContinents, networksResult, rolledNetworks, regions, cities, uniques
+  ] = await Promise.all([
+    // 1-2. 总访问量 (PV)；独立访客 (UV) 在整个范围内去重，见最后一项
+    env.DB.prepare(`SELECT COUNT(*) as pv FROM visits ${visits.raw.where}`).bind(...visits.raw.params).first(),
+    queryRollup(env, visits, "", "SUM(pv) as pv"),
+    // 3. 国家排行
+    env.DB.prepare(`SELECT country, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY country`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "country", "value as country, SUM(pv) as count", "GROUP BY value"),
+    // 4. 热门站点 (仅受时间范围与令牌站点范围影响)
+    env.DB.prepare(`SELECT site_id, COUNT(*) as count FROM visits ${allSites.raw.where} GROUP BY site_id`).bind(...allSites.raw.params).all(),
+    queryRollup(env, allSites, "", "site_id, SUM(pv) as count", "GROUP BY site_id"),
+    // 5. 趋势时间序列 (按访客所在时区分桶)
+    queryVisitSeries(env, rollupState, siteFilter, range),
+    // 6. 来源分组 (search / social / referral / internal / direct)
+    env.DB.prepare(`SELECT COALESCE(source, 'direct') as source, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY 1`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "source", "value as source, SUM(pv) as count", "GROUP BY value"),
+    // 7. 外部来源域名
+    env.DB.prepare(
+      `SELECT referrer_host, source, COUNT(*) as count FROM visits ${referrers.where} GROUP BY referrer_host, source ORDER BY count DESC LIMIT 20`
+    ).bind(...referrers.params).all(),
+    // 8. UTM 活动
+    env.DB.prepare(
+      `SELECT utm_source, utm_medium, utm_campaign, COUNT(*) as count, COUNT(DISTINCT visitor_id) as uv FROM visits ${campaigns.where}
+       GROUP BY utm_source, utm_medium, utm_campaign ORDER BY count DESC LIMIT 20`
+    ).bind(...campaigns.params).all(),
+    // 9-11. 浏览器 / 操作系统 / 设备类型
+    env.DB.prepare(`SELECT browser as name, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY browser`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "browser", "value as name, SUM(pv) as count", "GROUP BY value"),
+    env.DB.prepare(`SELECT os as name, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY os`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "os", "value as name, SUM(pv) as count", "GROUP BY value"),
+    env.DB.prepare(`SELECT device as name, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY device`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "device", "value as name, SUM(pv) as count", "GROUP BY value"),
+    // 12. 被标记的爬虫访问 (BOT_TRAFFIC=tag 时才会有数据)
+    env.DB.prepare(`SELECT COUNT(*) as count FROM visits ${bots.where}`).bind(...bots.params).first(),
+    // 13. 会话汇总: 会话数、跳出 (仅 1 个页面)、平均页面数、平均时长 (秒)
+    env.DB.prepare(
+      `SELECT COUNT(*) as count, SUM(CASE WHEN pageviews = 1 THEN 1 ELSE 0 END) as bounces, AVG(pageviews) as pages,
+       AVG((julianday(last_seen_at) - julianday(started_at)) * 86400) as duration FROM sessions ${sessions.where}`
+    ).bind(...sessions.params).first(),
+    // 14-15. 入口页 / 退出页
+    env.DB.prepare(`SELECT entry_path as path, COUNT(*) as count FROM sessions ${sessions.where} GROUP BY entry_path ORDER BY count DESC LIMIT 20`).bind(...sessions.params).all(),
+    env.DB.prepare(`SELECT exit_path as path, COUNT(*) as count FROM sessions ${sessions.where} GROUP BY exit_path ORDER BY count DESC LIMIT 20`).bind(...sessions.params).all(),
+    // 16-17. 大洲 / 网络运营商
+    env.DB.prepare(`SELECT ${ROLLUP_DIMENSIONS.continent} as continent, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY 1`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "continent", "value as continent, SUM(pv) as count", "GROUP BY value"),
+    env.DB.prepare(`SELECT ${ROLLUP_DIMENSIONS.network} as name, COUNT(*) as count FROM visits ${visits.raw.where} GROUP BY 1`).bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "network", "value as name, SUM(pv) as count", "GROUP BY value"),
+    // 18-19. 地区 / 城市 (可按国家、地区下钻)
+    queryGeoBreakdown(env, visits, "region", geo.country ? `${geo.country}|` : null),
+    queryGeoBreakdown(env, visits, "city", geo.country ? `${geo.country}|${geo.region === null ? "" : `${geo.region}|`}` : null),
+    queryUniqueVisitors(env, visits)
+  ]);
+
+  const sessionCount = sessionsResult?.count || 0;
+
+  return {
+    total: (totalsResult?.pv || 0) + (rolledTotals.results[0]?.pv || 0),
+    unique: uniques.get("") || 0,
+    countries: mergeGrouped([countriesResult.results, rolledCountries.results], "country", ["count"], 50),
+    continents: mergeGrouped([continentsResult.results, rolledContinents.results], "continent", ["count"]),
+    regions,
+    cities,
+    networks: mergeGrouped([networksResult.results, rolledNetworks.results], "name", ["count"], GEO_LIST_LIMIT),
+    topSites: mergeGrouped([topSitesResult.results, rolledTopSites.results], "site_id", ["count"], 100),
+    series: seriesResult,
+    sources: mergeGrouped([sourcesResult.results, rolledSources.results], "source", ["count"]),
+    referrers: referrersResult.results || [],
+    campaigns: campaignsResult.results || [],
+    browsers: mergeGrouped([browsersResult.results, rolledBrowsers.results], "name", ["count"], 10),
+    os: mergeGrouped([osResult.results, rolledOs.results], "name", ["count"], 10),
+    devices: mergeGrouped([devicesResult.results, rolledDevices.results], "name", ["count"]),
+    bots: botsResult?.count || 0,
+    sessions: {
+      count: sessionCount,
+      bounceRate: ratio(sessionsResult?.bounces || 0, sessionCount),
+      pagesPerSession: Math.round((sessionsResult?.pages || 0) * 100) / 100,
+      avgDuration: Math.round(sessionsResult?.duration || 0)
+    },
+    entryPages: entryResult.results || [],
+    exitPages: exitResult.results || []
+  };
+}
+
+// 地图下钻: geo_country 为两位国家代码，geo_region 须与 geo_country 一起使用
+function parseGeoFilter(url) {
+  const country = url.searchParams.get("geo_country");
+  const region = url.searchParams.get("geo_region");
+  if (!country) {
+    if (region !== null) throw httpError(400, "'geo_region' requires 'geo_country'");
+    return { country: null, region: null };
+  }
+  if (!/^[A-Za-z0-9]{2}$/.test(country)) throw httpError(400, "Invalid 'geo_country'");
+  if (region !== null && (!region.trim() || region.length > MAX_GEO_FIELD_LENGTH)) throw httpError(400, "Invalid 'geo_region'");
+  return { country: country.toUpperCase(), region };
+}
+
+// 地区 / 城市排行: 原始记录与汇总表都按 "国家|地区[|城市]" 分组，prefix 将结果限定在某个国家或地区之内
+async function queryGeoBreakdown(env, split, dimension, prefix) {
+  const having = prefix ? "HAVING instr(value, ?) = 1" : "";
+  const havingParams = prefix ? [prefix] : [];
+  const [raw, rolled] = await Promise.all([
+    env.DB.prepare(`SELECT ${ROLLUP_DIMENSIONS[dimension]} as value, COUNT(*) as count FROM visits ${split.raw.where} GROUP BY 1 ${having}`)
+      .bind(...split.raw.params, ...havingParams).all(),
+    queryRollup(env, split, dimension, "value, SUM(pv) as count", `GROUP BY value ${having}`, havingParams)
+  ]);
+  return mergeGrouped([raw.results, rolled.results], "value", ["count"], GEO_LIST_LIMIT).map(({ value, count }) => {
+    const [country, region, city] = value.split("|");
+    return dimension === "city" ? { country, region, city, count } : { country, region, count };
+  });
+}
+
+// 事件统计:
+//   无 name     -> 各事件的次数与触发人数
+//   ?name=      -> 单个事件的汇总、时间序列与出现过的属性名
+//   ?name=&prop= -> 按属性值拆分的次数与触发人数
+async function handleEvents(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  const siteFilter = scopeSiteFilter(principal, url.searchParams.get("site_id"));
+  const range = parseRange(url);
+  const name = url.searchParams.get("name");
+
+  if (!name) {
+    return jsonResponse({ events: await queryEventList(env, siteFilter, range), range: describeRange(range) });
+  }
+
+  const { where, params } = buildFilter({ siteId: siteFilter, range, includeBots: true, extra: ["name = ?"], extraParams: [name] });
+  const prop = url.searchParams.get("prop");
+
+  if (prop) {
+    if (!EVENT_PROP_KEY_PATTERN.test(prop)) throw httpError(400, "Invalid property name");
+    const result = await env.DB.prepare(
+      `SELECT json_extract(props, ?) as value, COUNT(*) as count, COUNT(DISTINCT visitor_id) as uniques FROM events ${where}
+       GROUP BY value ORDER BY count DESC LIMIT 50`
+    ).bind(`$.${prop}`, ...params).all();
+    return jsonResponse({ name, prop, values: result.results || [], range: describeRange(range) });
+  }
+
+  const [summary, keysResult, series] = await Promise.all([
+    env.DB.prepare(`SELECT COUNT(*) as count, COUNT(DISTINCT visitor_id) as uniques FROM events ${where}`).bind(...params).first(),
+    env.DB.prepare(
+      `SELECT DISTINCT j.key as key FROM events, json_each(events.props) j ${where} ORDER BY j.key LIMIT 50`
+    ).bind(...params).all(),
+    querySeries(env, where, params, range, "events")
+  ]);
+  return jsonResponse({
+    name,
+    count: summary?.count || 0,
+    uniques: summary?.uniques || 0,
+    properties: (keysResult.results || []).map((r) => r.key),
+    series: series.map((p) => ({ bucket: p.bucket, count: p.pv, uniques: p.uv })),
+    range: describeRange(range)
+  });
+}
+
+// 各事件的次数与触发人数 (最多 100 个事件)
+async function queryEventList(env, siteFilter, range) {
+  const { where, params } = buildFilter({ siteId: siteFilter, range, includeBots: true });
+  const result = await env.DB.prepare(
+    `SELECT name, COUNT(*) as count, COUNT(DISTINCT visitor_id) as uniques FROM events ${where} GROUP BY name ORDER BY count DESC LIMIT 100`
+  ).bind(...params).all();
+  return result.results || [];
+}
+
+// 转化目标: 页面路径 (支持 * 通配) 或事件名称，转化率 = 达成目标的访客 / 该站点访客
+async function handleGoals(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST" || request.method === "DELETE") requireAdmin(principal);
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const goal = validateGoalStep(data);
+    const siteId = requireSiteId(data.site_id);
+    const name = requireName(data.name);
+    const result = await env.DB.prepare(`INSERT INTO goals (site_id, name, type, match) VALUES (?, ?, ?, ?)`)
+      .bind(siteId, name, goal.type, goal.match).run();
+    return jsonResponse({ status: "ok", id: result.meta?.last_row_id }, 201);
+  }
+
+  if (request.method === "DELETE") {
+    await env.DB.prepare(`DELETE FROM goals WHERE id = ?`).bind(requireId(url)).run();
+    return jsonResponse({ status: "ok" });
+  }
+
+  const range = parseRange(url);
+  const scope = buildFilter({ siteId: scopeSiteFilter(principal, url.searchParams.get("site_id")), includeBots: true });
+  const goalsResult = await env.DB.prepare(`SELECT * FROM goals ${scope.where} ORDER BY site_id ASC, id ASC`).bind(...scope.params).all();
+
+  const goals = await Promise.all((goalsResult.results || []).map(async (goal) => {
+    const step = goalStepFilter(goal, goal.site_id, range);
+    const visitors = buildFilter({ siteId: goal.site_id, range });
+    const [hits, total] = await Promise.all([
+      env.DB.prepare(`SELECT COUNT(*) as count, COUNT(DISTINCT visitor_id) as conversions FROM ${step.table} ${step.where}`).bind(...step.params).first(),
+      env.DB.prepare(`SELECT COUNT(DISTINCT visitor_id) as count FROM visits ${visitors.where}`).bind(...visitors.params).first()
+    ]);
+    return {
+      ...goal,
+      count: hits?.count || 0,
+      conversions: hits?.conversions || 0,
+      rate: ratio(hits?.conversions || 0, total?.count || 0)
+    };
+  }));
+
+  return jsonResponse({ goals, range: describeRange(range) });
+}
+
+// 转化漏斗: 按顺序经过每一步的访客数 (第 n 步须发生在第 n-1 步之后)
+async function handleFunnels(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST" || request.method === "DELETE") requireAdmin(principal);
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const siteId = requireSiteId(data.site_id);
+    const name = requireName(data.name);
+    if (!Array.isArray(data.steps) || data.steps.length < 2 || data.steps.length > MAX_FUNNEL_STEPS) {
+      throw httpError(400, `A funnel needs 2 to ${MAX_FUNNEL_STEPS} steps`);
+    }
+    const steps = data.steps.map(validateGoalStep);
+    const result = await env.DB.prepare(`INSERT INTO funnels (site_id, name, steps) VALUES (?, ?, ?)`)
+      .bind(siteId, name, JSON.stringify(steps)).run();
+    return jsonResponse({ status: "ok", id: result.meta?.last_row_id }, 201);
+  }
+
+  if (request.method === "DELETE") {
+    await env.DB.prepare(`DELETE FROM funnels WHERE id = ?`).bind(requireId(url)).run();
+    return jsonResponse({ status: "ok" });
+  }
+
+  if (!url.searchParams.has("id")) {
+    const scope = buildFilter({ siteId: scopeSiteFilter(principal, url.searchParams.get("site_id")), includeBots: true });
+    const result = await env.DB.prepare(`SELECT * FROM funnels ${scope.where} ORDER BY site_id ASC, id ASC`).bind(...scope.params).all();
+    return jsonResponse({ funnels: (result.results || []).map((f) => ({ ...f, steps: JSON.parse(f.steps) })) });
+  }
+
+  const funnel = await env.DB.prepare(`SELECT * FROM funnels WHERE id = ?`).bind(requireId(url)).first();
+  if (!funnel) return jsonResponse({ error: "Funnel not found" }, 404);
+  scopeSiteFilter(principal, funnel.site_id);
+
+  const range = parseRange(url);
+  const steps = JSON.parse(funnel.steps);
+  const counts = await queryFunnel(env, funnel.site_id, steps, range);
+  const first = counts[0] || 0;
+
+  return jsonResponse({
+    id: funnel.id,
+    site_id: funnel.site_id,
+    name: funnel.name,
+    steps: steps.map((step, i) => ({
+      ...step,
+      visitors: counts[i],
+      conversion: ratio(counts[i], first),
+      dropoff: i === 0 ? 0 : ratio(counts[i - 1] - counts[i], counts[i - 1])
+    })),
+    conversion: ratio(counts[counts.length - 1] || 0, first),
+    range: describeRange(range)
+  });
+}
+
+// 登录: { username, password }；username 为空时校验 ADMIN_PASSWORD 并以内置管理员身份登录
+async function handleLogin(request, env) {
+  if (!env.ADMIN_PASSWORD) throw new Error("Server Config Error: ADMIN_PASSWORD not set.");
+
+  const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+  const username = typeof data.username === "string" ? data.username.trim() : "";
+  const password = typeof data.password === "string" ? data.password : "";
+
+  let user = null;
+  if (!username) {
+    if (password !== env.ADMIN_PASSWORD) return jsonResponse({ error: "Invalid credentials" }, 401);
+  } else {
+    if (!env.DB) throw new Error("Database Error: env.DB undefined");
+    user = await env.DB.prepare(`SELECT * FROM users WHERE username = ?`).bind(username).first();
+    if (!user || !(await verifyPassword(password, user.password_hash))) return jsonResponse({ error: "Invalid credentials" }, 401);
+  }
+
+  const ttlHours = clampInt(env.AUTH_TOKEN_TTL_HOURS, DEFAULT_AUTH_TOKEN_TTL_HOURS, 1, 24 * 30);
+  const exp = Math.floor(Date.now() / 1000) + ttlHours * 3600;
+  const token = await signJwt(env, { sub: user ? String(user.id) : BUILTIN_ADMIN, exp });
+  const principal = user ? userPrincipal(user) : adminPrincipal();
+
+  return jsonResponse({
+    token,
+    expires_at: new Date(exp * 1000).toISOString(),
+    user: { username: principal.username, role: principal.role, sites: principal.sites }
+  });
+}
+
+async function handleMe(request, env) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  return jsonResponse({ username: principal.username, role: principal.role, sites: principal.sites, token: principal.token_id !== null });
+}
+
+// 账号管理: viewer 的 sites 为 null 表示可查看全部站点；admin 始终不受站点限制
+async function handleUsers(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const username = typeof data.username === "string" ? data.username.trim() : "";
+    if (!USERNAME_PATTERN.test(username) || username === BUILTIN_ADMIN) throw httpError(400, "Invalid username");
+    if (typeof data.password !== "string" || data.password.length < MIN_PASSWORD_LENGTH) {
+      throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const role = data.role || "viewer";
+    if (!USER_ROLES.includes(role)) throw httpError(400, `'role' must be one of: ${USER_ROLES.join(", ")}`);
+    const sites = role === "admin" ? null : validateSiteList(data.sites);
+
+    const existing = await env.DB.prepare(`SELECT id FROM users WHERE username = ?`).bind(username).first();
+    if (existing) throw httpError(409, "Username already exists");
+
+    const result = await env.DB.prepare(`INSERT INTO users (username, password_hash, role, sites) VALUES (?, ?, ?, ?)`)
+      .bind(username, await hashPassword(data.password), role, sites ? JSON.stringify(sites) : null).run();
+    return jsonResponse({ status: "ok", id: result.meta?.last_row_id }, 201);
+  }
+
+  if (request.method === "DELETE") {
+    const id = requireId(url);
+    // 删除账号时一并吊销其名下的 API 令牌
+    await env.DB.batch([
+      env.DB.prepare(`DELETE FROM api_tokens WHERE user_id = ?`).bind(id),
+      env.DB.prepare(`DELETE FROM users WHERE id = ?`).bind(id)
+    ]);
+    return jsonResponse({ status: "ok" });
+  }
+
+  const result = await env.DB.prepare(`SELECT id, username, role, sites, created_at FROM users ORDER BY id ASC`).all();
+  return jsonResponse({ users: (result.results || []).map((u) => ({ ...u, sites: parseSiteList(u.sites) })) });
+}
+
+// API 令牌: 明文只在创建时返回一次，库中仅保存 SHA-256 哈希；
+// 令牌的站点范围不能超出创建者自身的范围，只有 admin 能创建 admin 令牌
+async function handleTokens(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (principal.token_id !== null) throw httpError(403, "API tokens cannot manage tokens");
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  // 内置管理员创建的令牌 user_id 为 NULL
+  const owner = principal.user_id;
+  const ownerClause = principal.role === "admin" ? "" : "WHERE user_id = ?";
+  const ownerParams = principal.role === "admin" ? [] : [owner];
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const name = requireName(data.name);
+    const role = data.role || "viewer";
+    if (!USER_ROLES.includes(role)) throw httpError(400, `'role' must be one of: ${USER_ROLES.join(", ")}`);
+    if (role === "admin") requireAdmin(principal);
+
+    let sites = role === "admin" ? null : validateSiteList(data.sites);
+    if (principal.sites) {
+      sites = sites || principal.sites;
+      if (sites.some((site) => !principal.sites.includes(site))) throw httpError(403, "Forbidden: site not in your scope");
+    }
+
+    let expiresAt = null;
+    if (data.expires_in_days !== undefined && data.expires_in_days !== null && data.expires_in_days !== "") {
+      const days = Number(data.expires_in_days);
+      if (!Number.isFinite(days) || days <= 0 || days > 3650) throw httpError(400, "'expires_in_days' must be between 1 and 3650");
+      expiresAt = toSqlTime(new Date(Date.now() + days * DAY_MS));
+    }
+
+    const token = API_TOKEN_PREFIX + randomHex(24);
+    const result = await env.DB.prepare(
+      `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, role, sites, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)`
+    ).bind(owner, name, await sha256Hex(token), token.slice(0, API_TOKEN_PREFIX.length + 6), role, sites ? JSON.stringify(sites) : null, expiresAt).run();
+    return jsonResponse({ status: "ok", id: result.meta?.last_row_id, token, role, sites, expires_at: expiresAt }, 201);
+  }
+
+  if (request.method === "DELETE") {
+    const id = requireId(url);
+    const condition = ownerClause ? `${ownerClause} AND id = ?` : "WHERE id = ?";
+    const result = await env.DB.prepare(`DELETE FROM api_tokens ${condition}`).bind(...ownerParams, id).run();
+    if (!result.meta?.changes) return jsonResponse({ error: "Token not found" }, 404);
+    return jsonResponse({ status: "ok" });
+  }
+
+  const result = await env.DB.prepare(
+    `SELECT t.id, t.name, t.token_prefix, t.role, t.sites, t.expires_at, t.last_used_at, t.created_at, u.username
+     FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id ${ownerClause.replace("user_id", "t.user_id")} ORDER BY t.id DESC`
+  ).bind(...ownerParams).all();
+  return jsonResponse({ tokens: (result.results || []).map((t) => ({ ...t, username: t.username || BUILTIN_ADMIN, sites: parseSiteList(t.sites) })) });
+}
+
+// 站点登记: 名称、允许的来源域名、上报密钥与启用状态；删除登记不会删除已有数据
+// POST 为创建或更新，未传的字段保持原值；ingest_key 传 true 生成新密钥，传 null / false 取消密钥
+async function handleSites(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const id = requireSiteId(data.id);
+    if (!SITE_ID_PATTERN.test(id)) throw httpError(400, "Invalid site id");
+    const existing = await env.DB.prepare(`SELECT * FROM sites WHERE id = ?`).bind(id).first();
+
+    const name = data.name !== undefined ? requireName(data.name) : existing?.name || id;
+    const origins = data.allowed_origins !== undefined ? validateOrigins(data.allowed_origins) : parseSiteList(existing?.allowed_origins);
+    let ingestKey = existing?.ingest_key || null;
+    if (data.ingest_key === true) ingestKey = randomHex(16);
+    else if (data.ingest_key === null || data.ingest_key === false) ingestKey = null;
+    else if (typeof data.ingest_key === "string") {
+      ingestKey = data.ingest_key.trim();
+      if (ingestKey.length < 8 || ingestKey.length > 128) throw httpError(400, "'ingest_key' must be 8 to 128 characters");
+    }
+    const enabled = data.enabled !== undefined ? (data.enabled ? 1 : 0) : existing ? existing.enabled : 1;
+    const retentionDays = data.retention_days !== undefined ? validateRetentionDays(data.retention_days) : existing?.retention_days ?? null;
+    const publicCounter = data.public_counter !== undefined ? (data.public_counter ? 1 : 0) : existing ? existing.public_counter : 0;
+
+    await env.DB.prepare(
+      `INSERT INTO sites (id, name, allowed_origins, ingest_key, enabled, retention_days, public_counter) VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET name = excluded.name, allowed_origins = excluded.allowed_origins,
+         ingest_key = excluded.ingest_key, enabled = excluded.enabled, retention_days = excluded.retention_days,
+         public_counter = excluded.public_counter, updated_at = CURRENT_TIMESTAMP`
+    ).bind(id, name, origins ? JSON.stringify(origins) : null, ingestKey, enabled, retentionDays, publicCounter).run();
+    siteCache.delete(id);
+
+    const site = await env.DB.prepare(`SELECT * FROM sites WHERE id = ?`).bind(id).first();
+    return jsonResponse({ status: "ok", site: formatSite(site) }, existing ? 200 : 201);
+  }
+
+  if (request.method === "DELETE") {
+    const id = requireSiteId(url.searchParams.get("id"));
+    await env.DB.prepare(`DELETE FROM sites WHERE id = ?`).bind(id).run();
+    siteCache.delete(id);
+    return jsonResponse({ status: "ok" });
+  }
+
+  // 同时列出已有数据但尚未登记的站点，方便在设置页中补登记
+  const [sitesResult, seenResult] = await Promise.all([
+    env.DB.prepare(`SELECT * FROM sites ORDER BY id ASC`).all(),
+    env.DB.prepare(`SELECT DISTINCT site_id FROM visits WHERE site_id NOT IN (SELECT id FROM sites) ORDER BY site_id ASC`).all()
+  ]);
+  return jsonResponse({
+    sites: (sitesResult.results || []).map(formatSite),
+    unregistered: (seenResult.results || []).map((r) => r.site_id),
+    unknownSites: env.UNKNOWN_SITES === "reject" ? "reject" : "allow",
+    retentionDays: globalRetentionDays(env)
+  });
+}
+
+// 被拒绝的上报: 按原因、站点与日期汇总 (支持 site_id 与时间范围参数，按 UTC 日期统计)
+async function handleRejections(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  const range = parseRange(url);
+  const siteFilter = url.searchParams.get("site_id");
+  const conditions = [];
+  const params = [];
+  if (siteFilter && siteFilter !== "all") {
+    conditions.push("site_id = ?");
+    params.push(siteFilter);
+  }
+  if (range.from) {
+    conditions.push("day >= ?");
+    params.push(toSqlTime(range.from).slice(0, 10));
+  }
+  if (range.to) {
+    conditions.push("day <= ?");
+    params.push(toSqlTime(range.to).slice(0, 10));
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [reasonsResult, sitesResult, daysResult] = await Promise.all([
+    env.DB.prepare(`SELECT reason, SUM(count) as count FROM rejected_hits ${where} GROUP BY reason`).bind(...params).all(),
+    env.DB.prepare(`SELECT site_id, SUM(count) as count FROM rejected_hits ${where} GROUP BY site_id ORDER BY count DESC LIMIT 50`).bind(...params).all(),
+    env.DB.prepare(`SELECT day, reason, SUM(count) as count FROM rejected_hits ${where} GROUP BY day, reason ORDER BY day ASC`).bind(...params).all()
+  ]);
+  const counts = Object.fromEntries((reasonsResult.results || []).map((r) => [r.reason, r.count]));
+
+  return jsonResponse({
+    total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+    reasons: REJECT_REASONS.map((reason) => ({ reason, count: counts[reason] || 0 })),
+    sites: sitesResult.results || [],
+    days: daysResult.results || [],
+    range: describeRange(range)
+  });
+}
+
+// 数据库迁移 (仅 admin): GET 已执行与待执行的迁移 / POST 依次执行全部待执行的迁移 (已执行的会跳过，可重复调用)
+async function handleMigrations(request, env) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST") {
+    const result = await applyMigrations(env);
+    return jsonResponse({
+      status: result.error ? "failed" : "ok",
+      executed: result.executed,
+      ...(result.error ? { error: result.error } : {}),
+      ...(await migrationStatus(env))
+    }, result.error ? 500 : 200);
+  }
+  return jsonResponse(await migrationStatus(env));
+}
+
+// 汇总表状态与手动汇总: POST { rebuild_from: "2024-01-01" } 会删除该日期 (UTC) 之后的汇总并重新计算
+async function handleRollups(request, env) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST") {
+    // 请求体可省略，只运行汇总
+    const data = request.body ? await readJsonBody(request, MAX_PAYLOAD_BYTES, null) : {};
+    if (data.rebuild_from) await resetRollups(env, parseDateParam(data.rebuild_from, 0, false, "rebuild_from"));
+    // 一次请求最多推进若干轮，剩余部分由定时任务继续
+    for (let i = 0; i < 6; i++) {
+      if (!(await runRollups(env))) break;
+    }
+  }
+
+  const [state, hourly, daily] = await Promise.all([
+    getRollupState(env),
+    env.DB.prepare(`SELECT COUNT(*) as count FROM rollup_hourly`).first(),
+    env.DB.prepare(`SELECT COUNT(*) as count FROM rollup_daily`).first()
+  ]);
+  return jsonResponse({ hourly: state.hourly, daily: state.daily, rows: { hourly: hourly?.count || 0, daily: daily?.count || 0 } });
+}
+
+// 存储用量与数据清理: GET 返回各表与各站点的行数；POST 按保留策略立即清理；DELETE ?site_id= 删除该站点的全部统计数据
+// 清理与删除每次请求最多执行 RETENTION_MAX_BATCHES 批，返回 pending 为 true 时需再次调用
+async function handleData(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST") {
+    return jsonResponse({ status: "ok", ...(await pruneRawData(env)) });
+  }
+
+  if (request.method === "DELETE") {
+    const siteId = requireSiteId(url.searchParams.get("site_id"));
+    const budget = { batches: RETENTION_MAX_BATCHES };
+    const deleted = {};
+    for (const table of SITE_DATA_TABLES) {
+      deleted[table] = await deleteInBatches(env, table, "site_id = ?", [siteId], budget);
+    }
+    return jsonResponse({ status: "ok", deleted, pending: budget.batches <= 0 });
+  }
+
+  const [tableCounts, visitsResult, sessionsResult, eventsResult, rollupResult, sitesResult, state] = await Promise.all([
+    env.DB.batch(SITE_DATA_TABLES.map((table) => env.DB.prepare(`SELECT COUNT(*) as count FROM ${table}`))),
+    env.DB.prepare(`SELECT site_id, COUNT(*) as count, MIN(timestamp) as oldest, MAX(timestamp) as newest FROM visits GROUP BY site_id`).all(),
+    env.DB.prepare(`SELECT site_id, COUNT(*) as count FROM sessions GROUP BY site_id`).all(),
+    env.DB.prepare(`SELECT site_id, COUNT(*) as count FROM events GROUP BY site_id`).all(),
+    env.DB.prepare(`SELECT site_id, COUNT(*) as count FROM ${rollupSource("daily")} GROUP BY site_id`).all(),
+    env.DB.prepare(`SELECT id, retention_days FROM sites`).all(),
+    getRollupState(env)
+  ]);
+
+  const globalDays = globalRetentionDays(env);
+  const sites = new Map();
+  const siteEntry = (id) => {
+    if (!sites.has(id)) sites.set(id, { site_id: id, visits: 0, sessions: 0, events: 0, rollups: 0, oldest: null, newest: null, retention_days: globalDays, custom_retention: false });
+    return sites.get(id);
+  };
+  for (const row of visitsResult.results || []) Object.assign(siteEntry(row.site_id), { visits: row.count, oldest: row.oldest, newest: row.newest });
+  for (const row of sessionsResult.results || []) siteEntry(row.site_id).sessions = row.count;
+  for (const row of eventsResult.results || []) siteEntry(row.site_id).events = row.count;
+  for (const row of rollupResult.results || []) siteEntry(row.site_id).rollups = row.count;
+  for (const row of sitesResult.results || []) {
+    if (row.retention_days !== null) Object.assign(siteEntry(row.id), { retention_days: row.retention_days, custom_retention: true });
+  }
+
+  return jsonResponse({
+    // D1 在查询结果的 meta 中返回数据库大小 (字节)
+    sizeBytes: visitsResult.meta?.size_after ?? null,
+    tables: Object.fromEntries(SITE_DATA_TABLES.map((table, i) => [table, tableCounts[i].results?.[0]?.count || 0])),
+    sites: [...sites.values()].sort((a, b) => b.visits - a.visits),
+    retention: { days: globalDays, rolledUntil: rolledUntil(state) }
+  });
+}
+
+// 热门页面: 按规范化后的 path 统计 PV/UV/占比；传入 ?path= 时返回该页面的详情
+async function handlePages(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  const siteFilter = scopeSiteFilter(principal, url.searchParams.get("site_id"));
+  const range = parseRange(url);
+
+  if (url.searchParams.has("path")) {
+    const pagePath = normalizePath(url.searchParams.get("path"));
+    const visits = splitRange(await getRollupState(env), { siteId: siteFilter, range });
+    const page = buildFilter({ siteId: siteFilter, range, path: pagePath });
+    const [total, summary, countriesResult, sitesResult, series] = await Promise.all([
+      queryVisitTotal(env, visits),
+      env.DB.prepare(`SELECT COUNT(*) as pv, COUNT(DISTINCT visitor_id) as uv FROM visits ${page.where}`).bind(...page.params).first(),
+      env.DB.prepare(`SELECT country, COUNT(*) as count FROM visits ${page.where} GROUP BY country ORDER BY count DESC LIMIT 10`).bind(...page.params).all(),
+      env.DB.prepare(`SELECT site_id, COUNT(*) as count FROM visits ${page.where} GROUP BY site_id ORDER BY count DESC LIMIT 10`).bind(...page.params).all(),
+      querySeries(env, page.where, page.params, range)
+    ]);
+    return jsonResponse({
+      path: pagePath,
+      pv: summary?.pv || 0,
+      uv: summary?.uv || 0,
+      share: ratio(summary?.pv || 0, total),
+      countries: countriesResult.results || [],
+      sites: sitesResult.results || [],
+      series,
+      range: describeRange(range)
+    });
+  }
+
+  const limit = clampInt(url.searchParams.get("limit"), 50, 1, 500);
+  return jsonResponse({ ...(await queryTopPages(env, siteFilter, range, limit)), range: describeRange(range) });
+}
+
+// 热门页面列表与范围内的总 PV (也用于报表导出)
+async function queryTopPages(env, siteFilter, range, limit) {
+  const visits = splitRange(await getRollupState(env), { siteId: siteFilter, range });
+  const [total, pagesResult, rolledPages] = await Promise.all([
+    queryVisitTotal(env, visits),
+    env.DB.prepare(
+      `SELECT ${ROLLUP_DIMENSIONS.path} as path, COUNT(*) as pv FROM visits ${visits.raw.where} GROUP BY 1 ORDER BY pv DESC LIMIT ?`
+    ).bind(...visits.raw.params, limit).all(),
+    queryRollup(env, visits, "path", "value as path, SUM(pv) as pv", "GROUP BY value ORDER BY pv DESC LIMIT ?", [limit])
+  ]);
+  const pages = mergeGrouped([pagesResult.results, rolledPages.results], "path", ["pv"], limit);
+  const uniques = await queryUniqueVisitors(env, visits, "path", pages.map((r) => r.path));
+  return {
+    total,
+    pages: pages.map((r) => ({ ...r, uv: uniques.get(r.path) || 0, share: ratio(r.pv, total) }))
+  };
+}
+
+// 范围内的总 PV (原始记录 + 汇总表)
+async function queryVisitTotal(env, visits) {
+  const [raw, rolled] = await Promise.all([
+    env.DB.prepare(`SELECT COUNT(*) as count FROM visits ${visits.raw.where}`).bind(...visits.raw.params).first(),
+    queryRollup(env, visits, "", "SUM(pv) as count")
+  ]);
+  return (raw?.count || 0) + (rolled.results[0]?.count || 0);
+}
+
+// 导出: report=visits (默认) 为原始访问，按 id 游标分页并流式输出；其余为与 Dashboard 卡片一致的汇总报表
+// 响应头 X-Next-Cursor 存在时，带上 cursor= 再次请求以获取下一页 (CSV 的后续页不重复表头)
+async function handleExport(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  const format = (url.searchParams.get("format") || "csv").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) throw httpError(400, `'format' must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  const report = url.searchParams.get("report") || "visits";
+  const siteFilter = scopeSiteFilter(principal, url.searchParams.get("site_id"));
+  const range = parseRange(url);
+  const filename = `leon-${report}-${Array.isArray(siteFilter) ? "all" : siteFilter || "all"}-${toSqlTime(new Date()).slice(0, 10)}.${format}`;
+
+  if (report === "visits") return exportVisits(env, siteFilter, range, url, format, filename);
+
+  let rows;
+  if (report === "pages") rows = (await queryTopPages(env, siteFilter, range, clampInt(url.searchParams.get("limit"), 500, 1, 500))).pages;
+  else if (report === "events") rows = await queryEventList(env, siteFilter, range);
+  else if (EXPORT_STATS_REPORTS[report]) rows = (await collectStats(env, principal, url))[EXPORT_STATS_REPORTS[report]];
+  else throw httpError(400, `Unknown report '${report}'`);
+
+  const columns = rows.length ? Object.keys(rows[0]) : [];
+  const header = format === "csv" && columns.length ? csvRow(columns) : "";
+  return new Response(header + rows.map((row) => exportLine(format, columns, row)).join(""), { headers: exportHeaders(format, filename) });
+}
+
+// 导入历史数据: POST ?site_id=&format=ga4|plausible|umami|ndjson，请求体为导出文件的文本
+// 大文件可分片上传: 每个分片 (CSV 需带表头) 带上首次返回的 import_id，offset 为分片之前的行数，用于行错误中的行号
+async function handleImport(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "DELETE") {
+    const id = requireId(url);
+    const job = await env.DB.prepare(`SELECT * FROM imports WHERE id = ?`).bind(id).first();
+    if (!job) throw httpError(404, "Import not found");
+    const budget = { batches: RETENTION_MAX_BATCHES };
+    const deleted = await deleteInBatches(env, "visits", "import_id = ?", [id], budget);
+    const pending = budget.batches <= 0;
+    // 导入数据的汇总按导入批次另存，整批删除即可撤销，不影响其他数据的汇总
+    await env.DB.batch([
+      env.DB.prepare(`DELETE FROM rollup_hourly_imports WHERE import_id = ?`).bind(id),
+      env.DB.prepare(`DELETE FROM rollup_daily_imports WHERE import_id = ?`).bind(id),
+      ...(pending ? [] : [env.DB.prepare(`DELETE FROM imports WHERE id = ?`).bind(id)])
+    ]);
+    return jsonResponse({ status: "ok", deleted, pending });
+  }
+
+  if (request.method !== "POST") {
+    const result = await env.DB.prepare(`SELECT * FROM imports ORDER BY id DESC LIMIT 50`).all();
+    return jsonResponse({ imports: (result.results || []).map(formatImport) });
+  }
+
+  const siteId = requireSiteId(url.searchParams.get("site_id"));
+  if (!SITE_ID_PATTERN.test(siteId)) throw httpError(400, "Invalid site id");
+  const format = url.searchParams.get("format");
+  if (!IMPORT_FORMATS[format]) throw httpError(400, `'format' must be one of: ${Object.keys(IMPORT_FORMATS).join(", ")}`);
+  if (Number(request.headers.get("Content-Length") || 0) > MAX_IMPORT_BYTES) throw httpError(413, "Import chunk too large, split the file");
+  const body = await request.text();
+  if (body.length > MAX_IMPORT_BYTES) throw httpError(413, "Import chunk too large, split the file");
+  const records = readImportRecords(format, body);
+
+  let job;
+  if (url.searchParams.get("import_id")) {
+    job = await env.DB.prepare(`SELECT * FROM imports WHERE id = ?`).bind(clampInt(url.searchParams.get("import_id"), 0, 0, Number.MAX_SAFE_INTEGER)).first();
+    if (!job) throw httpError(404, "Import not found");
+    if (job.site_id !== siteId || job.format !== format) throw httpError(400, "'site_id' and 'format' must match the existing import");
+  } else {
+    const filename = (url.searchParams.get("filename") || "").slice(0, 200) || null;
+    const created = await env.DB.prepare(`INSERT INTO imports (site_id, format, filename) VALUES (?, ?, ?)`).bind(siteId, format, filename).run();
+    job = await env.DB.prepare(`SELECT * FROM imports WHERE id = ?`).bind(created.meta?.last_row_id).first();
+  }
+
+  const offset = clampInt(url.searchParams.get("offset"), 0, 0, Number.MAX_SAFE_INTEGER);
+  const parsed = parseImport(format, records, { importId: job.id, offset, now: Date.now() });
+  if (parsed.rows.length > MAX_IMPORT_VISITS) {
+    throw httpError(413, `Chunk expands to ${parsed.rows.length} visits (max ${MAX_IMPORT_VISITS}), split the file`);
+  }
+
+  // 写入访问记录与更新导入进度在同一个批次中完成 (D1 batch 为事务)
+  const times = parsed.rows.map((r) => r[r.length - 1]).sort();
+  const firstAt = [job.first_at, times[0]].filter(Boolean).sort()[0] || null;
+  const lastAt = [job.last_at, times[times.length - 1]].filter(Boolean).sort().pop() || null;
+  const errors = [...JSON.parse(job.errors || "[]"), ...parsed.errors].slice(0, MAX_IMPORT_ERRORS);
+  const statements = [];
+  for (let i = 0; i < parsed.rows.length; i += IMPORT_INSERT_ROWS) {
+    statements.push(env.DB.prepare(
+      `INSERT INTO visits (site_id, import_id, import_source, ${IMPORT_VISIT_COLUMNS.join(", ")})
+       SELECT ?, ?, ?, ${IMPORT_VISIT_COLUMNS.map((_, n) => `json_extract(value, '$[${n}]')`).join(", ")} FROM json_each(?)`
+    ).bind(siteId, job.id, format, JSON.stringify(parsed.rows.slice(i, i + IMPORT_INSERT_ROWS))));
+  }
+  statements.push(env.DB.prepare(
+    `UPDATE imports SET rows_read = rows_read + ?, rows_failed = rows_failed + ?, visits = visits + ?, first_at = ?, last_at = ?,
+       errors = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`
+  ).bind(parsed.read, parsed.errors.length, parsed.rows.length, firstAt, lastAt, errors.length ? JSON.stringify(errors) : null, job.id));
+  const results = await env.DB.batch(statements);
+
+  // 本分片的访问 id 连续 (batch 为事务)；早于汇总水位的部分直接累加进汇总表，其余由定时任务汇总
+  if (parsed.rows.length) {
+    const lastId = Math.max(...results.slice(0, -1).map((r) => r.meta.last_row_id));
+    await addToRollups(env, "import_id = ? AND id > ? AND id <= ?", [job.id, lastId - parsed.rows.length, lastId]);
+  }
+
+  const updated = await env.DB.prepare(`SELECT * FROM imports WHERE id = ?`).bind(job.id).first();
+  return jsonResponse({
+    status: "ok",
+    import: formatImport(updated),
+    read: parsed.read,
+    imported: parsed.rows.length,
+    skipped: parsed.skipped,
+    errors: parsed.errors
+  }, job.rows_read ? 200 : 201);
+}
+
+function formatImport(row) {
+  return { ...row, errors: JSON.parse(row.errors || "[]") };
+}
+
+// 流式导出原始访问: 先定位本次请求的最后一条记录，再按 EXPORT_PAGE_SIZE 分批读取写入响应
+async function exportVisits(env, siteFilter, range, url, format, filename) {
+  const limit = clampInt(url.searchParams.get("limit"), DEFAULT_EXPORT_LIMIT, 1, MAX_EXPORT_LIMIT);
+  const cursor = clampInt(url.searchParams.get("cursor"), 0, 0, Number.MAX_SAFE_INTEGER);
+  const pageFilter = (after, until) => buildFilter({
+    siteId: siteFilter, range, includeBots: true, extra: ["id > ?", "id <= ?"], extraParams: [after, until]
+  });
+
+  const bounds = pageFilter(cursor, Number.MAX_SAFE_INTEGER);
+  const edge = await env.DB.prepare(`SELECT id FROM visits ${bounds.where} ORDER BY id ASC LIMIT 2 OFFSET ?`).bind(...bounds.params, limit - 1).all();
+  const [last, next] = edge.results || [];
+  const until = last ? last.id : Number.MAX_SAFE_INTEGER;
+  const headers = exportHeaders(format, filename);
+  if (next) headers["X-Next-Cursor"] = String(last.id);
+
+  const privacy = isPrivacyMode(env);
+  const encoder = new TextEncoder();
+  let after = cursor;
+  let pending = format === "csv" && !cursor ? csvRow(VISIT_EXPORT_COLUMNS) : "";
+  const stream = new ReadableStream({
+    async pull(controller) {
+      const { where, params } = pageFilter(after, until);
+      const result = await env.DB.prepare(
+        `SELECT ${VISIT_EXPORT_COLUMNS.join(", ")} FROM visits ${where} ORDER BY id ASC LIMIT ?`
+      ).bind(...params, EXPORT_PAGE_SIZE).all();
+      const rows = result.results || [];
+      for (const row of rows) {
+        if (privacy) row.ip = maskIp(row.ip);
+        pending += exportLine(format, VISIT_EXPORT_COLUMNS, row);
+      }
+      if (pending) controller.enqueue(encoder.encode(pending));
+      pending = "";
+      if (rows.length < EXPORT_PAGE_SIZE) controller.close();
+      else after = rows[rows.length - 1].id;
+    }
+  });
+  return new Response(stream, { headers });
+}
+
+// 告警规则 (仅 admin): GET 规则与最近的告警历史 / POST 创建或更新 (带 id 为更新，未传的字段保持原值) / DELETE ?id=
+// POST ?test=1&id= 向该规则的 Webhook 发送一条测试通知
+async function handleAlerts(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST" && url.searchParams.get("test")) {
+    const rule = await env.DB.prepare(`SELECT * FROM alert_rules WHERE id = ?`).bind(requireId(url)).first();
+    if (!rule) throw httpError(404, "Alert rule not found");
+    const result = await deliverAlert(rule, "test", { value: null, message: `Test notification for alert "${rule.name}" (${rule.site_id})` }, new Date());
+    return jsonResponse({ status: result.delivered ? "ok" : "failed", ...result });
+  }
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const existing = data.id !== undefined
+      ? await env.DB.prepare(`SELECT * FROM alert_rules WHERE id = ?`).bind(Number(data.id)).first()
+      : null;
+    if (data.id !== undefined && !existing) throw httpError(404, "Alert rule not found");
+    const rule = validateAlertRule({ ...existing, ...data });
+    const secret = !existing || data.rotate_secret ? randomHex(16) : existing.secret;
+
+    // 修改规则后重新从 ok 状态开始评估
+    const values = [
+      rule.site_id, rule.name, rule.type, rule.threshold, rule.window_minutes, rule.webhook_url, rule.webhook_format,
+      rule.chat_id, secret, rule.repeat_minutes, rule.enabled
+    ];
+    const saved = existing
+      ? await env.DB.prepare(
+        `UPDATE alert_rules SET site_id = ?, name = ?, type = ?, threshold = ?, window_minutes = ?, webhook_url = ?, webhook_format = ?,
+           chat_id = ?, secret = ?, repeat_minutes = ?, enabled = ?, state = 'ok', updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`
+      ).bind(...values, existing.id).first()
+      : await env.DB.prepare(
+        `INSERT INTO alert_rules (site_id, name, type, threshold, window_minutes, webhook_url, webhook_format, chat_id, secret, repeat_minutes, enabled)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`
+      ).bind(...values).first();
+    return jsonResponse({ status: "ok", rule: formatAlertRule(saved) }, existing ? 200 : 201);
+  }
+
+  if (request.method === "DELETE") {
+    const id = requireId(url);
+    await env.DB.batch([
+      env.DB.prepare(`DELETE FROM alert_rules WHERE id = ?`).bind(id),
+      env.DB.prepare(`DELETE FROM alert_events WHERE rule_id = ?`).bind(id)
+    ]);
+    return jsonResponse({ status: "ok" });
+  }
+
+  const ruleFilter = url.searchParams.get("rule_id");
+  const [rulesResult, eventsResult] = await Promise.all([
+    env.DB.prepare(`SELECT * FROM alert_rules ORDER BY site_id ASC, id ASC`).all(),
+    env.DB.prepare(
+      `SELECT e.*, r.name as rule_name FROM alert_events e LEFT JOIN alert_rules r ON r.id = e.rule_id
+       ${ruleFilter ? "WHERE e.rule_id = ?" : ""} ORDER BY e.id DESC LIMIT ?`
+    ).bind(...(ruleFilter ? [Number(ruleFilter)] : []), ALERT_HISTORY_LIMIT).all()
+  ]);
+  return jsonResponse({
+    rules: (rulesResult.results || []).map(formatAlertRule),
+    history: (eventsResult.results || []).map((e) => ({ ...e, delivered: !!e.delivered }))
+  });
+}
+
+// 定期摘要订阅 (仅 admin): GET 列表 / POST 创建或更新 (带 id 为更新，未传的字段保持原值) / DELETE ?id=
+// GET ?preview=1&id= 返回最近一个完整周期的摘要内容；POST ?test=1&id= 立即发送该摘要 (不影响定时发送的进度)
+async function handleDigests(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  const preview = request.method === "GET" && url.searchParams.get("preview");
+  if (preview || (request.method === "POST" && url.searchParams.get("test"))) {
+    const digest = await env.DB.prepare(`SELECT * FROM digests WHERE id = ?`).bind(requireId(url)).first();
+    if (!digest) throw httpError(404, "Digest not found");
+    const now = new Date();
+    const message = renderDigest(digest, await buildDigestReport(env, digest, digestPeriod(digest.frequency, digest.timezone, now)));
+    if (preview) return jsonResponse(message);
+    const result = await deliverDigest(env, digest, message, now);
+    return jsonResponse({ status: result.delivered ? "ok" : "failed", ...result });
+  }
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const existing = data.id !== undefined
+      ? await env.DB.prepare(`SELECT * FROM digests WHERE id = ?`).bind(Number(data.id)).first()
+      : null;
+    if (data.id !== undefined && !existing) throw httpError(404, "Digest not found");
+    const digest = validateDigest(env, { ...existing, recipients: existing?.recipients ? JSON.parse(existing.recipients) : null, ...data });
+    const secret = !existing || data.rotate_secret ? randomHex(16) : existing.secret;
+
+    const values = [
+      digest.site_id, digest.name, digest.frequency, digest.timezone, digest.channel, digest.webhook_url, digest.webhook_format,
+      digest.chat_id, digest.recipients ? JSON.stringify(digest.recipients) : null, secret, digest.enabled
+    ];
+    const saved = existing
+      ? await env.DB.prepare(
+        `UPDATE digests SET site_id = ?, name = ?, frequency = ?, timezone = ?, channel = ?, webhook_url = ?, webhook_format = ?,
+           chat_id = ?, recipients = ?, secret = ?, enabled = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? RETURNING *`
+      ).bind(...values, existing.id).first()
+      : await env.DB.prepare(
+        `INSERT INTO digests (site_id, name, frequency, timezone, channel, webhook_url, webhook_format, chat_id, recipients, secret, enabled, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`
+      ).bind(...values, principal.username).first();
+    return jsonResponse({ status: "ok", digest: formatDigest(saved) }, existing ? 200 : 201);
+  }
+
+  if (request.method === "DELETE") {
+    const result = await env.DB.prepare(`DELETE FROM digests WHERE id = ?`).bind(requireId(url)).run();
+    if (!result.meta?.changes) throw httpError(404, "Digest not found");
+    return jsonResponse({ status: "ok" });
+  }
+
+  const result = await env.DB.prepare(`SELECT * FROM digests ORDER BY site_id ASC, id ASC`).all();
+  return jsonResponse({
+    digests: (result.results || []).map(formatDigest),
+    frequencies: DIGEST_FREQUENCIES,
+    email: !!(env.EMAIL_API_KEY && env.EMAIL_FROM)
+  });
+}
+
+// 公开分享链接 (仅 admin): GET 列表 / POST 创建或更新 (带 id 为更新，未传的字段保持原值) / DELETE ?id= 吊销
+// password 传空字符串或 null 取消口令；rotate_slug 为 true 时更换链接，旧链接立即失效
+async function handleShares(request, env, url) {
+  const principal = await authenticate(request, env);
+  if (!principal) return jsonResponse({ error: "Unauthorized" }, 401);
+  requireAdmin(principal);
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    const existing = data.id !== undefined
+      ? await env.DB.prepare(`SELECT * FROM shares WHERE id = ?`).bind(Number(data.id)).first()
+      : null;
+    if (data.id !== undefined && !existing) throw httpError(404, "Share link not found");
+
+    const siteId = data.site_id !== undefined || !existing ? requireSiteId(data.site_id) : existing.site_id;
+    const name = data.name !== undefined || !existing ? requireName(data.name) : existing.name;
+    const widgets = data.widgets !== undefined || !existing ? validateShareWidgets(data.widgets) : JSON.parse(existing.widgets);
+
+    let passwordHash = existing ? existing.password_hash : null;
+    if (data.password === null || data.password === "") passwordHash = null;
+    else if (data.password !== undefined) {
+      if (typeof data.password !== "string" || data.password.length < MIN_PASSWORD_LENGTH) {
+        throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      passwordHash = await hashPassword(data.password);
+    }
+
+    let expiresAt = existing ? existing.expires_at : null;
+    if (data.expires_in_days === null || data.expires_in_days === "") expiresAt = null;
+    else if (data.expires_in_days !== undefined) {
+      const days = Number(data.expires_in_days);
+      if (!Number.isFinite(days) || days <= 0 || days > 3650) throw httpError(400, "'expires_in_days' must be between 1 and 3650");
+      expiresAt = toSqlTime(new Date(Date.now() + days * DAY_MS));
+    }
+
+    const slug = !existing || data.rotate_slug ? randomHex(SHARE_SLUG_BYTES) : existing.slug;
+    // updated_at 写入访问凭证，修改分享后已签发的凭证随之失效
+    const saved = existing
+      ? await env.DB.prepare(
+        `UPDATE shares SET slug = ?, site_id = ?, name = ?, widgets = ?, password_hash = ?, expires_at = ?, updated_at = ? WHERE id = ? RETURNING *`
+      ).bind(slug, siteId, name, JSON.stringify(widgets), passwordHash, expiresAt, new Date().toISOString(), existing.id).first()
+      : await env.DB.prepare(
+        `INSERT INTO shares (slug, site_id, name, widgets, password_hash, expires_at, created_by, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING *`
+      ).bind(slug, siteId, name, JSON.stringify(widgets), passwordHash, expiresAt, principal.username, new Date().toISOString()).first();
+    return jsonResponse({ status: "ok", share: formatShare(saved) }, existing ? 200 : 201);
+  }
+
+  if (request.method === "DELETE") {
+    const result = await env.DB.prepare(`DELETE FROM shares WHERE id = ?`).bind(requireId(url)).run();
+    if (!result.meta?.changes) return jsonResponse({ error: "Share link not found" }, 404);
+    return jsonResponse({ status: "ok" });
+  }
+
+  const result = await env.DB.prepare(`SELECT * FROM shares ORDER BY id DESC`).all();
+  return jsonResponse({ shares: (result.results || []).map(formatShare), widgets: SHARE_WIDGETS });
+}
+
+// 公开分享的数据 (无需登录): GET 返回分享站点的只读统计，只包含选定卡片的字段，不含原始访问、IP 与其他站点
+// 设置了口令时先 POST { password } 换取访问凭证，之后以 Authorization: Bearer <凭证> 请求
+async function handleShare(request, env, url, slug) {
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+  const share = await getActiveShare(env, slug);
+  if (!share) return jsonResponse({ error: "Share link not found or expired" }, 404);
+
+  if (request.method === "POST") {
+    const data = await readJsonBody(request, MAX_PAYLOAD_BYTES, null);
+    if (!share.password_hash) return jsonResponse({ error: "This share link has no password" }, 400);
+    await checkShareAttempts(env, share, request.headers.get("CF-Connecting-IP") || "0.0.0.0");
+    if (typeof data.password !== "string" || !(await verifyPassword(data.password, share.password_hash))) {
+      return jsonResponse({ error: "Invalid password" }, 401);
+    }
+    const exp = Math.min(
+      Math.floor(Date.now() / 1000) + SHARE_TOKEN_TTL_SECONDS,
+      share.expires_at ? Math.floor(sqlTimeToMs(share.expires_at) / 1000) : Infinity
+    );
+    const token = await signJwt(env, { sub: `share:${share.id}`, scope: "share", share: share.slug, ver: share.updated_at, exp });
+    return jsonResponse({ token, expiresIn: exp - Math.floor(Date.now() / 1000) });
+  }
+
+  if (share.password_hash) {
+    const claims = await verifyJwt(env, (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+    if (!claims || claims.scope !== "share" || claims.share !== share.slug || claims.ver !== share.updated_at) {
+      return jsonResponse({ error: "Password required", password: true }, 401);
+    }
+  }
+
+  // 以只能访问该站点的只读身份复用 /api/stats 的统计逻辑
+  const widgets = JSON.parse(share.widgets);
+  const statsUrl = new URL(url);
+  statsUrl.searchParams.set("site_id", share.site_id);
+  const principal = { role: "viewer", sites: [share.site_id], user_id: null, token_id: null, username: `share:${share.slug}` };
+  const range = parseRange(statsUrl);
+  const [stats, pages] = await Promise.all([
+    collectStats(env, principal, statsUrl),
+    widgets.includes("pages") ? queryTopPages(env, share.site_id, range, SHARE_PAGE_LIMIT) : null
+  ]);
+
+  const pick = (source) => Object.fromEntries(
+    widgets.flatMap((widget) => SHARE_WIDGET_FIELDS[widget] || []).map((field) => [field, source[field]])
+  );
+  const body = {
+    share: { name: share.name, site_id: share.site_id, widgets, expires_at: share.expires_at },
+    ...pick(stats),
+    range: stats.range
+  };
+  if (widgets.includes("summary")) body.current = { visitors: stats.current.visitors };
+  if (widgets.includes("geography")) body.geo = stats.geo;
+  if (pages) body.pages = pages.pages;
+  if (stats.previous) {
+    body.compare = stats.compare;
+    body.previous = { ...pick(stats.previous), range: stats.previous.range };
+    body.changes = Object.fromEntries(Object.entries(stats.changes).filter(([key]) =>
+      (widgets.includes("summary") && ["total", "unique"].includes(key)) || (widgets.includes("sessions") && key !== "bots" && !["total", "unique"].includes(key))
+    ));
+  }
+  return jsonResponse(body);
+}
+
+// 分享页 HTML；不存在或已过期的链接返回 404
+async function handleSharePage(env, slug) {
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+  const share = await getActiveShare(env, slug);
+  if (!share) return new Response("Not Found", { status: 404 });
+  return new Response(htmlShare, {
+    headers: { "Content-Type": "text/html;charset=UTF-8", "Referrer-Policy": "no-referrer", "X-Robots-Tag": "noindex" }
+  });
+}
+
+function getActiveShare(env, slug) {
+  if (!/^[0-9a-f]{8,64}$/.test(slug)) return null;
+  return env.DB.prepare(
+    `SELECT * FROM shares WHERE slug = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`
+  ).bind(slug).first();
+}
+
+// 缺省展示全部卡片
+function validateShareWidgets(widgets) {
+  if (widgets === undefined || widgets === null) return [...SHARE_WIDGETS];
+  if (!Array.isArray(widgets) || widgets.length === 0 || widgets.some((w) => !SHARE_WIDGETS.includes(w))) {
+    throw httpError(400, `'widgets' must be a non-empty array of: ${SHARE_WIDGETS.join(", ")}`);
+  }
+  return SHARE_WIDGETS.filter((w) => widgets.includes(w));
+}
+
+function formatShare(row) {
+  const { password_hash: passwordHash, ...rest } = row;
+  return { ...rest, widgets: JSON.parse(row.widgets), protected: !!passwordHash, url: `/share/${row.slug}` };
+}
+
+// 公开计数器: 站点 (或 ?path= 指定页面) 的累计 PV/UV，不含爬虫；已汇总时段的 UV 由访客草图估算 (见 queryUniqueVisitors)
+// 响应以规范化后的参数为键写入 Cache API，缓存期内的请求不会查询 D1 (站点设置的修改也要等缓存过期才生效)
+async function handleCounter(env, ctx, url, format) {
+  const siteId = requireSiteId(url.searchParams.get("site_id"));
+  const pagePath = url.searchParams.get("path") ? normalizePath(url.searchParams.get("path")) : null;
+  const query = new URLSearchParams({ site_id: siteId });
+  if (pagePath) query.set("path", pagePath);
+
+  let badge = null;
+  if (format === "svg") {
+    const metric = url.searchParams.get("metric") || "pv";
+    if (!COUNTER_METRICS[metric]) throw httpError(400, `'metric' must be one of: ${Object.keys(COUNTER_METRICS).join(", ")}`);
+    const label = (url.searchParams.get("label") ?? COUNTER_METRICS[metric]).trim().slice(0, MAX_BADGE_LABEL_LENGTH);
+    const color = url.searchParams.get("color") || "blue";
+    const fill = BADGE_COLORS[color] || (/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? `#${color}` : null);
+    if (!fill) throw httpError(400, `'color' must be a hex color or one of: ${Object.keys(BADGE_COLORS).join(", ")}`);
+    badge = { metric, label, fill };
+    query.set("metric", metric);
+    query.set("label", label);
+    query.set("color", color);
+  }
+
+  const cache = caches.default;
+  const cacheKey = new Request(`${url.origin}${url.pathname}?${query}`);
+  const cached = await cache.match(cacheKey);
+  if (cached) return cached;
+
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+  const site = await getSite(env, siteId);
+  if (!site || !site.enabled || !site.public_counter) throw httpError(404, "Counter is not enabled for this site");
+
+  const counts = await queryVisitSummary(env, siteId, { from: null, to: null }, pagePath);
+  const cacheSeconds = clampInt(env.COUNTER_CACHE_SECONDS, DEFAULT_COUNTER_CACHE_SECONDS, 0, MAX_COUNTER_CACHE_SECONDS);
+  const headers = { "Cache-Control": `public, max-age=${cacheSeconds}` };
+  const response = badge
+    ? new Response(renderBadge(badge.label, compactNumber(counts[badge.metric]), badge.fill), {
+      headers: { ...CORS_HEADERS, "Content-Type": "image/svg+xml;charset=UTF-8", ...headers }
+    })
+    : jsonResponse({ site_id: siteId, path: pagePath, ...counts }, 200, headers);
+  ctx.waitUntil(cache.put(cacheKey, response.clone()));
+  return response;
+}
+
+// 范围内站点 (或某个页面) 的 PV/UV (原始记录 + 汇总表)
+async function queryVisitSummary(env, siteId, range, pagePath = null) {
+  const visits = splitRange(await getRollupState(env), { siteId, path: pagePath, range });
+  const [raw, rolled, uniques] = await Promise.all([
+    env.DB.prepare(`SELECT COUNT(*) as pv FROM visits ${visits.raw.where}`).bind(...visits.raw.params).first(),
+    pagePath
+      ? queryRollup(env, visits, "path", "SUM(pv) as pv", "AND value = ?", [pagePath])
+      : queryRollup(env, visits, "", "SUM(pv) as pv"),
+    pagePath ? queryUniqueVisitors(env, visits, "path", [pagePath]) : queryUniqueVisitors(env, visits)
+  ]);
+  return {
+    pv: (raw?.pv || 0) + (rolled.results[0]?.pv || 0),
+    uv: uniques.get(pagePath || "") || 0
+  };
+}
+
+// shields.io 风格的 flat 徽章 (文字宽度按 Verdana 11px 估算，全角字符按两倍宽度计)
+function renderBadge(label, message, fill) {
+  const labelWidth = label ? badgeTextWidth(label) + 10 : 0;
+  const messageWidth = badgeTextWidth(message) + 10;
+  const width = labelWidth + messageWidth;
+  const title = escapeXml(label ? `${label}: ${message}` : message);
+  const text = (value, x) =>
+    `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text><text x="${x}" y="14">${escapeXml(value)}</text>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${title}"><title>${title}</title>` +
+    `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>` +
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>` +
+    `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${fill}"/>` +
+    `<rect width="${width}" height="20" fill="url(#s)"/></g>` +
+    `<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">` +
+    `${label ? text(label, labelWidth / 2) : ""}${text(message, labelWidth + messageWidth / 2)}</g></svg>`;
+}
+
+function badgeTextWidth(text) {
+  return Math.ceil([...text].reduce((width, ch) => width + (ch.codePointAt(0) > 0x2e80 ? 11 : /[A-Z0-9mw]/.test(ch) ? 7.5 : 6), 0));
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+}
+
+// 1234 -> 1.2k, 5600000 -> 5.6M
+function compactNumber(n) {
+  for (const [size, suffix] of [[1e9, "B"], [1e6, "M"], [1e3, "k"]]) {
+    if (n >= size) return `${(Math.floor((n / size) * 10) / 10).toString()}${suffix}`;
+  }
+  return String(n);
+}
+
+// ==================== 通用工具 ====================
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...CORS_HEADERS, "Content-Type": "application/json", ...headers }
+  });
+}
+
+// 导出响应: CSV (首行为表头) 或 NDJSON (每行一个 JSON 对象)
+function exportHeaders(format, filename) {
+  return {
+    ...CORS_HEADERS,
+    "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename.replace(/[^A-Za-z0-9_.:-]/g, "_")}"`,
+    "Cache-Control": "no-store"
+  };
+}
+
+function exportLine(format, columns, row) {
+  if (format === "csv") return csvRow(columns.map((c) => row[c]));
+  return `${JSON.stringify(Object.fromEntries(columns.map((c) => [c, row[c] ?? null])))}\n`;
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+// 以 = + - @ 开头的文本加上单引号，防止表格软件将其当作公式执行
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 读取请求体: 限制大小，且必须是 JSON 对象；管理接口传入 reason = null，格式错误返回 400 但不计入被拒绝的上报
+async function readJsonBody(request, maxBytes = MAX_PAYLOAD_BYTES, reason = "invalid") {
+  if (Number(request.headers.get("Content-Length") || 0) > maxBytes) throw rejectHit(413, "Payload too large", reason);
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > maxBytes) throw rejectHit(413, "Payload too large", reason);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw rejectHit(400, "Invalid JSON", reason);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw rejectHit(400, "Invalid payload", reason);
+  return data;
+}
+
+// 拒绝上报: 附带拒绝原因与站点，由路由统一计数
+function rejectHit(status, message, reason, siteId = null, headers = undefined) {
+  return Object.assign(httpError(status, message), { reason, siteId, headers });
+}
+
+// 解析上报请求的公共部分 (站点、地区、UA、访客标识)，返回 null 表示该请求应被忽略
+async function resolveHit(request, env, ctx, data) {
+  const country = request.cf?.country || "Unknown";
+  const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+  // 如果未提供 site_id，默认为 'default'
+  const siteId = typeof data.site_id === "string" && data.site_id.trim() !== "" ? data.site_id.trim() : "default";
+  validateHitFields(data, siteId);
+
+  // 站点登记: 停用的站点直接忽略，来源域名或上报密钥不符时拒绝
+  if (!(await checkSiteAccess(request, env, siteId, data))) {
+    countRejected(env, ctx, siteId, "disabled");
+    return null;
+  }
+
+  // 按 IP 与站点限流
+  await checkRateLimit(env, ip, siteId);
+
+  // 解析 UA；爬虫默认直接丢弃，BOT_TRAFFIC=tag 时写入并标记 is_bot
+  const ua = parseUserAgent(request.headers.get("User-Agent"));
+  if (request.cf?.botManagement?.verifiedBot) ua.isBot = true;
+  if (ua.isBot && env.BOT_TRAFFIC !== "tag") {
+    countRejected(env, ctx, siteId, "bot");
+    return null;
+  }
+
+  // 访客标识: IP + UA + site_id 的加盐哈希；隐私模式下盐每日轮换且不保存原始 IP
+  const visitorId = await getVisitorId(env, ip, request.headers.get("User-Agent"), siteId);
+  return { siteId, country, geo: readGeo(request.cf), ua, visitorId, ip: isPrivacyMode(env) ? maskIp(ip) : ip };
+}
+
+// Cloudflare 提供的地理与网络信息 (request.cf)；本地开发时 cf 可能缺失，对应字段记为 NULL
+function readGeo(cf) {
+  const asn = Number(cf?.asn);
+  return {
+    continent: geoText(cf?.continent),
+    region: geoText(cf?.region),
+    city: geoText(cf?.city),
+    timezone: geoText(cf?.timezone),
+    asn: Number.isInteger(asn) && asn > 0 ? asn : null,
+    asOrg: geoText(cf?.asOrganization)
+  };
+}
+
+// "|" 在汇总表中用作国家、地区与城市的分隔符
+function geoText(value) {
+  return typeof value === "string" && value.trim() ? value.trim().replace(/\|/g, "/").slice(0, MAX_GEO_FIELD_LENGTH) : null;
+}
+
+// 按 visits 表 continent, region, city, timezone, asn, as_org 的列顺序展开
+function geoValues(geo) {
+  return [geo.continent, geo.region, geo.city, geo.timezone, geo.asn, geo.asOrg];
+}
+
+// 返回 false 表示忽略该请求 (站点已停用)，不允许上报时抛出 403
+// 未登记的站点默认照常接收，UNKNOWN_SITES=reject 时拒绝
+async function checkSiteAccess(request, env, siteId, data) {
+  const site = await getSite(env, siteId);
+  if (!site) {
+    if (env.UNKNOWN_SITES === "reject") throw rejectHit(403, "Unknown site", "forbidden", siteId);
+    return true;
+  }
+  if (!site.enabled) return false;
+
+  const key = typeof data.key === "string" ? data.key : request.headers.get("X-Ingest-Key");
+  if (site.ingest_key && key !== site.ingest_key) throw rejectHit(403, "Invalid ingest key", "forbidden", siteId);
+
+  if (site.origins) {
+    const host = requestHost(request);
+    // 服务端上报没有 Origin / Referer，须携带正确的上报密钥
+    if (!host) {
+      if (!site.ingest_key) throw rejectHit(403, "Origin not allowed", "forbidden", siteId);
+    } else if (!site.origins.some((pattern) => hostMatches(host, pattern))) {
+      throw rejectHit(403, "Origin not allowed", "forbidden", siteId);
+    }
+  }
+  return true;
+}
+
+function validateHitFields(data, siteId) {
+  // 与站点登记使用同样的格式 (字母、数字与 _ . : -)
+  if (!SITE_ID_PATTERN.test(siteId)) throw rejectHit(400, "Invalid site_id", "invalid");
+  for (const field of ["path", "search", "referrer"]) {
+    const value = data[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== "string" || value.length > MAX_RAW_FIELD_LENGTH) throw rejectHit(400, `Invalid '${field}'`, "invalid", siteId);
+  }
+}
+
+// 滑动窗口限流: 0 表示关闭对应维度；IP 以带密钥的 HMAC 作为键 (见 rateLimitIpKey)，不落盘原始 IP
+// cost 为本次计入的上报条数 (批量上报)；ip 为 null 时只按站点限流 (服务端上报)
+async function checkRateLimit(env, ip, siteId, cost = 1) {
+  const store = getRateLimitStore(env);
+  if (!store) return;
+  const ipLimit = clampInt(env.RATE_LIMIT_IP_PER_MINUTE, DEFAULT_RATE_LIMIT_IP_PER_MINUTE, 0, 1000000);
+  const siteLimit = clampInt(env.RATE_LIMIT_SITE_PER_MINUTE, DEFAULT_RATE_LIMIT_SITE_PER_MINUTE, 0, 10000000);
+  if (!ipLimit && !siteLimit) return;
+
+  const keys = [`site:${siteId}`];
+  if (ip) keys.push(await rateLimitIpKey(env, ip));
+  const [siteCount, ipCount] = await store.hit(keys, RATE_LIMIT_WINDOW_MS, cost);
+  const retry = { "Retry-After": String(RATE_LIMIT_WINDOW_MS / 1000) };
+  if (ip && ipLimit && ipCount > ipLimit) throw rejectHit(429, "Too many requests", "rate_limit_ip", siteId, retry);
+  if (siteLimit && siteCount > siteLimit) throw rejectHit(429, "Too many requests for this site", "rate_limit_site", siteId, retry);
+}
+
+// 分享口令尝试限流: 与上报限流共用计数存储 (上报限流关闭时仍使用 D1)，按链接 + 客户端以及链接合计两个维度计数，
+// 在校验口令之前计入，超出时返回 429，防止枚举口令
+async function checkShareAttempts(env, share, ip) {
+  const store = getRateLimitStore(env) || d1RateLimitStore(env);
+  const [shareCount, clientCount] = await store.hit(
+    [`share:${share.id}`, `share:${share.id}:${await rateLimitIpKey(env, ip)}`], RATE_LIMIT_WINDOW_MS
+  );
+  if (clientCount > SHARE_PASSWORD_ATTEMPTS_PER_CLIENT || shareCount > SHARE_PASSWORD_ATTEMPTS_PER_SHARE) {
+    throw Object.assign(httpError(429, "Too many password attempts, try again later"), {
+      headers: { "Retry-After": String(RATE_LIMIT_WINDOW_MS / 1000) }
+    });
+  }
+}
+
+// 不加密钥的 IP 哈希可以通过枚举全部 IPv4 地址还原，因此使用 HMAC，密钥为 AUTH_SECRET (未设置时退回 ADMIN_PASSWORD)，
+// 两者都未设置时退回访客哈希的盐
+async function rateLimitIpKey(env, ip) {
+  const secret = env.AUTH_SECRET || env.ADMIN_PASSWORD || (await getSalt(env));
+  return `ip:${(await hmacSha256Hex(secret, `rate_limit|${ip}`)).slice(0, 32)}`;
+}
+
+// 限流存储: RATE_LIMIT_STORE = durable (需绑定 RATE_LIMITER) | d1 | off，默认有绑定时用 Durable Object，否则用 D1
+// 存储只需实现 hit(keys, windowMs, cost)，各键计数加 cost 后返回其在滑动窗口内的请求数 (含本次)
+function getRateLimitStore(env) {
+  const mode = env.RATE_LIMIT_STORE || (env.RATE_LIMITER ? "durable" : "d1");
+  if (mode === "off") return null;
+  if (mode === "durable") {
+    if (!env.RATE_LIMITER) throw new Error("Server Config Error: RATE_LIMITER binding not set.");
+    return durableRateLimitStore(env);
+  }
+  return d1RateLimitStore(env);
+}
+
+// 滑动窗口估算: 上一固定窗口按剩余比例计入 + 当前窗口计数
+function slidingCount(previous, current, now, windowMs) {
+  const elapsed = (now % windowMs) / windowMs;
+  return Math.floor(previous * (1 - elapsed)) + current;
+}
+
+let rateLimitPrunedWindow = 0;
+function d1RateLimitStore(env) {
+  return {
+    async hit(keys, windowMs, cost = 1) {
+      const now = Date.now();
+      const window = Math.floor(now / windowMs);
+      const statements = keys.map((key) =>
+        env.DB.prepare(
+          `INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, ?)
+           ON CONFLICT(key, window_start) DO UPDATE SET count = count + excluded.count`
+        ).bind(key, window, cost)
+      );
+      statements.push(
+        env.DB.prepare(`SELECT key, window_start, count FROM rate_limits WHERE key IN (${keys.map(() => "?").join(", ")}) AND window_start >= ?`)
+          .bind(...keys, window - 1)
+      );
+      // 每个 isolate 每个窗口清理一次过期计数
+      if (rateLimitPrunedWindow !== window) {
+        rateLimitPrunedWindow = window;
+        statements.push(env.DB.prepare(`DELETE FROM rate_limits WHERE window_start < ?`).bind(window - 1));
+      }
+      const results = await env.DB.batch(statements);
+      const rows = results[keys.length].results || [];
+      return keys.map((key) => {
+        const count = (w) => rows.find((r) => r.key === key && r.window_start === w)?.count || 0;
+        return slidingCount(count(window - 1), count(window), now, windowMs);
+      });
+    }
+  };
+}
+
+function durableRateLimitStore(env) {
+  return {
+    hit(keys, windowMs, cost = 1) {
+      return Promise.all(keys.map(async (key) => {
+        const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+        const res = await stub.fetch("https://rate-limiter/hit", { method: "POST", body: JSON.stringify({ windowMs, cost }) });
+        return (await res.json()).count;
+      }));
+    }
+  };
+}
+
+// 重复 PV: 该访客在本站点的上一条记录是同一页面，且在 DUPLICATE_WINDOW_SECONDS 秒内 (0 关闭)
+async function isDuplicateHit(env, hit, pagePath) {
+  const seconds = clampInt(env.DUPLICATE_WINDOW_SECONDS, DEFAULT_DUPLICATE_WINDOW_SECONDS, 0, 3600);
+  if (!seconds) return false;
+  const last = await env.DB.prepare(
+    `SELECT path, timestamp FROM visits WHERE site_id = ? AND visitor_id = ? ORDER BY id DESC LIMIT 1`
+  ).bind(hit.siteId, hit.visitorId).first();
+  return !!last && last.path === pagePath && last.timestamp >= toSqlTime(new Date(Date.now() - seconds * 1000));
+}
+
+// 被拒绝的上报按 (日期, 站点, 原因) 计数；在响应返回后通过 ctx.waitUntil 写入，写入失败只记录日志，不影响响应
+function countRejected(env, ctx, siteId, reason, count = 1) {
+  if (!env.DB) return;
+  const day = new Date().toISOString().slice(0, 10);
+  const site = typeof siteId === "string" ? siteId.slice(0, MAX_SITE_ID_LENGTH) : "";
+  ctx.waitUntil((async () => {
+    try {
+      await env.DB.prepare(
+        `INSERT INTO rejected_hits (day, site_id, reason, count) VALUES (?, ?, ?, ?)
+         ON CONFLICT(day, site_id, reason) DO UPDATE SET count = count + excluded.count`
+      ).bind(day, site, reason, count).run();
+    } catch (err) {
+      console.error(`Failed to count rejected hit: ${err.message}`);
+    }
+  })());
+}
+
+// 站点配置缓存: 每个 isolate 最多每分钟查询一次 (管理接口修改时清除本 isolate 的缓存)
+const siteCache = new Map();
+async function getSite(env, siteId) {
+  const cached = siteCache.get(siteId);
+  if (cached && cached.expires > Date.now()) return cached.site;
+
+  const row = await env.DB.prepare(`SELECT * FROM sites WHERE id = ?`).bind(siteId).first();
+  const site = row ? { ...row, origins: parseSiteList(row.allowed_origins) } : null;
+  siteCache.set(siteId, { site, expires: Date.now() + SITE_CACHE_TTL_MS });
+  return site;
+}
+
+function formatSite(row) {
+  return { ...row, allowed_origins: parseSiteList(row.allowed_origins) || [], enabled: !!row.enabled, public_counter: !!row.public_counter };
+}
+
+// 来源域名: 支持 example.com、*.example.com，也可填写完整 URL (只取主机名，忽略端口)
+function validateOrigins(origins) {
+  const list = validateSiteList(origins);
+  if (!list) return null;
+  if (list.length > MAX_ALLOWED_ORIGINS) throw httpError(400, `At most ${MAX_ALLOWED_ORIGINS} origins are allowed`);
+  return [...new Set(list.map((entry) => {
+    const wildcard = entry.startsWith("*.");
+    let host = wildcard ? entry.slice(2) : entry;
+    try {
+      host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(host) ? host : `http://${host}`).hostname;
+    } catch {
+      throw httpError(400, `Invalid origin: ${entry}`);
+    }
+    return wildcard ? `*.${host}` : host;
+  }))];
+}
+
+function requestHost(request) {
+  const source = request.headers.get("Origin") || request.headers.get("Referer");
+  if (!source || source === "null") return null;
+  try {
+    return new URL(source).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function hostMatches(host, pattern) {
+  if (pattern.startsWith("*.")) {
+    const base = pattern.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === pattern;
+}
+
+function sessionTimeoutMs(env) {
+  return clampInt(env.SESSION_TIMEOUT_MINUTES, DEFAULT_SESSION_TIMEOUT_MINUTES, 1, 24 * 60) * 60 * 1000;
+}
+
+async function findActiveSession(env, hit) {
+  const cutoff = toSqlTime(new Date(Date.now() - sessionTimeoutMs(env)));
+  return env.DB.prepare(
+    `SELECT id FROM sessions WHERE site_id = ? AND visitor_id = ? AND last_seen_at >= ? ORDER BY last_seen_at DESC LIMIT 1`
+  ).bind(hit.siteId, hit.visitorId, cutoff).first();
+}
+
+// 记录一次页面访问到会话: 延续未超时的会话 (更新退出页与页面数)，否则开启新会话；返回会话 ID
+async function touchSession(env, hit, pagePath) {
+  const session = await findActiveSession(env, hit);
+  if (session) {
+    await env.DB.prepare(
+      `UPDATE sessions SET pageviews = pageviews + 1, exit_path = ?, last_seen_at = CURRENT_TIMESTAMP WHERE id = ?`
+    ).bind(pagePath, session.id).run();
+    return session.id;
+  }
+
+  const id = crypto.randomUUID();
+  await env.DB.prepare(
+    `INSERT INTO sessions (id, site_id, visitor_id, entry_path, exit_path) VALUES (?, ?, ?, ?, ?)`
+  ).bind(id, hit.siteId, hit.visitorId, pagePath, pagePath).run();
+  return id;
+}
+
+// 事件属性: 最多 MAX_EVENT_PROPS 个键，值只允许字符串 / 数字 / 布尔
+function validateEventProps(props) {
+  if (props === undefined || props === null) return null;
+  if (typeof props !== "object" || Array.isArray(props)) throw httpError(400, "'props' must be an object");
+
+  const entries = Object.entries(props);
+  if (entries.length > MAX_EVENT_PROPS) throw httpError(400, `At most ${MAX_EVENT_PROPS} properties are allowed`);
+  const clean = {};
+  for (const [key, value] of entries) {
+    if (!EVENT_PROP_KEY_PATTERN.test(key)) throw httpError(400, `Invalid property name '${key}'`);
+    if (typeof value === "string") clean[key] = value.slice(0, MAX_EVENT_PROP_VALUE_LENGTH);
+    else if (typeof value === "number" && Number.isFinite(value)) clean[key] = value;
+    else if (typeof value === "boolean") clean[key] = value;
+    else throw httpError(400, `Property '${key}' must be a string, number or boolean`);
+  }
+  return entries.length ? clean : null;
+}
+
+// 目标 / 漏斗步骤: { type: "path" | "event", match }
+function validateGoalStep(step) {
+  if (!step || !GOAL_TYPES.includes(step.type)) throw httpError(400, "Step type must be 'path' or 'event'");
+  const raw = typeof step.match === "string" ? step.match.trim() : "";
+  if (!raw) throw httpError(400, "Step match must not be empty");
+  // 路径按上报时的规则规范化，保留 * 通配符
+  const match = step.type === "path" ? normalizePath(raw) : raw.slice(0, MAX_EVENT_NAME_LENGTH);
+  return { type: step.type, match };
+}
+
+// 单个目标 / 漏斗步骤的查询条件: 路径目标查 visits (LIKE 通配)，事件目标查 events
+function goalStepFilter(step, siteId, range) {
+  if (step.type === "event") {
+    return { table: "events", ...buildFilter({ siteId, range, includeBots: true, extra: ["name = ?"], extraParams: [step.match] }) };
+  }
+  const pattern = step.match.replace(/[\\%_]/g, (c) => `\\${c}`).replace(/\*/g, "%");
+  return { table: "visits", ...buildFilter({ siteId, range, extra: ["path LIKE ? ESCAPE '\\'"], extraParams: [pattern] }) };
+}
+
+// 逐步构造 CTE: s1 为完成第一步的访客及首次时间，sN 在 s(N-1) 基础上要求之后完成第 N 步
+async function queryFunnel(env, siteId, steps, range) {
+  const ctes = [];
+  const params = [];
+  steps.forEach((step, i) => {
+    const f = goalStepFilter(step, siteId, range);
+    if (i === 0) {
+      ctes.push(`s1 AS (SELECT visitor_id, MIN(timestamp) AS t FROM ${f.table} ${f.where} GROUP BY visitor_id)`);
+    } else {
+      ctes.push(
+        `s${i + 1} AS (SELECT x.visitor_id, MIN(x.timestamp) AS t FROM ${f.table} x
+          JOIN s${i} p ON x.visitor_id = p.visitor_id AND x.timestamp >= p.t ${f.where} GROUP BY x.visitor_id)`
+      );
+    }
+    params.push(...f.params);
+  });
+  const columns = steps.map((_, i) => `(SELECT COUNT(*) FROM s${i + 1}) AS step${i + 1}`).join(", ");
+  const row = await env.DB.prepare(`WITH ${ctes.join(", ")} SELECT ${columns}`).bind(...params).first();
+  return steps.map((_, i) => row?.[`step${i + 1}`] || 0);
+}
+
+function requireSiteId(siteId) {
+  if (typeof siteId !== "string" || !siteId.trim() || siteId === "all") throw httpError(400, "A specific 'site_id' is required");
+  return siteId.trim();
+}
+
+function requireName(name) {
+  if (typeof name !== "string" || !name.trim()) throw httpError(400, "'name' is required");
+  return name.trim().slice(0, 100);
+}
+
+function requireId(url) {
+  const id = parseInt(url.searchParams.get("id"), 10);
+  if (Number.isNaN(id)) throw httpError(400, "'id' is required");
+  return id;
+}
+
+// 鉴权: 返回访问主体 { role, sites, user_id, token_id, username }，未通过返回 null
+//   Bearer <JWT>      /api/login 签发的会话令牌 (HMAC-SHA256)
+//   Bearer lat_...    /api/tokens 创建的 API 令牌
+//   ADMIN_PASSWORD    兼容旧版: 直接携带管理员密码 (可带或不带 Bearer 前缀)
+async function authenticate(request, env) {
+  if (!env.ADMIN_PASSWORD) throw new Error("Server Config Error: ADMIN_PASSWORD not set.");
+  const credential = (request.headers.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!credential) return null;
+  if (credential === env.ADMIN_PASSWORD) return adminPrincipal();
+
+  if (credential.startsWith(API_TOKEN_PREFIX)) {
+    const token = await env.DB.prepare(
+      `SELECT * FROM api_tokens WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`
+    ).bind(await sha256Hex(credential)).first();
+    if (!token) return null;
+    // last_used_at 精确到 5 分钟即可，避免每次请求都写库
+    await env.DB.prepare(
+      `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-5 minutes'))`
+    ).bind(token.id).run();
+    return { role: token.role, sites: token.role === "admin" ? null : parseSiteList(token.sites), user_id: token.user_id, token_id: token.id, username: token.name };
+  }
+
+  // 带 scope 的是实时推送等专用凭证，不能作为登录令牌使用
+  const claims = await verifyJwt(env, credential);
+  if (!claims || claims.scope) return null;
+  if (claims.sub === BUILTIN_ADMIN) return adminPrincipal();
+  // 每次都重新读取账号，删除账号或调整权限立即生效
+  const user = await env.DB.prepare(`SELECT * FROM users WHERE id = ?`).bind(Number(claims.sub)).first();
+  return user ? userPrincipal(user) : null;
+}
+
+function adminPrincipal() {
+  return { role: "admin", sites: null, user_id: null, token_id: null, username: BUILTIN_ADMIN };
+}
+
+function userPrincipal(user) {
+  return {
+    role: user.role,
+    sites: user.role === "admin" ? null : parseSiteList(user.sites),
+    user_id: user.id,
+    token_id: null,
+    username: user.username
+  };
+}
+
+function requireAdmin(principal) {
+  if (principal.role !== "admin") throw httpError(403, "Forbidden: admin role required");
+}
+
+// 将请求的 site_id 收窄到访问主体的站点范围: 越权的站点返回 403，未指定 / all 时替换为允许的站点列表
+function scopeSiteFilter(principal, siteId) {
+  if (!principal.sites) return siteId;
+  if (siteId && siteId !== "all") {
+    if (!principal.sites.includes(siteId)) throw httpError(403, "Forbidden: site not in your scope");
+    return siteId;
+  }
+  return principal.sites;
+}
+
+// sites 为 null / 空表示不限站点，否则为去重后的 site_id 数组
+function validateSiteList(sites) {
+  if (sites === undefined || sites === null || sites === "") return null;
+  const list = Array.isArray(sites) ? sites : String(sites).split(",");
+  const cleaned = [...new Set(list.map((s) => (typeof s === "string" ? s.trim() : "")).filter(Boolean))];
+  if (cleaned.includes("all")) throw httpError(400, "'all' is not a valid site_id");
+  return cleaned.length ? cleaned : null;
+}
+
+function parseSiteList(raw) {
+  return raw ? JSON.parse(raw) : null;
+}
+
+// 口令哈希: PBKDF2-SHA256，格式 pbkdf2$<迭代次数>$<盐>$<哈希>
+async function hashPassword(password, salt = randomHex(16), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: new TextEncoder().encode(salt), iterations },
+    key,
+    256
+  );
+  return `pbkdf2$${iterations}$${salt}$${bytesToHex(new Uint8Array(bits))}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, iterations, salt] = String(stored || "").split("$");
+  if (scheme !== "pbkdf2" || !salt) return false;
+  return (await hashPassword(password, salt, Number(iterations))) === stored;
+}
+
+// 会话令牌: HS256 JWT，密钥为 AUTH_SECRET (未设置时退回 ADMIN_PASSWORD，修改后所有会话失效)
+async function getSigningKey(env) {
+  const secret = env.AUTH_SECRET || env.ADMIN_PASSWORD;
+  return crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+}
+
+async function signJwt(env, claims) {
+  const header = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ alg: "HS256", typ: "JWT" })));
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({ ...claims, iat: Math.floor(Date.now() / 1000) })));
+  const signature = await crypto.subtle.sign("HMAC", await getSigningKey(env), new TextEncoder().encode(`${header}.${payload}`));
+  return `${header}.${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+async function verifyJwt(env, token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const valid = await crypto.subtle.verify(
+      "HMAC", await getSigningKey(env), base64UrlDecode(parts[2]), new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    );
+    if (!valid) return null;
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+    return typeof claims.exp === "number" && claims.exp * 1000 > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4)), (c) => c.charCodeAt(0));
+}
+
+function isPrivacyMode(env) {
+  return ["1", "true", "on", "yes"].includes(String(env.PRIVACY_MODE || "").toLowerCase());
+}
+
+// 访客哈希: SHA-256(salt | ip | ua | site_id)，同一访客在不同站点得到不同标识
+async function getVisitorId(env, ip, userAgent, siteId) {
+  const salt = await getSalt(env);
+  const hash = await sha256Hex(`${salt}|${ip}|${userAgent || ""}|${siteId}`);
+  return hash.slice(0, 32);
+}
+
+// 盐按 UTC 日期保存在 salts 表中 (隐私模式) 或使用固定盐；isolate 内缓存避免每次请求查询
+let saltCache = null;
+async function getSalt(env) {
+  const key = isPrivacyMode(env) ? new Date().toISOString().slice(0, 10) : STATIC_SALT_KEY;
+  if (saltCache?.key === key) return saltCache.salt;
+
+  await env.DB.prepare(`INSERT OR IGNORE INTO salts (day, salt) VALUES (?, ?)`).bind(key, randomHex(32)).run();
+  const row = await env.DB.prepare(`SELECT salt FROM salts WHERE day = ?`).bind(key).first();
+  if (key !== STATIC_SALT_KEY) {
+    // 轮换后立即删除旧的日盐，历史哈希从此无法再与 IP 关联
+    await env.DB.prepare(`DELETE FROM salts WHERE day != ? AND day != ?`).bind(key, STATIC_SALT_KEY).run();
+  }
+  saltCache = { key, salt: row.salt };
+  return row.salt;
+}
+
+// IP 掩码: IPv4 保留前三段，IPv6 保留前三组
+function maskIp(ip) {
+  if (!ip) return ip;
+  if (ip.includes(":")) return `${ip.split(":").slice(0, 3).join(":")}::`;
+  const parts = ip.split(".");
+  return parts.length === 4 ? `${parts.slice(0, 3).join(".")}.0` : ip;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+async function hmacSha256Hex(secret, text) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(text));
+  return bytesToHex(new Uint8Array(signature));
+}
+
+function randomHex(bytes) {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+function bytesToHex(bytes) {
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// 规范化路径: 去掉查询串和锚点，合并重复斜杠，去除末尾斜杠 (根路径除外)
+function normalizePath(raw) {
+  let p = String(raw || "/").trim();
+  if (/^https?:\/\//i.test(p)) {
+    try { p = new URL(p).pathname; } catch (e) { p = "/"; }
+  }
+  p = p.split(/[?#]/)[0].replace(/\/{2,}/g, "/");
+  if (!p.startsWith("/")) p = `/${p}`;
+  if (p.length > 1) p = p.replace(/\/+$/, "");
+  return p.slice(0, MAX_PATH_LENGTH) || "/";
+}
+
+// 来源归类: 无 referrer 为 direct，与页面同域为 internal，其余按搜索引擎 / 社交网络 / 普通外链划分
+function classifyReferrer(raw, origin) {
+  let refUrl;
+  try {
+    refUrl = raw ? new URL(String(raw)) : null;
+  } catch (e) {
+    refUrl = null;
+  }
+  if (!refUrl || !/^https?:$/.test(refUrl.protocol)) return { referrer: null, host: null, source: "direct" };
+
+  const host = refUrl.hostname.toLowerCase().replace(/^www\./, "");
+  // 只保留 origin + pathname，避免把外站查询串 (可能含个人信息) 写入数据库
+  const referrer = `${refUrl.origin}${refUrl.pathname}`.slice(0, MAX_PATH_LENGTH);
+  let pageHost = null;
+  try {
+    pageHost = origin ? new URL(origin).hostname.toLowerCase().replace(/^www\./, "") : null;
+  } catch (e) {}
+
+  let source = "referral";
+  if (pageHost && host === pageHost) source = "internal";
+  else if (SEARCH_ENGINE_PATTERNS.some((re) => re.test(host))) source = "search";
+  else if (SOCIAL_NETWORK_PATTERNS.some((re) => re.test(host))) source = "social";
+  return { referrer, host, source };
+}
+
+// 解析 User-Agent: 浏览器、操作系统、设备类型 (desktop / mobile / tablet) 以及是否为爬虫
+function parseUserAgent(raw) {
+  const ua = String(raw || "");
+  const isBot = !ua || BOT_UA_PATTERN.test(ua);
+
+  let browser = "Other";
+  if (/Edg(e|A|iOS)?\//.test(ua)) browser = "Edge";
+  else if (/OPR\/|Opera/.test(ua)) browser = "Opera";
+  else if (/SamsungBrowser\//.test(ua)) browser = "Samsung Internet";
+  else if (/MicroMessenger\//.test(ua)) browser = "WeChat";
+  else if (/M?QQBrowser\//.test(ua)) browser = "QQ Browser";
+  else if (/UCBrowser\//.test(ua)) browser = "UC Browser";
+  else if (/YaBrowser\//.test(ua)) browser = "Yandex";
+  else if (/Firefox\/|FxiOS\//.test(ua)) browser = "Firefox";
+  else if (/Chrome\/|CriOS\//.test(ua)) browser = "Chrome";
+  else if (/Safari\//.test(ua) && /Version\//.test(ua)) browser = "Safari";
+  else if (/MSIE |Trident\//.test(ua)) browser = "Internet Explorer";
+
+  let os = "Other";
+  if (/Windows NT|Windows Phone/.test(ua)) os = "Windows";
+  else if (/iPhone|iPad|iPod/.test(ua)) os = "iOS";
+  else if (/Android/.test(ua)) os = "Android";
+  else if (/CrOS/.test(ua)) os = "Chrome OS";
+  else if (/Mac OS X|Macintosh/.test(ua)) os = "macOS";
+  else if (/Linux|X11/.test(ua)) os = "Linux";
+
+  let device = "desktop";
+  if (/iPad|Tablet|PlayBook|Silk\//.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) device = "tablet";
+  else if (/Mobi|iPhone|iPod|Windows Phone|BlackBerry|Opera Mini/.test(ua)) device = "mobile";
+
+  return { browser, os, device, isBot };
+}
+
+// UTM 参数: 优先读取请求体中的 utm_* 字段，其次解析 search (即 location.search)
+function readUtm(data) {
+  let query = null;
+  try {
+    query = typeof data.search === "string" ? new URLSearchParams(data.search) : null;
+  } catch (e) {}
+
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    const value = data[field] ?? query?.get(field);
+    utm[field] = value ? String(value).trim().toLowerCase().slice(0, MAX_UTM_LENGTH) || null : null;
+  }
+  return utm;
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+}
+
+function ratio(part, total) {
+  return total ? Math.round((part / total) * 10000) / 10000 : 0;
+}
+
+// 相对上一周期的变化率 (0.25 表示 +25%)，上一周期为 0 时无法计算，返回 null
+function change(current, previous) {
+  return previous ? Math.round(((current - previous) / previous) * 10000) / 10000 : null;
+}
+
+// ==================== 数据库迁移 ====================
+
+// 迁移记录表，结构与 wrangler d1 migrations apply 创建的一致，两种方式执行的迁移互相可见
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT UNIQUE,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+)`;
+
+// 已执行的迁移 (按执行顺序)；从未执行过迁移 (没有迁移记录表) 时为空
+async function appliedMigrations(env) {
+  try {
+    const result = await env.DB.prepare(`SELECT name, applied_at FROM schema_migrations ORDER BY id ASC`).all();
+    return result.results || [];
+  } catch (err) {
+    if (/no such table/i.test(String(err.message))) return [];
+    throw err;
+  }
+}
+
+async function pendingMigrations(env) {
+  const applied = new Set((await appliedMigrations(env)).map((m) => m.name));
+  return MIGRATIONS.filter((m) => !applied.has(m.name));
+}
+
+async function migrationStatus(env) {
+  const applied = await appliedMigrations(env);
+  const names = new Set(applied.map((m) => m.name));
+  const pending = MIGRATIONS.filter((m) => !names.has(m.name)).map((m) => m.name);
+  return { current: pending.length === 0, latest: MIGRATIONS[MIGRATIONS.length - 1].name, applied, pending };
+}
+
+// 依次执行待执行的迁移: 每个迁移的全部语句与迁移记录在同一个 batch 中提交 (D1 的 batch 为事务)，
+// 失败时该迁移整体回滚并停止执行后续迁移
+// 按中间版本的 schema.sql 建出的数据库已有部分新列，ADD COLUMN 遇到已存在的列时跳过，其余语句照常执行
+async function applyMigrations(env) {
+  await env.DB.prepare(CREATE_MIGRATIONS_TABLE).run();
+  const executed = [];
+  let error = null;
+  for (const migration of await pendingMigrations(env)) {
+    const statements = [];
+    for (const sql of splitSqlStatements(migration.sql)) {
+      const column = sql.match(/^ALTER\s+TABLE\s+(\w+)\s+ADD\s+(?:COLUMN\s+)?(\w+)/i);
+      if (column && (await tableColumns(env, column[1])).includes(column[2].toLowerCase())) continue;
+      statements.push(env.DB.prepare(sql));
+    }
+    statements.push(env.DB.prepare(`INSERT INTO schema_migrations (name) VALUES (?)`).bind(migration.name));
+    try {
+      await env.DB.batch(statements);
+    } catch (err) {
+      error = `Migration ${migration.name} failed: ${err.message}`;
+      break;
+    }
+    executed.push(migration.name);
+  }
+  schemaCache.expires = 0;
+  return { executed, error };
+}
+
+async function tableColumns(env, table) {
+  const result = await env.DB.prepare(`PRAGMA table_info(${table})`).all();
+  return (result.results || []).map((c) => c.name.toLowerCase());
+}
+
+// 按分号拆分迁移文件中的语句，忽略 -- 注释与引号内的分号 (不支持触发器等语句体内含分号的语法)
+function splitSqlStatements(sql) {
+  const statements = [];
+  let current = "";
+  let quote = null;
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+    if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+    } else if (ch === "-" && sql[i + 1] === "-") {
+      while (i < sql.length && sql[i] !== "\n") i++;
+      current += "\n";
+    } else if (ch === ";") {
+      if (current.trim()) statements.push(current.trim());
+      current = "";
+    } else {
+      if (ch === "'" || ch === '"') quote = ch;
+      current += ch;
+    }
+  }
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+// 数据库结构检查: 每个实例缓存结果，已是最新时不再查询，落后时每 SCHEMA_RECHECK_MS 重新检查
+const schemaCache = { current: false, pending: [], expires: 0 };
+async function requireCurrentSchema(env) {
+  if (schemaCache.current) return;
+  if (!env.DB) throw new Error("Database Error: env.DB undefined");
+  if (schemaCache.expires <= Date.now()) {
+    const pending = (await pendingMigrations(env)).map((m) => m.name);
+    Object.assign(schemaCache, { current: pending.length === 0, pending, expires: Date.now() + SCHEMA_RECHECK_MS });
+    if (schemaCache.current) return;
+  }
+  throw Object.assign(httpError(503,
+    `Database schema is behind this Worker (pending migrations: ${schemaCache.pending.join(", ")}). ` +
+    "Apply them with 'npx wrangler d1 migrations apply <database> --remote' or POST /api/migrations as admin."
+  ), { headers: { "Retry-After": String(SCHEMA_RECHECK_MS / 1000) } });
+}
+
+// ==================== 汇总表 ====================
+
+// 汇总水位: rollup_state 中 hourly / daily 为下一个待汇总的桶起点 (UTC)，之前的数据均已写入汇总表
+// pruned 为保留策略删除原始访问时用过的最晚截止时间，更早的汇总无法再从原始访问重建
+async function getRollupState(env) {
+  const result = await env.DB.prepare(`SELECT name, value FROM rollup_state WHERE name IN ('hourly', 'daily', 'pruned')`).all();
+  const state = { hourly: null, daily: null, pruned: null };
+  for (const row of result.results || []) state[row.name] = row.value;
+  return state;
+}
+
+// 定时汇总: 将已结束的整小时 / 整天的访问写入 rollup_hourly / rollup_daily (不含爬虫)
+// 每轮每张表最多推进 ROLLUP_MAX_DAYS_PER_RUN 天，返回是否还有未汇总的数据
+async function runRollups(env, now = new Date()) {
+  const state = await getRollupState(env);
+  let pending = false;
+
+  for (const [name, step] of [["hourly", HOUR_MS], ["daily", DAY_MS]]) {
+    const end = Math.floor(now.getTime() / step) * step; // 当前未结束的桶留给原始记录查询
+    let start = state[name] ? sqlTimeToMs(state[name]) : null;
+    if (start === null) {
+      const first = await env.DB.prepare(`SELECT MIN(timestamp) as t FROM visits`).first();
+      start = first?.t ? Math.floor(sqlTimeToMs(first.t) / step) * step : end;
+    }
+    const stop = Math.min(end, start + ROLLUP_MAX_DAYS_PER_RUN * DAY_MS);
+    if (stop < end) pending = true;
+
+    const from = toSqlTime(new Date(start));
+    const to = toSqlTime(new Date(stop));
+    const statements = [];
+    if (start < stop) {
+      for (const table of [rollupTable(name, false), rollupTable(name, true)]) {
+        statements.push(env.DB.prepare(`DELETE FROM ${table} WHERE bucket >= ? AND bucket < ?`).bind(from, to));
+      }
+      statements.push(...insertRollupRows(env, name, await collectRollupRows(env, name, "timestamp >= ? AND timestamp < ?", [from, to])));
+    }
+    statements.push(env.DB.prepare(
+      `INSERT INTO rollup_state (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value`
+    ).bind(name, to));
+    await env.DB.batch(statements);
+  }
+  return pending;
+}
+
+// 按汇总桶聚合满足条件的访问 (不含爬虫)，返回 { bucket, site_id, dimension, value, import_id, pv, uv, sketch } 列表
+// 小时汇总只保存站点合计，日汇总另外保存各维度的排行；逐个维度读取 (桶, 站点, 取值, 访客) 的分组，在 Worker 中累加并生成访客草图
+async function collectRollupRows(env, name, where, params) {
+  const bucket = name === "hourly" ? "%Y-%m-%d %H:00:00" : "%Y-%m-%d 00:00:00";
+  const dimensions = name === "hourly" ? { "": "''" } : { "": "''", ...ROLLUP_DIMENSIONS };
+  const rows = [];
+  for (const [dimension, expr] of Object.entries(dimensions)) {
+    const result = await env.DB.prepare(
+      `SELECT strftime(?, timestamp) as bucket, site_id, ${expr} as value, COALESCE(import_id, 0) as import_id, visitor_id, COUNT(*) as pv
+       FROM visits WHERE is_bot = 0 AND ${where} GROUP BY 1, 2, 3, 4, 5`
+    ).bind(bucket, ...params).all();
+    const groups = new Map();
+    for (const r of result.results || []) {
+      const key = JSON.stringify(rollupKey({ ...r, dimension }));
+      if (!groups.has(key)) {
+        groups.set(key, { bucket: r.bucket, site_id: r.site_id, dimension, value: r.value, import_id: r.import_id, pv: 0, uv: 0, sketch: new Map() });
+      }
+      const group = groups.get(key);
+      group.pv += r.pv;
+      if (r.visitor_id !== null) {
+        group.uv++;
+        sketchAdd(group.sketch, r.visitor_id);
+      }
+    }
+    rows.push(...groups.values());
+  }
+  return rows;
+}
+
+// 实时数据写入 rollup_<name>，导入的数据按导入批次另存于 rollup_<name>_imports (撤销导入时整批删除)
+function rollupTable(name, imported) {
+  return imported ? `rollup_${name}_imports` : `rollup_${name}`;
+}
+
+// 查询时合并两张表的汇总行
+function rollupSource(name) {
+  const columns = "bucket, site_id, dimension, value, pv, visitors";
+  return `(SELECT ${columns} FROM rollup_${name} UNION ALL SELECT ${columns} FROM rollup_${name}_imports)`;
+}
+
+// 写入汇总行的语句: 按是否为导入数据写入对应的表，每 ROLLUP_INSERT_ROWS 行一条，以 JSON 数组传入
+function insertRollupRows(env, name, rows) {
+  const statements = [];
+  for (const imported of [false, true]) {
+    const columns = ["bucket", "site_id", "dimension", "value", ...(imported ? ["import_id"] : []), "pv", "uv", "visitors"];
+    const selected = rows.filter((r) => !!r.import_id === imported);
+    for (let i = 0; i < selected.length; i += ROLLUP_INSERT_ROWS) {
+      const chunk = selected.slice(i, i + ROLLUP_INSERT_ROWS)
+        .map((r) => [r.bucket, r.site_id, r.dimension, r.value, ...(imported ? [r.import_id] : []), r.pv, r.uv, formatSketch(r.sketch)]);
+      statements.push(env.DB.prepare(
+        `INSERT INTO ${rollupTable(name, imported)} (${columns.join(", ")})
+         SELECT ${columns.map((_, n) => `json_extract(value, '$[${n}]')`).join(", ")} FROM json_each(?)`
+      ).bind(JSON.stringify(chunk)));
+    }
+  }
+  return statements;
+}
+
+// 汇总行的主键
+function rollupKey(row) {
+  return [row.bucket, row.site_id, row.dimension, row.value, row.import_id];
+}
+
+// 将写入时已落在汇总水位之前的访问 (导入的历史数据、迟到的批量上报) 累加进对应的汇总桶:
+// 已有的汇总行只增加 PV 并合并访客草图，不删除也不重新汇总其他数据，原始访问已被保留策略清理的时段同样适用
+async function addToRollups(env, where, params) {
+  const state = await getRollupState(env);
+  const statements = [];
+  for (const name of ["hourly", "daily"]) {
+    if (!state[name]) continue;
+    const rows = await collectRollupRows(env, name, `${where} AND timestamp < ?`, [...params, state[name]]);
+    for (const imported of [false, true]) {
+      const table = rollupTable(name, imported);
+      const selected = rows.filter((r) => !!r.import_id === imported);
+      for (let i = 0; i < selected.length; i += ROLLUP_INSERT_ROWS) {
+        const chunk = selected.slice(i, i + ROLLUP_INSERT_ROWS);
+        const existing = await env.DB.prepare(
+          `SELECT t.rowid as id, t.bucket, t.site_id, t.dimension, t.value, ${imported ? "t.import_id" : "0 as import_id"}, t.pv, t.visitors
+           FROM json_each(?) k JOIN ${table} t ON t.bucket = json_extract(k.value, '$[0]') AND t.site_id = json_extract(k.value, '$[1]')
+             AND t.dimension = json_extract(k.value, '$[2]') AND t.value = json_extract(k.value, '$[3]')
+             ${imported ? "AND t.import_id = json_extract(k.value, '$[4]')" : ""}`
+        ).bind(JSON.stringify(chunk.map(rollupKey))).all();
+        const matched = new Map((existing.results || []).map((r) => [JSON.stringify(rollupKey(r)), r]));
+        for (const row of chunk) {
+          const old = matched.get(JSON.stringify(rollupKey(row)));
+          if (!old) continue;
+          row.pv += old.pv;
+          row.uv = estimateSketch(mergeSketch(row.sketch, old.visitors));
+        }
+        if (matched.size) {
+          statements.push(env.DB.prepare(`DELETE FROM ${table} WHERE rowid IN (SELECT value FROM json_each(?))`).bind(JSON.stringify([...matched.values()].map((r) => r.id))));
+        }
+        statements.push(...insertRollupRows(env, name, chunk));
+      }
+    }
+  }
+  if (statements.length) await env.DB.batch(statements);
+}
+
+// 将汇总水位回退到 from 所在的 UTC 日并删除之后的汇总，由定时任务从原始访问重新汇总
+// 原始访问已被保留策略清理的时段无法重建，删除后历史数据会永久丢失，因此直接拒绝
+async function resetRollups(env, from) {
+  const day = toSqlTime(new Date(Math.floor(from.getTime() / DAY_MS) * DAY_MS));
+  const state = await getRollupState(env);
+  if (state.pruned && day < state.pruned) {
+    throw httpError(400, `Raw visits before ${state.pruned} have been removed by the retention policy, rollups can only be rebuilt from the following day`);
+  }
+  await env.DB.batch([
+    ...["hourly", "daily"].flatMap((name) => [false, true].map((imported) =>
+      env.DB.prepare(`DELETE FROM ${rollupTable(name, imported)} WHERE bucket >= ?`).bind(day))),
+    env.DB.prepare(`UPDATE rollup_state SET value = ? WHERE name IN ('hourly', 'daily') AND value > ?`).bind(day, day)
+  ]);
+}
+
+// 拆分查询范围: 汇总水位之前、对齐到整桶的部分读汇总表 (rolled)，其余读原始记录 (raw)
+// path 只作用于原始记录，汇总部分由调用方按 path 维度查询
+// hourly 为 true 时使用小时汇总 (只有站点合计)，否则使用日汇总；两者都包含导入数据的汇总 (见 rollupSource)
+function splitRange(state, { siteId, path, range, hourly = false }) {
+  const step = hourly ? HOUR_MS : DAY_MS;
+  const watermark = hourly ? state.hourly : state.daily;
+  const table = rollupSource(hourly ? "hourly" : "daily");
+  if (!watermark) return { raw: buildFilter({ siteId, path, range }), rolled: null, table };
+
+  const start = range.from ? Math.ceil(range.from.getTime() / step) * step : null;
+  const end = Math.floor(Math.min(range.to ? range.to.getTime() : Infinity, sqlTimeToMs(watermark)) / step) * step;
+  if (start !== null && start >= end) return { raw: buildFilter({ siteId, path, range }), rolled: null, table };
+
+  const span = { from: start === null ? null : new Date(start), to: new Date(end) };
+  const exclude = span.from
+    ? { extra: ["(timestamp < ? OR timestamp >= ?)"], extraParams: [toSqlTime(span.from), toSqlTime(span.to)] }
+    : { extra: ["timestamp >= ?"], extraParams: [toSqlTime(span.to)] };
+  return {
+    raw: buildFilter({ siteId, path, range, ...exclude }),
+    rolled: (dimension) => buildFilter({ siteId, range: span, includeBots: true, timeColumn: "bucket", extra: ["dimension = ?"], extraParams: [dimension] }),
+    table
+  };
+}
+
+// 查询汇总表中某个维度 (空字符串为站点合计)；该范围没有可用的汇总时返回空结果
+function queryRollup(env, split, dimension, columns, tail = "", tailParams = []) {
+  if (!split.rolled) return Promise.resolve({ results: [] });
+  const { where, params } = split.rolled(dimension);
+  return env.DB.prepare(`SELECT ${columns} FROM ${split.table} ${where} ${tail}`).bind(...params, ...tailParams).all();
+}
+
+// 访问趋势: 汇总部分默认读 rollup_hourly 以便按访客时区换算；UTC 下按天的趋势直接读 rollup_daily
+// 每个时间桶的 UV 由落在其中的汇总桶的访客草图与尚未汇总的原始访问合并估算
+async function queryVisitSeries(env, state, siteId, range) {
+  const split = splitRange(state, { siteId, range, hourly: range.interval === "hour" || range.offset !== 0 });
+  const format = bucketFormat(range.interval);
+  const offset = offsetModifier(range.offset);
+  const rolledFilter = split.rolled?.("");
+  if (!rolledFilter) {
+    const result = await env.DB.prepare(
+      `SELECT strftime(?, timestamp, ?) as bucket, COUNT(*) as pv, COUNT(DISTINCT visitor_id) as uv FROM visits ${split.raw.where} GROUP BY 1 ORDER BY 1`
+    ).bind(format, offset, ...split.raw.params).all();
+    return fillSeries(result.results || [], range);
+  }
+
+  const [raw, rawVisitors, rolled] = await Promise.all([
+    env.DB.prepare(`SELECT strftime(?, timestamp, ?) as bucket, COUNT(*) as pv FROM visits ${split.raw.where} GROUP BY 1`)
+      .bind(format, offset, ...split.raw.params).all(),
+    env.DB.prepare(`SELECT strftime(?, timestamp, ?) as bucket, visitor_id FROM visits ${split.raw.where} AND visitor_id IS NOT NULL GROUP BY 1, 2`)
+      .bind(format, offset, ...split.raw.params).all(),
+    env.DB.prepare(`SELECT strftime(?, bucket, ?) as bucket, pv, visitors FROM ${split.table} ${rolledFilter.where}`)
+      .bind(format, offset, ...rolledFilter.params).all()
+  ]);
+  const sketches = new Map();
+  for (const r of rolled.results) mergeSketch(sketchFor(sketches, r.bucket), r.visitors);
+  for (const r of rawVisitors.results) sketchAdd(sketchFor(sketches, r.bucket), r.visitor_id);
+  return fillSeries(mergeGrouped([raw.results, rolled.results], "bucket", ["pv"])
+    .map((r) => ({ ...r, uv: estimateSketch(sketchFor(sketches, r.bucket)) }))
+    .sort((a, b) => (a.bucket < b.bucket ? -1 : 1)), range);
+}
+
+// 独立访客: 汇总表的 uv 只是单个桶内的去重结果，不能跨桶相加；已汇总的部分合并各桶的访客草图，
+// 再加入尚未汇总的原始访问后估算 (近似值)，整个范围都没有汇总时直接在原始访问上精确去重
+// 返回 维度取值 -> UV 的 Map (dimension 为空字符串时为站点合计，键为 '')，values 可限定只计算哪些维度取值
+async function queryUniqueVisitors(env, split, dimension = "", values = null) {
+  if (values && !values.length) return new Map();
+  const expr = dimension ? ROLLUP_DIMENSIONS[dimension] : "''";
+  const only = values ? ` AND ${expr} IN (SELECT value FROM json_each(?))` : "";
+  const onlyParams = values ? [JSON.stringify(values)] : [];
+  if (!split.rolled) {
+    const result = await env.DB.prepare(`SELECT ${expr} as value, COUNT(DISTINCT visitor_id) as uv FROM visits ${split.raw.where}${only} GROUP BY 1`)
+      .bind(...split.raw.params, ...onlyParams).all();
+    return new Map((result.results || []).map((r) => [r.value, r.uv]));
+  }
+
+  const [raw, rolled] = await Promise.all([
+    env.DB.prepare(`SELECT ${expr} as value, visitor_id FROM visits ${split.raw.where}${only} AND visitor_id IS NOT NULL GROUP BY 1, 2`)
+      .bind(...split.raw.params, ...onlyParams).all(),
+    queryRollup(env, split, dimension, "value, visitors", values ? "AND value IN (SELECT value FROM json_each(?))" : "", onlyParams)
+  ]);
+  const sketches = new Map();
+  for (const r of rolled.results) mergeSketch(sketchFor(sketches, r.value), r.visitors);
+  for (const r of raw.results) sketchAdd(sketchFor(sketches, r.value), r.visitor_id);
+  return new Map([...sketches].map(([value, sketch]) => [value, estimateSketch(sketch)]));
+}
+
+// 合并原始记录与汇总表的分组结果: 按 key 累加 fields 中的数值列，按第一个数值列降序排列
+function mergeGrouped(lists, key, fields, limit = Infinity) {
+  const merged = new Map();
+  for (const row of lists.flatMap((rows) => rows || [])) {
+    if (!merged.has(row[key])) merged.set(row[key], { [key]: row[key], ...Object.fromEntries(fields.map((f) => [f, 0])) });
+    const target = merged.get(row[key]);
+    for (const f of fields) target[f] += row[f] || 0;
+  }
+  return [...merged.values()].sort((a, b) => b[fields[0]] - a[fields[0]]).slice(0, limit);
+}
+
+function sqlTimeToMs(value) {
+  return Date.parse(`${value.replace(" ", "T")}Z`);
+}
+
+// ==================== 访客草图 ====================
+
+// 草图以 Map (寄存器序号 -> 值) 稀疏保存，只记录非零寄存器
+function sketchFor(sketches, key) {
+  if (!sketches.has(key)) sketches.set(key, new Map());
+  return sketches.get(key);
+}
+
+function sketchAdd(sketch, visitorId) {
+  const hash = sketchHash(String(visitorId));
+  const index = hash >>> (32 - SKETCH_PRECISION);
+  const rank = Math.clz32((hash << SKETCH_PRECISION) | (1 << (SKETCH_PRECISION - 1))) + 1;
+  if (rank > (sketch.get(index) || 0)) sketch.set(index, rank);
+}
+
+// 合并文本形式的草图: 每个非零寄存器占 4 个字符 (3 位十六进制的序号 + 1 位 36 进制的值)
+function mergeSketch(sketch, text) {
+  for (let i = 0; i + 4 <= (text || "").length; i += 4) {
+    const index = parseInt(text.slice(i, i + 3), 16);
+    const rank = parseInt(text[i + 3], 36);
+    if (rank > (sketch.get(index) || 0)) sketch.set(index, rank);
+  }
+  return sketch;
+}
+
+function formatSketch(sketch) {
+  return [...sketch].sort((a, b) => a[0] - b[0]).map(([index, rank]) => index.toString(16).padStart(3, "0") + rank.toString(36)).join("");
+}
+
+function estimateSketch(sketch) {
+  const m = SKETCH_REGISTERS;
+  const zeros = m - sketch.size;
+  let sum = zeros;
+  for (const rank of sketch.values()) sum += 2 ** -rank;
+  const estimate = (0.7213 / (1 + 1.079 / m)) * m * m / sum;
+  return Math.round(estimate <= 2.5 * m && zeros ? m * Math.log(m / zeros) : estimate);
+}
+
+// 访客 ID 的 32 位哈希: FNV-1a，再用 MurmurHash3 的 fmix32 打散各位
+function sketchHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// ==================== 数据保留 ====================
+
+function globalRetentionDays(env) {
+  return clampInt(env.RETENTION_DAYS, 0, 0, MAX_RETENTION_DAYS);
+}
+
+// 站点的保留天数: null 表示使用全局 RETENTION_DAYS，0 表示永久保留
+function validateRetentionDays(value) {
+  if (value === null || value === "") return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_RETENTION_DAYS) {
+    throw httpError(400, `'retention_days' must be an integer between 0 and ${MAX_RETENTION_DAYS}, or null`);
+  }
+  return days;
+}
+
+// 两张汇总表都已覆盖的时间点，早于该时间的原始访问才允许删除
+function rolledUntil(state) {
+  if (!state.hourly || !state.daily) return null;
+  return state.hourly < state.daily ? state.hourly : state.daily;
+}
+
+// 按保留策略删除过期的原始访问、会话与事件 (汇总表不受影响，历史统计仍可查询)
+// 设置了 retention_days 的站点按各自天数清理，其余站点 (含未登记的) 使用全局 RETENTION_DAYS
+async function pruneRawData(env, now = new Date()) {
+  const [state, sitesResult] = await Promise.all([
+    getRollupState(env),
+    env.DB.prepare(`SELECT id, retention_days FROM sites WHERE retention_days IS NOT NULL`).all()
+  ]);
+  const policies = [];
+  const globalDays = globalRetentionDays(env);
+  if (globalDays > 0) {
+    policies.push({ days: globalDays, where: "site_id NOT IN (SELECT id FROM sites WHERE retention_days IS NOT NULL)", params: [] });
+  }
+  for (const site of sitesResult.results || []) {
+    if (site.retention_days > 0) policies.push({ days: site.retention_days, where: "site_id = ?", params: [site.id] });
+  }
+
+  const rolled = rolledUntil(state);
+  const budget = { batches: RETENTION_MAX_BATCHES };
+  const deleted = { visits: 0, sessions: 0, events: 0 };
+  for (const policy of policies) {
+    const cutoff = toSqlTime(new Date(now.getTime() - policy.days * DAY_MS));
+    const targets = [
+      ["visits", "timestamp", rolled && rolled < cutoff ? rolled : cutoff],
+      ["sessions", "last_seen_at", cutoff],
+      ["events", "timestamp", cutoff]
+    ];
+    for (const [table, column, before] of targets) {
+      // 尚未汇总的访问不删除，等汇总追上后再清理
+      if (table === "visits" && !rolled) continue;
+      const count = await deleteInBatches(env, table, `${policy.where} AND ${column} < ?`, [...policy.params, before], budget);
+      deleted[table] += count;
+      if (table === "visits" && count) {
+        await env.DB.prepare(
+          `INSERT INTO rollup_state (name, value) VALUES ('pruned', ?) ON CONFLICT(name) DO UPDATE SET value = MAX(value, excluded.value)`
+        ).bind(before).run();
+      }
+    }
+  }
+  return { deleted, pending: budget.batches <= 0 };
+}
+
+// 分批删除满足条件的行，每批最多 RETENTION_BATCH_SIZE 行，共享 budget.batches 次数；返回删除的行数
+async function deleteInBatches(env, table, where, params, budget) {
+  let total = 0;
+  while (budget.batches > 0) {
+    budget.batches--;
+    const result = await env.DB.prepare(
+      `DELETE FROM ${table} WHERE rowid IN (SELECT rowid FROM ${table} WHERE ${where} LIMIT ?)`
+    ).bind(...params, RETENTION_BATCH_SIZE).run();
+    const changes = result.meta?.changes || 0;
+    total += changes;
+    if (changes < RETENTION_BATCH_SIZE) {
+      budget.batches++; // 未删满一批说明已删完，不占用次数
+      break;
+    }
+  }
+  return total;
+}
+
+// ==================== 数据导入 ====================
+
+// 读取导入文件中的记录 ({ line, record } 或 { line, error })；CSV 缺少必需的列时返回 400
+function readImportRecords(format, body) {
+  if (format === "ndjson") return parseNdjson(body);
+  const records = csvRecords(parseCsv(body), IMPORT_FORMATS[format].columns);
+  if (records.error) throw httpError(400, records.error);
+  return records;
+}
+
+// 转换为待写入的访问记录 (按 IMPORT_VISIT_COLUMNS 排列的数组)，同时返回行错误、读取行数与跳过行数
+function parseImport(format, records, { importId, offset, now }) {
+  const spec = IMPORT_FORMATS[format];
+  const result = { rows: [], errors: [], read: 0, skipped: 0 };
+  for (const { line, record, error } of records) {
+    result.read++;
+    try {
+      if (error) throw new Error(error);
+      const rows = spec.aggregate
+        ? expandAggregateRow(record, `imp${importId}`, now)
+        : [format === "umami" ? umamiRow(record) : ndjsonRow(record, `imp${importId}:${offset + line}`)].filter(Boolean);
+      if (!rows.length) result.skipped++;
+      result.rows.push(...rows);
+    } catch (err) {
+      result.errors.push({ line: offset + line, error: err.message });
+    }
+  }
+  return result;
+}
+
+// 聚合行 (日期 + 页面 + 浏览量 + 用户数): 浏览量均匀分布在当天，同一天的记录共用 visitors 个访客 ID
+// 因此页面级的 UV 与原数据一致，站点级的 UV 为各页面用户数的最大值 (原数据无法得知页面之间的访客重叠)
+function expandAggregateRow(record, prefix, now) {
+  const day = parseImportTime(record.date);
+  if (!day || !day.dateOnly) throw new Error("Invalid date");
+  const views = parseImportCount(record.pageviews);
+  const visitors = record.visitors === undefined || record.visitors === "" ? views : parseImportCount(record.visitors);
+  const pool = Math.max(1, Math.min(visitors, views));
+  const path = normalizePath(record.path);
+  const country = importCountry(record.country);
+  const date = toSqlTime(new Date(day.ms)).slice(0, 10);
+
+  const rows = [];
+  for (let k = 0; k < views; k++) {
+    const time = Math.min(day.ms + Math.floor(((k + 0.5) * DAY_MS) / views), now);
+    rows.push([path, country, null, null, `${prefix}:${date}:${k % pool}`, null, null, "direct", ...UTM_FIELDS.map(() => null), null, null, null, toSqlTime(new Date(time))]);
+  }
+  return rows;
+}
+
+// Umami 导出的 website_event: 只导入页面访问 (event_type 1)，自定义事件跳过
+function umamiRow(record) {
+  if (record.event_type && String(record.event_type).trim() !== "1") return null;
+  const time = parseImportTime(record.timestamp);
+  if (!time) throw new Error("Invalid created_at");
+  const ref = record.referrer_domain
+    ? classifyReferrer(`https://${record.referrer_domain}${record.referrer_path || ""}`, record.hostname ? `https://${record.hostname}` : null)
+    : { referrer: null, host: null, source: "direct" };
+  const utm = readUtm(record);
+  const os = String(record.os || "");
+  return [
+    normalizePath(record.path), importCountry(record.country), geoText(record.region), geoText(record.city),
+    record.visitor ? `umami:${record.visitor}` : null,
+    ref.referrer, ref.host, ref.source, ...UTM_FIELDS.map((f) => utm[f]),
+    UMAMI_BROWSERS[String(record.browser || "").toLowerCase()] || "Other",
+    /^windows/i.test(os) ? "Windows" : /^mac/i.test(os) ? "macOS" : /^ios/i.test(os) ? "iOS" : /^android/i.test(os) ? "Android"
+      : /^chrome os/i.test(os) ? "Chrome OS" : /linux/i.test(os) ? "Linux" : "Other",
+    ["mobile", "tablet"].includes(record.device) ? record.device : "desktop",
+    toSqlTime(new Date(time.ms))
+  ];
+}
+
+// NDJSON: 每行一个对象，支持 timestamp、path、country、region、city、visitor_id、referrer、hostname、user_agent (或 browser / os / device) 与 utm_* 字段
+function ndjsonRow(record, fallbackVisitor) {
+  const time = parseImportTime(record.timestamp);
+  if (!time) throw new Error("Invalid timestamp");
+  const ref = classifyReferrer(record.referrer, record.hostname ? `https://${record.hostname}` : null);
+  const utm = readUtm(record);
+  const ua = record.user_agent ? parseUserAgent(record.user_agent) : null;
+  const text = (value, fallback) => (value ? String(value).slice(0, 64) : fallback);
+  return [
+    normalizePath(record.path), importCountry(record.country), geoText(record.region), geoText(record.city),
+    record.visitor_id ? String(record.visitor_id).slice(0, 128) : fallbackVisitor,
+    ref.referrer, ref.host, ref.source, ...UTM_FIELDS.map((f) => utm[f]),
+    ua ? ua.browser : text(record.browser, "Other"), ua ? ua.os : text(record.os, "Other"), ua ? ua.device : text(record.device, "desktop"),
+    toSqlTime(new Date(time.ms))
+  ];
+}
+
+function parseNdjson(body) {
+  const records = [];
+  body.split("\n").forEach((text, i) => {
+    if (!text.trim()) return;
+    try {
+      const record = JSON.parse(text);
+      if (!record || typeof record !== "object" || Array.isArray(record)) throw new Error("not an object");
+      records.push({ line: i + 1, record });
+    } catch (e) {
+      records.push({ line: i + 1, error: "Invalid JSON line" });
+    }
+  });
+  return records;
+}
+
+// CSV 记录 -> 按导入格式的列别名取值 (表头不区分大小写)；GA4 导出开头的 # 注释行与空行会被跳过
+function csvRecords(rows, columns) {
+  const data = rows.filter((r) => r.cells.some((c) => c.trim()) && !r.cells[0].startsWith("#"));
+  if (!data.length) return [];
+  const header = data[0].cells.map((c) => c.replace(/^\uFEFF/, "").trim().toLowerCase());
+  const index = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const found = aliases.map((a) => header.indexOf(a)).find((i) => i >= 0);
+    if (found !== undefined) index[field] = found;
+  }
+  const required = "date" in columns ? ["date", "pageviews"] : ["timestamp"];
+  const missing = required.filter((f) => index[f] === undefined);
+  if (missing.length) {
+    return { error: `Missing column(s): ${missing.map((f) => columns[f].join(" / ")).join(", ")}` };
+  }
+  return data.slice(1).map(({ line, cells }) => ({
+    line,
+    record: Object.fromEntries(Object.entries(index).map(([field, i]) => [field, (cells[i] ?? "").trim()]))
+  }));
+}
+
+// RFC 4180 CSV 解析，返回每条记录的起始行号与各列文本 (支持引号内的逗号、换行与 "" 转义)
+function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { cells.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      cells.push(cell);
+      rows.push({ line: start, cells });
+      cells = [];
+      cell = "";
+      start = ++line;
+    } else cell += ch;
+  }
+  if (cell || cells.length) {
+    cells.push(cell);
+    rows.push({ line: start, cells });
+  }
+  return rows;
+}
+
+// 导入数据的时间: 支持 20240131、2024-01-31 (按 UTC 日期)、不带时区的日期时间 (按 UTC)、ISO 8601 与 Unix 时间戳
+function parseImportTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  let ms;
+  let dateOnly = false;
+  const text = String(value).trim();
+  if (typeof value === "number" || /^\d{10}(\d{3})?$/.test(text)) ms = Number(text) * (text.length > 10 ? 1 : 1000);
+  else if (/^\d{8}$/.test(text)) {
+    ms = Date.parse(`${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}T00:00:00Z`);
+    dateOnly = true;
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    ms = Date.parse(`${text}T00:00:00Z`);
+    dateOnly = true;
+  } else if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) ms = Date.parse(`${text.replace(" ", "T")}Z`);
+  else ms = Date.parse(text);
+  // 只接受 2000 年之后且不晚于明天的时间
+  if (!Number.isFinite(ms) || ms < Date.UTC(2000, 0, 1) || ms > Date.now() + DAY_MS) return null;
+  return { ms, dateOnly };
+}
+
+function parseImportCount(value) {
+  const count = Number(String(value ?? "").replace(/[,\s]/g, ""));
+  if (!Number.isInteger(count) || count < 0) throw new Error("Invalid count");
+  return count;
+}
+
+// 国家: 两位代码原样使用，英文国家名 (如 GA4 的 Country 列) 通过 Intl.DisplayNames 反查代码
+// 缺失或无法识别时与实时上报一样记为 Unknown，避免国家排行中同时出现空值与 Unknown
+let countryNames = null;
+function importCountry(value) {
+  const text = String(value || "").trim();
+  if (/^[A-Za-z]{2}$/.test(text)) return text.toUpperCase();
+  if (!text || text === "(not set)") return "Unknown";
+  if (!countryNames) {
+    countryNames = new Map();
+    try {
+      const names = new Intl.DisplayNames(["en"], { type: "region" });
+      for (let a = 65; a <= 90; a++) {
+        for (let b = 65; b <= 90; b++) {
+          const code = String.fromCharCode(a, b);
+          const name = names.of(code);
+          if (name && name !== code) countryNames.set(name.toLowerCase(), code);
+        }
+      }
+    } catch (e) {}
+  }
+  return countryNames.get(text.toLowerCase()) || "Unknown";
+}
+
+// ==================== 告警 ====================
+
+function validateAlertRule(data) {
+  const type = data.type;
+  if (!ALERT_TYPES.includes(type)) throw httpError(400, `'type' must be one of: ${ALERT_TYPES.join(", ")}`);
+
+  let threshold = null;
+  if (type !== "no_hits") {
+    threshold = Number(data.threshold);
+    if (data.threshold === null || data.threshold === "" || !Number.isFinite(threshold)) throw httpError(400, "'threshold' must be a number");
+    if (type === "change" && (threshold === 0 || threshold < -100)) throw httpError(400, "'threshold' must be a non-zero percentage (>= -100)");
+    if (type !== "change" && threshold < 0) throw httpError(400, "'threshold' must not be negative");
+  }
+
+  const windowMinutes = Number(data.window_minutes);
+  if (!Number.isInteger(windowMinutes) || windowMinutes < ALERT_MIN_WINDOW_MINUTES || windowMinutes > ALERT_MAX_WINDOW_MINUTES) {
+    throw httpError(400, `'window_minutes' must be an integer between ${ALERT_MIN_WINDOW_MINUTES} and ${ALERT_MAX_WINDOW_MINUTES}`);
+  }
+
+  const repeatMinutes = data.repeat_minutes === undefined || data.repeat_minutes === null ? 0 : Number(data.repeat_minutes);
+  if (!Number.isInteger(repeatMinutes) || repeatMinutes < 0 || repeatMinutes > ALERT_MAX_WINDOW_MINUTES) {
+    throw httpError(400, `'repeat_minutes' must be an integer between 0 and ${ALERT_MAX_WINDOW_MINUTES}`);
+  }
+
+  return {
+    site_id: requireSiteId(data.site_id),
+    name: requireName(data.name),
+    type,
+    threshold,
+    window_minutes: windowMinutes,
+    ...validateWebhookTarget(data),
+    repeat_minutes: repeatMinutes,
+    enabled: data.enabled === undefined || data.enabled ? 1 : 0
+  };
+}
+
+// Webhook 地址 (须为 https)、格式 (generic / slack / telegram) 与 Telegram 的 chat_id
+function validateWebhookTarget(data) {
+  let webhookUrl;
+  try {
+    webhookUrl = new URL(String(data.webhook_url || ""));
+  } catch {
+    throw httpError(400, "Invalid 'webhook_url'");
+  }
+  if (webhookUrl.protocol !== "https:") throw httpError(400, "'webhook_url' must use https");
+
+  const format = data.webhook_format || "generic";
+  if (!ALERT_FORMATS.includes(format)) throw httpError(400, `'webhook_format' must be one of: ${ALERT_FORMATS.join(", ")}`);
+  const chatId = data.chat_id === undefined || data.chat_id === null ? "" : String(data.chat_id).trim();
+  if (format === "telegram" && !chatId) throw httpError(400, "'chat_id' is required for telegram webhooks");
+  return { webhook_url: webhookUrl.toString(), webhook_format: format, chat_id: format === "telegram" ? chatId : null };
+}
+
+function formatAlertRule(row) {
+  return { ...row, enabled: !!row.enabled };
+}
+
+// 定时评估全部启用的告警规则，只在状态变化 (ok -> firing / firing -> ok) 或到达重复通知间隔时发送 Webhook
+// 投递失败时不推进状态，下一轮会再次尝试
+async function evaluateAlerts(env, now = new Date()) {
+  const rules = await env.DB.prepare(`SELECT * FROM alert_rules WHERE enabled = 1`).all();
+  for (const rule of rules.results || []) {
+    const result = await measureAlert(env, rule, now);
+    const firing = result.firing;
+    const checkedAt = toSqlTime(now);
+
+    let status = null;
+    if (firing && rule.state !== "firing") status = "firing";
+    else if (!firing && rule.state === "firing") status = "resolved";
+    else if (firing && rule.repeat_minutes && (!rule.last_notified_at || now.getTime() - sqlTimeToMs(rule.last_notified_at) >= rule.repeat_minutes * 60000)) {
+      status = "firing";
+    }
+
+    if (!status) {
+      await env.DB.prepare(`UPDATE alert_rules SET last_value = ?, last_checked_at = ? WHERE id = ?`).bind(result.value, checkedAt, rule.id).run();
+      continue;
+    }
+
+    const delivery = await deliverAlert(rule, status, result, now);
+    const statements = [
+      env.DB.prepare(
+        `INSERT INTO alert_events (rule_id, site_id, status, value, message, delivered, error) VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).bind(rule.id, rule.site_id, status, result.value, alertMessage(rule, status, result), delivery.delivered ? 1 : 0, delivery.error)
+    ];
+    statements.push(delivery.delivered
+      ? env.DB.prepare(`UPDATE alert_rules SET state = ?, last_value = ?, last_checked_at = ?, last_notified_at = ? WHERE id = ?`)
+        .bind(firing ? "firing" : "ok", result.value, checkedAt, checkedAt, rule.id)
+      : env.DB.prepare(`UPDATE alert_rules SET last_value = ?, last_checked_at = ? WHERE id = ?`).bind(result.value, checkedAt, rule.id));
+    await env.DB.batch(statements);
+  }
+
+  await env.DB.prepare(`DELETE FROM alert_events WHERE created_at < ?`).bind(toSqlTime(new Date(now.getTime() - ALERT_HISTORY_DAYS * DAY_MS))).run();
+}
+
+// 计算规则的当前取值: PV (pv_above / pv_below)、相对上周同一时段的变化百分比 (change)、距最后一次访问的分钟数 (no_hits)
+async function measureAlert(env, rule, now) {
+  const windowMs = rule.window_minutes * 60000;
+  const countVisits = async (from, to) => {
+    const { where, params } = buildFilter({ siteId: rule.site_id, range: { from, to } });
+    const row = await env.DB.prepare(`SELECT COUNT(*) as pv FROM visits ${where}`).bind(...params).first();
+    return row?.pv || 0;
+  };
+
+  if (rule.type === "no_hits") {
+    const { where, params } = buildFilter({ siteId: rule.site_id });
+    const row = await env.DB.prepare(`SELECT MAX(timestamp) as t FROM visits ${where}`).bind(...params).first();
+    const idle = row?.t ? now.getTime() - sqlTimeToMs(row.t) : null;
+    return { value: idle === null ? null : Math.floor(idle / 60000), firing: idle === null || idle >= windowMs };
+  }
+
+  const pv = await countVisits(new Date(now.getTime() - windowMs), now);
+  if (rule.type === "pv_above") return { value: pv, firing: pv > rule.threshold };
+  if (rule.type === "pv_below") return { value: pv, firing: pv < rule.threshold };
+
+  // 基线为 7 天前的同一时段，避开每天的流量起伏；基线为 0 时无法计算变化率，不触发
+  const baseline = await countVisits(new Date(now.getTime() - ALERT_BASELINE_DAYS * DAY_MS - windowMs), new Date(now.getTime() - ALERT_BASELINE_DAYS * DAY_MS));
+  if (!baseline) return { value: null, firing: false };
+  const percent = Math.round(((pv - baseline) / baseline) * 1000) / 10;
+  return { value: percent, firing: rule.threshold > 0 ? percent >= rule.threshold : percent <= rule.threshold };
+}
+
+function alertMessage(rule, status, result) {
+  const prefix = status === "resolved" ? "Resolved" : "Alert";
+  const window = `${rule.window_minutes} min`;
+  const detail = {
+    pv_above: `${result.value} page views in the last ${window} (threshold > ${rule.threshold})`,
+    pv_below: `${result.value} page views in the last ${window} (threshold < ${rule.threshold})`,
+    change: `page views in the last ${window} changed by ${result.value === null ? "n/a" : `${result.value > 0 ? "+" : ""}${result.value}%`} vs. ${ALERT_BASELINE_DAYS} days ago (threshold ${rule.threshold > 0 ? "+" : ""}${rule.threshold}%)`,
+    no_hits: result.value === null ? "no hits recorded yet" : `last hit ${result.value} min ago (threshold ${window})`
+  }[rule.type];
+  return `[${prefix}] ${rule.name} · ${rule.site_id}: ${detail}`;
+}
+
+// 发送 Webhook: 按 webhook_format 生成 generic / Slack / Telegram 格式的请求体
+// 请求头 X-Leon-Signature = sha256=HMAC-SHA256(secret, "<X-Leon-Timestamp>.<body>")，接收方可据此校验来源并拒绝重放
+async function deliverAlert(rule, status, result, now) {
+  const message = result.message || alertMessage(rule, status, result);
+  const payload = {
+    generic: () => ({
+      event: `alert.${status}`,
+      rule: { id: rule.id, name: rule.name, site_id: rule.site_id, type: rule.type, threshold: rule.threshold, window_minutes: rule.window_minutes },
+      value: result.value,
+      message,
+      timestamp: now.toISOString()
+    }),
+    slack: () => ({ text: message }),
+    telegram: () => ({ chat_id: rule.chat_id, text: message, disable_web_page_preview: true })
+  }[rule.webhook_format]();
+
+  return postWebhook(rule.webhook_url, rule.secret, payload, now, "LeonAnalytics-Alerts");
+}
+
+// 发送签名的 JSON Webhook，返回 { delivered, error } (非 2xx、超时与网络错误都记为投递失败)
+async function postWebhook(webhookUrl, secret, payload, now, userAgent) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  return sendRequest(webhookUrl, {
+    "User-Agent": userAgent,
+    "X-Leon-Timestamp": timestamp,
+    "X-Leon-Signature": `sha256=${await hmacSha256Hex(secret, `${timestamp}.${body}`)}`
+  }, body);
+}
+
+async function sendRequest(target, headers, body) {
+  try {
+    const res = await fetch(target, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    return res.ok ? { delivered: true, error: null } : { delivered: false, error: `HTTP ${res.status}` };
+  } catch (err) {
+    return { delivered: false, error: String(err.message || err).slice(0, 200) };
+  }
+}
+
+// ==================== 定期摘要 ====================
+
+function validateDigest(env, data) {
+  const frequency = data.frequency;
+  if (!DIGEST_FREQUENCIES.includes(frequency)) throw httpError(400, `'frequency' must be one of: ${DIGEST_FREQUENCIES.join(", ")}`);
+  const timezone = data.timezone || "UTC";
+  if (resolveTimeZone(timezone) !== timezone) throw httpError(400, "Invalid 'timezone'");
+
+  const channel = data.channel || "webhook";
+  if (!DIGEST_CHANNELS.includes(channel)) throw httpError(400, `'channel' must be one of: ${DIGEST_CHANNELS.join(", ")}`);
+  let target = { webhook_url: null, webhook_format: null, chat_id: null };
+  let recipients = null;
+  if (channel === "webhook") target = validateWebhookTarget(data);
+  else {
+    if (!env.EMAIL_API_KEY || !env.EMAIL_FROM) throw httpError(400, "Email delivery is not configured (set EMAIL_API_KEY and EMAIL_FROM)");
+    recipients = validateRecipients(data.recipients);
+  }
+
+  return {
+    site_id: requireSiteId(data.site_id),
+    name: requireName(data.name),
+    frequency,
+    timezone,
+    channel,
+    ...target,
+    recipients,
+    enabled: data.enabled === undefined || data.enabled ? 1 : 0
+  };
+}
+
+// 收件人: 数组或逗号分隔的邮箱地址
+function validateRecipients(value) {
+  const list = [...new Set((Array.isArray(value) ? value : String(value || "").split(","))
+    .map((r) => (typeof r === "string" ? r.trim() : ""))
+    .filter(Boolean))];
+  if (!list.length) throw httpError(400, "'recipients' must contain at least one email address");
+  if (list.length > DIGEST_MAX_RECIPIENTS) throw httpError(400, `At most ${DIGEST_MAX_RECIPIENTS} recipients are allowed`);
+  const invalid = list.find((r) => !/^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/.test(r));
+  if (invalid) throw httpError(400, `Invalid email address: ${invalid}`);
+  return list;
+}
+
+function formatDigest(row) {
+  return { ...row, recipients: row.recipients ? JSON.parse(row.recipients) : [], enabled: !!row.enabled };
+}
+
+// 定时任务: 为每个启用的订阅发送最近一个已结束周期的摘要；每个周期只成功发送一次，投递失败时下一轮 (一小时后) 重试
+async function sendDigests(env, now = new Date()) {
+  const digests = await env.DB.prepare(`SELECT * FROM digests WHERE enabled = 1`).all();
+  for (const digest of digests.results || []) {
+    const period = digestPeriod(digest.frequency, digest.timezone, now);
+    if (digest.last_period === period.key) continue;
+    const message = renderDigest(digest, await buildDigestReport(env, digest, period));
+    const delivery = await deliverDigest(env, digest, message, now);
+    await (delivery.delivered
+      ? env.DB.prepare(`UPDATE digests SET last_period = ?, last_sent_at = ?, last_error = NULL WHERE id = ?`).bind(period.key, toSqlTime(now), digest.id)
+      : env.DB.prepare(`UPDATE digests SET last_error = ? WHERE id = ?`).bind(delivery.error, digest.id)
+    ).run();
+  }
+}
+
+// 最近一个已结束的周期 (按订阅的时区): daily 为昨天，weekly 为上周一至周日，monthly 为上个月
+// key 为周期首日 (YYYY-MM-DD)，用于避免同一周期重复发送；previous 为紧邻的上一个周期
+function digestPeriod(frequency, timeZone, now) {
+  const local = new Date(now.getTime() + getTimeZoneOffset(timeZone, now) * 60000);
+  const y = local.getUTCFullYear();
+  const m = local.getUTCMonth();
+  const d = local.getUTCDate();
+  let bounds;
+  if (frequency === "daily") bounds = [Date.UTC(y, m, d - 2), Date.UTC(y, m, d - 1), Date.UTC(y, m, d)];
+  else if (frequency === "weekly") {
+    const monday = d - ((local.getUTCDay() + 6) % 7);
+    bounds = [Date.UTC(y, m, monday - 14), Date.UTC(y, m, monday - 7), Date.UTC(y, m, monday)];
+  } else bounds = [Date.UTC(y, m - 2, 1), Date.UTC(y, m - 1, 1), Date.UTC(y, m, 1)];
+
+  // 当地零点换算为 UTC 时刻 (各自使用当时的偏移，兼顾夏令时)
+  const [previousStart, start, end] = bounds.map((ms) => new Date(ms - getTimeZoneOffset(timeZone, new Date(ms)) * 60000));
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  const key = day(bounds[1]);
+  const label = frequency === "daily" ? key : frequency === "weekly" ? `${key} – ${day(bounds[2] - DAY_MS)}` : key.slice(0, 7);
+  return { key, label, from: start, to: end, previous: { from: previousStart, to: start } };
+}
+
+// 摘要数据: PV/UV 及相对上一周期的变化、热门页面与国家排行 (不含爬虫)
+async function buildDigestReport(env, digest, period) {
+  const [current, previous, pages, countries] = await Promise.all([
+    queryVisitSummary(env, digest.site_id, period),
+    queryVisitSummary(env, digest.site_id, period.previous),
+    queryTopPages(env, digest.site_id, period, DIGEST_TOP_LIMIT),
+    queryTopCountries(env, digest.site_id, period, DIGEST_TOP_LIMIT)
+  ]);
+  return {
+    site_id: digest.site_id,
+    frequency: digest.frequency,
+    period: { key: period.key, label: period.label, from: period.from.toISOString(), to: period.to.toISOString(), timezone: digest.timezone },
+    pv: current.pv,
+    uv: current.uv,
+    previous,
+    changes: { pv: change(current.pv, previous.pv), uv: change(current.uv, previous.uv) },
+    pages: pages.pages,
+    countries
+  };
+}
+
+async function queryTopCountries(env, siteId, range, limit) {
+  const visits = splitRange(await getRollupState(env), { siteId, range });
+  const [raw, rolled] = await Promise.all([
+    env.DB.prepare(`SELECT ${ROLLUP_DIMENSIONS.country} as country, COUNT(*) as pv FROM visits ${visits.raw.where} GROUP BY 1`)
+      .bind(...visits.raw.params).all(),
+    queryRollup(env, visits, "country", "value as country, SUM(pv) as pv", "GROUP BY value")
+  ]);
+  const countries = mergeGrouped([raw.results, rolled.results], "country", ["pv"], limit);
+  const uniques = await queryUniqueVisitors(env, visits, "country", countries.map((r) => r.country));
+  return countries.map((r) => ({ ...r, uv: uniques.get(r.country) || 0 }));
+}
+
+// 渲染摘要的邮件标题、纯文本 (也用于 Slack / Telegram) 与 HTML
+function renderDigest(digest, report) {
+  const unit = { daily: "day", weekly: "week", monthly: "month" }[digest.frequency];
+  const number = (n) => n.toLocaleString("en-US");
+  const delta = (c) => (c === null ? "n/a" : `${c > 0 ? "+" : ""}${Math.round(c * 1000) / 10}%`);
+  const heading = `${digest.frequency[0].toUpperCase()}${digest.frequency.slice(1)} digest · ${report.period.label} (${report.period.timezone})`;
+  const metrics = [["Page views", report.pv, report.changes.pv], ["Unique visitors", report.uv, report.changes.uv]];
+  const lists = [["Top pages", report.pages.map((p) => [p.path, p.pv])], ["Top countries", report.countries.map((c) => [c.country, c.pv])]];
+
+  const text = [
+    `${digest.name} · ${report.site_id}`,
+    heading,
+    "",
+    ...metrics.map(([label, value, c]) => `${label}: ${number(value)} (${delta(c)} vs. previous ${unit})`),
+    ...lists.flatMap(([title, rows]) => [
+      "",
+      title,
+      ...(rows.length ? rows.map(([name, pv], i) => `  ${i + 1}. ${name} — ${number(pv)}`) : ["  (no data)"])
+    ])
+  ].join("\n");
+
+  const cell = "padding:6px 8px;border-bottom:1px solid #e2e8f0";
+  const html = `<!DOCTYPE html><html><body style="margin:0;padding:24px;background:#f8fafc;font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#0f172a">` +
+    `<div style="max-width:560px;margin:0 auto;background:#fff;border:1px solid #e2e8f0;border-radius:8px;padding:24px">` +
+    `<h2 style="margin:0 0 4px;font-size:18px">${escapeXml(digest.name)} <span style="color:#64748b;font-weight:normal">${escapeXml(report.site_id)}</span></h2>` +
+    `<p style="margin:0 0 20px;color:#64748b;font-size:13px">${escapeXml(heading)}</p>` +
+    `<table style="width:100%;border-collapse:collapse;margin-bottom:20px"><tr>` +
+    metrics.map(([label, value, c]) =>
+      `<td style="padding:12px;background:#f1f5f9;border-radius:6px;width:50%"><div style="font-size:12px;color:#64748b">${label}</div>` +
+      `<div style="font-size:24px;font-weight:bold">${number(value)}</div>` +
+      `<div style="font-size:12px;color:${c === null ? "#64748b" : c >= 0 ? "#059669" : "#dc2626"}">${delta(c)} vs. previous ${unit}</div></td>`
+    ).join(`<td style="width:8px"></td>`) +
+    `</tr></table>` +
+    lists.map(([title, rows]) =>
+      `<h3 style="margin:0 0 8px;font-size:14px">${title}</h3><table style="width:100%;border-collapse:collapse;font-size:13px;margin-bottom:20px">` +
+      (rows.length
+        ? rows.map(([name, pv]) => `<tr><td style="${cell};word-break:break-all">${escapeXml(name)}</td><td style="${cell};text-align:right">${number(pv)}</td></tr>`).join("")
+        : `<tr><td style="${cell};color:#64748b">(no data)</td></tr>`) +
+      `</table>`
+    ).join("") +
+    `<p style="margin:0;color:#94a3b8;font-size:11px">Sent by Leon Analytics</p></div></body></html>`;
+
+  return { subject: `[Leon Analytics] ${digest.name} · ${report.period.label}`, text, html, report };
+}
+
+// 投递摘要: webhook 按 webhook_format 生成请求体并签名 (与告警相同)，email 通过邮件 HTTP API 发送
+async function deliverDigest(env, digest, message, now) {
+  if (digest.channel === "email") return sendEmail(env, JSON.parse(digest.recipients), message);
+  const payload = {
+    generic: () => ({
+      event: "digest",
+      digest: { id: digest.id, name: digest.name, site_id: digest.site_id, frequency: digest.frequency },
+      ...message
+    }),
+    slack: () => ({ text: message.text }),
+    telegram: () => ({ chat_id: digest.chat_id, text: message.text, disable_web_page_preview: true })
+  }[digest.webhook_format]();
+  return postWebhook(digest.webhook_url, digest.secret, payload, now, "LeonAnalytics-Digests");
+}
+
+// 邮件 HTTP API: EMAIL_PROVIDER 为 resend (默认) 或 sendgrid，EMAIL_API_URL 可替换为兼容同一格式的其他接口
+async function sendEmail(env, recipients, message) {
+  if (!env.EMAIL_API_KEY || !env.EMAIL_FROM) return { delivered: false, error: "Email delivery is not configured" };
+  const provider = EMAIL_PROVIDERS[env.EMAIL_PROVIDER] ? env.EMAIL_PROVIDER : "resend";
+  let body;
+  if (provider === "sendgrid") {
+    // EMAIL_FROM 可写作 "Name <user@example.com>"
+    const [, name, email] = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(env.EMAIL_FROM) || [null, "", env.EMAIL_FROM];
+    body = {
+      personalizations: [{ to: recipients.map((to) => ({ email: to })) }],
+      from: name ? { email, name } : { email },
+      subject: message.subject,
+      content: [{ type: "text/plain", value: message.text }, { type: "text/html", value: message.html }]
+    };
+  } else {
+    body = { from: env.EMAIL_FROM, to: recipients, subject: message.subject, text: message.text, html: message.html };
+  }
+  return sendRequest(env.EMAIL_API_URL || EMAIL_PROVIDERS[provider], { Authorization: `Bearer ${env.EMAIL_API_KEY}` }, JSON.stringify(body));
+}
+
+// ==================== 时间范围工具 ====================
+
+// 带 HTTP 状态码的错误，用于参数校验失败等情况
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// 解析时间范围参数:
+//   ?range=24h|7d|30d|90d|all           预设范围 (默认 all)
+//   ?from=2024-01-01&to=2024-01-31      自定义范围 (日期按 tz 解释，to 包含当天)
+//   ?interval=hour|day                  时间序列粒度 (默认按跨度自动选择)
+//   ?tz=Asia/Shanghai                   IANA 时区，用于日期解析与分桶 (默认 UTC)
+function parseRange(url) {
+  const query = url.searchParams;
+  const tz = resolveTimeZone(query.get("tz"));
+  const now = new Date();
+  const offset = getTimeZoneOffset(tz, now);
+  let preset = query.get("range") || "all";
+  let from = null;
+  let to = null;
+
+  if (query.get("from") || query.get("to")) {
+    preset = "custom";
+    from = parseDateParam(query.get("from"), offset, false, "from");
+    to = parseDateParam(query.get("to"), offset, true, "to");
+    if (from && to && from >= to) throw httpError(400, "'from' must be earlier than 'to'");
+  } else if (RANGE_PRESETS[preset]) {
+    from = new Date(now.getTime() - RANGE_PRESETS[preset]);
+  } else if (preset !== "all") {
+    throw httpError(400, `Unknown range '${preset}'`);
+  }
+
+  const span = from ? (to || now).getTime() - from.getTime() : Infinity;
+  let interval = query.get("interval");
+  if (interval !== "hour" && interval !== "day") interval = span <= 2 * DAY_MS ? "hour" : "day";
+  if (interval === "hour" && span > MAX_HOURLY_SPAN) interval = "day";
+
+  return { preset, from, to, interval, tz, offset };
+}
+
+// 对比周期: previous 为紧邻的等长周期，year 为去年同期；粒度与时区沿用当前范围
+function comparisonRange(range, mode) {
+  if (!range.from) throw httpError(400, "'compare' requires a bounded time range");
+  const end = range.to || new Date();
+  if (mode === "year") {
+    const lastYear = (date) => {
+      const d = new Date(date);
+      d.setUTCFullYear(d.getUTCFullYear() - 1);
+      return d;
+    };
+    return { ...range, from: lastYear(range.from), to: lastYear(end) };
+  }
+  return { ...range, from: new Date(range.from.getTime() - (end.getTime() - range.from.getTime())), to: range.from };
+}
+
+// 日期参数: 纯日期 (YYYY-MM-DD) 按时区取当天零点，结束日期取次日零点；其余按 ISO 时间解析
+function parseDateParam(value, offset, isEnd, name) {
+  if (!value) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const ms = m
+    ? Date.UTC(+m[1], +m[2] - 1, +m[3] + (isEnd ? 1 : 0)) - offset * 60000
+    : Date.parse(value);
+  if (Number.isNaN(ms)) throw httpError(400, `Invalid '${name}' parameter`);
+  return new Date(ms);
+}
+
+function resolveTimeZone(tz) {
+  if (!tz) return "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch (e) {
+    return "UTC";
+  }
+}
+
+// 计算某时区在指定时刻相对 UTC 的偏移 (分钟)
+function getTimeZoneOffset(timeZone, date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(date);
+  const v = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+  const asUTC = Date.UTC(+v.year, +v.month - 1, +v.day, +v.hour, +v.minute, +v.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// D1 中 timestamp 为 CURRENT_TIMESTAMP 写入的 UTC 文本 (YYYY-MM-DD HH:MM:SS)
+function toSqlTime(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+// 组装 WHERE 子句: 站点 + 页面 + 时间范围 (命中 idx_site_id / idx_timestamp)
+// extra 为附加条件，其占位符参数按顺序放在 extraParams 中；默认排除被标记为爬虫的访问 (仅 visits 表有 is_bot)
+// timeColumn 为时间范围作用的列 (sessions 表为 started_at)；siteId 可为数组 (令牌的站点范围)
+function buildFilter({ siteId, path, range, extra = [], extraParams = [], includeBots = false, timeColumn = "timestamp" }) {
+  const conditions = includeBots ? [...extra] : ["is_bot = 0", ...extra];
+  const params = [...extraParams];
+  if (Array.isArray(siteId)) {
+    conditions.push(siteId.length ? `site_id IN (${siteId.map(() => "?").join(", ")})` : "0");
+    params.push(...siteId);
+  } else if (siteId && siteId !== "all") {
+    conditions.push("site_id = ?");
+    params.push(siteId);
+  }
+  if (path) {
+    conditions.push("path = ?");
+    params.push(path);
+  }
+  if (range?.from) {
+    conditions.push(`${timeColumn} >= ?`);
+    params.push(toSqlTime(range.from));
+  }
+  if (range?.to) {
+    conditions.push(`${timeColumn} < ?`);
+    params.push(toSqlTime(range.to));
+  }
+  return { where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "", params };
+}
+
+function bucketFormat(interval) {
+  return interval === "hour" ? "%Y-%m-%d %H:00" : "%Y-%m-%d";
+}
+
+function offsetModifier(offset) {
+  return `${offset >= 0 ? "+" : ""}${offset} minutes`;
+}
+
+// 时间桶字符串 <-> 本地时间毫秒数 (以 UTC 表示本地时刻)
+function bucketToMs(bucket) {
+  return Date.parse(bucket.length > 10 ? `${bucket.replace(" ", "T")}:00Z` : `${bucket}T00:00:00Z`);
+}
+
+function msToBucket(ms, interval) {
+  const iso = new Date(ms).toISOString();
+  return interval === "hour" ? `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00` : iso.slice(0, 10);
+}
+
+// 按时间桶统计 PV/UV (事件表则为次数/人数)，并补齐空桶
+async function querySeries(env, where, params, range, table = "visits") {
+  const result = await env.DB.prepare(
+    `SELECT strftime(?, timestamp, ?) as bucket, COUNT(*) as pv, COUNT(DISTINCT visitor_id) as uv FROM ${table} ${where} GROUP BY bucket ORDER BY bucket ASC`
+  ).bind(bucketFormat(range.interval), offsetModifier(range.offset), ...params).all();
+  return fillSeries(result.results || [], range);
+}
+
+// 补齐没有访问记录的时间桶，保证折线图连续
+function fillSeries(rows, range) {
+  const step = range.interval === "hour" ? HOUR_MS : DAY_MS;
+  const shift = range.offset * 60000;
+  const byBucket = new Map(rows.map((r) => [r.bucket, r]));
+  const start = range.from ? range.from.getTime() + shift : rows.length ? bucketToMs(rows[0].bucket) : null;
+  if (start === null) return [];
+
+  const end = (range.to ? range.to.getTime() : Date.now()) + shift;
+  const series = [];
+  for (let t = Math.floor(start / step) * step; t < end && series.length < MAX_SERIES_POINTS; t += step) {
+    const bucket = msToBucket(t, range.interval);
+    const row = byBucket.get(bucket);
+    series.push({ bucket, pv: row?.pv || 0, uv: row?.uv || 0 });
+  }
+  return series;
+}
+
+function describeRange(range) {
+  return {
+    preset: range.preset,
+    from: range.from ? range.from.toISOString() : null,
+    to: range.to ? range.to.toISOString() : null,
+    interval: range.interval,
+    tz: range.tz
+  };
+}
+
+// ==================== Durable Object: 限流计数 ====================
+
+// 每个限流键对应一个实例，计数只保存在内存中 (实例被回收时重新计数即可)
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+    this.windows = new Map();
+  }
+
+  async fetch(request) {
+    const { windowMs, cost = 1 } = await request.json();
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    this.windows.set(window, (this.windows.get(window) || 0) + cost);
+    for (const w of this.windows.keys()) {
+      if (w < window - 1) this.windows.delete(w);
+    }
+    return Response.json({ count: slidingCount(this.windows.get(window - 1) || 0, this.windows.get(window), now, windowMs) });
+  }
+}
+
+// ==================== Durable Object: 实时推送 ====================
+
+// 单实例: /api/track 与 /api/batch 将新的访问发布到这里，再通过 WebSocket 推送给已连接的 Dashboard
+// 在线访客 (最近 5 分钟) 保存在内存中，实例被回收后首次连接时从 D1 重新加载
+export class LiveHub {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.subscribers = new Set();
+    this.active = null; // site_id -> Map(visitor_id -> 最后访问时间)
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (url.pathname === "/publish") {
+      const { hits } = await request.json();
+      this.publish(hits);
+      return new Response(null, { status: 204 });
+    }
+
+    // 订阅: 站点范围由 Worker 鉴权后通过 X-Live-Sites 传入 (null 表示全部站点)
+    const [client, server] = Object.values(new WebSocketPair());
+    server.accept();
+    const subscriber = { socket: server, sites: JSON.parse(request.headers.get("X-Live-Sites") || "null") };
+    this.subscribers.add(subscriber);
+    const remove = () => this.subscribers.delete(subscriber);
+    server.addEventListener("close", remove);
+    server.addEventListener("error", remove);
+
+    await this.loadActive();
+    this.send(subscriber, { type: "active", active: this.activeCounts(subscriber) });
+    if (!(await this.state.storage.getAlarm())) await this.state.storage.setAlarm(Date.now() + LIVE_ACTIVE_INTERVAL_MS);
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  // 在线人数会随时间回落，定时推送一次；没有订阅者时停止
+  async alarm() {
+    if (!this.subscribers.size) return;
+    for (const subscriber of this.subscribers) this.send(subscriber, { type: "active", active: this.activeCounts(subscriber) });
+    await this.state.storage.setAlarm(Date.now() + LIVE_ACTIVE_INTERVAL_MS);
+  }
+
+  publish(hits) {
+    if (this.active) {
+      for (const hit of hits) {
+        const time = sqlTimeToMs(hit.timestamp);
+        if (time < Date.now() - LIVE_WINDOW_MS) continue;
+        if (!this.active.has(hit.site_id)) this.active.set(hit.site_id, new Map());
+        const visitors = this.active.get(hit.site_id);
+        visitors.set(hit.visitor_id, Math.max(visitors.get(hit.visitor_id) || 0, time));
+      }
+    }
+    for (const subscriber of this.subscribers) {
+      const visible = hits.filter((hit) => !subscriber.sites || subscriber.sites.includes(hit.site_id));
+      if (visible.length) this.send(subscriber, { type: "hits", hits: visible, active: this.activeCounts(subscriber) });
+    }
+  }
+
+  async loadActive() {
+    if (this.active) return;
+    this.active = new Map();
+    if (!this.env.DB) return;
+    const rows = await queryActiveVisitors(this.env, null, "site_id, visitor_id, MAX(timestamp) as t", "GROUP BY site_id, visitor_id");
+    for (const row of rows) {
+      if (!this.active.has(row.site_id)) this.active.set(row.site_id, new Map());
+      this.active.get(row.site_id).set(row.visitor_id, sqlTimeToMs(row.t));
+    }
+  }
+
+  // 各站点最近 5 分钟的访客数 (只含订阅者有权查看的站点)
+  activeCounts(subscriber) {
+    const since = Date.now() - LIVE_WINDOW_MS;
+    const counts = {};
+    for (const [siteId, visitors] of this.active || []) {
+      for (const [visitorId, time] of visitors) {
+        if (time < since) visitors.delete(visitorId);
+      }
+      if (!visitors.size) this.active.delete(siteId);
+      else if (!subscriber.sites || subscriber.sites.includes(siteId)) counts[siteId] = visitors.size;
+    }
+    return counts;
+  }
+
+  send(subscriber, message) {
+    try {
+      subscriber.socket.send(JSON.stringify(message));
+    } catch {
+      this.subscribers.delete(subscriber);
+    }
+  }
+}
+
+// 托管统计脚本 (/tracker.js)
+// 用法: <script defer src="https://<worker>/tracker.js?v=x.y.z" data-site-id="my-blog"></script>
+// 可选属性: data-api 指定上报地址 (默认与脚本同源)
+// 自定义事件: window.leon.track(name, props) 或在元素上声明 data-leon-event / data-leon-prop-*
+const trackerScript = `/*! Leon Analytics tracker v${TRACKER_VERSION} */
+(function () {
+  "use strict";
+  var script = document.currentScript;
+  if (!script || window.leon) return;
+
+  // 尊重浏览器的 Do-Not-Track 设置
+  if (navigator.doNotTrack === "1" || window.doNotTrack === "1" || navigator.msDoNotTrack === "1") return;
+
+  var siteId = script.getAttribute("data-site-id") || "default";
+  var ingestKey = script.getAttribute("data-key");
+  var api = script.getAttribute("data-api") || new URL(script.src).origin;
+  var lastPath = null;
+  var lastPageviewAt = 0;
+  var HEARTBEAT_INTERVAL = 30000;
+  var HEARTBEAT_IDLE_LIMIT = 30 * 60000;
+
+  // 优先使用 sendBeacon (text/plain 无需预检，页面卸载时也能送达)，失败时回退到 fetch
+  function send(endpoint, payload) {
+    if (ingestKey) payload.key = ingestKey;
+    var body = JSON.stringify(payload);
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(api + endpoint, new Blob([body], { type: "text/plain" }))) return;
+    } catch (e) {}
+    fetch(api + endpoint, { method: "POST", body: body, keepalive: true, headers: { "Content-Type": "text/plain" } }).catch(function () {});
+  }
+
+  function pageview() {
+    var path = location.pathname;
+    if (path === lastPath) return;
+    lastPageviewAt = Date.now();
+    // SPA 路由切换时以上一个页面作为来源 (归类为站内跳转)
+    var referrer = lastPath === null ? document.referrer : location.origin + lastPath;
+    lastPath = path;
+    send("/api/track", { site_id: siteId, path: path, search: location.search, referrer: referrer });
+  }
+
+  // 监听 history 路由变化 (React Router / Vue Router 等)
+  ["pushState", "replaceState"].forEach(function (method) {
+    var original = history[method];
+    if (!original) return;
+    history[method] = function () {
+      var result = original.apply(this, arguments);
+      pageview();
+      return result;
+    };
+  });
+  window.addEventListener("popstate", pageview);
+
+  // 自定义事件: leon.track("signup", { plan: "pro" })
+  function track(name, props) {
+    if (!name) return;
+    send("/api/event", { site_id: siteId, name: String(name), props: props || null, path: location.pathname });
+  }
+
+  // 声明式事件: <button data-leon-event="signup" data-leon-prop-plan="pro">
+  document.addEventListener("click", function (e) {
+    var el = e.target && e.target.closest ? e.target.closest("[data-leon-event]") : null;
+    if (!el) return;
+    var props = {};
+    for (var i = 0; i < el.attributes.length; i++) {
+      var attr = el.attributes[i];
+      if (attr.name.indexOf("data-leon-prop-") === 0) props[attr.name.slice(15).replace(/-/g, "_")] = attr.value;
+    }
+    track(el.getAttribute("data-leon-event"), props);
+  }, true);
+
+  // 会话时长: 页面可见时定期心跳 (最后一次访问后 30 分钟内)，页面隐藏 / 关闭时再补一次
+  function ping() {
+    send("/api/ping", { site_id: siteId });
+  }
+  setInterval(function () {
+    if (document.visibilityState === "visible" && Date.now() - lastPageviewAt < HEARTBEAT_IDLE_LIMIT) ping();
+  }, HEARTBEAT_INTERVAL);
+  document.addEventListener("visibilitychange", function () {
+    if (document.visibilityState === "hidden" && lastPath !== null) ping();
+  });
+
+  window.leon = { version: "${TRACKER_VERSION}", pageview: pageview, track: track };
+
+  // 预渲染页面在真正可见后再上报
+  if (document.visibilityState === "prerender") {
+    document.addEventListener("visibilitychange", function onVisible() {
+      if (document.visibilityState !== "visible") return;
+      document.removeEventListener("visibilitychange", onVisible);
+      pageview();
+    });
+  } else {
+    pageview();
+  }
+})();
+`;
+
+// 计数器挂件 (/counter.js)，站点须开启公开计数器
+// 用法: <span data-leon-counter="pv"></span> 次浏览 <script defer src="https://<worker>/counter.js" data-site-id="my-blog"></script>
+// data-leon-counter 为 pv 或 uv；元素上的 data-path 指定页面 (默认当前页面，"*" 为整站)；data-api 指定接口地址 (默认与脚本同源)
+const counterScript = `/*! Leon Analytics counter v${TRACKER_VERSION} */
+(function () {
+  "use strict";
+  var script = document.currentScript;
+  if (!script) return;
+
+  var siteId = script.getAttribute("data-site-id") || "default";
+  var api = script.getAttribute("data-api") || new URL(script.src).origin;
+
+  // 同一页面的多个元素只请求一次
+  function render() {
+    var groups = {};
+    var elements = document.querySelectorAll("[data-leon-counter]");
+    for (var i = 0; i < elements.length; i++) {
+      var path = elements[i].getAttribute("data-path") || location.pathname;
+      (groups[path] = groups[path] || []).push(elements[i]);
+    }
+    Object.keys(groups).forEach(function (path) {
+      var query = "?site_id=" + encodeURIComponent(siteId) + (path === "*" ? "" : "&path=" + encodeURIComponent(path));
+      fetch(api + "/api/counter" + query).then(function (res) {
+        return res.ok ? res.json() : null;
+      }).then(function (data) {
+        if (!data) return;
+        groups[path].forEach(function (el) {
+          el.textContent = data[el.getAttribute("data-leon-counter") === "uv" ? "uv" : "pv"].toLocaleString();
+        });
+      }).catch(function () {});
+    });
+  }
+
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", render);
+  else render();
+})();
+`;
+
+// 前端 Dashboard HTML 代码
+const htmlDashboard = `
+<!DOCTYPE html>
+<html lang="zh-CN" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
+    <title>Leon Stats</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/jsvectormap/1.5.3/css/jsvectormap.min.css" />
+
+    <script>
+        tailwind.config = {
+            darkMode: 'class',
+            theme: {
+                extend: {
+                    colors: {
+                        dark: { bg: '#0f172a', card: 'rgba(30, 41, 59, 0.65)', border: 'rgba(255,255,255,0.08)' },
+                        light: { bg: '#f8fafc', card: 'rgba(255, 255, 255, 0.9)', border: 'rgba(0,0,0,0.05)' }
+                    },
+                    fontFamily: {
+                        sans: ['Inter', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'sans-serif'],
+                        mono: ['JetBrains Mono', 'Fira Code', 'Consolas', 'Menlo', 'monospace'],
+                    },
+                    fontSize: { 'xxs': '0.65rem' }
+                }
+            }
+        }
+    </script>
+    <link href="https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500&family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
+    <style>
+        body { font-family: 'Inter', sans-serif; transition: background-color 0.4s ease, color 0.4s ease; -webkit-font-smoothing: antialiased; }
+        .font-mono { font-family: 'JetBrains Mono', monospace; letter-spacing: -0.02em; }
+        .ambient-light { position: fixed; top: 0; left: 0; width: 100%; height: 100%; z-index: -1; pointer-events: none; transition: opacity 0.5s ease; }
+        .dark .ambient-light { background: radial-gradient(circle at 10% 20%, rgba(79, 70, 229, 0.08) 0%, transparent 40%), radial-gradient(circle at 90% 80%, rgba(139, 92, 246, 0.08) 0%, transparent 40%); opacity: 1; }
+        .light .ambient-light { background: radial-gradient(circle at 50% 0%, rgba(99, 102, 241, 0.03) 0%, transparent 60%); opacity: 1; }
+
+        .glass-card { backdrop-filter: blur(20px); -webkit-backdrop-filter: blur(20px); transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1); border: 1px solid; border-radius: 12px; }
+        .dark .glass-card { background: var(--card-bg); border-color: var(--border); box-shadow: 0 4px 20px rgba(0,0,0,0.2); }
+        .light .glass-card { background: rgba(255, 255, 255, 0.8); border-color: rgba(0,0,0,0.06); box-shadow: 0 4px 15px rgba(0,0,0,0.03); }
+
+        .toggle-checkbox { display: none; }
+        .toggle-track { 
+            width: 3rem; height: 1.5rem; 
+            background-color: #e2e8f0; 
+            border-radius: 9999px; 
+            position: relative; 
+            transition: background-color 0.3s ease; 
+            border: 1px solid rgba(0,0,0,0.05);
+            box-shadow: inset 0 2px 4px rgba(0,0,0,0.06);
+        }
+        .dark .toggle-track { 
+            background-color: #334155; 
+            border-color: rgba(255,255,255,0.1);
+            box-shadow: inset 0 2px 4px rgba(0,0,0,0.2);
+        }
+        .toggle-checkbox:checked + .toggle-track { background-color: #4f46e5; }
+        
+        .toggle-knob {
+            width: 1.2rem; height: 1.2rem;
+            background-color: white;
+            border-radius: 50%;
+            position: absolute;
+            top: 2px; left: 2px;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+            transition: transform 0.3s cubic-bezier(0.4, 0.0, 0.2, 1);
+            z-index: 10;
+        }
+        .toggle-checkbox:checked + .toggle-track .toggle-knob {
+            transform: translateX(1.55rem);
+        }
+        
+        .icon-sun, .icon-moon {
+            position: absolute; top: 50%; transform: translateY(-50%);
+            width: 14px; height: 14px; pointer-events: none;
+            transition: opacity 0.3s;
+        }
+        .icon-sun { left: 5px; color: #64748b; opacity: 1; }
+        .icon-moon { right: 5px; color: #e2e8f0; opacity: 0.5; }
+        
+        .toggle-checkbox:checked + .toggle-track .icon-sun { opacity: 0.5; color: #a5b4fc; }
+        .toggle-checkbox:checked + .toggle-track .icon-moon { opacity: 1; color: white; }
+
+        ::-webkit-scrollbar { width: 5px; height: 5px; }
+        ::-webkit-scrollbar-track { background: transparent; }
+        ::-webkit-scrollbar-thumb { background: rgba(156, 163, 175, 0.3); border-radius: 3px; }
+        ::-webkit-scrollbar-thumb:hover { background: rgba(156, 163, 175, 0.5); }
+        
+        #app-loader { position: fixed; inset: 0; z-index: 9999; background: #0f172a; display: flex; flex-direction: column; align-items: center; justify-content: center; transition: opacity 0.4s; }
+        .loader-spinner { width: 32px; height: 32px; border: 2px solid rgba(255,255,255,0.1); border-radius: 50%; border-top-color: #818cf8; animation: spin 0.8s linear infinite; }
+        @keyframes spin { to { transform: rotate(360deg); } }
+        
+        .jvm-tooltip { background-color: rgba(15, 23, 42, 0.95); border: 1px solid rgba(255, 255, 255, 0.1); font-family: 'Inter', sans-serif; border-radius: 4px; padding: 6px 10px; font-size: 12px; z-index: 999; box-shadow: 0 4px 6px rgba(0,0,0,0.3); }
+        
+        .rank-1 { color: #fbbf24; text-shadow: 0 0 10px rgba(251, 191, 36, 0.3); }
+        .rank-2 { color: #9ca3af; }
+        .rank-3 { color: #b45309; }
+        .rank-norm { color: #64748b; font-weight: normal; }
+        .dark .rank-norm { color: #94a3b8; }
+
+        .ide-window { 
+            border-radius: 8px; overflow: hidden; border: 1px solid; 
+            transition: all 0.3s ease;
+        }
+        .dark .ide-window { background: #1e1e2e; border-color: rgba(255,255,255,0.1); box-shadow: 0 10px 30px rgba(0,0,0,0.3); }
+        .dark .ide-header { background: #181825; border-bottom: 1px solid rgba(255,255,255,0.05); }
+        .dark .ide-content { color: #a6accd; }
+        
+        .light .ide-window { background: #f8fafc; border-color: #e2e8f0; box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
+        .light .ide-header { background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
+        .light .ide-content { color: #334155; }
+
+        .ide-header { padding: 8px 12px; display: flex; align-items: center; justify-content: space-between; }
+        .ide-dots { display: flex; gap: 6px; }
+        .ide-dot { width: 10px; height: 10px; border-radius: 50%; }
+        .ide-content { padding: 16px; font-family: 'JetBrains Mono', monospace; font-size: 13px; line-height: 1.6; overflow-x: auto; }
+        
+        .s-tag { color: #ff5572; } .light .s-tag { color: #ef4444; } 
+        .s-kw { color: #c792ea; } .light .s-kw { color: #8b5cf6; } 
+        .s-str { color: #c3e88d; } .light .s-str { color: #10b981; } 
+        .s-hl { color: #ffcb6b; border-bottom: 1px dashed #ffcb6b; font-weight: bold; } .light .s-hl { color: #d97706; border-bottom: 1px dashed #d97706; }
+        .s-punc { color: #89ddff; } .light .s-punc { color: #64748b; }
+
+        .range-btn { padding: 4px 10px; border-radius: 9999px; font-size: 11px; font-weight: 700; font-family: 'JetBrains Mono', monospace; color: #64748b; transition: all 0.2s ease; }
+        .range-btn:hover { color: #4f46e5; }
+        .dark .range-btn:hover { color: #a5b4fc; }
+        .range-btn.active { background: #4f46e5; color: white; box-shadow: 0 2px 8px rgba(79, 70, 229, 0.35); }
+        .export-btn { font-size: 10px; font-weight: 700; font-family: 'JetBrains Mono', monospace; color: #94a3b8; transition: color 0.2s ease; }
+        .export-btn:hover { color: #4f46e5; }
+        .dark .export-btn:hover { color: #a5b4fc; }
+        .change-badge { font-size: 10px; font-weight: 700; font-family: 'JetBrains Mono', monospace; padding: 1px 6px; border-radius: 9999px; white-space: nowrap; }
+        .change-up { background: rgba(16, 185, 129, 0.12); color: #10b981; }
+        .change-down { background: rgba(244, 63, 94, 0.12); color: #f43f5e; }
+        .change-flat { background: rgba(148, 163, 184, 0.15); color: #94a3b8; }
+        .form-field { background: rgba(248, 250, 252, 0.8); border: 1px solid #e2e8f0; border-radius: 6px; font-size: 11px; padding: 4px 8px; outline: none; min-width: 0; }
+        .dark .form-field { background: rgba(255, 255, 255, 0.05); border-color: rgba(255, 255, 255, 0.1); }
+        .form-field:focus { border-color: #6366f1; }
+        .range-date { background: transparent; font-size: 11px; font-family: 'JetBrains Mono', monospace; outline: none; color-scheme: light dark; }
+    </style>
+</head>
+<body class="bg-light-bg dark:bg-dark-bg text-slate-700 dark:text-slate-300 min-h-screen relative selection:bg-indigo-500/30">
+
+    <div id="app-loader"><div class="loader-spinner"></div></div>
+    <div class="ambient-light"></div>
+
+    <!-- Login -->
+    <div id="login-modal" class="fixed inset-0 z-50 flex items-center justify-center bg-white/90 dark:bg-[#0f172a] opacity-0 hidden transition-opacity duration-300">
+        <div class="glass-card w-full max-w-sm p-8 mx-4 shadow-2xl relative">
+            <div class="text-center mb-8">
+                <div class="w-12 h-12 bg-indigo-500/10 rounded-xl flex items-center justify-center mx-auto mb-4 text-2xl">🛡️</div>
+                <h2 class="text-lg font-bold text-slate-900 dark:text-white">LEON ANALYTICS</h2>
+                <p class="text-xs text-slate-500 mt-1 font-mono tracking-wider">SECURE ACCESS</p>
+            </div>
+            <form onsubmit="handleLogin(event)" class="space-y-4">
+                <input type="text" id="username-input" class="w-full bg-slate-50 dark:bg-slate-900/50 text-center text-sm py-3 rounded-lg border border-slate-200 dark:border-slate-700 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none transition font-mono" placeholder="USERNAME (OPTIONAL)" autocomplete="username">
+                <input type="password" id="password-input" class="w-full bg-slate-50 dark:bg-slate-900/50 text-center text-sm py-3 rounded-lg border border-slate-200 dark:border-slate-700 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 outline-none transition font-mono" placeholder="PASSWORD" required autocomplete="current-password">
+                <button type="submit" class="w-full bg-indigo-600 hover:bg-indigo-500 text-white text-sm font-bold py-3 rounded-lg shadow-lg transition transform active:scale-[0.98]">UNLOCK</button>
+                <p id="login-error" class="text-red-500 text-xs text-center hidden">INVALID TOKEN</p>
+            </form>
+        </div>
+    </div>
+
+    <!-- Dashboard -->
+    <div id="dashboard-content" class="max-w-6xl mx-auto px-4 py-6 opacity-0 transition-opacity duration-500">
+        
+        <!-- 数据库结构落后提示 (仅 admin 可见，此时上报暂停) -->
+        <div id="schema-banner" class="hidden flex items-center justify-between gap-3 mb-4 px-4 py-2 rounded border border-amber-300 dark:border-amber-500/40 bg-amber-50 dark:bg-amber-500/10 text-xs text-amber-700 dark:text-amber-300">
+            <span><span data-i18n="schemaBehind">Database schema is behind, tracking is paused. Pending migrations:</span> <span id="schema-pending" class="font-mono"></span></span>
+            <button onclick="runMigrations()" class="text-[10px] font-bold text-white bg-amber-600 hover:bg-amber-500 rounded px-3 py-1.5 whitespace-nowrap" data-i18n="applyMigrations">APPLY</button>
+        </div>
+
+        <!-- Navbar -->
+        <header class="flex flex-wrap justify-between items-center mb-6 gap-y-4">
+            <div class="flex items-center space-x-3">
+                <div class="w-10 h-10 rounded-lg bg-indigo-500/10 flex items-center justify-center text-xl">📊</div>
+                <div>
+                    <h1 class="text-lg font-bold text-slate-900 dark:text-white tracking-tight leading-tight">Leon Stats</h1>
+                    <div class="flex items-center gap-2">
                         <span class="w-1.5 h-1.5 rounded-full bg-emerald-500 shadow-[0_0_6px_rgba(16,185,129,0.5)] animate-pulse"></span>
                         <p class="text-xs text-slate-500 font-medium">System Online</p>
                     </div>
                 </div>
-            </div>
+            </div>
+
+            <div class="flex items-center gap-1 md:gap-2 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 shadow-sm rounded-full p-1.5 md:p-2 w-auto justify-end transition-all">
+                <div class="hidden md:flex items-center pl-2 pr-3 border-r border-slate-200 dark:border-white/10 mr-1">
+                    <span class="text-[10px] text-slate-400 font-bold mr-2 tracking-widest uppercase">SITE</span>
+                    <div class="relative">
+                        <select id="site-select-desktop" onchange="changeSite(this.value)" class="appearance-none bg-transparent text-xs font-bold text-indigo-600 dark:text-indigo-400 focus:outline-none pr-4 cursor-pointer relative z-10">
+                            <option value="all">ALL SITES</option>
+                        </select>
+                        <div class="absolute right-0 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg></div>
+                    </div>
+                </div>
+
+                <!-- Toggle Switch -->
+                <div class="flex items-center px-1">
+                    <label for="theme-toggle" class="relative inline-block cursor-pointer group">
+                        <input type="checkbox" id="theme-toggle" class="toggle-checkbox hidden" onchange="toggleTheme()">
+                        <div class="toggle-track">
+                            <svg class="icon-sun" fill="currentColor" viewBox="0 0 24 24"><path d="M12 2.25a.75.75 0 01.75.75v2.25a.75.75 0 01-1.5 0V3a.75.75 0 01.75-.75zM7.5 12a4.5 4.5 0 119 0 4.5 4.5 0 01-9 0zM18.894 6.166a.75.75 0 00-1.06-1.06l-1.591 1.59a.75.75 0 101.06 1.061l1.591-1.59zM21.75 12a.75.75 0 01-.75.75h-2.25a.75.75 0 010-1.5H21a.75.75 0 01.75.75zM17.834 18.894a.75.75 0 001.06-1.06l-1.59-1.591a.75.75 0 10-1.061 1.06l1.59 1.591zM12 18a.75.75 0 01.75.75V21a.75.75 0 01-1.5 0v-2.25A.75.75 0 0112 18zM7.758 17.303a.75.75 0 00-1.061-1.06l-1.591 1.59a.75.75 0 001.06 1.061l1.591-1.59zM6 12a.75.75 0 01-.75.75H3a.75.75 0 010-1.5h2.25A.75.75 0 016 12zM6.697 7.757a.75.75 0 001.06-1.06l-1.59-1.591a.75.75 0 00-1.061 1.06l1.59 1.591z"></path></svg>
+                            <svg class="icon-moon" fill="currentColor" viewBox="0 0 24 24"><path fill-rule="evenodd" d="M9.528 1.718a.75.75 0 01.162.819A8.97 8.97 0 009 6a9 9 0 009 9 8.97 8.97 0 003.463-.69.75.75 0 01.981.98 10.503 10.503 0 01-9.694 6.46c-5.799 0-10.5-4.701-10.5-10.5 0-4.368 2.667-8.112 6.46-9.694a.75.75 0 01.818.162z" clip-rule="evenodd"></path></svg>
+                            <div class="toggle-knob"></div>
+                        </div>
+                    </label>
+                </div>
+
+                <div class="w-px h-3 md:h-4 bg-slate-200 dark:bg-white/10 mx-0.5 md:mx-1"></div>
+
+                <button onclick="toggleLang()" class="h-7 md:h-8 px-2 md:px-3 flex items-center justify-center rounded-full hover:bg-slate-100 dark:hover:bg-white/10 text-[10px] md:text-xs font-bold text-slate-600 dark:text-slate-300 transition-all font-sans" id="lang-btn">EN</button>
+                <button onclick="openSettings()" id="settings-btn" class="hidden w-7 h-7 md:w-8 md:h-8 items-center justify-center rounded-full hover:bg-slate-100 dark:hover:bg-white/10 text-slate-500 dark:text-slate-300 transition-all" title="Settings"><svg class="w-3.5 h-3.5 md:w-4 md:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path></svg></button>
+                <button onclick="refreshData()" class="w-7 h-7 md:w-8 md:h-8 flex items-center justify-center rounded-full hover:bg-indigo-50 dark:hover:bg-indigo-500/20 text-indigo-500 dark:text-indigo-400 transition-all group" title="Refresh"><svg id="refresh-icon" class="w-3.5 h-3.5 md:w-4 md:h-4 group-hover:rotate-180 transition-transform duration-700" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path></svg></button>
+                <button onclick="logout()" class="w-7 h-7 md:w-8 md:h-8 flex items-center justify-center rounded-full hover:bg-red-50 dark:hover:bg-red-500/20 text-slate-400 hover:text-red-500 dark:hover:text-red-400 transition-all" title="Logout"><svg class="w-3.5 h-3.5 md:w-4 md:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1"></path></svg></button>
+            </div>
+            
+            <div class="md:hidden w-full order-last mt-1 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 rounded-lg p-2">
+                 <select id="site-select-mobile" onchange="changeSite(this.value)" class="appearance-none w-full bg-transparent text-xs text-center font-bold text-indigo-600 dark:text-indigo-400 font-sans border-none p-0 focus:ring-0 truncate"><option value="all">ALL SITES</option></select>
+            </div>
+        </header>
+
+        <!-- Range Picker -->
+        <div class="flex flex-wrap items-center gap-2 mb-6">
+            <div class="flex items-center gap-1 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 shadow-sm rounded-full p-1" id="range-buttons">
+                <button onclick="changeRange('24h')" data-range="24h" class="range-btn">24H</button>
+                <button onclick="changeRange('7d')" data-range="7d" class="range-btn">7D</button>
+                <button onclick="changeRange('30d')" data-range="30d" class="range-btn">30D</button>
+                <button onclick="changeRange('90d')" data-range="90d" class="range-btn">90D</button>
+                <button onclick="changeRange('all')" data-range="all" class="range-btn" data-i18n="rangeAll">ALL</button>
+            </div>
+            <div class="flex items-center gap-2 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 shadow-sm rounded-full px-3 py-1">
+                <input type="date" id="range-from" class="range-date text-slate-600 dark:text-slate-300">
+                <span class="text-[10px] text-slate-400">→</span>
+                <input type="date" id="range-to" class="range-date text-slate-600 dark:text-slate-300">
+                <button onclick="applyCustomRange()" class="text-[10px] font-bold text-indigo-600 dark:text-indigo-400 hover:text-indigo-500 pl-1" data-i18n="apply">APPLY</button>
+            </div>
+            <div class="flex items-center gap-1 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 shadow-sm rounded-full p-1" id="compare-buttons">
+                <span class="text-[10px] font-bold text-slate-400 pl-2 pr-1" data-i18n="compareLabel">VS</span>
+                <button onclick="changeCompare('')" data-compare="" class="range-btn" data-i18n="compareNone">OFF</button>
+                <button onclick="changeCompare('previous')" data-compare="previous" class="range-btn" data-i18n="comparePrevious">PREV</button>
+                <button onclick="changeCompare('year')" data-compare="year" class="range-btn" data-i18n="compareYear">YOY</button>
+            </div>
+        </div>
+
+        <!-- KPI Cards -->
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="totalVisits">TOTAL VISITS</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="total-pv">0</p>
+                    <span class="text-xs text-indigo-500 font-medium">PV</span>
+                    <span id="total-pv-change"></span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="uniqueVisitors">UNIQUE VISITORS</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="unique-visitors">0</p>
+                    <span class="text-xs text-indigo-500 font-medium">UV</span>
+                    <span id="unique-visitors-change"></span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="sessions">SESSIONS</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="session-count">0</p>
+                    <span id="session-count-change"></span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="bounceRate">BOUNCE RATE</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="bounce-rate">0%</p>
+                    <span id="bounce-rate-change"></span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="pagesPerSession">PAGES / SESSION</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="pages-per-session">0</p>
+                    <span id="pages-per-session-change"></span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="avgDuration">AVG DURATION</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="avg-duration">0s</p>
+                    <span id="avg-duration-change"></span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="visitorsNow">VISITORS NOW</h3>
+                <div class="flex items-baseline gap-2">
+                    <p class="text-3xl font-bold text-emerald-500 font-mono" id="active-visitors">0</p>
+                    <span class="text-xs text-slate-400 font-medium" data-i18n="last5min">last 5 min</span>
+                </div>
+            </div>
+            <div class="glass-card p-5">
+                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="currentSite">ACTIVE FILTER</h3>
+                <div class="mt-1">
+                    <span class="inline-block px-2 py-1 rounded-md bg-indigo-50 dark:bg-indigo-500/10 text-indigo-600 dark:text-indigo-400 text-xs font-bold border border-indigo-200 dark:border-indigo-500/20" id="current-site-badge">ALL</span>
+                </div>
+            </div>
+        </div>
+
+        <!-- Trend Chart -->
+        <div class="glass-card p-5 mb-6 h-[300px] flex flex-col">
+            <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2 flex items-center justify-between">
+                <span><span class="mr-2">📉</span> <span data-i18n="trend">Traffic Trend</span></span>
+                <span class="flex items-center gap-2"><span class="text-[10px] text-slate-400 font-normal font-mono uppercase" id="trend-interval"></span> <button onclick="exportReport('series')" class="export-btn" title="Export CSV">CSV</button></span>
+            </h3>
+            <div class="flex-grow w-full relative"><canvas id="trendChart"></canvas></div>
+        </div>
+
+        <!-- Visuals Row -->
+        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+            <!-- Map -->
+            <div class="lg:col-span-2 glass-card p-5 flex flex-col">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-4 flex items-center justify-between gap-2">
+                    <span class="flex items-center"><span class="mr-2">🌍</span> <span data-i18n="globalMap">Global Live Map</span></span>
+                    <span id="geo-breadcrumb" class="flex items-center gap-1 text-[11px] font-normal font-mono text-slate-400 truncate"></span>
+                </h3>
+                <div id="world-map" class="w-full flex-grow min-h-[320px] rounded-lg overflow-hidden bg-slate-50 dark:bg-[#181825]/50">
+                    <div class="w-full h-full flex flex-col items-center justify-center text-slate-400 text-xs opacity-60 animate-pulse">Loading Map...</div>
+                </div>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div>
+                        <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2 flex items-center justify-between"><span data-i18n="geoRegions">Regions</span> <button onclick="exportReport('regions')" class="export-btn" title="Export CSV">CSV</button></p>
+                        <div id="geo-regions" class="space-y-1 max-h-40 overflow-y-auto custom-scrollbar pr-1"></div>
+                    </div>
+                    <div>
+                        <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2 flex items-center justify-between"><span data-i18n="geoCities">Cities</span> <button onclick="exportReport('cities')" class="export-btn" title="Export CSV">CSV</button></p>
+                        <div id="geo-cities" class="space-y-1 max-h-40 overflow-y-auto custom-scrollbar pr-1"></div>
+                    </div>
+                </div>
+            </div>
+            <!-- Top Sites & Chart -->
+            <div class="flex flex-col gap-6">
+                <!-- Top Sites -->
+                <div class="glass-card p-5 flex-1 flex flex-col h-[260px] min-h-[260px]">
+                    <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                        <span><span class="mr-2">🔥</span> <span data-i18n="topSites">Top Sites</span></span>
+                        <span class="flex items-center gap-2"><span class="text-[10px] text-slate-400 font-normal">SCROLLABLE</span> <button onclick="exportReport('sites')" class="export-btn" title="Export CSV">CSV</button></span>
+                    </h3>
+                    <div class="overflow-y-auto custom-scrollbar flex-1 pr-1">
+                        <div id="top-sites-list" class="space-y-2">
+                            <div class="text-center text-xs text-slate-400 py-4 font-mono">Loading...</div>
+                        </div>
+                    </div>
+                </div>
+                <!-- Chart -->
+                <div class="glass-card p-5 flex-1 h-[260px] min-h-[260px] flex flex-col">
+                    <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2 flex items-center justify-between"><span><span class="mr-2">📈</span> <span data-i18n="topList">Top Regions</span></span> <button onclick="exportReport('countries')" class="export-btn" title="Export CSV">CSV</button></h3>
+                    <div class="flex-grow w-full relative"><canvas id="countryChart"></canvas></div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Reports Row -->
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <!-- Top Pages -->
+            <div class="glass-card p-5 flex flex-col h-[360px]">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                    <span><span class="mr-2">📄</span> <span data-i18n="topPages">Top Pages</span></span>
+                    <span class="flex items-center gap-1" id="page-tabs">
+                        <button onclick="switchPageTab('top')" data-tab="top" class="range-btn active" data-i18n="pagesTop">PAGES</button>
+                        <button onclick="switchPageTab('entry')" data-tab="entry" class="range-btn" data-i18n="pagesEntry">ENTRY</button>
+                        <button onclick="switchPageTab('exit')" data-tab="exit" class="range-btn" data-i18n="pagesExit">EXIT</button>
+                        <button onclick="exportActiveTab('page-tabs')" class="export-btn pl-1" title="Export CSV">CSV</button>
+                    </span>
+                </h3>
+                <div class="overflow-y-auto custom-scrollbar flex-1 pr-1">
+                    <div id="top-pages-list" class="space-y-1.5">
+                        <div class="text-center text-xs text-slate-400 py-4 font-mono">Loading...</div>
+                    </div>
+                    <div id="entry-pages-list" class="space-y-1.5 hidden"></div>
+                    <div id="exit-pages-list" class="space-y-1.5 hidden"></div>
+                </div>
+            </div>
+            <!-- Traffic Sources -->
+            <div class="glass-card p-5 flex flex-col h-[360px]">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                    <span><span class="mr-2">🧭</span> <span data-i18n="trafficSources">Traffic Sources</span></span>
+                    <span class="flex items-center gap-1" id="source-tabs">
+                        <button onclick="switchSourceTab('referrers')" data-tab="referrers" class="range-btn active" data-i18n="referrers">REFERRERS</button>
+                        <button onclick="switchSourceTab('campaigns')" data-tab="campaigns" class="range-btn" data-i18n="campaigns">CAMPAIGNS</button>
+                        <button onclick="exportActiveTab('source-tabs')" class="export-btn pl-1" title="Export CSV">CSV</button>
+                    </span>
+                </h3>
+                <div id="source-groups" class="flex flex-wrap gap-1.5 mb-3"></div>
+                <div class="overflow-y-auto custom-scrollbar flex-1 pr-1">
+                    <div id="referrer-list" class="space-y-1.5"></div>
+                    <div id="campaign-list" class="space-y-1.5 hidden"></div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Technology Row -->
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            <div class="glass-card p-5 h-[260px] flex flex-col">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2 flex items-center justify-between"><span><span class="mr-2">🧩</span> <span data-i18n="browsers">Browsers</span></span> <button onclick="exportReport('browsers')" class="export-btn" title="Export CSV">CSV</button></h3>
+                <div class="flex-grow w-full relative"><canvas id="browserChart"></canvas></div>
+            </div>
+            <div class="glass-card p-5 h-[260px] flex flex-col">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2 flex items-center justify-between"><span><span class="mr-2">💻</span> <span data-i18n="operatingSystems">Operating Systems</span></span> <button onclick="exportReport('os')" class="export-btn" title="Export CSV">CSV</button></h3>
+                <div class="flex-grow w-full relative"><canvas id="osChart"></canvas></div>
+            </div>
+            <div class="glass-card p-5 h-[260px] flex flex-col">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2 flex items-center justify-between">
+                    <span><span class="mr-2">📱</span> <span data-i18n="devices">Devices</span></span>
+                    <span class="flex items-center gap-2"><span class="text-[10px] text-slate-400 font-normal font-mono hidden" id="bot-count"></span> <button onclick="exportReport('devices')" class="export-btn" title="Export CSV">CSV</button></span>
+                </h3>
+                <div class="flex-grow w-full relative"><canvas id="deviceChart"></canvas></div>
+            </div>
+        </div>
+
+        <!-- Events -->
+        <div class="glass-card p-5 mb-6">
+            <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                <span><span class="mr-2">🎯</span> <span data-i18n="events">Events</span></span>
+                <span class="flex items-center gap-2"><span class="text-[10px] text-slate-400 font-normal font-mono"><span data-i18n="eventCount">COUNT</span> / <span data-i18n="eventUniques">UNIQUES</span></span> <button onclick="exportReport('events')" class="export-btn" title="Export CSV">CSV</button></span>
+            </h3>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div class="overflow-y-auto custom-scrollbar h-[240px] pr-1">
+                    <div id="event-list" class="space-y-1.5">
+                        <div class="text-center text-xs text-slate-400 py-4 font-mono">Loading...</div>
+                    </div>
+                </div>
+                <div class="flex flex-col h-[240px]">
+                    <div class="flex items-center justify-between gap-2 mb-3">
+                        <span class="text-xs font-bold font-mono text-slate-700 dark:text-slate-200 truncate" id="event-detail-name">-</span>
+                        <select id="event-prop-select" onchange="loadEventProperty(this.value)" class="bg-slate-50 dark:bg-white/5 border border-slate-200 dark:border-white/10 rounded text-[11px] px-2 py-1 outline-none">
+                            <option value="" data-i18n="eventProperty">PROPERTY</option>
+                        </select>
+                    </div>
+                    <div class="overflow-y-auto custom-scrollbar flex-1 pr-1">
+                        <div id="event-prop-values" class="space-y-1.5 text-xs">
+                            <div class="text-center text-slate-400 py-4" data-i18n="selectEvent">Select an event to see its properties.</div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- Goals & Funnels -->
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <div class="glass-card p-5 flex flex-col h-[380px]">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                    <span><span class="mr-2">🏁</span> <span data-i18n="goals">Goals</span></span>
+                    <span class="text-[10px] text-slate-400 font-normal font-mono"><span data-i18n="conversions">CONVERSIONS</span> / %</span>
+                </h3>
+                <div class="overflow-y-auto custom-scrollbar flex-1 pr-1 mb-3">
+                    <div id="goal-list" class="space-y-1.5"></div>
+                </div>
+                <form onsubmit="addGoal(event)" class="flex items-center gap-1.5">
+                    <select id="goal-type" class="form-field"><option value="path">PATH</option><option value="event">EVENT</option></select>
+                    <input id="goal-match" class="form-field flex-1 font-mono" placeholder="/checkout/*" required>
+                    <input id="goal-name" class="form-field w-24" data-placeholder="goalName" placeholder="Name" required>
+                    <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-2 py-1.5" data-i18n="add">ADD</button>
+                </form>
+            </div>
+            <div class="glass-card p-5 flex flex-col h-[380px]">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between gap-2">
+                    <span class="whitespace-nowrap"><span class="mr-2">🔻</span> <span data-i18n="funnels">Funnels</span></span>
+                    <span class="flex items-center gap-1.5 min-w-0">
+                        <select id="funnel-select" onchange="loadFunnelReport(this.value)" class="form-field max-w-[180px]"></select>
+                        <button onclick="deleteFunnel()" class="text-slate-400 hover:text-red-500 text-xs px-1" title="Delete">✕</button>
+                    </span>
+                </h3>
+                <div class="overflow-y-auto custom-scrollbar flex-1 pr-1 mb-3">
+                    <div id="funnel-chart" class="space-y-2"></div>
+                </div>
+                <form onsubmit="addFunnel(event)" class="flex items-center gap-1.5">
+                    <input id="funnel-steps" class="form-field flex-1 font-mono" placeholder="/pricing, /checkout, event:purchase" required>
+                    <input id="funnel-name" class="form-field w-24" data-placeholder="funnelName" placeholder="Name" required>
+                    <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-2 py-1.5" data-i18n="add">ADD</button>
+                </form>
+            </div>
+        </div>
+
+        <!-- Access: API Tokens & Users -->
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <div class="glass-card p-5 flex flex-col h-[320px]">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                    <span><span class="mr-2">🔑</span> <span data-i18n="apiTokens">API Tokens</span></span>
+                    <span class="text-[10px] text-slate-400 font-normal font-mono" id="access-identity"></span>
+                </h3>
+                <div class="overflow-y-auto custom-scrollbar flex-1 pr-1 mb-3">
+                    <div id="token-list" class="space-y-1.5"></div>
+                </div>
+                <form onsubmit="addToken(event)" class="flex items-center gap-1.5">
+                    <input id="token-name" class="form-field w-24" data-placeholder="tokenName" placeholder="Name" required>
+                    <input id="token-sites" class="form-field flex-1 font-mono" data-placeholder="sitesHint" placeholder="site-a, site-b (empty = all)">
+                    <input id="token-days" type="number" min="1" class="form-field w-16 font-mono" data-placeholder="days" placeholder="Days">
+                    <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-2 py-1.5" data-i18n="add">ADD</button>
+                </form>
+            </div>
+            <div class="glass-card p-5 flex flex-col h-[320px] hidden" id="users-card">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
+                    <span><span class="mr-2">👥</span> <span data-i18n="users">Users</span></span>
+                    <span class="text-[10px] text-slate-400 font-normal font-mono" data-i18n="adminOnly">ADMIN ONLY</span>
+                </h3>
+                <div class="overflow-y-auto custom-scrollbar flex-1 pr-1 mb-3">
+                    <div id="user-list" class="space-y-1.5"></div>
+                </div>
+                <form onsubmit="addUser(event)" class="flex items-center gap-1.5">
+                    <input id="user-name" class="form-field w-24" data-placeholder="username" placeholder="Username" required autocomplete="off">
+                    <input id="user-password" type="password" class="form-field w-24" data-placeholder="password" placeholder="Password" required autocomplete="new-password">
+                    <select id="user-role" class="form-field"><option value="viewer">VIEWER</option><option value="admin">ADMIN</option></select>
+                    <input id="user-sites" class="form-field flex-1 font-mono min-w-0" data-placeholder="sitesHint" placeholder="site-a, site-b (empty = all)">
+                    <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-2 py-1.5" data-i18n="add">ADD</button>
+                </form>
+            </div>
+        </div>
+
+        <!-- Live Data Table -->
+        <div class="glass-card overflow-hidden mb-6 flex flex-col">
+            <div class="px-5 py-3 border-b border-slate-200 dark:border-slate-700/50 bg-slate-50/50 dark:bg-slate-800/30 flex justify-between items-center">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white" data-i18n="liveData">Live Data Stream</h3>
+                <div class="flex items-center gap-2">
+                    <span class="relative flex h-2 w-2"><span class="animate-ping absolute inline-flex h-full w-full rounded-full bg-emerald-400 opacity-75"></span><span class="relative inline-flex rounded-full h-2 w-2 bg-emerald-500"></span></span>
+                    <span id="live-status" class="text-[10px] bg-emerald-500/10 text-emerald-500 px-1.5 py-0.5 rounded font-mono tracking-wide" data-i18n="polling">POLLING</span>
+                    <button onclick="exportReport('visits')" class="export-btn" title="Export CSV">CSV</button>
+                </div>
+            </div>
+            <div class="overflow-auto h-[400px] custom-scrollbar relative bg-white dark:bg-[#0f172a]/20">
+                <table class="min-w-full text-left border-collapse">
+                    <thead class="bg-slate-50 dark:bg-[#1e1e2e] text-slate-500 dark:text-slate-400 text-[10px] uppercase font-bold sticky top-0 z-10 shadow-sm">
+                        <tr>
+                            <th class="px-4 py-3 w-28 whitespace-nowrap" data-i18n="time">Time</th>
+                            <th class="px-4 py-3 w-32 whitespace-nowrap" data-i18n="ip">IP Addr</th>
+                            <th class="px-4 py-3 w-32 whitespace-nowrap" data-i18n="region">Region</th>
+                            <th class="px-4 py-3 w-28 whitespace-nowrap" data-i18n="site">Site</th>
+                            <th class="px-4 py-3 whitespace-nowrap" data-i18n="path">Path</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-slate-100 dark:divide-slate-800/50 text-slate-700 dark:text-slate-300 text-xs" id="visit-list">
+                        <tr><td colspan="5" class="px-5 py-8 text-center text-slate-400 font-mono italic">Waiting for signal...</td></tr>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+
+        <!-- Deploy Section -->
+        <div class="glass-card p-6 border-l-4 border-indigo-500">
+            <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center gap-2"><span>🚀</span> <span data-i18n="deployTitle">Integration Guide</span></h3>
+            
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6 items-start">
+                <div class="text-xs text-slate-600 dark:text-slate-400 space-y-3 leading-relaxed">
+                    <p><span class="font-bold text-indigo-500">Step 1:</span> <span data-i18n="step1">Copy the code snippet on the right.</span></p>
+                    <p><span class="font-bold text-indigo-500">Step 2:</span> <span data-i18n="step2">Paste it into your website's HTML file, just before the closing </span> <code class="bg-slate-100 dark:bg-white/10 px-1 rounded">&lt;/body&gt;</code> <span data-i18n="step2b">tag.</span></p>
+                    <p><span class="font-bold text-indigo-500">Step 3:</span> <span data-i18n="step3">Change the highlighted </span> <span class="text-amber-600 dark:text-amber-500 font-mono font-bold">"default"</span> <span data-i18n="step3b">to your site's name (e.g. 'my-blog').</span></p>
+                </div>
+
+                <div class="ide-window relative group">
+                    <div class="ide-header">
+                        <div class="ide-dots"><div class="ide-dot bg-[#ff5f56]"></div><div class="ide-dot bg-[#ffbd2e]"></div><div class="ide-dot bg-[#27c93f]"></div></div>
+                        <span class="text-[10px] text-slate-400 font-mono">index.html</span>
+                        <button onclick="copyCode()" class="bg-slate-200/50 dark:bg-white/10 hover:bg-slate-300/50 dark:hover:bg-white/20 text-slate-600 dark:text-white text-[10px] font-bold px-2 py-1 rounded transition flex items-center gap-1" title="Copy Clean Code">
+                            <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"></path></svg> COPY
+                        </button>
+                    </div>
+                    <div class="ide-content">
+                        <div><span class="s-tag">&lt;script</span> <span class="s-kw">defer</span></div>
+                        <div class="pl-4"><span class="s-kw">src</span>=<span class="s-str">"<span class="embed-origin"></span>/tracker.js?v=${TRACKER_VERSION}"</span></div>
+                        <div class="pl-4"><span class="s-kw">data-site-id</span>=<span class="s-hl">"default"</span><span class="s-tag">&gt;&lt;/script&gt;</span> <span class="s-comment">&lt;!-- 👈 Change ID --&gt;</span></div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <footer class="mt-10 text-center pb-6">
+             <p class="text-[10px] text-slate-400 font-mono opacity-60">LEON ANALYTICS v3.8 // SECURE CONNECTION</p>
+        </footer>
+    </div>
+
+    <!-- Page Detail Modal -->
+    <div id="page-modal" class="fixed inset-0 z-40 hidden items-center justify-center bg-slate-900/40 backdrop-blur-sm p-4" onclick="if (event.target === this) closePageDetail()">
+        <div class="glass-card w-full max-w-2xl p-6 bg-white dark:bg-[#1e1e2e] max-h-[90vh] overflow-y-auto">
+            <div class="flex items-start justify-between gap-4 mb-4">
+                <div class="min-w-0">
+                    <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest" data-i18n="pageDetail">Page Detail</p>
+                    <h3 class="text-sm font-bold font-mono text-slate-900 dark:text-white truncate" id="page-modal-title">/</h3>
+                </div>
+                <button onclick="closePageDetail()" class="w-7 h-7 flex items-center justify-center rounded-full hover:bg-slate-100 dark:hover:bg-white/10 text-slate-400">✕</button>
+            </div>
+            <div class="grid grid-cols-3 gap-3 mb-4">
+                <div class="rounded-lg bg-slate-50 dark:bg-white/5 p-3"><p class="text-[10px] text-slate-400 font-bold">PV</p><p class="text-xl font-bold font-mono text-slate-900 dark:text-white" id="page-pv">0</p></div>
+                <div class="rounded-lg bg-slate-50 dark:bg-white/5 p-3"><p class="text-[10px] text-slate-400 font-bold">UV</p><p class="text-xl font-bold font-mono text-slate-900 dark:text-white" id="page-uv">0</p></div>
+                <div class="rounded-lg bg-slate-50 dark:bg-white/5 p-3"><p class="text-[10px] text-slate-400 font-bold" data-i18n="share">SHARE</p><p class="text-xl font-bold font-mono text-slate-900 dark:text-white" id="page-share">0%</p></div>
+            </div>
+            <div class="h-48 relative mb-4"><canvas id="pageChart"></canvas></div>
+            <div class="grid grid-cols-2 gap-4 text-xs">
+                <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="topList">Top Regions</p><div id="page-countries" class="space-y-1"></div></div>
+                <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="topSites">Top Sites</p><div id="page-sites" class="space-y-1"></div></div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Site Settings Modal -->
+    <div id="settings-modal" class="fixed inset-0 z-40 hidden items-center justify-center bg-slate-900/40 backdrop-blur-sm p-4" onclick="if (event.target === this) closeSettings()">
+        <div class="glass-card w-full max-w-3xl p-6 bg-white dark:bg-[#1e1e2e] max-h-[90vh] overflow-y-auto">
+            <div class="flex items-start justify-between gap-4 mb-4">
+                <div>
+                    <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest" data-i18n="settings">Settings</p>
+                    <h3 class="text-sm font-bold text-slate-900 dark:text-white" data-i18n="siteRegistry">Site Registry</h3>
+                </div>
+                <button onclick="closeSettings()" class="w-7 h-7 flex items-center justify-center rounded-full hover:bg-slate-100 dark:hover:bg-white/10 text-slate-400">✕</button>
+            </div>
+            <p class="text-[11px] text-slate-500 mb-3" id="unknown-sites-note"></p>
+            <div id="site-registry-list" class="space-y-1.5 mb-4"></div>
+            <div id="site-unregistered" class="flex flex-wrap items-center gap-1.5 mb-4 text-[11px]"></div>
+            <form onsubmit="saveSite(event)" class="grid grid-cols-1 md:grid-cols-2 gap-2 border-t border-slate-100 dark:border-white/5 pt-4">
+                <input id="site-form-id" class="form-field font-mono" placeholder="site_id" required>
+                <input id="site-form-name" class="form-field" data-placeholder="siteName" placeholder="Display name">
+                <input id="site-form-origins" class="form-field font-mono" placeholder="example.com, *.example.org">
+                <input id="site-form-retention" type="number" min="0" class="form-field font-mono" data-placeholder="retentionHint" placeholder="Retention days (empty = global)">
+                <label class="flex items-center gap-2 text-xs text-slate-600 dark:text-slate-300"><input type="checkbox" id="site-form-key"> <span data-i18n="requireKey">Require ingest key</span></label>
+                <label class="flex items-center gap-2 text-xs text-slate-600 dark:text-slate-300"><input type="checkbox" id="site-form-enabled" checked> <span data-i18n="enabled">Enabled</span></label>
+                <label class="flex items-center gap-2 text-xs text-slate-600 dark:text-slate-300"><input type="checkbox" id="site-form-counter"> <span data-i18n="publicCounter">Public view counter</span></label>
+                <div class="md:col-span-2 flex justify-end gap-2">
+                    <button type="reset" class="text-[10px] font-bold text-slate-500 hover:text-slate-700 dark:hover:text-white rounded px-2 py-1.5" data-i18n="clear">CLEAR</button>
+                    <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-3 py-1.5" data-i18n="save">SAVE</button>
+                </div>
+            </form>
+            <div class="border-t border-slate-100 dark:border-white/5 pt-4 mt-4">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2"><span data-i18n="rejectedHits">Rejected Hits (7D)</span> · <span id="rejected-total" class="font-mono text-red-500">0</span></p>
+                <div id="rejected-summary" class="grid grid-cols-2 md:grid-cols-4 gap-2"></div>
+            </div>
+            <div class="border-t border-slate-100 dark:border-white/5 pt-4 mt-4">
+                <div class="flex items-center justify-between mb-2">
+                    <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest"><span data-i18n="dataStorage">Data Storage</span> · <span id="data-summary" class="font-mono normal-case tracking-normal"></span></p>
+                    <button onclick="pruneData()" class="text-[10px] font-bold text-indigo-500 hover:text-indigo-400" data-i18n="pruneNow">PRUNE NOW</button>
+                </div>
+                <div id="data-site-list" class="space-y-1.5"></div>
+            </div>
+            <div class="border-t border-slate-100 dark:border-white/5 pt-4 mt-4">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="importData">Import History</p>
+                <form onsubmit="runImport(event)" class="flex flex-wrap items-center gap-2 mb-2">
+                    <input id="import-site" class="form-field font-mono w-32" placeholder="site_id" required>
+                    <select id="import-format" class="form-field"><option value="ga4">GA4 CSV</option><option value="plausible">Plausible CSV</option><option value="umami">Umami CSV</option><option value="ndjson">NDJSON</option></select>
+                    <input id="import-file" type="file" accept=".csv,.ndjson,.jsonl,.txt" class="text-[11px] text-slate-500 flex-1 min-w-0" required>
+                    <button type="submit" id="import-btn" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-3 py-1.5" data-i18n="importBtn">IMPORT</button>
+                </form>
+                <p id="import-progress" class="text-[11px] font-mono text-slate-500 mb-2"></p>
+                <div id="import-list" class="space-y-1.5"></div>
+            </div>
+            <div class="border-t border-slate-100 dark:border-white/5 pt-4 mt-4">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="alerts">Alerts</p>
+                <div id="alert-list" class="space-y-1.5 mb-3"></div>
+                <form onsubmit="saveAlert(event)" onreset="editingAlertId = null" class="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+                    <input id="alert-site" class="form-field font-mono" placeholder="site_id" required>
+                    <input id="alert-name" class="form-field md:col-span-3" data-placeholder="alertName" placeholder="Rule name" required>
+                    <select id="alert-type" class="form-field" onchange="updateAlertForm()">
+                        <option value="pv_above" data-i18n="alertPvAbove">PV above</option>
+                        <option value="pv_below" data-i18n="alertPvBelow">PV below</option>
+                        <option value="change" data-i18n="alertChange">% change vs last week</option>
+                        <option value="no_hits" data-i18n="alertNoHits">No hits</option>
+                    </select>
+                    <input id="alert-threshold" type="number" step="any" class="form-field font-mono" data-placeholder="alertThreshold" placeholder="Threshold">
+                    <input id="alert-window" type="number" min="5" max="10080" value="60" class="form-field font-mono" data-placeholder="alertWindow" placeholder="Window (min)" required>
+                    <input id="alert-repeat" type="number" min="0" max="10080" class="form-field font-mono" data-placeholder="alertRepeat" placeholder="Repeat every (min)">
+                    <select id="alert-format" class="form-field" onchange="updateAlertForm()"><option value="generic">JSON</option><option value="slack">Slack</option><option value="telegram">Telegram</option></select>
+                    <input id="alert-url" type="url" class="form-field font-mono md:col-span-2" placeholder="https://hooks.example.com/..." required>
+                    <input id="alert-chat" class="form-field font-mono hidden" placeholder="chat_id">
+                    <div class="col-span-2 md:col-span-4 flex justify-end gap-2">
+                        <button type="reset" class="text-[10px] font-bold text-slate-500 hover:text-slate-700 dark:hover:text-white rounded px-2 py-1.5" data-i18n="clear">CLEAR</button>
+                        <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-3 py-1.5" data-i18n="save">SAVE</button>
+                    </div>
+                </form>
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="alertHistory">Alert History</p>
+                <div id="alert-history" class="space-y-1 max-h-48 overflow-y-auto"></div>
+            </div>
+            <div class="border-t border-slate-100 dark:border-white/5 pt-4 mt-4">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="shareLinks">Share Links</p>
+                <div id="share-list" class="space-y-1.5 mb-3"></div>
+                <form onsubmit="saveShare(event)" onreset="editingShareId = null" class="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input id="share-site" class="form-field font-mono" placeholder="site_id" required>
+                    <input id="share-name" class="form-field md:col-span-3" data-placeholder="shareName" placeholder="Title shown on the page" required>
+                    <input id="share-password" type="password" autocomplete="new-password" class="form-field md:col-span-2" data-placeholder="sharePassword" placeholder="Password (optional)">
+                    <input id="share-days" type="number" min="1" max="3650" class="form-field font-mono md:col-span-2" data-placeholder="shareDays" placeholder="Expires in days (empty = never)">
+                    <div id="share-widgets" class="col-span-2 md:col-span-4 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-slate-600 dark:text-slate-300"></div>
+                    <div class="col-span-2 md:col-span-4 flex justify-end gap-2">
+                        <button type="reset" class="text-[10px] font-bold text-slate-500 hover:text-slate-700 dark:hover:text-white rounded px-2 py-1.5" data-i18n="clear">CLEAR</button>
+                        <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-3 py-1.5" data-i18n="save">SAVE</button>
+                    </div>
+                </form>
+            </div>
+            <div class="border-t border-slate-100 dark:border-white/5 pt-4 mt-4">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="digests">Digests</p>
+                <div id="digest-list" class="space-y-1.5 mb-3"></div>
+                <form onsubmit="saveDigest(event)" onreset="editingDigestId = null; setTimeout(updateDigestForm)" class="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input id="digest-site" class="form-field font-mono" placeholder="site_id" required>
+                    <input id="digest-name" class="form-field md:col-span-3" data-placeholder="digestName" placeholder="Digest name" required>
+                    <select id="digest-frequency" class="form-field">
+                        <option value="daily" data-i18n="digestDaily">Daily</option>
+                        <option value="weekly" data-i18n="digestWeekly" selected>Weekly</option>
+                        <option value="monthly" data-i18n="digestMonthly">Monthly</option>
+                    </select>
+                    <input id="digest-timezone" class="form-field font-mono" placeholder="UTC">
+                    <select id="digest-channel" class="form-field" onchange="updateDigestForm()"><option value="webhook">Webhook</option><option value="email">Email</option></select>
+                    <select id="digest-format" class="form-field" onchange="updateDigestForm()"><option value="generic">JSON</option><option value="slack">Slack</option><option value="telegram">Telegram</option></select>
+                    <input id="digest-url" type="url" class="form-field font-mono md:col-span-3" placeholder="https://hooks.example.com/...">
+                    <input id="digest-chat" class="form-field font-mono hidden" placeholder="chat_id">
+                    <input id="digest-recipients" class="form-field font-mono col-span-2 md:col-span-4 hidden" placeholder="alice@example.com, bob@example.com">
+                    <div class="col-span-2 md:col-span-4 flex justify-end items-center gap-2">
+                        <span id="digest-email-note" class="text-[10px] text-amber-500 mr-auto hidden" data-i18n="digestEmailOff">Email delivery is not configured (EMAIL_API_KEY / EMAIL_FROM)</span>
+                        <button type="reset" class="text-[10px] font-bold text-slate-500 hover:text-slate-700 dark:hover:text-white rounded px-2 py-1.5" data-i18n="clear">CLEAR</button>
+                        <button type="submit" class="text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-500 rounded px-3 py-1.5" data-i18n="save">SAVE</button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    </div>
+
+    <!-- Scripts -->
+    <script src="https://cdnjs.cloudflare.com/ajax/libs/jsvectormap/1.5.3/js/jsvectormap.min.js"></script>
+    <script src="https://cdnjs.cloudflare.com/ajax/libs/jsvectormap/1.5.3/maps/world.js"></script>
+
+    <script>
+        function copyCode() {
+            // Clean Code with Tags
+            const origin = window.location.origin;
+            const cleanCode = \`<script defer src="\${origin}/tracker.js?v=${TRACKER_VERSION}" data-site-id="default"><\\/script>\`;
+            navigator.clipboard.writeText(cleanCode).then(() => alert(curLang === 'en' ? 'Clean code copied!' : '纯净代码已复制！'));
+        }
+
+        window.addEventListener('DOMContentLoaded', () => {
+            document.querySelectorAll('.embed-origin').forEach(el => el.innerText = window.location.origin);
+            const loader = document.getElementById('app-loader');
+            if(loader) {
+                setTimeout(() => {
+                    loader.style.opacity = '0';
+                    setTimeout(() => loader.style.display = 'none', 400);
+                }, 600);
+            }
+        });
+
+        const i18n = {
+            en: {
+                systemName: "Access Control System",
+                loginBtn: "UNLOCK DASHBOARD",
+                loginError: "INVALID PASSCODE",
+                totalVisits: "TOTAL VISITS",
+                topSource: "TOP SOURCE",
+                uniqueVisitors: "UNIQUE VISITORS",
+                currentSite: "ACTIVE FILTER",
+                globalMap: "Live Traffic Map",
+                topList: "Top Regions",
+                geoRegions: "Regions",
+                geoCities: "Cities",
+                world: "World",
+                topSites: "Top Sites",
+                deployTitle: "Integration Guide",
+                deployCode: "Deploy Code",
+                deployDesc: "Follow the steps below to integrate tracking.",
+                step1: "Click the COPY button.",
+                step2: "Paste before the closing",
+                step2b: "tag.",
+                step3: "Change",
+                step3b: "to your project name. Page views, including SPA route changes, are tracked automatically.",
+                liveData: "Data Stream",
+                realtime: "LIVE",
+                polling: "POLLING",
+                compareLabel: "VS",
+                compareNone: "OFF",
+                comparePrevious: "PREV",
+                compareYear: "YOY",
+                previousPeriod: "Previous",
+                visitorsNow: "VISITORS NOW",
+                last5min: "last 5 min",
+                time: "Time",
+                ip: "IP Address",
+                site: "Site",
+                region: "Region",
+                path: "Path",
+                waitingData: "Awaiting incoming signal...",
+                noData: "No data captured yet.",
+                allSites: "ALL SITES",
+                trend: "Traffic Trend",
+                rangeAll: "ALL",
+                apply: "APPLY",
+                hourly: "Hourly",
+                daily: "Daily",
+                topPages: "Top Pages",
+                pageDetail: "Page Detail",
+                share: "SHARE",
+                trafficSources: "Traffic Sources",
+                referrers: "REFERRERS",
+                campaigns: "CAMPAIGNS",
+                source_direct: "Direct",
+                source_internal: "Internal",
+                source_search: "Search",
+                source_social: "Social",
+                source_referral: "Referral",
+                browsers: "Browsers",
+                operatingSystems: "Operating Systems",
+                devices: "Devices",
+                botHits: "bot hits",
+                device_desktop: "Desktop",
+                device_mobile: "Mobile",
+                device_tablet: "Tablet",
+                events: "Events",
+                eventCount: "COUNT",
+                eventUniques: "UNIQUES",
+                eventProperty: "PROPERTY",
+                selectEvent: "Select an event to see its properties.",
+                noProperties: "This event has no properties.",
+                goals: "Goals",
+                funnels: "Funnels",
+                conversions: "CONVERSIONS",
+                goalName: "Name",
+                funnelName: "Name",
+                add: "ADD",
+                dropoff: "drop-off",
+                noFunnels: "No funnels yet. Enter comma-separated steps below.",
+                selectSiteFirst: "Please select a specific site first.",
+                sessions: "SESSIONS",
+                bounceRate: "BOUNCE RATE",
+                pagesPerSession: "PAGES / SESSION",
+                avgDuration: "AVG DURATION",
+                pagesTop: "PAGES",
+                pagesEntry: "ENTRY",
+                pagesExit: "EXIT",
+                apiTokens: "API Tokens",
+                users: "Users",
+                adminOnly: "ADMIN ONLY",
+                tokenName: "Name",
+                sitesHint: "site-a, site-b (empty = all)",
+                days: "Days",
+                username: "Username",
+                password: "Password",
+                allSites: "all sites",
+                never: "never",
+                tokenCreated: "Copy this token now, it will not be shown again:",
+                settings: "Settings",
+                siteRegistry: "Site Registry",
+                siteName: "Display name",
+                requireKey: "Require ingest key",
+                enabled: "Enabled",
+                publicCounter: "Public view counter (badge / widget)",
+                disabled: "DISABLED",
+                anyOrigin: "any origin",
+                unregistered: "Unregistered:",
+                unknownAllow: "Hits for unregistered site IDs are accepted (set UNKNOWN_SITES=reject to refuse them).",
+                unknownReject: "Hits for unregistered site IDs are rejected.",
+                rotateKey: "Rotate key",
+                snippetCopied: "Snippet copied!",
+                clear: "CLEAR",
+                save: "SAVE",
+                rejectedHits: "Rejected Hits (7D)",
+                retentionHint: "Retention days (empty = global)",
+                dataStorage: "Data Storage",
+                pruneNow: "PRUNE NOW",
+                rows: "rows",
+                retention: "retention",
+                keepForever: "forever",
+                deleteData: "DELETE DATA",
+                deleteDataConfirm: "Delete all visits, sessions, events and rollups of {site}? This cannot be undone.",
+                pruned: "Deleted rows:",
+                importData: "Import History",
+                importBtn: "IMPORT",
+                lines: "lines",
+                importedVisits: "visits",
+                failedRows: "failed",
+                undoImport: "UNDO",
+                undoImportConfirm: "Delete all visits written by this import?",
+                alerts: "Alerts",
+                alertName: "Rule name",
+                alertPvAbove: "PV above",
+                alertPvBelow: "PV below",
+                alertChange: "% change vs last week",
+                alertNoHits: "No hits",
+                alertThreshold: "Threshold",
+                alertWindow: "Window (min)",
+                alertRepeat: "Repeat every (min)",
+                alertHistory: "Alert History",
+                alertTest: "TEST",
+                alertTestSent: "Test notification sent",
+                alertSecret: "Signing secret",
+                alertStates: { ok: "OK", firing: "FIRING", resolved: "RESOLVED", test: "TEST" },
+                shareLinks: "Share Links",
+                shareName: "Title shown on the page",
+                sharePassword: "Password (optional, empty = keep)",
+                shareDays: "Expires in days (empty = never)",
+                shareCopied: "Share link copied!",
+                shareRevokeConfirm: "Revoke this share link? Anyone using it will lose access.",
+                passwordProtected: "password",
+                digests: "Digests",
+                schemaBehind: "Database schema is behind, tracking is paused. Pending migrations:",
+                applyMigrations: "APPLY",
+                applyMigrationsConfirm: "Apply pending database migrations now? Back up the database first if it holds important data.",
+                digestName: "Digest name",
+                digestDaily: "Daily",
+                digestWeekly: "Weekly",
+                digestMonthly: "Monthly",
+                digestPreview: "PREVIEW",
+                digestSent: "Digest sent",
+                digestLastSent: "last sent",
+                digestEmailOff: "Email delivery is not configured (EMAIL_API_KEY / EMAIL_FROM)",
+                shareWidgets: { summary: "Summary", trend: "Trend", geography: "Geography", pages: "Pages", sources: "Sources", technology: "Technology", sessions: "Sessions" },
+                rejectReasons: { rate_limit_ip: "IP rate limit", rate_limit_site: "Site rate limit", invalid: "Invalid payload", forbidden: "Forbidden", disabled: "Disabled site", duplicate: "Duplicate", bot: "Bot" }
+            },
+            zh: {
+                systemName: "安全访问控制系统",
+                loginBtn: "解锁控制台",
+                loginError: "密码错误",
+                totalVisits: "总访问量",
+                topSource: "主要来源",
+                uniqueVisitors: "独立访客",
+                currentSite: "当前筛选",
+                globalMap: "全球实时地图",
+                topList: "地区排行",
+                geoRegions: "省 / 州",
+                geoCities: "城市",
+                world: "全球",
+                topSites: "热门网站",
+                deployTitle: "集成指南",
+                deployCode: "部署代码",
+                deployDesc: "按照以下步骤完成部署。",
+                step1: "点击右上角的 COPY 按钮。",
+                step2: "粘贴到网页底部的",
+                step2b: "标签之前。",
+                step3: "将高亮的",
+                step3b: "改为你的项目名称。脚本会自动统计页面访问 (包括单页应用的路由切换)。",
+                liveData: "实时数据流",
+                realtime: "实时",
+                polling: "轮询",
+                compareLabel: "对比",
+                compareNone: "关",
+                comparePrevious: "环比",
+                compareYear: "同比",
+                previousPeriod: "对比周期",
+                visitorsNow: "当前在线",
+                last5min: "近 5 分钟",
+                time: "时间",
+                ip: "IP 地址",
+                site: "站点",
+                region: "地区",
+                path: "路径",
+                waitingData: "等待信号接入...",
+                noData: "暂无数据记录。",
+                allSites: "所有站点",
+                trend: "流量趋势",
+                rangeAll: "全部",
+                apply: "应用",
+                hourly: "按小时",
+                daily: "按天",
+                topPages: "热门页面",
+                pageDetail: "页面详情",
+                share: "占比",
+                trafficSources: "流量来源",
+                referrers: "来源网站",
+                campaigns: "推广活动",
+                source_direct: "直接访问",
+                source_internal: "站内跳转",
+                source_search: "搜索引擎",
+                source_social: "社交媒体",
+                source_referral: "外部链接",
+                browsers: "浏览器",
+                operatingSystems: "操作系统",
+                devices: "设备类型",
+                botHits: "次爬虫访问",
+                device_desktop: "桌面端",
+                device_mobile: "手机",
+                device_tablet: "平板",
+                events: "自定义事件",
+                eventCount: "次数",
+                eventUniques: "人数",
+                eventProperty: "属性",
+                selectEvent: "选择一个事件以查看其属性分布。",
+                noProperties: "该事件没有属性。",
+                goals: "转化目标",
+                funnels: "转化漏斗",
+                conversions: "转化人数",
+                goalName: "名称",
+                funnelName: "名称",
+                add: "添加",
+                dropoff: "流失",
+                noFunnels: "暂无漏斗，请在下方输入以逗号分隔的步骤。",
+                selectSiteFirst: "请先选择一个具体站点。",
+                sessions: "会话数",
+                bounceRate: "跳出率",
+                pagesPerSession: "每次会话页数",
+                avgDuration: "平均访问时长",
+                pagesTop: "页面",
+                pagesEntry: "入口页",
+                pagesExit: "退出页",
+                apiTokens: "API 令牌",
+                users: "账号",
+                adminOnly: "仅管理员",
+                tokenName: "名称",
+                sitesHint: "site-a, site-b (留空为全部)",
+                days: "天数",
+                username: "用户名",
+                password: "密码",
+                allSites: "全部站点",
+                never: "永不过期",
+                tokenCreated: "请立即复制该令牌，之后将不再显示：",
+                settings: "设置",
+                siteRegistry: "站点登记",
+                siteName: "显示名称",
+                requireKey: "要求上报密钥",
+                enabled: "启用",
+                publicCounter: "公开访问计数 (徽章 / 挂件)",
+                disabled: "已停用",
+                anyOrigin: "不限来源",
+                unregistered: "未登记：",
+                unknownAllow: "未登记的站点仍会接收上报 (设置 UNKNOWN_SITES=reject 可拒绝)。",
+                unknownReject: "未登记站点的上报会被拒绝。",
+                rotateKey: "更换密钥",
+                snippetCopied: "代码已复制！",
+                clear: "清空",
+                save: "保存",
+                rejectedHits: "被拒绝的上报 (7 天)",
+                retentionHint: "保留天数 (留空使用全局设置)",
+                dataStorage: "数据存储",
+                pruneNow: "立即清理",
+                rows: "行",
+                retention: "保留",
+                keepForever: "永久",
+                deleteData: "删除数据",
+                deleteDataConfirm: "确定删除 {site} 的全部访问、会话、事件与汇总数据？此操作不可撤销。",
+                pruned: "已删除行数：",
+                importData: "导入历史数据",
+                importBtn: "导入",
+                lines: "行",
+                importedVisits: "条访问",
+                failedRows: "行出错",
+                undoImport: "撤销",
+                undoImportConfirm: "确定删除这次导入写入的全部访问记录？",
+                alerts: "告警",
+                alertName: "规则名称",
+                alertPvAbove: "PV 高于",
+                alertPvBelow: "PV 低于",
+                alertChange: "较上周同期变化 %",
+                alertNoHits: "无访问",
+                alertThreshold: "阈值",
+                alertWindow: "窗口 (分钟)",
+                alertRepeat: "重复通知间隔 (分钟)",
+                alertHistory: "告警历史",
+                alertTest: "测试",
+                alertTestSent: "测试通知已发送",
+                alertSecret: "签名密钥",
+                alertStates: { ok: "正常", firing: "告警中", resolved: "已恢复", test: "测试" },
+                shareLinks: "分享链接",
+                shareName: "分享页标题",
+                sharePassword: "访问口令 (可选，留空不修改)",
+                shareDays: "有效天数 (留空为永久)",
+                shareCopied: "分享链接已复制！",
+                shareRevokeConfirm: "确定吊销此分享链接？持有链接的人将无法再访问。",
+                passwordProtected: "需口令",
+                digests: "定期摘要",
+                schemaBehind: "数据库结构落后于当前版本，上报已暂停。待执行的迁移:",
+                applyMigrations: "执行迁移",
+                applyMigrationsConfirm: "立即执行待执行的数据库迁移？如数据库中有重要数据，请先备份。",
+                digestName: "摘要名称",
+                digestDaily: "每日",
+                digestWeekly: "每周",
+                digestMonthly: "每月",
+                digestPreview: "预览",
+                digestSent: "摘要已发送",
+                digestLastSent: "上次发送",
+                digestEmailOff: "未配置邮件发送 (EMAIL_API_KEY / EMAIL_FROM)",
+                shareWidgets: { summary: "概览", trend: "趋势", geography: "地区", pages: "页面", sources: "来源", technology: "设备", sessions: "会话" },
+                rejectReasons: { rate_limit_ip: "IP 限流", rate_limit_site: "站点限流", invalid: "格式错误", forbidden: "来源/密钥不符", disabled: "站点停用", duplicate: "重复上报", bot: "爬虫" }
+            }
+        };
+
+        let curLang = localStorage.getItem('tj_lang') || 'en';
+        let curTheme = localStorage.getItem('tj_theme') || 'dark';
+        let currentSiteId = 'all';
+        let curRange = JSON.parse(localStorage.getItem('tj_range') || 'null') || { preset: '7d' };
+        let autoRefreshTimer = null;
+        let curCompare = localStorage.getItem('tj_compare') || '';
+
+        function initSystem() {
+            document.documentElement.className = curTheme;
+            updateLanguageUI();
+            updateSiteSelectUI();
+            updateRangeUI();
+            updateCompareUI();
+            
+            const toggle = document.getElementById('theme-toggle');
+            if(toggle) toggle.checked = (curTheme === 'dark');
+
+            const savedToken = localStorage.getItem('tj_auth_token');
+            if (savedToken) {
+                unlockDashboard();
+                loadData(savedToken);
+                startAutoRefresh();
+            } else {
+                const modal = document.getElementById('login-modal');
+                modal.classList.remove('hidden');
+                setTimeout(() => modal.classList.remove('opacity-0'), 100);
+            }
+        }
+
+        function startAutoRefresh() {
+            if (autoRefreshTimer) clearInterval(autoRefreshTimer);
+            autoRefreshTimer = setInterval(() => {
+                const token = localStorage.getItem('tj_auth_token');
+                // 实时推送已连接时，完整刷新降为每分钟一次
+                if (liveState === 'open' && Date.now() - lastLoadAt < 60000) return;
+                if (token) loadData(token, true);
+            }, 5000);
+        }
+
+        function toggleTheme() {
+            curTheme = curTheme === 'dark' ? 'light' : 'dark';
+            document.documentElement.className = curTheme;
+            localStorage.setItem('tj_theme', curTheme);
+            if (lastChartData) {
+                renderChart(lastChartData);
+                try { renderMap(lastChartData); } catch(e) {}
+            }
+            if (lastTrendData) renderTrend(lastTrendData);
+            if (lastTechData) renderTechnology(lastTechData);
+        }
+
+        function toggleLang() {
+            curLang = curLang === 'en' ? 'zh' : 'en';
+            localStorage.setItem('tj_lang', curLang);
+            updateLanguageUI();
+            updateSiteSelectUI();
+            if (lastTrendData) renderTrend(lastTrendData);
+            if (lastSourcesData) renderSources(lastSourcesData);
+            if (lastTechData) renderTechnology(lastTechData);
+        }
+
+        function updateLanguageUI() {
+            document.getElementById('lang-btn').innerText = curLang === 'en' ? 'EN' : 'CN';
+            document.querySelectorAll('[data-i18n]').forEach(el => {
+                const key = el.getAttribute('data-i18n');
+                if (i18n[curLang][key]) el.innerText = i18n[curLang][key];
+            });
+            document.querySelectorAll('[data-placeholder]').forEach(el => {
+                const key = el.getAttribute('data-placeholder');
+                if (i18n[curLang][key]) el.placeholder = i18n[curLang][key];
+            });
+        }
+
+        // 登录换取会话令牌 (用户名留空时使用 ADMIN_PASSWORD)，令牌保存在 tj_auth_token 中
+        async function handleLogin(e) {
+            e.preventDefault();
+            const errorEl = document.getElementById('login-error');
+            try {
+                const res = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        username: document.getElementById('username-input').value,
+                        password: document.getElementById('password-input').value
+                    })
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error);
+                errorEl.classList.add('hidden');
+                loadData(data.token);
+            } catch (err) {
+                errorEl.classList.remove('hidden');
+            }
+        }
+
+        function authHeader(token) {
+            return 'Bearer ' + token;
+        }
+
+        function unlockDashboard() {
+            const modal = document.getElementById('login-modal');
+            const content = document.getElementById('dashboard-content');
+            modal.style.opacity = '0';
+            setTimeout(() => modal.style.display = 'none', 300);
+            content.classList.remove('opacity-0');
+            window.dispatchEvent(new Event('resize'));
+            startAutoRefresh();
+        }
+
+        function logout() { 
+            localStorage.removeItem('tj_auth_token'); 
+            clearInterval(autoRefreshTimer);
+            location.reload(); 
+        }
+        
+        function refreshData() { loadData(localStorage.getItem('tj_auth_token')); }
+
+        function changeSite(siteId) {
+            currentSiteId = siteId;
+            document.getElementById('site-select-desktop').value = siteId;
+            document.getElementById('site-select-mobile').value = siteId;
+            document.getElementById('current-site-badge').innerText = siteId === 'all' ? (curLang === 'en' ? 'ALL' : '全部') : siteId;
+            loadData(localStorage.getItem('tj_auth_token'));
+        }
+
+        // 时间范围: 预设 (24h/7d/30d/90d/all) 或自定义日期，时区取浏览器本地时区
+        function changeRange(preset) {
+            curRange = { preset };
+            localStorage.setItem('tj_range', JSON.stringify(curRange));
+            updateRangeUI();
+            loadData(localStorage.getItem('tj_auth_token'));
+        }
+
+        function applyCustomRange() {
+            let from = document.getElementById('range-from').value;
+            let to = document.getElementById('range-to').value;
+            if (!from || !to) return;
+            if (from > to) [from, to] = [to, from];
+            curRange = { from, to };
+            localStorage.setItem('tj_range', JSON.stringify(curRange));
+            updateRangeUI();
+            loadData(localStorage.getItem('tj_auth_token'));
+        }
+
+        function updateRangeUI() {
+            document.querySelectorAll('#range-buttons .range-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.getAttribute('data-range') === curRange.preset);
+            });
+            document.getElementById('range-from').value = curRange.from || '';
+            document.getElementById('range-to').value = curRange.to || '';
+        }
+
+        // 对比周期: '' (关闭) / previous (上一周期) / year (去年同期)；「全部」范围没有可对比的周期
+        function changeCompare(mode) {
+            curCompare = mode;
+            localStorage.setItem('tj_compare', mode);
+            updateCompareUI();
+            loadData(localStorage.getItem('tj_auth_token'));
+        }
+
+        function updateCompareUI() {
+            document.querySelectorAll('#compare-buttons .range-btn').forEach(btn => {
+                btn.classList.toggle('active', btn.getAttribute('data-compare') === curCompare);
+            });
+        }
+
+        function compareQuery() {
+            return curCompare && curRange.preset !== 'all' ? '&compare=' + curCompare : '';
+        }
+
+        // 变化率 (0.25 表示 +25%)，上一周期为 0 时为 null
+        function pctChange(current, previous) {
+            return previous ? (current - previous) / previous : null;
+        }
+
+        // invert 为 true 时下降显示为好 (如跳出率)
+        function changeBadge(value, invert = false) {
+            if (value === undefined) return '';
+            if (value === null) return '<span class="change-badge change-flat">—</span>';
+            const pct = Math.round(value * 1000) / 10;
+            const cls = pct === 0 ? 'change-flat' : ((pct > 0) !== invert ? 'change-up' : 'change-down');
+            return \`<span class="change-badge \${cls}">\${pct > 0 ? '▲' : (pct < 0 ? '▼' : '')}\${Math.abs(pct)}%</span>\`;
+        }
+
+        function renderChangeBadges(changes) {
+            const badges = {
+                'total-pv-change': [changes && changes.total],
+                'unique-visitors-change': [changes && changes.unique],
+                'session-count-change': [changes && changes.sessions],
+                'bounce-rate-change': [changes && changes.bounceRate, true],
+                'pages-per-session-change': [changes && changes.pagesPerSession],
+                'avg-duration-change': [changes && changes.avgDuration]
+            };
+            Object.entries(badges).forEach(([id, [value, invert]]) => {
+                document.getElementById(id).innerHTML = changes ? changeBadge(value, invert) : '';
+            });
+        }
+
+        function rangeQuery() {
+            const tz = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+            const base = curRange.preset
+                ? 'range=' + curRange.preset
+                : 'from=' + curRange.from + '&to=' + curRange.to;
+            return base + '&tz=' + encodeURIComponent(tz);
+        }
+
+        let lastChartData = null;
+        let lastTrendData = null;
+        let lastPrevious = null;
+        let lastSourcesData = null;
+        let lastTechData = null;
+
+        async function loadData(token, silent = false) {
+            if (!token) return;
+
+            const btnIcon = document.getElementById('refresh-icon');
+            if (!silent) btnIcon.classList.add('animate-spin');
+
+            try {
+                const url = \`/api/stats?site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\${compareQuery()}\${geoQuery()}\`;
+                const res = await fetch(url, { headers: { 'Authorization': authHeader(token) } });
+                if (res.status === 401) throw new Error("PASSCODE INVALID");
+                const data = await res.json();
+                if (data.error) throw new Error(data.error);
+
+                localStorage.setItem('tj_auth_token', token);
+                lastLoadAt = Date.now();
+                document.getElementById('login-error').classList.add('hidden');
+                if (document.getElementById('login-modal').style.display !== 'none') unlockDashboard();
+                if (liveState === 'idle') connectLive();
+
+                const pvEl = document.getElementById('total-pv');
+                const oldVal = parseInt(pvEl.innerText);
+                if (data.total !== oldVal) animateValue("total-pv", oldVal, data.total, 800);
+                
+                const uvEl = document.getElementById('unique-visitors');
+                const oldUvVal = parseInt(uvEl.innerText);
+                if (data.unique !== oldUvVal) animateValue("unique-visitors", oldUvVal, data.unique, 800);
+
+                lastPrevious = data.previous || null;
+                renderChangeBadges(data.changes);
+
+                const sessions = data.sessions || {};
+                document.getElementById('session-count').innerText = sessions.count || 0;
+                document.getElementById('bounce-rate').innerText = ((sessions.bounceRate || 0) * 100).toFixed(1) + '%';
+                document.getElementById('pages-per-session').innerText = (sessions.pagesPerSession || 0).toFixed(2);
+                document.getElementById('avg-duration').innerText = formatDuration(sessions.avgDuration || 0);
+                renderPathCounts('entry-pages-list', data.entryPages || []);
+                renderPathCounts('exit-pages-list', data.exitPages || []);
+
+                // Render Top Sites
+                lastTopSites = data.topSites || [];
+                if (liveState !== 'open') liveActive = data.current ? data.current.sites : {};
+                renderTopSites();
+                renderActiveVisitors();
+
+                updateSiteOptions(data.sites);
+
+                const tbody = document.getElementById('visit-list');
+                if (data.recent.length === 0) {
+                    tbody.innerHTML = \`<tr><td colspan="5" class="px-5 py-8 text-center text-slate-400 font-mono text-xs">\${i18n[curLang].noData}</td></tr>\`;
+                } else {
+                    tbody.innerHTML = data.recent.map(visitRowHtml).join('');
+                }
+
+                lastChartData = data.countries;
+                if(!silent) renderChart(data.countries);
+                renderGeo(data);
+
+                lastTrendData = { series: data.series || [], interval: data.range ? data.range.interval : 'day', previous: lastPrevious && lastPrevious.series };
+                if(!silent) renderTrend(lastTrendData);
+
+                lastSourcesData = data;
+                renderSources(data);
+
+                lastTechData = data;
+                if(!silent) renderTechnology(data);
+                loadTopPages(token);
+                loadEvents(token);
+                if (!silent) {
+                    loadGoals();
+                    loadFunnels();
+                    loadAccess();
+                }
+                
+                try {
+                    if (!silent) {
+                        if (window.jsVectorMap) renderMap(data.countries);
+                        else setTimeout(() => { if (window.jsVectorMap) renderMap(data.countries); }, 1000);
+                    }
+                } catch (mapErr) {}
+
+            } catch (err) {
+                if (err.message === "PASSCODE INVALID") {
+                    document.getElementById('login-error').classList.remove('hidden');
+                    localStorage.removeItem('tj_auth_token');
+                    clearInterval(autoRefreshTimer);
+                    // 会话令牌过期或被吊销时回到登录页
+                    if (document.getElementById('login-modal').style.display === 'none') location.reload();
+                }
+            } finally {
+                if (!silent) btnIcon.classList.remove('animate-spin');
+            }
+        }
+
+        // 修复: 这里的逻辑已更新，同时处理桌面端和移动端下拉菜单
+        function updateSiteOptions(sites) {
+            // 定义需要更新的两个下拉框ID
+            const selectorIds = ['site-select-desktop', 'site-select-mobile'];
+            
+            selectorIds.forEach(id => {
+                const select = document.getElementById(id);
+                if (!select) return;
+
+                // 简单的优化：如果选项数量没变，就不重绘（假设站点列表不频繁变动）
+                // 注意：这里用 length - 1 是因为默认有一个 'all' 选项
+                if (select.options.length - 1 !== sites.length) {
+                    const currentVal = currentSiteId; // 使用全局变量 currentSiteId 保持状态
+                    select.innerHTML = ''; 
+                    
+                    const allOpt = document.createElement('option');
+                    allOpt.value = 'all';
+                    allOpt.innerText = curLang === 'en' ? 'ALL SITES' : '所有站点';
+                    select.appendChild(allOpt);
+                    
+                    sites.forEach(site => {
+                        if(!site) return;
+                        const opt = document.createElement('option');
+                        opt.value = site;
+                        opt.innerText = site;
+                        select.appendChild(opt);
+                    });
+                    
+                    // 恢复选中状态
+                    if (currentVal === 'all' || sites.includes(currentVal)) {
+                        select.value = currentVal;
+                    } else {
+                        select.value = 'all';
+                    }
+                }
+            });
+        }
+        
+        function updateSiteSelectUI() {
+             // 同时更新两个下拉框的语言文本
+             const ids = ['site-select-desktop', 'site-select-mobile'];
+             ids.forEach(id => {
+                 const sel = document.getElementById(id);
+                 if(sel && sel.options.length > 0) {
+                     sel.options[0].text = curLang === 'en' ? 'ALL SITES' : '所有站点';
+                 }
+             });
+             
+             if(currentSiteId === 'all') document.getElementById('current-site-badge').innerText = curLang === 'en' ? 'ALL' : '全部';
+        }
+
+        let lastTopSites = [];
+        function renderTopSites() {
+            const topSitesEl = document.getElementById('top-sites-list');
+            if (lastTopSites.length > 0) {
+                topSitesEl.innerHTML = lastTopSites.map((s, i) => \`
+                    <div class="flex items-center justify-between p-2 rounded bg-slate-50/50 dark:bg-white/5 border border-slate-100 dark:border-white/5 hover:bg-slate-100 dark:hover:bg-white/10 transition-colors">
+                        <div class="flex items-center gap-3 min-w-0">
+                            <span class="font-bold font-mono text-xs \${i===0?'rank-1':(i===1?'rank-2':(i===2?'rank-3':'rank-norm'))}">#\${i+1}</span>
+                            <span class="font-medium text-xs text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(s.site_id)}</span>
+                        </div>
+                        <span class="flex items-center gap-2">
+                            \${liveActive[s.site_id] ? \`<span class="text-[10px] font-mono text-emerald-500" title="\${i18n[curLang].visitorsNow}">● \${liveActive[s.site_id]}</span>\` : ''}
+                            <span class="text-xs font-mono text-indigo-500 font-bold">\${s.count}</span>
+                            \${lastPrevious ? changeBadge(pctChange(s.count, previousCount(lastPrevious.topSites, 'site_id', s.site_id))) : ''}
+                        </span>
+                    </div>
+                \`).join('');
+            } else {
+                topSitesEl.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+            }
+        }
+
+        function previousCount(rows, key, value) {
+            const row = (rows || []).find(r => r[key] === value);
+            return row ? row.count : 0;
+        }
+
+        function visitRowHtml(row) {
+            return \`
+                <tr data-visit class="hover:bg-slate-50 dark:hover:bg-white/5 transition-colors border-b border-slate-50 dark:border-white/5 last:border-0 group">
+                    <td class="px-4 py-2 text-slate-500 dark:text-slate-400 font-mono text-[12px] whitespace-nowrap">
+                        \${new Date(row.timestamp.endsWith('Z') ? row.timestamp : row.timestamp + 'Z').toLocaleTimeString()}
+                    </td>
+                    <td class="px-4 py-2 font-mono text-[12px] text-indigo-500 dark:text-indigo-400 whitespace-nowrap" title="\${escapeHtml(row.visitor_id || '')}">\${escapeHtml(row.ip)}</td>
+                    <td class="px-4 py-2 text-[12px] text-slate-600 dark:text-slate-300 font-medium whitespace-nowrap flex items-center gap-2">
+                        <span class="text-sm">\${getFlagEmoji(row.country)}</span> \${row.country}\${row.city ? \`<span class="text-slate-400 font-normal">\${escapeHtml(row.city)}</span>\` : ''}
+                    </td>
+                    <td class="px-4 py-2 whitespace-nowrap">
+                        <span class="font-bold text-[12px] text-slate-700 dark:text-slate-200">
+                            \${escapeHtml(row.site_id || 'default')}
+                        </span>
+                    </td>
+                    <td class="px-4 py-2 text-slate-500 dark:text-slate-400 text-[12px] truncate max-w-[150px]" title="\${escapeHtml(row.path)}">
+                        \${escapeHtml(row.path)}
+                    </td>
+                </tr>
+            \`;
+        }
+
+        // 实时推送 (服务端绑定 LIVE_HUB 时可用): 新访问逐条插入数据流表格，并累加总访问量、地区排行与地图；
+        // 未配置或连接断开时回退为每 5 秒轮询，断开后 30 秒重连
+        let liveState = 'idle'; // idle | connecting | open | waiting | off
+        let liveActive = {};
+        let lastLoadAt = 0;
+        let mapRenderTimer = null;
+
+        async function connectLive() {
+            const token = localStorage.getItem('tj_auth_token');
+            if (!token) return;
+            liveState = 'connecting';
+            try {
+                const res = await fetch('/api/live', { method: 'POST', headers: { 'Authorization': authHeader(token) } });
+                if (!res.ok) {
+                    liveState = res.status === 501 ? 'off' : 'idle';
+                    return;
+                }
+                const { ticket } = await res.json();
+                const socket = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/api/live?ticket=' + encodeURIComponent(ticket));
+                socket.onopen = () => { liveState = 'open'; setLiveStatus(true); };
+                socket.onmessage = (e) => handleLiveMessage(JSON.parse(e.data));
+                socket.onclose = () => {
+                    liveState = 'waiting';
+                    setLiveStatus(false);
+                    setTimeout(() => { liveState = 'idle'; connectLive(); }, 30000);
+                };
+            } catch (e) {
+                liveState = 'idle';
+            }
+        }
+
+        function setLiveStatus(on) {
+            const el = document.getElementById('live-status');
+            el.setAttribute('data-i18n', on ? 'realtime' : 'polling');
+            el.innerText = i18n[curLang][on ? 'realtime' : 'polling'];
+        }
+
+        function handleLiveMessage(msg) {
+            if (msg.active) {
+                liveActive = msg.active;
+                renderActiveVisitors();
+                renderTopSites();
+            }
+            if (msg.type !== 'hits') return;
+            const hits = msg.hits.filter(h => currentSiteId === 'all' || h.site_id === currentSiteId);
+            if (!hits.length) return;
+
+            const tbody = document.getElementById('visit-list');
+            if (!tbody.querySelector('tr[data-visit]')) tbody.innerHTML = '';
+            tbody.insertAdjacentHTML('afterbegin', hits.slice().reverse().map(visitRowHtml).join(''));
+            while (tbody.children.length > 100) tbody.lastElementChild.remove();
+
+            // 只有时间范围包含当前时刻时才累加
+            if (!curRange.preset && curRange.to < new Date().toLocaleDateString('sv')) return;
+            const pvEl = document.getElementById('total-pv');
+            pvEl.innerText = (parseInt(pvEl.innerText) || 0) + hits.length;
+            if (!lastChartData) return;
+            hits.forEach(hit => {
+                const row = lastChartData.find(c => c.country === hit.country);
+                if (row) row.count++;
+                else lastChartData.push({ country: hit.country, count: 1 });
+            });
+            lastChartData.sort((a, b) => b.count - a.count);
+            updateCountryChart(lastChartData);
+            updateGeoLists(hits);
+            // 地图重绘开销较大，最多每 10 秒一次
+            if (!mapRenderTimer) {
+                mapRenderTimer = setTimeout(() => {
+                    mapRenderTimer = null;
+                    try { if (window.jsVectorMap) renderMap(lastChartData); } catch (e) {}
+                }, 10000);
+            }
+        }
+
+        function renderActiveVisitors() {
+            const total = Object.entries(liveActive)
+                .filter(([siteId]) => currentSiteId === 'all' || siteId === currentSiteId)
+                .reduce((sum, [, count]) => sum + count, 0);
+            document.getElementById('active-visitors').innerText = total;
+        }
+
+        function animateValue(id, start, end, duration) {
+            if (start === end) return;
+            const range = end - start;
+            let current = start;
+            const increment = end > start ? 1 : -1;
+            const stepTime = Math.abs(Math.floor(duration / range));
+            const obj = document.getElementById(id);
+            const timer = setInterval(function() {
+                current += increment;
+                obj.innerText = current;
+                if (current == end) clearInterval(timer);
+            }, Math.max(stepTime, 20));
+        }
+
+        function getFlagEmoji(countryCode) {
+            if (!countryCode || countryCode === 'Unknown') return '🌐';
+            return countryCode.toUpperCase().replace(/./g, char => String.fromCodePoint(char.charCodeAt(0) + 127397));
+        }
+
+        let chartInstance = null;
+        function renderChart(countries) {
+            const ctx = document.getElementById('countryChart').getContext('2d');
+            const isDark = curTheme === 'dark';
+            
+            Chart.defaults.color = isDark ? '#94a3b8' : '#64748b';
+            Chart.defaults.borderColor = isDark ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+
+            if (chartInstance) chartInstance.destroy();
+            chartInstance = new Chart(ctx, {
+                type: 'bar',
+                data: countryChartData(countries),
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    indexAxis: 'y',
+                    plugins: {
+                        legend: { display: false },
+                        // 开启对比时提示中显示相对对比周期的变化
+                        tooltip: { callbacks: { footer: (items) => {
+                            if (!lastPrevious || !items.length) return '';
+                            const c = countries[items[0].dataIndex];
+                            const value = pctChange(c.count, previousCount(lastPrevious.countries, 'country', c.country));
+                            return value === null ? '' : (value >= 0 ? '+' : '') + (Math.round(value * 1000) / 10) + '%';
+                        } } }
+                    },
+                    scales: { x: { grid: { display: false } }, y: { grid: { display: false } } }
+                }
+            });
+        }
+
+        let trendInstance = null;
+        function renderTrend({ series, interval, previous }) {
+            const ctx = document.getElementById('trendChart').getContext('2d');
+            document.getElementById('trend-interval').innerText = i18n[curLang][interval === 'hour' ? 'hourly' : 'daily'];
+
+            const config = trendChartConfig(series);
+            // 对比周期的 PV 按桶序号与当前周期对齐，以虚线叠加
+            if (previous) {
+                config.data.datasets.push({
+                    label: 'PV · ' + i18n[curLang].previousPeriod,
+                    data: series.map((p, i) => previous[i] ? previous[i].pv : null),
+                    borderColor: '#94a3b8',
+                    backgroundColor: 'transparent',
+                    borderDash: [4, 4],
+                    tension: 0.3,
+                    borderWidth: 1.5,
+                    pointRadius: 0
+                });
+            }
+            if (trendInstance) trendInstance.destroy();
+            trendInstance = new Chart(ctx, config);
+        }
+
+        // PV/UV 折线图配置，趋势图与页面详情共用
+        function trendChartConfig(series) {
+            const isDark = curTheme === 'dark';
+            return {
+                type: 'line',
+                data: {
+                    // 小时桶: "YYYY-MM-DD HH:00" -> "MM-DD HH:00"；天桶: "YYYY-MM-DD" -> "MM-DD"
+                    labels: series.map(p => p.bucket.slice(5)),
+                    datasets: [{
+                        label: 'PV',
+                        data: series.map(p => p.pv),
+                        borderColor: isDark ? '#818cf8' : '#6366f1',
+                        backgroundColor: isDark ? 'rgba(129, 140, 248, 0.15)' : 'rgba(99, 102, 241, 0.1)',
+                        fill: true,
+                        tension: 0.3,
+                        borderWidth: 2,
+                        pointRadius: 0
+                    }, {
+                        label: 'UV',
+                        data: series.map(p => p.uv),
+                        borderColor: isDark ? '#34d399' : '#10b981',
+                        backgroundColor: 'transparent',
+                        tension: 0.3,
+                        borderWidth: 2,
+                        pointRadius: 0
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: { legend: { display: true, align: 'end', labels: { boxWidth: 10, font: { size: 10 } } } },
+                    scales: {
+                        x: { grid: { display: false }, ticks: { maxTicksLimit: 8, font: { size: 10 } } },
+                        y: { beginAtZero: true, ticks: { precision: 0, font: { size: 10 } } }
+                    }
+                }
+            };
+        }
+
+        function escapeHtml(str) {
+            return String(str == null ? '' : str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+
+        // 排行列表 (国家/站点等)，用于详情弹窗
+        function renderRankList(elId, rows, labelKey) {
+            const el = document.getElementById(elId);
+            if (!rows || rows.length === 0) {
+                el.innerHTML = '<div class="text-slate-400">No Data</div>';
+                return;
+            }
+            el.innerHTML = rows.map(r => \`
+                <div class="flex items-center justify-between gap-2">
+                    <span class="truncate text-slate-600 dark:text-slate-300">\${escapeHtml(r[labelKey] || 'Unknown')}</span>
+                    <span class="font-mono font-bold text-indigo-500">\${r.count}</span>
+                </div>
+            \`).join('');
+        }
 
-            <div class="flex items-center gap-1 md:gap-2 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 shadow-sm rounded-full p-1.5 md:p-2 w-auto justify-end transition-all">
-                <div class="hidden md:flex items-center pl-2 pr-3 border-r border-slate-200 dark:border-white/10 mr-1">
-                    <span class="text-[10px] text-slate-400 font-bold mr-2 tracking-widest uppercase">SITE</span>
-                    <div class="relative">
-                        <select id="site-select-desktop" onchange="changeSite(this.value)" class="appearance-none bg-transparent text-xs font-bold text-indigo-600 dark:text-indigo-400 focus:outline-none pr-4 cursor-pointer relative z-10">
-                            <option value="all">ALL SITES</option>
-                        </select>
-                        <div class="absolute right-0 top-1/2 -translate-y-1/2 text-slate-400 pointer-events-none"><svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path></svg></div>
+        async function loadTopPages(token) {
+            try {
+                const res = await fetch(\`/api/pages?site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}&limit=50\`, { headers: { 'Authorization': authHeader(token) } });
+                const data = await res.json();
+                if (data.error) return;
+                renderTopPages(data.pages || []);
+            } catch (e) {}
+        }
+
+        function renderTopPages(pages) {
+            const el = document.getElementById('top-pages-list');
+            if (pages.length === 0) {
+                el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                return;
+            }
+            el.innerHTML = pages.map(p => \`
+                <div onclick="openPageDetail(this.dataset.path)" data-path="\${escapeHtml(p.path)}" class="relative cursor-pointer rounded overflow-hidden border border-slate-100 dark:border-white/5 hover:border-indigo-300 dark:hover:border-indigo-500/40 transition-colors">
+                    <div class="absolute inset-y-0 left-0 bg-indigo-500/10" style="width: \${(p.share * 100).toFixed(1)}%"></div>
+                    <div class="relative flex items-center justify-between px-3 py-1.5 gap-3">
+                        <span class="text-xs font-mono text-slate-700 dark:text-slate-200 truncate" title="\${escapeHtml(p.path)}">\${escapeHtml(p.path)}</span>
+                        <span class="flex items-center gap-3 text-[11px] font-mono whitespace-nowrap">
+                            <span class="text-indigo-500 font-bold">\${p.pv}</span>
+                            <span class="text-emerald-500">\${p.uv}</span>
+                            <span class="text-slate-400 w-12 text-right">\${(p.share * 100).toFixed(1)}%</span>
+                        </span>
                     </div>
                 </div>
+            \`).join('');
+        }
 
-                <!-- Toggle Switch -->
-                <div class="flex items-center px-1">
-                    <label for="theme-toggle" class="relative inline-block cursor-pointer group">
-                        <input type="checkbox" id="theme-toggle" class="toggle-checkbox hidden" onchange="toggleTheme()">
-                        <div class="toggle-track">
-                            <svg class="icon-sun" fill="currentColor" viewBox="0 0 24 24"><path d="M12 2.25a.75.75 0 01.75.75v2.25a.75.75 0 01-1.5 0V3a.75.75 0 01.75-.75zM7.5 12a4.5 4.5 0 119 0 4.5 4.5 0 01-9 0zM18.894 6.166a.75.75 0 00-1.06-1.06l-1.591 1.59a.75.75 0 101.06 1.061l1.591-1.59zM21.75 12a.75.75 0 01-.75.75h-2.25a.75.75 0 010-1.5H21a.75.75 0 01.75.75zM17.834 18.894a.75.75 0 001.06-1.06l-1.59-1.591a.75.75 0 10-1.061 1.06l1.59 1.591zM12 18a.75.75 0 01.75.75V21a.75.75 0 01-1.5 0v-2.25A.75.75 0 0112 18zM7.758 17.303a.75.75 0 00-1.061-1.06l-1.591 1.59a.75.75 0 001.06 1.061l1.591-1.59zM6 12a.75.75 0 01-.75.75H3a.75.75 0 010-1.5h2.25A.75.75 0 016 12zM6.697 7.757a.75.75 0 001.06-1.06l-1.59-1.591a.75.75 0 00-1.061 1.06l1.59 1.591z"></path></svg>
-                            <svg class="icon-moon" fill="currentColor" viewBox="0 0 24 24"><path fill-rule="evenodd" d="M9.528 1.718a.75.75 0 01.162.819A8.97 8.97 0 009 6a9 9 0 009 9 8.97 8.97 0 003.463-.69.75.75 0 01.981.98 10.503 10.503 0 01-9.694 6.46c-5.799 0-10.5-4.701-10.5-10.5 0-4.368 2.667-8.112 6.46-9.694a.75.75 0 01.818.162z" clip-rule="evenodd"></path></svg>
-                            <div class="toggle-knob"></div>
-                        </div>
-                    </label>
-                </div>
+        const SOURCE_COLORS = { search: '#818cf8', social: '#f472b6', referral: '#fbbf24', internal: '#94a3b8', direct: '#34d399' };
 
-                <div class="w-px h-3 md:h-4 bg-slate-200 dark:bg-white/10 mx-0.5 md:mx-1"></div>
+        function switchSourceTab(tab) {
+            document.querySelectorAll('#source-tabs .range-btn').forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-tab') === tab));
+            document.getElementById('referrer-list').classList.toggle('hidden', tab !== 'referrers');
+            document.getElementById('campaign-list').classList.toggle('hidden', tab !== 'campaigns');
+        }
 
-                <button onclick="toggleLang()" class="h-7 md:h-8 px-2 md:px-3 flex items-center justify-center rounded-full hover:bg-slate-100 dark:hover:bg-white/10 text-[10px] md:text-xs font-bold text-slate-600 dark:text-slate-300 transition-all font-sans" id="lang-btn">EN</button>
-                <button onclick="refreshData()" class="w-7 h-7 md:w-8 md:h-8 flex items-center justify-center rounded-full hover:bg-indigo-50 dark:hover:bg-indigo-500/20 text-indigo-500 dark:text-indigo-400 transition-all group" title="Refresh"><svg id="refresh-icon" class="w-3.5 h-3.5 md:w-4 md:h-4 group-hover:rotate-180 transition-transform duration-700" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path></svg></button>
-                <button onclick="logout()" class="w-7 h-7 md:w-8 md:h-8 flex items-center justify-center rounded-full hover:bg-red-50 dark:hover:bg-red-500/20 text-slate-400 hover:text-red-500 dark:hover:text-red-400 transition-all" title="Logout"><svg class="w-3.5 h-3.5 md:w-4 md:h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1"></path></svg></button>
-            </div>
-            
-            <div class="md:hidden w-full order-last mt-1 bg-white/80 dark:bg-[#1e1e2e]/80 backdrop-blur-xl border border-slate-200/60 dark:border-white/10 rounded-lg p-2">
-                 <select id="site-select-mobile" onchange="changeSite(this.value)" class="appearance-none w-full bg-transparent text-xs text-center font-bold text-indigo-600 dark:text-indigo-400 font-sans border-none p-0 focus:ring-0 truncate"><option value="all">ALL SITES</option></select>
-            </div>
-        </header>
+        function renderSources({ sources = [], referrers = [], campaigns = [] }) {
+            const empty = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+            document.getElementById('source-groups').innerHTML = sources.map(s => \`
+                <span class="inline-flex items-center gap-1.5 px-2 py-1 rounded-md bg-slate-50 dark:bg-white/5 border border-slate-100 dark:border-white/5 text-[11px]">
+                    <span class="w-2 h-2 rounded-full" style="background: \${SOURCE_COLORS[s.source] || '#64748b'}"></span>
+                    <span class="text-slate-600 dark:text-slate-300">\${i18n[curLang]['source_' + s.source] || escapeHtml(s.source)}</span>
+                    <span class="font-mono font-bold text-indigo-500">\${s.count}</span>
+                </span>
+            \`).join('');
 
-        <!-- KPI Cards -->
-        <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-            <div class="glass-card p-5">
-                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="totalVisits">TOTAL VISITS</h3>
-                <div class="flex items-baseline gap-2">
-                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="total-pv">0</p>
-                    <span class="text-xs text-indigo-500 font-medium">PV</span>
-                </div>
-            </div>
-            <div class="glass-card p-5">
-                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="uniqueVisitors">UNIQUE VISITORS</h3>
-                <div class="flex items-baseline gap-2">
-                    <p class="text-3xl font-bold text-slate-900 dark:text-white font-mono" id="unique-visitors">0</p>
-                    <span class="text-xs text-indigo-500 font-medium">UV</span>
+            document.getElementById('referrer-list').innerHTML = referrers.length === 0 ? empty : referrers.map(r => \`
+                <div class="flex items-center justify-between px-3 py-1.5 rounded border border-slate-100 dark:border-white/5 gap-3">
+                    <span class="flex items-center gap-2 min-w-0">
+                        <span class="w-1.5 h-1.5 rounded-full flex-shrink-0" style="background: \${SOURCE_COLORS[r.source] || '#64748b'}"></span>
+                        <span class="text-xs font-mono text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(r.referrer_host)}</span>
+                    </span>
+                    <span class="text-[11px] font-mono font-bold text-indigo-500">\${r.count}</span>
                 </div>
-            </div>
-            <div class="glass-card p-5">
-                <h3 class="text-slate-500 text-[10px] font-bold uppercase tracking-widest mb-1" data-i18n="currentSite">ACTIVE FILTER</h3>
-                <div class="mt-1">
-                    <span class="inline-block px-2 py-1 rounded-md bg-indigo-50 dark:bg-indigo-500/10 text-indigo-600 dark:text-indigo-400 text-xs font-bold border border-indigo-200 dark:border-indigo-500/20" id="current-site-badge">ALL</span>
+            \`).join('');
+
+            document.getElementById('campaign-list').innerHTML = campaigns.length === 0 ? empty : campaigns.map(c => \`
+                <div class="flex items-center justify-between px-3 py-1.5 rounded border border-slate-100 dark:border-white/5 gap-3">
+                    <span class="min-w-0">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(c.utm_campaign || '(not set)')}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${escapeHtml(c.utm_source || '-')} / \${escapeHtml(c.utm_medium || '-')}</span>
+                    </span>
+                    <span class="flex items-center gap-3 text-[11px] font-mono whitespace-nowrap">
+                        <span class="text-indigo-500 font-bold">\${c.count}</span>
+                        <span class="text-emerald-500">\${c.uv}</span>
+                    </span>
                 </div>
-            </div>
-        </div>
+            \`).join('');
+        }
 
-        <!-- Visuals Row -->
-        <div class="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
-            <!-- Map -->
-            <div class="lg:col-span-2 glass-card p-5 flex flex-col">
-                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-4 flex items-center"><span class="mr-2">🌍</span> <span data-i18n="globalMap">Global Live Map</span></h3>
-                <div id="world-map" class="w-full flex-grow min-h-[320px] rounded-lg overflow-hidden bg-slate-50 dark:bg-[#181825]/50">
-                    <div class="w-full h-full flex flex-col items-center justify-center text-slate-400 text-xs opacity-60 animate-pulse">Loading Map...</div>
+        // 浏览器 / 操作系统 / 设备类型 环形图
+        const PALETTE = ['#818cf8', '#34d399', '#fbbf24', '#f472b6', '#60a5fa', '#a78bfa', '#fb923c', '#2dd4bf', '#94a3b8', '#e879f9'];
+        const techCharts = {};
+        function renderTechnology({ browsers = [], os = [], devices = [], bots = 0 }) {
+            renderDoughnut('browserChart', browsers);
+            renderDoughnut('osChart', os);
+            renderDoughnut('deviceChart', devices.map(d => ({ ...d, name: i18n[curLang]['device_' + d.name] || d.name })));
+
+            const botEl = document.getElementById('bot-count');
+            botEl.classList.toggle('hidden', !bots);
+            botEl.innerText = bots + ' ' + i18n[curLang].botHits;
+        }
+
+        function renderDoughnut(canvasId, rows) {
+            const isDark = curTheme === 'dark';
+            if (techCharts[canvasId]) techCharts[canvasId].destroy();
+            techCharts[canvasId] = new Chart(document.getElementById(canvasId).getContext('2d'), {
+                type: 'doughnut',
+                data: {
+                    labels: rows.map(r => r.name || 'Unknown'),
+                    datasets: [{
+                        data: rows.map(r => r.count),
+                        backgroundColor: rows.map((r, i) => PALETTE[i % PALETTE.length]),
+                        borderColor: isDark ? '#1e1e2e' : '#ffffff',
+                        borderWidth: 2
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    cutout: '65%',
+                    plugins: { legend: { position: 'right', labels: { boxWidth: 8, font: { size: 10 } } } }
+                }
+            });
+        }
+
+        // 自定义事件面板: 左侧事件列表，右侧为选中事件的属性值分布
+        let selectedEvent = null;
+        async function loadEvents(token) {
+            try {
+                const res = await fetch(\`/api/events?site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\`, { headers: { 'Authorization': authHeader(token) } });
+                const data = await res.json();
+                if (data.error) return;
+                renderEvents(data.events || []);
+            } catch (e) {}
+        }
+
+        function renderEvents(events) {
+            const el = document.getElementById('event-list');
+            if (events.length === 0) {
+                el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                return;
+            }
+            el.innerHTML = events.map(ev => \`
+                <div onclick="selectEvent(this.dataset.name)" data-name="\${escapeHtml(ev.name)}" class="flex items-center justify-between px-3 py-1.5 rounded border cursor-pointer transition-colors \${ev.name === selectedEvent ? 'border-indigo-400 bg-indigo-500/10' : 'border-slate-100 dark:border-white/5 hover:border-indigo-300 dark:hover:border-indigo-500/40'}">
+                    <span class="text-xs font-mono text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(ev.name)}</span>
+                    <span class="flex items-center gap-3 text-[11px] font-mono whitespace-nowrap">
+                        <span class="text-indigo-500 font-bold">\${ev.count}</span>
+                        <span class="text-emerald-500">\${ev.uniques}</span>
+                    </span>
                 </div>
-            </div>
-            <!-- Top Sites & Chart -->
-            <div class="flex flex-col gap-6">
-                <!-- Top Sites -->
-                <div class="glass-card p-5 flex-1 flex flex-col h-[260px] min-h-[260px]">
-                    <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between">
-                        <span><span class="mr-2">🔥</span> <span data-i18n="topSites">Top Sites</span></span>
-                        <span class="text-[10px] text-slate-400 font-normal">SCROLLABLE</span>
-                    </h3>
-                    <div class="overflow-y-auto custom-scrollbar flex-1 pr-1">
-                        <div id="top-sites-list" class="space-y-2">
-                            <div class="text-center text-xs text-slate-400 py-4 font-mono">Loading...</div>
+            \`).join('');
+        }
+
+        async function selectEvent(name) {
+            selectedEvent = name;
+            document.getElementById('event-detail-name').innerText = name;
+            document.querySelectorAll('#event-list [data-name]').forEach(el => {
+                const active = el.dataset.name === name;
+                el.classList.toggle('border-indigo-400', active);
+                el.classList.toggle('bg-indigo-500/10', active);
+            });
+
+            try {
+                const token = localStorage.getItem('tj_auth_token');
+                const res = await fetch(\`/api/events?name=\${encodeURIComponent(name)}&site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\`, { headers: { 'Authorization': authHeader(token) } });
+                const data = await res.json();
+                if (data.error) throw new Error(data.error);
+
+                const select = document.getElementById('event-prop-select');
+                select.innerHTML = \`<option value="">\${i18n[curLang].eventProperty}</option>\` + data.properties.map(p => \`<option value="\${escapeHtml(p)}">\${escapeHtml(p)}</option>\`).join('');
+                if (data.properties.length > 0) {
+                    select.value = data.properties[0];
+                    loadEventProperty(data.properties[0]);
+                } else {
+                    document.getElementById('event-prop-values').innerHTML = \`<div class="text-center text-slate-400 py-4">\${i18n[curLang].noProperties}</div>\`;
+                }
+            } catch (e) {}
+        }
+
+        async function loadEventProperty(prop) {
+            const el = document.getElementById('event-prop-values');
+            if (!prop || !selectedEvent) {
+                el.innerHTML = '';
+                return;
+            }
+            try {
+                const token = localStorage.getItem('tj_auth_token');
+                const res = await fetch(\`/api/events?name=\${encodeURIComponent(selectedEvent)}&prop=\${encodeURIComponent(prop)}&site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\`, { headers: { 'Authorization': authHeader(token) } });
+                const data = await res.json();
+                if (data.error) throw new Error(data.error);
+
+                const total = data.values.reduce((sum, v) => sum + v.count, 0);
+                el.innerHTML = data.values.map(v => \`
+                    <div class="relative rounded overflow-hidden border border-slate-100 dark:border-white/5">
+                        <div class="absolute inset-y-0 left-0 bg-emerald-500/10" style="width: \${total ? (v.count / total * 100).toFixed(1) : 0}%"></div>
+                        <div class="relative flex items-center justify-between px-3 py-1.5 gap-3">
+                            <span class="font-mono text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(v.value === null ? '(none)' : v.value)}</span>
+                            <span class="flex items-center gap-3 text-[11px] font-mono whitespace-nowrap">
+                                <span class="text-indigo-500 font-bold">\${v.count}</span>
+                                <span class="text-emerald-500">\${v.uniques}</span>
+                            </span>
                         </div>
                     </div>
+                \`).join('');
+            } catch (e) {}
+        }
+
+        // 转化目标与漏斗 (仅在手动刷新 / 切换筛选时加载，不参与 5 秒自动刷新)
+        // 导出卡片数据 (当前站点与时间范围)；原始访问按 X-Next-Cursor 逐页拉取后合并为一个文件
+        const EXPORT_TAB_REPORTS = { top: 'pages', entry: 'entry_pages', exit: 'exit_pages', referrers: 'referrers', campaigns: 'campaigns' };
+
+        function exportActiveTab(tabsId) {
+            exportReport(EXPORT_TAB_REPORTS[document.querySelector('#' + tabsId + ' .range-btn.active').getAttribute('data-tab')]);
+        }
+
+        async function exportReport(report) {
+            const base = \`/api/export?report=\${report}&format=csv&site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\${geoQuery()}\`;
+            const parts = [];
+            let cursor = '';
+            do {
+                const res = await fetch(base + (cursor ? '&cursor=' + cursor : ''), { headers: { 'Authorization': authHeader(localStorage.getItem('tj_auth_token')) } });
+                if (!res.ok) return alert((await res.json().catch(() => ({}))).error || res.status);
+                parts.push(await res.text());
+                cursor = res.headers.get('X-Next-Cursor') || '';
+            } while (cursor);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob(parts, { type: 'text/csv' }));
+            link.download = \`leon-\${report}-\${currentSiteId}.csv\`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        function apiRequest(url, options = {}) {
+            const token = localStorage.getItem('tj_auth_token');
+            return fetch(url, { ...options, headers: { 'Authorization': authHeader(token), 'Content-Type': 'application/json', ...(options.headers || {}) } })
+                .then(res => res.json());
+        }
+
+        // 账号与 API 令牌 (账号管理仅对 admin 显示)
+        function parseSitesInput(value) {
+            const sites = value.split(',').map(s => s.trim()).filter(Boolean);
+            return sites.length ? sites : null;
+        }
+
+        async function loadAccess() {
+            try {
+                const me = await apiRequest('/api/me');
+                if (me.error) return;
+                document.getElementById('access-identity').innerText = me.username + ' · ' + me.role;
+                document.getElementById('users-card').classList.toggle('hidden', me.role !== 'admin');
+                document.getElementById('settings-btn').classList.toggle('hidden', me.role !== 'admin');
+                document.getElementById('settings-btn').classList.toggle('flex', me.role === 'admin');
+                if (!me.token) loadTokens();
+                if (me.role === 'admin') {
+                    loadUsers();
+                    loadSchemaStatus();
+                }
+            } catch (e) {}
+        }
+
+        async function loadSchemaStatus() {
+            const data = await apiRequest('/api/migrations');
+            if (data.error && !data.pending) return;
+            document.getElementById('schema-pending').innerText = data.pending.join(', ');
+            document.getElementById('schema-banner').classList.toggle('hidden', data.pending.length === 0);
+        }
+
+        async function runMigrations() {
+            if (!confirm(i18n[curLang].applyMigrationsConfirm)) return;
+            const data = await apiRequest('/api/migrations', { method: 'POST' });
+            if (data.error) alert(data.error);
+            loadSchemaStatus();
+        }
+
+        async function loadTokens() {
+            const data = await apiRequest('/api/tokens');
+            if (data.error) return;
+            const el = document.getElementById('token-list');
+            if (data.tokens.length === 0) {
+                el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                return;
+            }
+            el.innerHTML = data.tokens.map(t => \`
+                <div class="flex items-center justify-between px-3 py-1.5 rounded border border-slate-100 dark:border-white/5 gap-3 group">
+                    <span class="min-w-0">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(t.name)} <span class="font-mono font-normal text-slate-400">\${escapeHtml(t.token_prefix)}…</span></span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${t.role} · \${t.sites ? escapeHtml(t.sites.join(', ')) : i18n[curLang].allSites} · \${t.expires_at ? t.expires_at.slice(0, 10) : i18n[curLang].never} · \${escapeHtml(t.username)}</span>
+                    </span>
+                    <button onclick="deleteToken(\${t.id})" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
                 </div>
-                <!-- Chart -->
-                <div class="glass-card p-5 flex-1 h-[260px] min-h-[260px] flex flex-col">
-                    <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2 flex items-center"><span class="mr-2">📈</span> <span data-i18n="topList">Top Regions</span></h3>
-                    <div class="flex-grow w-full relative"><canvas id="countryChart"></canvas></div>
+            \`).join('');
+        }
+
+        async function addToken(e) {
+            e.preventDefault();
+            const body = {
+                name: document.getElementById('token-name').value,
+                sites: parseSitesInput(document.getElementById('token-sites').value),
+                expires_in_days: document.getElementById('token-days').value || null
+            };
+            const data = await apiRequest('/api/tokens', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            e.target.reset();
+            prompt(i18n[curLang].tokenCreated, data.token);
+            loadTokens();
+        }
+
+        async function deleteToken(id) {
+            if (!confirm('Revoke?')) return;
+            await apiRequest('/api/tokens?id=' + id, { method: 'DELETE' });
+            loadTokens();
+        }
+
+        async function loadUsers() {
+            const data = await apiRequest('/api/users');
+            if (data.error) return;
+            const el = document.getElementById('user-list');
+            if (data.users.length === 0) {
+                el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                return;
+            }
+            el.innerHTML = data.users.map(u => \`
+                <div class="flex items-center justify-between px-3 py-1.5 rounded border border-slate-100 dark:border-white/5 gap-3 group">
+                    <span class="min-w-0">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(u.username)}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${u.role} · \${u.sites ? escapeHtml(u.sites.join(', ')) : i18n[curLang].allSites}</span>
+                    </span>
+                    <button onclick="deleteUser(\${u.id})" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
                 </div>
-            </div>
-        </div>
+            \`).join('');
+        }
 
-        <!-- Live Data Table -->
-        <div class="glass-card overflow-hidden mb-6 flex flex-col">
-            <div class="px-5 py-3 border-b border-slate-200 dark:border-slate-700/50 bg-slate-50/50 dark:bg-slate-800/30 flex justify-between items-center">
-                <h3 class="text-sm font-bold text-slate-900 dark:text-white" data-i18n="liveData">Live Data Stream</h3>
-                <div class="flex items-center gap-2">
-                    <span class="relative flex h-2 w-2"><span class="animate-ping absolute inline-flex h-full w-full rounded-full bg-emerald-400 opacity-75"></span><span class="relative inline-flex rounded-full h-2 w-2 bg-emerald-500"></span></span>
-                    <span class="text-[10px] bg-emerald-500/10 text-emerald-500 px-1.5 py-0.5 rounded font-mono tracking-wide" data-i18n="realtime">LIVE</span>
+        async function addUser(e) {
+            e.preventDefault();
+            const body = {
+                username: document.getElementById('user-name').value,
+                password: document.getElementById('user-password').value,
+                role: document.getElementById('user-role').value,
+                sites: parseSitesInput(document.getElementById('user-sites').value)
+            };
+            const data = await apiRequest('/api/users', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            e.target.reset();
+            loadUsers();
+        }
+
+        async function deleteUser(id) {
+            if (!confirm('Delete?')) return;
+            await apiRequest('/api/users?id=' + id, { method: 'DELETE' });
+            loadUsers();
+            loadTokens();
+        }
+
+        // 站点登记 (设置页，仅 admin)
+        let registeredSites = [];
+
+        function openSettings() {
+            const modal = document.getElementById('settings-modal');
+            modal.classList.remove('hidden');
+            modal.classList.add('flex');
+            loadSites();
+            loadRejections();
+            loadDataUsage();
+            loadImports();
+            loadAlerts();
+            loadShares();
+            loadDigests();
+        }
+
+        async function loadDataUsage() {
+            const data = await apiRequest('/api/data');
+            if (data.error) return;
+            const t = i18n[curLang];
+            const size = data.sizeBytes === null ? '' : (data.sizeBytes / 1048576).toFixed(1) + ' MB · ';
+            document.getElementById('data-summary').innerText = \`\${size}\${data.tables.visits} \${t.rows} · \${t.retention} \${data.retention.days ? data.retention.days + 'd' : t.keepForever}\`;
+            const el = document.getElementById('data-site-list');
+            el.innerHTML = data.sites.length === 0 ? '<div class="text-center text-xs text-slate-400 py-2">No Data</div>' : data.sites.map(site => \`
+                <div class="flex items-center justify-between px-3 py-2 rounded border border-slate-100 dark:border-white/5 gap-3 group">
+                    <span class="min-w-0">
+                        <span class="block text-xs font-bold font-mono text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(site.site_id)}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${site.visits} \${t.rows}\${site.oldest ? ' · ' + site.oldest.slice(0, 10) + ' ~ ' + site.newest.slice(0, 10) : ''} · \${t.retention} \${site.retention_days ? site.retention_days + 'd' : t.keepForever}</span>
+                    </span>
+                    <button data-id="\${escapeHtml(site.site_id)}" onclick="deleteSiteData(this.dataset.id)" class="text-[10px] font-bold text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">\${t.deleteData}</button>
                 </div>
-            </div>
-            <div class="overflow-auto h-[400px] custom-scrollbar relative bg-white dark:bg-[#0f172a]/20">
-                <table class="min-w-full text-left border-collapse">
-                    <thead class="bg-slate-50 dark:bg-[#1e1e2e] text-slate-500 dark:text-slate-400 text-[10px] uppercase font-bold sticky top-0 z-10 shadow-sm">
-                        <tr>
-                            <th class="px-4 py-3 w-28 whitespace-nowrap" data-i18n="time">Time</th>
-                            <th class="px-4 py-3 w-32 whitespace-nowrap" data-i18n="ip">IP Addr</th>
-                            <th class="px-4 py-3 w-32 whitespace-nowrap" data-i18n="region">Region</th>
-                            <th class="px-4 py-3 w-28 whitespace-nowrap" data-i18n="site">Site</th>
-                            <th class="px-4 py-3 whitespace-nowrap" data-i18n="path">Path</th>
-                        </tr>
-                    </thead>
-                    <tbody class="divide-y divide-slate-100 dark:divide-slate-800/50 text-slate-700 dark:text-slate-300 text-xs" id="visit-list">
-                        <tr><td colspan="5" class="px-5 py-8 text-center text-slate-400 font-mono italic">Waiting for signal...</td></tr>
-                    </tbody>
-                </table>
-            </div>
-        </div>
+            \`).join('');
+        }
 
-        <!-- Deploy Section -->
-        <div class="glass-card p-6 border-l-4 border-indigo-500">
-            <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center gap-2"><span>🚀</span> <span data-i18n="deployTitle">Integration Guide</span></h3>
-            
-            <div class="grid grid-cols-1 md:grid-cols-2 gap-6 items-start">
-                <div class="text-xs text-slate-600 dark:text-slate-400 space-y-3 leading-relaxed">
-                    <p><span class="font-bold text-indigo-500">Step 1:</span> <span data-i18n="step1">Copy the code snippet on the right.</span></p>
-                    <p><span class="font-bold text-indigo-500">Step 2:</span> <span data-i18n="step2">Paste it into your website's HTML file, just before the closing </span> <code class="bg-slate-100 dark:bg-white/10 px-1 rounded">&lt;/body&gt;</code> <span data-i18n="step2b">tag.</span></p>
-                    <p><span class="font-bold text-indigo-500">Step 3:</span> <span data-i18n="step3">Change the highlighted </span> <span class="text-amber-600 dark:text-amber-500 font-mono font-bold">'default'</span> <span data-i18n="step3b">to your site's name (e.g. 'my-blog').</span></p>
+        async function pruneData() {
+            const data = await apiRequest('/api/data', { method: 'POST' });
+            if (data.error) return alert(data.error);
+            alert(\`\${i18n[curLang].pruned} \${data.deleted.visits + data.deleted.sessions + data.deleted.events}\${data.pending ? ' …' : ''}\`);
+            loadDataUsage();
+        }
+
+        // 数据量大时一次请求删不完，重复调用直到 pending 为 false
+        async function deleteSiteData(id) {
+            if (!confirm(i18n[curLang].deleteDataConfirm.replace('{site}', id))) return;
+            let data;
+            do {
+                data = await apiRequest('/api/data?site_id=' + encodeURIComponent(id), { method: 'DELETE' });
+                if (data.error) return alert(data.error);
+            } while (data.pending);
+            loadDataUsage();
+            refreshData();
+        }
+
+        // 导入历史数据: 按行分片上传 (CSV 每个分片都带上表头)，offset 使服务端返回的行号对应原文件
+        const IMPORT_CHUNK_LINES = 2000;
+
+        async function runImport(e) {
+            e.preventDefault();
+            const t = i18n[curLang];
+            const file = document.getElementById('import-file').files[0];
+            const siteId = document.getElementById('import-site').value.trim();
+            const format = document.getElementById('import-format').value;
+            const progress = document.getElementById('import-progress');
+            const button = document.getElementById('import-btn');
+            if (!file || !siteId) return;
+
+            const lines = (await file.text()).split(/\\r?\\n/);
+            let header = '';
+            let start = 0;
+            if (format !== 'ndjson') {
+                while (start < lines.length && (!lines[start].trim() || lines[start].startsWith('#'))) start++;
+                header = lines[start++] + '\\n';
+            }
+            let importId = null;
+            const errors = [];
+            button.disabled = true;
+            try {
+                for (let i = start; i < lines.length; i += IMPORT_CHUNK_LINES) {
+                    const params = new URLSearchParams({ site_id: siteId, format, offset: i - (header ? 1 : 0) });
+                    if (importId) params.set('import_id', importId);
+                    else params.set('filename', file.name);
+                    const res = await fetch('/api/import?' + params, {
+                        method: 'POST',
+                        headers: { 'Authorization': authHeader(localStorage.getItem('tj_auth_token')), 'Content-Type': 'text/plain' },
+                        body: header + lines.slice(i, i + IMPORT_CHUNK_LINES).join('\\n')
+                    });
+                    const data = await res.json();
+                    if (data.error) {
+                        progress.innerText = data.error;
+                        return;
+                    }
+                    importId = data.import.id;
+                    errors.push(...data.errors);
+                    progress.innerText = \`\${Math.min(i + IMPORT_CHUNK_LINES, lines.length)} / \${lines.length} \${t.lines} · \${data.import.visits} \${t.importedVisits} · \${data.import.rows_failed} \${t.failedRows}\`;
+                }
+                if (errors.length) progress.innerText += '\\n' + errors.slice(0, 5).map(err => \`#\${err.line}: \${err.error}\`).join('\\n');
+                e.target.reset();
+            } finally {
+                button.disabled = false;
+                loadImports();
+                loadDataUsage();
+            }
+        }
+
+        async function loadImports() {
+            const data = await apiRequest('/api/import');
+            if (data.error) return;
+            const t = i18n[curLang];
+            document.getElementById('import-list').innerHTML = data.imports.map(job => \`
+                <div class="flex items-center justify-between px-3 py-2 rounded border border-slate-100 dark:border-white/5 gap-3 group">
+                    <span class="min-w-0">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">#\${job.id} \${escapeHtml(job.format)} → <span class="font-mono">\${escapeHtml(job.site_id)}</span> <span class="font-normal text-slate-400">\${escapeHtml(job.filename || '')}</span></span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${job.visits} \${t.importedVisits} · \${job.rows_failed} \${t.failedRows}\${job.first_at ? ' · ' + job.first_at.slice(0, 10) + ' ~ ' + job.last_at.slice(0, 10) : ''}</span>
+                    </span>
+                    <button data-id="\${job.id}" onclick="deleteImport(this.dataset.id)" class="text-[10px] font-bold text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap">\${t.undoImport}</button>
                 </div>
+            \`).join('');
+        }
 
-                <div class="ide-window relative group">
-                    <div class="ide-header">
-                        <div class="ide-dots"><div class="ide-dot bg-[#ff5f56]"></div><div class="ide-dot bg-[#ffbd2e]"></div><div class="ide-dot bg-[#27c93f]"></div></div>
-                        <span class="text-[10px] text-slate-400 font-mono">embed.js</span>
-                        <button onclick="copyCode()" class="bg-slate-200/50 dark:bg-white/10 hover:bg-slate-300/50 dark:hover:bg-white/20 text-slate-600 dark:text-white text-[10px] font-bold px-2 py-1 rounded transition flex items-center gap-1" title="Copy Clean Code">
-                            <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"></path></svg> COPY
-                        </button>
-                    </div>
-                    <div class="ide-content">
-                        <div><span class="s-tag">&lt;script&gt;</span></div>
-                        <div><span class="s-kw">fetch</span>(<span class="s-str">'\${window.location.origin}/api/track'</span>, <span class="s-punc">{</span></div>
-                        <div class="pl-4"><span class="s-kw">method</span>: <span class="s-str">'POST'</span>,</div>
-                        <div class="pl-4"><span class="s-kw">headers</span>: <span class="s-punc">{</span> <span class="s-str">'Content-Type'</span>: <span class="s-str">'application/json'</span> <span class="s-punc">}</span>,</div>
-                        <div class="pl-4"><span class="s-kw">body</span>: <span class="s-kw">JSON</span>.<span class="s-kw">stringify</span>(<span class="s-punc">{</span></div>
-                        <div class="pl-8"><span class="s-kw">site_id</span>: <span class="s-hl">'default'</span>, <span class="s-comment">// 👈 Change ID</span></div>
-                        <div class="pl-8"><span class="s-kw">path</span>: <span class="s-kw">window</span>.<span class="s-kw">location</span>.<span class="s-kw">pathname</span></div>
-                        <div class="pl-4"><span class="s-punc">}</span>)</div>
-                        <div><span class="s-punc">}</span>).<span class="s-kw">catch</span>(<span class="s-kw">e</span> => <span class="s-punc">{}</span>);</div>
-                        <div><span class="s-tag">&lt;/script&gt;</span></div>
-                    </div>
+        async function deleteImport(id) {
+            if (!confirm(i18n[curLang].undoImportConfirm)) return;
+            let data;
+            do {
+                data = await apiRequest('/api/import?id=' + encodeURIComponent(id), { method: 'DELETE' });
+                if (data.error) return alert(data.error);
+            } while (data.pending);
+            loadImports();
+            loadDataUsage();
+            refreshData();
+        }
+
+        // 告警规则: 点击规则载入表单编辑 (带 id 提交即为更新)
+        let alertRules = [];
+        let editingAlertId = null;
+
+        function alertCondition(rule) {
+            const t = i18n[curLang];
+            const label = { pv_above: t.alertPvAbove, pv_below: t.alertPvBelow, change: t.alertChange, no_hits: t.alertNoHits }[rule.type];
+            const threshold = rule.type === 'no_hits' ? '' : ' ' + rule.threshold + (rule.type === 'change' ? '%' : '');
+            return \`\${label}\${threshold} · \${rule.window_minutes}m\`;
+        }
+
+        async function loadAlerts() {
+            const data = await apiRequest('/api/alerts');
+            if (data.error) return;
+            const t = i18n[curLang];
+            alertRules = data.rules;
+            document.getElementById('alert-list').innerHTML = data.rules.length === 0 ? '<div class="text-center text-xs text-slate-400 py-2">No Data</div>' : data.rules.map(rule => \`
+                <div class="flex items-center justify-between px-3 py-2 rounded border border-slate-100 dark:border-white/5 gap-3 group \${rule.enabled ? '' : 'opacity-60'}">
+                    <span class="min-w-0 cursor-pointer" data-id="\${rule.id}" onclick="editAlert(this.dataset.id)">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(rule.name)} <span class="font-mono font-normal text-slate-400">\${escapeHtml(rule.site_id)}</span> <span class="text-[10px] \${rule.state === 'firing' ? 'text-red-500' : 'text-emerald-500'}">\${t.alertStates[rule.state]}</span>\${rule.enabled ? '' : ' <span class="text-[10px] text-red-500">' + t.disabled + '</span>'}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${escapeHtml(alertCondition(rule))} · \${rule.webhook_format}\${rule.last_value === null ? '' : ' · ' + rule.last_value}\${rule.last_checked_at ? ' · ' + rule.last_checked_at.slice(5, 16) : ''}</span>
+                    </span>
+                    <span class="flex items-center gap-2 text-[10px] font-bold whitespace-nowrap">
+                        <button data-id="\${rule.id}" onclick="testAlert(this.dataset.id)" class="text-indigo-500 hover:text-indigo-400">\${t.alertTest}</button>
+                        <button data-id="\${rule.id}" onclick="deleteAlert(this.dataset.id)" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
+                    </span>
                 </div>
-            </div>
-        </div>
+            \`).join('');
+            document.getElementById('alert-history').innerHTML = data.history.length === 0 ? '<div class="text-center text-xs text-slate-400 py-2">No Data</div>' : data.history.map(e => \`
+                <div class="flex items-center gap-2 px-3 py-1 text-[10px] font-mono text-slate-500">
+                    <span class="whitespace-nowrap text-slate-400">\${e.created_at.slice(5, 16)}</span>
+                    <span class="font-bold \${e.status === 'firing' ? 'text-red-500' : 'text-emerald-500'}">\${t.alertStates[e.status]}</span>
+                    <span class="truncate flex-1" title="\${escapeHtml(e.message || '')}">\${escapeHtml(e.message || '')}</span>
+                    \${e.delivered ? '' : \`<span class="text-red-500 whitespace-nowrap" title="\${escapeHtml(e.error || '')}">✕ \${escapeHtml(e.error || '')}</span>\`}
+                </div>
+            \`).join('');
+        }
 
-        <footer class="mt-10 text-center pb-6">
-             <p class="text-[10px] text-slate-400 font-mono opacity-60">LEON ANALYTICS v3.8 // SECURE CONNECTION</p>
-        </footer>
-    </div>
+        function updateAlertForm() {
+            document.getElementById('alert-threshold').disabled = document.getElementById('alert-type').value === 'no_hits';
+            document.getElementById('alert-chat').classList.toggle('hidden', document.getElementById('alert-format').value !== 'telegram');
+        }
 
-    <!-- Scripts -->
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/jsvectormap/1.5.3/js/jsvectormap.min.js"></script>
-    <script src="https://cdnjs.cloudflare.com/ajax/libs/jsvectormap/1.5.3/maps/world.js"></script>
+        function editAlert(id) {
+            const rule = alertRules.find(r => String(r.id) === String(id));
+            if (!rule) return;
+            editingAlertId = rule.id;
+            document.getElementById('alert-site').value = rule.site_id;
+            document.getElementById('alert-name').value = rule.name;
+            document.getElementById('alert-type').value = rule.type;
+            document.getElementById('alert-threshold').value = rule.threshold === null ? '' : rule.threshold;
+            document.getElementById('alert-window').value = rule.window_minutes;
+            document.getElementById('alert-repeat').value = rule.repeat_minutes || '';
+            document.getElementById('alert-format').value = rule.webhook_format;
+            document.getElementById('alert-url').value = rule.webhook_url;
+            document.getElementById('alert-chat').value = rule.chat_id || '';
+            updateAlertForm();
+        }
 
-    <script>
-        function copyCode() {
-            // Clean Code with Tags
-            const origin = window.location.origin;
-            const cleanCode = \`<script>
-fetch('\${origin}/api/track', {
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify({
-    site_id: 'default',
-    path: window.location.pathname
-  })
-}).catch(e => {});
-<\\/script>\`;
-            navigator.clipboard.writeText(cleanCode).then(() => alert(curLang === 'en' ? 'Clean code copied!' : '纯净代码已复制！'));
+        async function saveAlert(e) {
+            e.preventDefault();
+            const type = document.getElementById('alert-type').value;
+            const body = {
+                site_id: document.getElementById('alert-site').value.trim(),
+                name: document.getElementById('alert-name').value,
+                type,
+                threshold: type === 'no_hits' ? null : document.getElementById('alert-threshold').value,
+                window_minutes: Number(document.getElementById('alert-window').value),
+                repeat_minutes: Number(document.getElementById('alert-repeat').value || 0),
+                webhook_format: document.getElementById('alert-format').value,
+                webhook_url: document.getElementById('alert-url').value.trim(),
+                chat_id: document.getElementById('alert-chat').value.trim() || null
+            };
+            if (editingAlertId) body.id = editingAlertId;
+            const data = await apiRequest('/api/alerts', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            if (!editingAlertId) prompt(i18n[curLang].alertSecret, data.rule.secret);
+            editingAlertId = null;
+            e.target.reset();
+            updateAlertForm();
+            loadAlerts();
         }
 
-        window.addEventListener('DOMContentLoaded', () => {
-            const loader = document.getElementById('app-loader');
-            if(loader) {
-                setTimeout(() => {
-                    loader.style.opacity = '0';
-                    setTimeout(() => loader.style.display = 'none', 400);
-                }, 600);
-            }
-        });
+        async function testAlert(id) {
+            const data = await apiRequest('/api/alerts?test=1&id=' + encodeURIComponent(id), { method: 'POST' });
+            if (data.error) return alert(data.error);
+            alert(data.delivered ? i18n[curLang].alertTestSent : data.error);
+        }
 
-        const i18n = {
-            en: {
-                systemName: "Access Control System",
-                loginBtn: "UNLOCK DASHBOARD",
-                loginError: "INVALID PASSCODE",
-                totalVisits: "TOTAL VISITS",
-                topSource: "TOP SOURCE",
-                uniqueVisitors: "UNIQUE VISITORS",
-                currentSite: "ACTIVE FILTER",
-                globalMap: "Live Traffic Map",
-                topList: "Top Regions",
-                topSites: "Top Sites",
-                deployTitle: "Integration Guide",
-                deployCode: "Deploy Code",
-                deployDesc: "Follow the steps below to integrate tracking.",
-                step1: "Click the COPY button.",
-                step2: "Paste before the closing",
-                step2b: "tag.",
-                step3: "Change",
-                step3b: "to your project name.",
-                liveData: "Data Stream",
-                realtime: "LIVE",
-                time: "Time",
-                ip: "IP Address",
-                site: "Site",
-                region: "Region",
-                path: "Path",
-                waitingData: "Awaiting incoming signal...",
-                noData: "No data captured yet.",
-                allSites: "ALL SITES"
-            },
-            zh: {
-                systemName: "安全访问控制系统",
-                loginBtn: "解锁控制台",
-                loginError: "密码错误",
-                totalVisits: "总访问量",
-                topSource: "主要来源",
-                uniqueVisitors: "独立访客",
-                currentSite: "当前筛选",
-                globalMap: "全球实时地图",
-                topList: "地区排行",
-                topSites: "热门网站",
-                deployTitle: "集成指南",
-                deployCode: "部署代码",
-                deployDesc: "按照以下步骤完成部署。",
-                step1: "点击右上角的 COPY 按钮。",
-                step2: "粘贴到网页底部的",
-                step2b: "标签之前。",
-                step3: "将高亮的",
-                step3b: "改为你的项目名称。",
-                liveData: "实时数据流",
-                realtime: "实时",
-                time: "时间",
-                ip: "IP 地址",
-                site: "站点",
-                region: "地区",
-                path: "路径",
-                waitingData: "等待信号接入...",
-                noData: "暂无数据记录。",
-                allSites: "所有站点"
+        async function deleteAlert(id) {
+            if (!confirm('Delete?')) return;
+            await apiRequest('/api/alerts?id=' + encodeURIComponent(id), { method: 'DELETE' });
+            if (String(editingAlertId) === String(id)) editingAlertId = null;
+            loadAlerts();
+        }
+
+        // 公开分享链接: 点击列表项载入表单编辑；口令留空表示不修改
+        let shareLinks = [];
+        let editingShareId = null;
+
+        async function loadShares() {
+            const data = await apiRequest('/api/shares');
+            if (data.error) return;
+            const t = i18n[curLang];
+            shareLinks = data.shares;
+            const widgetsEl = document.getElementById('share-widgets');
+            if (!widgetsEl.children.length) {
+                widgetsEl.innerHTML = data.widgets.map(w => \`<label class="flex items-center gap-1"><input type="checkbox" name="share-widget" value="\${w}" checked> \${t.shareWidgets[w] || w}</label>\`).join('');
             }
-        };
+            document.getElementById('share-list').innerHTML = data.shares.length === 0 ? '<div class="text-center text-xs text-slate-400 py-2">No Data</div>' : data.shares.map(share => \`
+                <div class="flex items-center justify-between px-3 py-2 rounded border border-slate-100 dark:border-white/5 gap-3 group">
+                    <span class="min-w-0 cursor-pointer" data-id="\${share.id}" onclick="editShare(this.dataset.id)">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(share.name)} <span class="font-mono font-normal text-slate-400">\${escapeHtml(share.site_id)}</span>\${share.protected ? ' <span class="text-[10px] text-amber-500">🔒 ' + t.passwordProtected + '</span>' : ''}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${share.widgets.map(w => t.shareWidgets[w] || w).join(', ')} · \${share.expires_at ? share.expires_at.slice(0, 10) : t.never}</span>
+                    </span>
+                    <span class="flex items-center gap-2 text-[10px] font-bold whitespace-nowrap">
+                        <button data-url="\${escapeHtml(share.url)}" onclick="copyShareLink(this.dataset.url)" class="text-indigo-500 hover:text-indigo-400">COPY</button>
+                        <button data-id="\${share.id}" onclick="deleteShare(this.dataset.id)" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
+                    </span>
+                </div>
+            \`).join('');
+        }
 
-        let curLang = localStorage.getItem('tj_lang') || 'en';
-        let curTheme = localStorage.getItem('tj_theme') || 'dark';
-        let currentSiteId = 'all';
-        let autoRefreshTimer = null;
+        function editShare(id) {
+            const share = shareLinks.find(s => String(s.id) === String(id));
+            if (!share) return;
+            editingShareId = share.id;
+            document.getElementById('share-site').value = share.site_id;
+            document.getElementById('share-name').value = share.name;
+            document.getElementById('share-password').value = '';
+            document.getElementById('share-days').value = '';
+            document.querySelectorAll('input[name="share-widget"]').forEach(box => box.checked = share.widgets.includes(box.value));
+        }
 
-        function initSystem() {
-            document.documentElement.className = curTheme;
-            updateLanguageUI();
-            updateSiteSelectUI();
-            
-            const toggle = document.getElementById('theme-toggle');
-            if(toggle) toggle.checked = (curTheme === 'dark');
+        async function saveShare(e) {
+            e.preventDefault();
+            const body = {
+                site_id: document.getElementById('share-site').value.trim(),
+                name: document.getElementById('share-name').value,
+                widgets: [...document.querySelectorAll('input[name="share-widget"]:checked')].map(box => box.value)
+            };
+            const password = document.getElementById('share-password').value;
+            const days = document.getElementById('share-days').value;
+            if (password) body.password = password;
+            if (days) body.expires_in_days = Number(days);
+            if (editingShareId) body.id = editingShareId;
+            const data = await apiRequest('/api/shares', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            if (!editingShareId) copyShareLink(data.share.url);
+            e.target.reset();
+            loadShares();
+        }
 
-            const savedToken = localStorage.getItem('tj_auth_token');
-            if (savedToken) {
-                unlockDashboard();
-                loadData(savedToken);
-                startAutoRefresh();
-            } else {
-                const modal = document.getElementById('login-modal');
-                modal.classList.remove('hidden');
-                setTimeout(() => modal.classList.remove('opacity-0'), 100);
-            }
+        function copyShareLink(path) {
+            navigator.clipboard.writeText(window.location.origin + path).then(() => alert(i18n[curLang].shareCopied));
         }
 
-        function startAutoRefresh() {
-            if (autoRefreshTimer) clearInterval(autoRefreshTimer);
-            autoRefreshTimer = setInterval(() => {
-                const token = localStorage.getItem('tj_auth_token');
-                if (token) loadData(token, true);
-            }, 5000);
+        async function deleteShare(id) {
+            if (!confirm(i18n[curLang].shareRevokeConfirm)) return;
+            await apiRequest('/api/shares?id=' + encodeURIComponent(id), { method: 'DELETE' });
+            if (String(editingShareId) === String(id)) editingShareId = null;
+            loadShares();
         }
 
-        function toggleTheme() {
-            curTheme = curTheme === 'dark' ? 'light' : 'dark';
-            document.documentElement.className = curTheme;
-            localStorage.setItem('tj_theme', curTheme);
-            if (lastChartData) {
-                renderChart(lastChartData);
-                try { renderMap(lastChartData); } catch(e) {}
+        // 定期摘要订阅: 点击列表项载入表单编辑
+        let digestSubs = [];
+        let editingDigestId = null;
+        let digestEmailEnabled = false;
+
+        async function loadDigests() {
+            const data = await apiRequest('/api/digests');
+            if (data.error) return;
+            const t = i18n[curLang];
+            digestSubs = data.digests;
+            digestEmailEnabled = data.email;
+            if (!editingDigestId && !document.getElementById('digest-timezone').value) {
+                document.getElementById('digest-timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
             }
+            updateDigestForm();
+            const frequencyName = { daily: t.digestDaily, weekly: t.digestWeekly, monthly: t.digestMonthly };
+            document.getElementById('digest-list').innerHTML = data.digests.length === 0 ? '<div class="text-center text-xs text-slate-400 py-2">No Data</div>' : data.digests.map(d => \`
+                <div class="flex items-center justify-between px-3 py-2 rounded border border-slate-100 dark:border-white/5 gap-3 group \${d.enabled ? '' : 'opacity-60'}">
+                    <span class="min-w-0 cursor-pointer" data-id="\${d.id}" onclick="editDigest(this.dataset.id)">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(d.name)} <span class="font-mono font-normal text-slate-400">\${escapeHtml(d.site_id)}</span> <span class="text-[10px] text-indigo-500">\${frequencyName[d.frequency]}</span>\${d.enabled ? '' : ' <span class="text-[10px] text-red-500">' + t.disabled + '</span>'}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${d.channel === 'email' ? escapeHtml(d.recipients.join(', ')) : d.webhook_format} · \${escapeHtml(d.timezone)}\${d.last_sent_at ? ' · ' + t.digestLastSent + ' ' + d.last_sent_at.slice(5, 16) : ''}\${d.last_error ? \` · <span class="text-red-500">✕ \${escapeHtml(d.last_error)}</span>\` : ''}</span>
+                    </span>
+                    <span class="flex items-center gap-2 text-[10px] font-bold whitespace-nowrap">
+                        <button data-id="\${d.id}" onclick="previewDigest(this.dataset.id)" class="text-slate-400 hover:text-indigo-500">\${t.digestPreview}</button>
+                        <button data-id="\${d.id}" onclick="testDigest(this.dataset.id)" class="text-indigo-500 hover:text-indigo-400">\${t.alertTest}</button>
+                        <button data-id="\${d.id}" onclick="deleteDigest(this.dataset.id)" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
+                    </span>
+                </div>
+            \`).join('');
         }
 
-        function toggleLang() {
-            curLang = curLang === 'en' ? 'zh' : 'en';
-            localStorage.setItem('tj_lang', curLang);
-            updateLanguageUI();
-            updateSiteSelectUI();
+        function updateDigestForm() {
+            const email = document.getElementById('digest-channel').value === 'email';
+            document.getElementById('digest-format').classList.toggle('hidden', email);
+            document.getElementById('digest-url').classList.toggle('hidden', email);
+            document.getElementById('digest-chat').classList.toggle('hidden', email || document.getElementById('digest-format').value !== 'telegram');
+            document.getElementById('digest-recipients').classList.toggle('hidden', !email);
+            document.getElementById('digest-email-note').classList.toggle('hidden', !email || digestEmailEnabled);
         }
 
-        function updateLanguageUI() {
-            document.getElementById('lang-btn').innerText = curLang === 'en' ? 'EN' : 'CN';
-            document.querySelectorAll('[data-i18n]').forEach(el => {
-                const key = el.getAttribute('data-i18n');
-                if (i18n[curLang][key]) el.innerText = i18n[curLang][key];
-            });
-            document.querySelectorAll('[data-placeholder]').forEach(el => {
-                const key = el.getAttribute('data-placeholder');
-                if (i18n[curLang][key]) el.placeholder = i18n[curLang][key];
-            });
+        function editDigest(id) {
+            const d = digestSubs.find(x => String(x.id) === String(id));
+            if (!d) return;
+            editingDigestId = d.id;
+            document.getElementById('digest-site').value = d.site_id;
+            document.getElementById('digest-name').value = d.name;
+            document.getElementById('digest-frequency').value = d.frequency;
+            document.getElementById('digest-timezone').value = d.timezone;
+            document.getElementById('digest-channel').value = d.channel;
+            document.getElementById('digest-format').value = d.webhook_format || 'generic';
+            document.getElementById('digest-url').value = d.webhook_url || '';
+            document.getElementById('digest-chat').value = d.chat_id || '';
+            document.getElementById('digest-recipients').value = d.recipients.join(', ');
+            updateDigestForm();
         }
 
-        function handleLogin(e) {
+        async function saveDigest(e) {
             e.preventDefault();
-            loadData(document.getElementById('password-input').value);
+            const body = {
+                site_id: document.getElementById('digest-site').value.trim(),
+                name: document.getElementById('digest-name').value,
+                frequency: document.getElementById('digest-frequency').value,
+                timezone: document.getElementById('digest-timezone').value.trim() || 'UTC',
+                channel: document.getElementById('digest-channel').value,
+                webhook_format: document.getElementById('digest-format').value,
+                webhook_url: document.getElementById('digest-url').value.trim(),
+                chat_id: document.getElementById('digest-chat').value.trim() || null,
+                recipients: document.getElementById('digest-recipients').value
+            };
+            if (editingDigestId) body.id = editingDigestId;
+            const data = await apiRequest('/api/digests', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            if (!editingDigestId && data.digest.channel === 'webhook') prompt(i18n[curLang].alertSecret, data.digest.secret);
+            e.target.reset();
+            loadDigests();
         }
 
-        function unlockDashboard() {
-            const modal = document.getElementById('login-modal');
-            const content = document.getElementById('dashboard-content');
-            modal.style.opacity = '0';
-            setTimeout(() => modal.style.display = 'none', 300);
-            content.classList.remove('opacity-0');
-            window.dispatchEvent(new Event('resize'));
-            startAutoRefresh();
+        async function previewDigest(id) {
+            const data = await apiRequest('/api/digests?preview=1&id=' + encodeURIComponent(id));
+            if (data.error) return alert(data.error);
+            window.open(URL.createObjectURL(new Blob([data.html], { type: 'text/html' })), '_blank');
         }
 
-        function logout() { 
-            localStorage.removeItem('tj_auth_token'); 
-            clearInterval(autoRefreshTimer);
-            location.reload(); 
+        async function testDigest(id) {
+            const data = await apiRequest('/api/digests?test=1&id=' + encodeURIComponent(id), { method: 'POST' });
+            if (data.error) return alert(data.error);
+            alert(data.delivered ? i18n[curLang].digestSent : data.error);
+            loadDigests();
         }
-        
-        function refreshData() { loadData(localStorage.getItem('tj_auth_token')); }
 
-        function changeSite(siteId) {
-            currentSiteId = siteId;
-            document.getElementById('site-select-desktop').value = siteId;
-            document.getElementById('site-select-mobile').value = siteId;
-            document.getElementById('current-site-badge').innerText = siteId === 'all' ? (curLang === 'en' ? 'ALL' : '全部') : siteId;
-            loadData(localStorage.getItem('tj_auth_token'));
+        async function deleteDigest(id) {
+            if (!confirm('Delete?')) return;
+            await apiRequest('/api/digests?id=' + encodeURIComponent(id), { method: 'DELETE' });
+            if (String(editingDigestId) === String(id)) editingDigestId = null;
+            loadDigests();
         }
 
-        let lastChartData = null;
+        async function loadRejections() {
+            const data = await apiRequest('/api/rejections?range=7d');
+            if (data.error) return;
+            document.getElementById('rejected-total').innerText = data.total;
+            document.getElementById('rejected-summary').innerHTML = data.reasons.map(r => \`
+                <div class="rounded-lg bg-slate-50 dark:bg-white/5 px-3 py-2">
+                    <p class="text-[10px] text-slate-400 font-bold truncate">\${i18n[curLang].rejectReasons[r.reason] || r.reason}</p>
+                    <p class="text-sm font-bold font-mono \${r.count ? 'text-red-500' : 'text-slate-400'}">\${r.count}</p>
+                </div>
+            \`).join('');
+        }
 
-        async function loadData(token, silent = false) {
-            if (!token) return;
+        function closeSettings() {
+            const modal = document.getElementById('settings-modal');
+            modal.classList.add('hidden');
+            modal.classList.remove('flex');
+        }
+
+        async function loadSites() {
+            const data = await apiRequest('/api/sites');
+            if (data.error) return;
+            registeredSites = data.sites;
+            document.getElementById('unknown-sites-note').innerText = i18n[curLang][data.unknownSites === 'reject' ? 'unknownReject' : 'unknownAllow'];
+            const el = document.getElementById('site-registry-list');
+            el.innerHTML = data.sites.length === 0 ? '<div class="text-center text-xs text-slate-400 py-2">No Data</div>' : data.sites.map(site => \`
+                <div class="flex items-center justify-between px-3 py-2 rounded border border-slate-100 dark:border-white/5 gap-3 group \${site.enabled ? '' : 'opacity-60'}">
+                    <span class="min-w-0 cursor-pointer" data-id="\${escapeHtml(site.id)}" onclick="editSite(this.dataset.id)">
+                        <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(site.name)} <span class="font-mono font-normal text-slate-400">\${escapeHtml(site.id)}</span>\${site.enabled ? '' : ' <span class="text-[10px] text-red-500">' + i18n[curLang].disabled + '</span>'}</span>
+                        <span class="block text-[10px] font-mono text-slate-400 truncate">\${site.allowed_origins.length ? escapeHtml(site.allowed_origins.join(', ')) : i18n[curLang].anyOrigin}\${site.ingest_key ? ' · key ' + escapeHtml(site.ingest_key) : ''}</span>
+                    </span>
+                    <span class="flex items-center gap-2 text-[10px] font-bold whitespace-nowrap">
+                        <button data-id="\${escapeHtml(site.id)}" onclick="copySiteSnippet(this.dataset.id)" class="text-indigo-500 hover:text-indigo-400">COPY</button>
+                        \${site.public_counter ? \`<button data-id="\${escapeHtml(site.id)}" onclick="copyBadgeSnippet(this.dataset.id)" class="text-indigo-500 hover:text-indigo-400">BADGE</button>\` : ''}
+                        \${site.ingest_key ? \`<button data-id="\${escapeHtml(site.id)}" onclick="rotateSiteKey(this.dataset.id)" class="text-slate-400 hover:text-amber-500">\${i18n[curLang].rotateKey}</button>\` : ''}
+                        <button data-id="\${escapeHtml(site.id)}" onclick="deleteSite(this.dataset.id)" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
+                    </span>
+                </div>
+            \`).join('');
+            document.getElementById('site-unregistered').innerHTML = data.unregistered.length === 0 ? '' :
+                \`<span class="text-slate-400">\${i18n[curLang].unregistered}</span>\` + data.unregistered.map(id => \`
+                    <button data-id="\${escapeHtml(id)}" onclick="editSite(this.dataset.id)" class="font-mono px-2 py-0.5 rounded bg-slate-100 dark:bg-white/10 hover:bg-indigo-100 dark:hover:bg-indigo-500/20">\${escapeHtml(id)}</button>
+                \`).join('');
+        }
+
+        function editSite(id) {
+            const site = registeredSites.find(s => s.id === id);
+            document.getElementById('site-form-id').value = id;
+            document.getElementById('site-form-name').value = site ? site.name : '';
+            document.getElementById('site-form-origins').value = site ? site.allowed_origins.join(', ') : '';
+            document.getElementById('site-form-key').checked = !!(site && site.ingest_key);
+            document.getElementById('site-form-enabled').checked = site ? site.enabled : true;
+            document.getElementById('site-form-counter').checked = !!(site && site.public_counter);
+            document.getElementById('site-form-retention').value = site && site.retention_days !== null ? site.retention_days : '';
+        }
+
+        async function saveSite(e) {
+            e.preventDefault();
+            const id = document.getElementById('site-form-id').value.trim();
+            const existing = registeredSites.find(s => s.id === id);
+            const wantKey = document.getElementById('site-form-key').checked;
+            const body = {
+                id,
+                name: document.getElementById('site-form-name').value.trim() || id,
+                allowed_origins: document.getElementById('site-form-origins').value,
+                enabled: document.getElementById('site-form-enabled').checked,
+                public_counter: document.getElementById('site-form-counter').checked,
+                retention_days: document.getElementById('site-form-retention').value === '' ? null : Number(document.getElementById('site-form-retention').value)
+            };
+            // 已有密钥时保持不变，只在新开启时生成
+            if (!wantKey) body.ingest_key = null;
+            else if (!(existing && existing.ingest_key)) body.ingest_key = true;
+            const data = await apiRequest('/api/sites', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            e.target.reset();
+            loadSites();
+        }
+
+        async function rotateSiteKey(id) {
+            if (!confirm(i18n[curLang].rotateKey + '?')) return;
+            const data = await apiRequest('/api/sites', { method: 'POST', body: JSON.stringify({ id, ingest_key: true }) });
+            if (data.error) return alert(data.error);
+            loadSites();
+        }
+
+        async function deleteSite(id) {
+            if (!confirm('Delete?')) return;
+            await apiRequest('/api/sites?id=' + encodeURIComponent(id), { method: 'DELETE' });
+            loadSites();
+        }
+
+        function copySiteSnippet(id) {
+            const site = registeredSites.find(s => s.id === id);
+            const keyAttr = site && site.ingest_key ? \` data-key="\${site.ingest_key}"\` : '';
+            const snippet = \`<script defer src="\${window.location.origin}/tracker.js?v=${TRACKER_VERSION}" data-site-id="\${id}"\${keyAttr}><\\/script>\`;
+            navigator.clipboard.writeText(snippet).then(() => alert(i18n[curLang].snippetCopied));
+        }
+
+        function copyBadgeSnippet(id) {
+            const snippet = \`<img src="\${window.location.origin}/api/counter.svg?site_id=\${encodeURIComponent(id)}" alt="views">\`;
+            navigator.clipboard.writeText(snippet).then(() => alert(i18n[curLang].snippetCopied));
+        }
+
+        async function loadGoals() {
+            try {
+                const data = await apiRequest(\`/api/goals?site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\`);
+                if (data.error) return;
+                const el = document.getElementById('goal-list');
+                if (data.goals.length === 0) {
+                    el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                    return;
+                }
+                el.innerHTML = data.goals.map(g => \`
+                    <div class="flex items-center justify-between px-3 py-1.5 rounded border border-slate-100 dark:border-white/5 gap-3 group">
+                        <span class="min-w-0">
+                            <span class="block text-xs font-bold text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(g.name)}</span>
+                            <span class="block text-[10px] font-mono text-slate-400 truncate">\${g.type === 'event' ? 'event' : 'path'}: \${escapeHtml(g.match)}\${currentSiteId === 'all' ? ' · ' + escapeHtml(g.site_id) : ''}</span>
+                        </span>
+                        <span class="flex items-center gap-3 text-[11px] font-mono whitespace-nowrap">
+                            <span class="text-indigo-500 font-bold">\${g.conversions}</span>
+                            <span class="text-emerald-500 w-12 text-right">\${(g.rate * 100).toFixed(1)}%</span>
+                            <button onclick="deleteGoal(\${g.id})" class="text-slate-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">✕</button>
+                        </span>
+                    </div>
+                \`).join('');
+            } catch (e) {}
+        }
+
+        async function addGoal(e) {
+            e.preventDefault();
+            if (currentSiteId === 'all') return alert(i18n[curLang].selectSiteFirst);
+            const body = {
+                site_id: currentSiteId,
+                type: document.getElementById('goal-type').value,
+                match: document.getElementById('goal-match').value,
+                name: document.getElementById('goal-name').value
+            };
+            const data = await apiRequest('/api/goals', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            e.target.reset();
+            loadGoals();
+        }
+
+        async function deleteGoal(id) {
+            if (!confirm('Delete?')) return;
+            await apiRequest('/api/goals?id=' + id, { method: 'DELETE' });
+            loadGoals();
+        }
+
+        async function loadFunnels() {
+            try {
+                const data = await apiRequest(\`/api/funnels?site_id=\${encodeURIComponent(currentSiteId)}\`);
+                if (data.error) return;
+                const select = document.getElementById('funnel-select');
+                const previous = select.value;
+                select.innerHTML = data.funnels.map(f => \`<option value="\${f.id}">\${escapeHtml(f.name)}</option>\`).join('');
+                if (data.funnels.length === 0) {
+                    document.getElementById('funnel-chart').innerHTML = \`<div class="text-center text-xs text-slate-400 py-4">\${i18n[curLang].noFunnels}</div>\`;
+                    return;
+                }
+                if (data.funnels.some(f => String(f.id) === previous)) select.value = previous;
+                loadFunnelReport(select.value);
+            } catch (e) {}
+        }
+
+        async function loadFunnelReport(id) {
+            if (!id) return;
+            try {
+                const data = await apiRequest(\`/api/funnels?id=\${encodeURIComponent(id)}&\${rangeQuery()}\`);
+                if (data.error) return;
+                document.getElementById('funnel-chart').innerHTML = data.steps.map((step, i) => \`
+                    <div>
+                        <div class="flex items-center justify-between text-[11px] mb-0.5 gap-2">
+                            <span class="font-mono text-slate-600 dark:text-slate-300 truncate">\${i + 1}. \${step.type === 'event' ? 'event:' : ''}\${escapeHtml(step.match)}</span>
+                            <span class="font-mono whitespace-nowrap">
+                                <span class="text-indigo-500 font-bold">\${step.visitors}</span>
+                                <span class="text-slate-400">(\${(step.conversion * 100).toFixed(1)}%)</span>
+                                \${i > 0 ? \`<span class="text-red-400 ml-1">-\${(step.dropoff * 100).toFixed(1)}% \${i18n[curLang].dropoff}</span>\` : ''}
+                            </span>
+                        </div>
+                        <div class="h-5 rounded bg-slate-100 dark:bg-white/5 overflow-hidden">
+                            <div class="h-full rounded bg-gradient-to-r from-indigo-500 to-violet-500 transition-all" style="width: \${Math.max(step.conversion * 100, 0.5)}%"></div>
+                        </div>
+                    </div>
+                \`).join('');
+            } catch (e) {}
+        }
+
+        // 步骤格式: "/pricing, /checkout, event:purchase"，不带前缀的视为路径
+        async function addFunnel(e) {
+            e.preventDefault();
+            if (currentSiteId === 'all') return alert(i18n[curLang].selectSiteFirst);
+            const steps = document.getElementById('funnel-steps').value.split(/[,\\n]/).map(s => s.trim()).filter(Boolean).map(s => {
+                const m = /^(path|event):(.+)$/.exec(s);
+                return m ? { type: m[1], match: m[2].trim() } : { type: 'path', match: s };
+            });
+            const body = { site_id: currentSiteId, name: document.getElementById('funnel-name').value, steps };
+            const data = await apiRequest('/api/funnels', { method: 'POST', body: JSON.stringify(body) });
+            if (data.error) return alert(data.error);
+            e.target.reset();
+            await loadFunnels();
+            document.getElementById('funnel-select').value = data.id;
+            loadFunnelReport(data.id);
+        }
+
+        async function deleteFunnel() {
+            const id = document.getElementById('funnel-select').value;
+            if (!id || !confirm('Delete?')) return;
+            await apiRequest('/api/funnels?id=' + id, { method: 'DELETE' });
+            loadFunnels();
+        }
+
+        function formatDuration(seconds) {
+            if (seconds < 60) return seconds + 's';
+            const m = Math.floor(seconds / 60);
+            if (m < 60) return m + 'm ' + (seconds % 60) + 's';
+            return Math.floor(m / 60) + 'h ' + (m % 60) + 'm';
+        }
+
+        function switchPageTab(tab) {
+            document.querySelectorAll('#page-tabs .range-btn').forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-tab') === tab));
+            document.getElementById('top-pages-list').classList.toggle('hidden', tab !== 'top');
+            document.getElementById('entry-pages-list').classList.toggle('hidden', tab !== 'entry');
+            document.getElementById('exit-pages-list').classList.toggle('hidden', tab !== 'exit');
+        }
 
-            const btnIcon = document.getElementById('refresh-icon');
-            if (!silent) btnIcon.classList.add('animate-spin');
+        // 入口页 / 退出页 (按会话数排序)
+        function renderPathCounts(elId, rows) {
+            const el = document.getElementById(elId);
+            if (rows.length === 0) {
+                el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                return;
+            }
+            el.innerHTML = rows.map(r => \`
+                <div onclick="openPageDetail(this.dataset.path)" data-path="\${escapeHtml(r.path)}" class="flex items-center justify-between px-3 py-1.5 rounded border border-slate-100 dark:border-white/5 hover:border-indigo-300 dark:hover:border-indigo-500/40 cursor-pointer gap-3 transition-colors">
+                    <span class="text-xs font-mono text-slate-700 dark:text-slate-200 truncate">\${escapeHtml(r.path)}</span>
+                    <span class="text-[11px] font-mono font-bold text-indigo-500">\${r.count}</span>
+                </div>
+            \`).join('');
+        }
+
+        let pageChartInstance = null;
+        async function openPageDetail(pagePath) {
+            const modal = document.getElementById('page-modal');
+            modal.classList.remove('hidden');
+            modal.classList.add('flex');
+            document.getElementById('page-modal-title').innerText = pagePath;
 
             try {
-                const url = \`/api/stats?site_id=\${currentSiteId}\`;
-                const res = await fetch(url, { headers: { 'Authorization': token } });
-                if (res.status === 401) throw new Error("PASSCODE INVALID");
+                const token = localStorage.getItem('tj_auth_token');
+                const res = await fetch(\`/api/pages?path=\${encodeURIComponent(pagePath)}&site_id=\${encodeURIComponent(currentSiteId)}&\${rangeQuery()}\`, { headers: { 'Authorization': authHeader(token) } });
                 const data = await res.json();
                 if (data.error) throw new Error(data.error);
 
-                localStorage.setItem('tj_auth_token', token);
-                document.getElementById('login-error').classList.add('hidden');
-                if (document.getElementById('login-modal').style.display !== 'none') unlockDashboard();
-
-                const pvEl = document.getElementById('total-pv');
-                const oldVal = parseInt(pvEl.innerText);
-                if (data.total !== oldVal) animateValue("total-pv", oldVal, data.total, 800);
-                
-                const uvEl = document.getElementById('unique-visitors');
-                const oldUvVal = parseInt(uvEl.innerText);
-                if (data.unique !== oldUvVal) animateValue("unique-visitors", oldUvVal, data.unique, 800);
-
-                // Render Top Sites
-                const topSitesEl = document.getElementById('top-sites-list');
-                if (data.topSites && data.topSites.length > 0) {
-                    topSitesEl.innerHTML = data.topSites.map((s, i) => \`
-                        <div class="flex items-center justify-between p-2 rounded bg-slate-50/50 dark:bg-white/5 border border-slate-100 dark:border-white/5 hover:bg-slate-100 dark:hover:bg-white/10 transition-colors">
-                            <div class="flex items-center gap-3 min-w-0">
-                                <span class="font-bold font-mono text-xs \${i===0?'rank-1':(i===1?'rank-2':(i===2?'rank-3':'rank-norm'))}">#\${i+1}</span>
-                                <span class="font-medium text-xs text-slate-700 dark:text-slate-200 truncate">\${s.site_id}</span>
-                            </div>
-                            <span class="text-xs font-mono text-indigo-500 font-bold">\${s.count}</span>
-                        </div>
-                    \`).join('');
-                } else {
-                    topSitesEl.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
-                }
+                document.getElementById('page-pv').innerText = data.pv;
+                document.getElementById('page-uv').innerText = data.uv;
+                document.getElementById('page-share').innerText = (data.share * 100).toFixed(1) + '%';
+                renderRankList('page-countries', data.countries, 'country');
+                renderRankList('page-sites', data.sites, 'site_id');
 
-                updateSiteOptions(data.sites);
+                if (pageChartInstance) pageChartInstance.destroy();
+                pageChartInstance = new Chart(document.getElementById('pageChart').getContext('2d'), trendChartConfig(data.series || []));
+            } catch (e) {}
+        }
 
-                const tbody = document.getElementById('visit-list');
-                if (data.recent.length === 0) {
-                    tbody.innerHTML = \`<tr><td colspan="5" class="px-5 py-8 text-center text-slate-400 font-mono text-xs">\${i18n[curLang].noData}</td></tr>\`;
-                } else {
-                    tbody.innerHTML = data.recent.map(row => \`
-                        <tr class="hover:bg-slate-50 dark:hover:bg-white/5 transition-colors border-b border-slate-50 dark:border-white/5 last:border-0 group">
-                            <td class="px-4 py-2 text-slate-500 dark:text-slate-400 font-mono text-[12px] whitespace-nowrap">
-                                \${new Date(row.timestamp.endsWith('Z') ? row.timestamp : row.timestamp + 'Z').toLocaleTimeString()}
-                            </td>
-                            <td class="px-4 py-2 font-mono text-[12px] text-indigo-500 dark:text-indigo-400 whitespace-nowrap">\${row.ip}</td>
-                            <td class="px-4 py-2 text-[12px] text-slate-600 dark:text-slate-300 font-medium whitespace-nowrap flex items-center gap-2">
-                                <span class="text-sm">\${getFlagEmoji(row.country)}</span> \${row.country}
-                            </td>
-                            <td class="px-4 py-2 whitespace-nowrap">
-                                <span class="font-bold text-[12px] text-slate-700 dark:text-slate-200">
-                                    \${row.site_id || 'default'}
-                                </span>
-                            </td>
-                            <td class="px-4 py-2 text-slate-500 dark:text-slate-400 text-[12px] truncate max-w-[150px]" title="\${row.path}">
-                                \${row.path}
-                            </td>
-                        </tr>
-                    \`).join('');
-                }
+        function closePageDetail() {
+            const modal = document.getElementById('page-modal');
+            modal.classList.add('hidden');
+            modal.classList.remove('flex');
+        }
 
-                lastChartData = data.countries;
-                if(!silent) renderChart(data.countries);
-                
-                try {
-                    if (!silent) {
-                        if (window.jsVectorMap) renderMap(data.countries);
-                        else setTimeout(() => { if (window.jsVectorMap) renderMap(data.countries); }, 1000);
-                    }
-                } catch (mapErr) {}
+        function updateCountryChart(countries) {
+            if (!chartInstance) return renderChart(countries);
+            chartInstance.data = countryChartData(countries);
+            chartInstance.update('none');
+        }
 
-            } catch (err) {
-                if (err.message === "PASSCODE INVALID") {
-                    document.getElementById('login-error').classList.remove('hidden');
-                    localStorage.removeItem('tj_auth_token');
-                    clearInterval(autoRefreshTimer);
-                }
-            } finally {
-                if (!silent) btnIcon.classList.remove('animate-spin');
+        // 前 5 个地区；开启对比时附加对比周期的柱
+        function countryChartData(countries) {
+            const isDark = curTheme === 'dark';
+            const top = countries.slice(0, 5);
+            const datasets = [{
+                label: 'Visits',
+                data: top.map(c => c.count),
+                backgroundColor: isDark ? '#818cf8' : '#6366f1',
+                borderRadius: 3,
+                barThickness: 'flex',
+                maxBarThickness: 24
+            }];
+            if (lastPrevious) {
+                datasets.push({
+                    label: i18n[curLang].previousPeriod,
+                    data: top.map(c => previousCount(lastPrevious.countries, 'country', c.country)),
+                    backgroundColor: isDark ? 'rgba(148, 163, 184, 0.35)' : 'rgba(148, 163, 184, 0.5)',
+                    borderRadius: 3,
+                    barThickness: 'flex',
+                    maxBarThickness: 24
+                });
             }
+            return { labels: top.map(c => c.country), datasets };
         }
 
-        // 修复: 这里的逻辑已更新，同时处理桌面端和移动端下拉菜单
-        function updateSiteOptions(sites) {
-            // 定义需要更新的两个下拉框ID
-            const selectorIds = ['site-select-desktop', 'site-select-mobile'];
-            
-            selectorIds.forEach(id => {
-                const select = document.getElementById(id);
-                if (!select) return;
+        // 地图下钻: 点击国家查看其省 / 州与城市，点击省 / 州只看其城市；只影响这两个排行
+        let curGeo = { country: null, region: null };
+        let lastGeo = { regions: [], cities: [] };
 
-                // 简单的优化：如果选项数量没变，就不重绘（假设站点列表不频繁变动）
-                // 注意：这里用 length - 1 是因为默认有一个 'all' 选项
-                if (select.options.length - 1 !== sites.length) {
-                    const currentVal = currentSiteId; // 使用全局变量 currentSiteId 保持状态
-                    select.innerHTML = ''; 
-                    
-                    const allOpt = document.createElement('option');
-                    allOpt.value = 'all';
-                    allOpt.innerText = curLang === 'en' ? 'ALL SITES' : '所有站点';
-                    select.appendChild(allOpt);
-                    
-                    sites.forEach(site => {
-                        if(!site) return;
-                        const opt = document.createElement('option');
-                        opt.value = site;
-                        opt.innerText = site;
-                        select.appendChild(opt);
-                    });
-                    
-                    // 恢复选中状态
-                    if (currentVal === 'all' || sites.includes(currentVal)) {
-                        select.value = currentVal;
-                    } else {
-                        select.value = 'all';
-                    }
-                }
-            });
-        }
-        
-        function updateSiteSelectUI() {
-             // 同时更新两个下拉框的语言文本
-             const ids = ['site-select-desktop', 'site-select-mobile'];
-             ids.forEach(id => {
-                 const sel = document.getElementById(id);
-                 if(sel && sel.options.length > 0) {
-                     sel.options[0].text = curLang === 'en' ? 'ALL SITES' : '所有站点';
-                 }
-             });
-             
-             if(currentSiteId === 'all') document.getElementById('current-site-badge').innerText = curLang === 'en' ? 'ALL' : '全部';
+        function geoQuery() {
+            if (!curGeo.country) return '';
+            return '&geo_country=' + curGeo.country + (curGeo.region ? '&geo_region=' + encodeURIComponent(curGeo.region) : '');
         }
 
-        function animateValue(id, start, end, duration) {
-            if (start === end) return;
-            const range = end - start;
-            let current = start;
-            const increment = end > start ? 1 : -1;
-            const stepTime = Math.abs(Math.floor(duration / range));
-            const obj = document.getElementById(id);
-            const timer = setInterval(function() {
-                current += increment;
-                obj.innerText = current;
-                if (current == end) clearInterval(timer);
-            }, Math.max(stepTime, 20));
+        function selectGeo(country, region = null) {
+            curGeo = { country: country || null, region: country ? region : null };
+            if (!country) {
+                try { if (window.jsVectorMap && lastChartData) renderMap(lastChartData); } catch (e) {}
+            }
+            loadData(localStorage.getItem('tj_auth_token'), true);
         }
 
-        function getFlagEmoji(countryCode) {
-            if (!countryCode || countryCode === 'Unknown') return '🌐';
-            return countryCode.toUpperCase().replace(/./g, char => String.fromCodePoint(char.charCodeAt(0) + 127397));
+        function renderGeo(data) {
+            const t = i18n[curLang];
+            lastGeo = { regions: data.regions || [], cities: data.cities || [] };
+            const crumbs = [\`<button onclick="selectGeo(null)" class="hover:text-indigo-500 \${curGeo.country ? '' : 'text-slate-600 dark:text-slate-300'}">\${t.world}</button>\`];
+            if (curGeo.country) {
+                crumbs.push(\`<button data-country="\${escapeHtml(curGeo.country)}" onclick="selectGeo(this.dataset.country)" class="hover:text-indigo-500 \${curGeo.region ? '' : 'text-slate-600 dark:text-slate-300'}">\${getFlagEmoji(curGeo.country)} \${escapeHtml(curGeo.country)}</button>\`);
+            }
+            if (curGeo.region) crumbs.push(\`<span class="text-slate-600 dark:text-slate-300 truncate">\${escapeHtml(curGeo.region)}</span>\`);
+            document.getElementById('geo-breadcrumb').innerHTML = crumbs.join('<span>›</span>');
+            renderGeoLists();
         }
 
-        let chartInstance = null;
-        function renderChart(countries) {
-            const ctx = document.getElementById('countryChart').getContext('2d');
-            const isDark = curTheme === 'dark';
-            
-            Chart.defaults.color = isDark ? '#94a3b8' : '#64748b';
-            Chart.defaults.borderColor = isDark ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.05)';
+        function renderGeoLists() {
+            const sameRegion = (a, b) => a.country === b.country && a.region === b.region;
+            const delta = (rows, match, count) => lastPrevious ? changeBadge(pctChange(count, ((rows || []).find(match) || { count: 0 }).count)) : '';
+            const rowHtml = (r, label, sub, previous) => \`
+                <div data-country="\${escapeHtml(r.country)}" data-region="\${escapeHtml(r.region)}" onclick="selectGeo(this.dataset.country, this.dataset.region)"
+                    class="flex items-center justify-between gap-2 px-2 py-1 rounded text-[11px] cursor-pointer hover:bg-slate-50 dark:hover:bg-white/5 \${sameRegion(r, curGeo) ? 'bg-indigo-50 dark:bg-indigo-500/10' : ''}">
+                    <span class="truncate text-slate-600 dark:text-slate-300">\${curGeo.country ? '' : getFlagEmoji(r.country) + ' '}\${escapeHtml(label)}\${sub ? \` <span class="text-slate-400">\${escapeHtml(sub)}</span>\` : ''}</span>
+                    <span class="flex items-center gap-2"><span class="font-mono font-bold text-indigo-500">\${r.count}</span>\${previous}</span>
+                </div>
+            \`;
+            const empty = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+            document.getElementById('geo-regions').innerHTML = lastGeo.regions.length === 0 ? empty : lastGeo.regions.map(r =>
+                rowHtml(r, r.region, curGeo.country ? '' : r.country, delta(lastPrevious && lastPrevious.regions, p => sameRegion(p, r), r.count))
+            ).join('');
+            document.getElementById('geo-cities').innerHTML = lastGeo.cities.length === 0 ? empty : lastGeo.cities.map(c =>
+                rowHtml(c, c.city, curGeo.region ? '' : c.region, delta(lastPrevious && lastPrevious.cities, p => sameRegion(p, c) && p.city === c.city, c.count))
+            ).join('');
+        }
 
-            if (chartInstance) chartInstance.destroy();
-            chartInstance = new Chart(ctx, {
-                type: 'bar',
-                data: {
-                    labels: countries.slice(0, 5).map(c => c.country),
-                    datasets: [{
-                        label: 'Visits',
-                        data: countries.slice(0, 5).map(c => c.count),
-                        backgroundColor: isDark ? '#818cf8' : '#6366f1',
-                        borderRadius: 3,
-                        barThickness: 'flex',
-                        maxBarThickness: 24
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    indexAxis: 'y',
-                    plugins: { legend: { display: false } },
-                    scales: { x: { grid: { display: false } }, y: { grid: { display: false } } }
-                }
+        // 实时推送的新访问按当前下钻范围累加到地区与城市排行
+        function updateGeoLists(hits) {
+            const bump = (rows, match, row) => {
+                const found = rows.find(match);
+                if (found) found.count++;
+                else rows.push({ ...row, count: 1 });
+                rows.sort((a, b) => b.count - a.count);
+            };
+            hits.forEach(hit => {
+                if (curGeo.country && hit.country !== curGeo.country) return;
+                const row = { country: hit.country, region: hit.region || 'Unknown', city: hit.city || 'Unknown' };
+                bump(lastGeo.regions, r => r.country === row.country && r.region === row.region, { country: row.country, region: row.region });
+                if (curGeo.region && row.region !== curGeo.region) return;
+                bump(lastGeo.cities, c => c.country === row.country && c.region === row.region && c.city === row.city, row);
             });
+            renderGeoLists();
         }
 
         let mapInstance = null;
@@ -847,6 +7104,12 @@ fetch('\${origin}/api/track', {
                     scale: isDark ? ['#4f46e5', '#a855f7'] : ['#93c5fd', '#2563eb'],
                     values: mapData
                 },
+                regionsSelectable: true,
+                regionsSelectableOne: true,
+                selectedRegions: curGeo.country ? [curGeo.country] : [],
+                onRegionClick(event, code) {
+                    selectGeo(code === curGeo.country ? null : code);
+                },
                 onRegionTooltipShow(event, tooltip, code) {
                     const count = mapData[code] || 0;
                     tooltip.text(\`\${tooltip.text()} (\${count} visits)\`, true);
@@ -859,4 +7122,354 @@ fetch('\${origin}/api/track', {
     </script>
 </body>
 </html>
-`;
\ No newline at end of file
+`;
+
+// 公开分享页: 只读展示一个站点的统计 (数据来自 /api/share/<slug>，链接标识从地址栏读取)
+const htmlShare = `
+<!DOCTYPE html>
+<html lang="en" class="dark">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Leon Stats</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js"></script>
+    <script>
+        tailwind.config = {
+            darkMode: 'class',
+            theme: {
+                extend: {
+                    fontFamily: {
+                        sans: ['Inter', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'sans-serif'],
+                        mono: ['JetBrains Mono', 'Fira Code', 'Consolas', 'Menlo', 'monospace'],
+                    }
+                }
+            }
+        }
+        // 跟随系统的明暗主题
+        if (!window.matchMedia('(prefers-color-scheme: dark)').matches) document.documentElement.classList.replace('dark', 'light');
+    </script>
+    <link href="https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500&family=Inter:wght@400;500;600&display=swap" rel="stylesheet">
+    <style>
+        body { font-family: 'Inter', sans-serif; -webkit-font-smoothing: antialiased; }
+        .font-mono { font-family: 'JetBrains Mono', monospace; letter-spacing: -0.02em; }
+        .glass-card { border: 1px solid; border-radius: 12px; }
+        .dark .glass-card { background: rgba(30, 41, 59, 0.65); border-color: rgba(255,255,255,0.08); box-shadow: 0 4px 20px rgba(0,0,0,0.2); }
+        .light .glass-card { background: rgba(255, 255, 255, 0.8); border-color: rgba(0,0,0,0.06); box-shadow: 0 4px 15px rgba(0,0,0,0.03); }
+        .range-btn { font-size: 10px; font-weight: 700; padding: 4px 8px; border-radius: 6px; color: #94a3b8; }
+        .range-btn.active { background: #4f46e5; color: white; }
+        .change-badge { font-size: 10px; font-weight: 700; font-family: 'JetBrains Mono', monospace; margin-left: 6px; }
+        .change-up { color: #10b981; }
+        .change-down { color: #ef4444; }
+        .change-flat { color: #94a3b8; }
+    </style>
+</head>
+<body class="bg-slate-50 text-slate-600 dark:bg-[#0f172a] dark:text-slate-300 min-h-screen">
+    <div id="password-view" class="hidden min-h-screen items-center justify-center p-4">
+        <form onsubmit="unlock(event)" class="glass-card p-6 w-full max-w-xs space-y-3">
+            <p class="text-sm font-bold text-slate-900 dark:text-white" data-i18n="protected">This dashboard is password protected</p>
+            <input id="password" type="password" required autofocus class="w-full rounded-lg border border-slate-200 dark:border-white/10 bg-white dark:bg-white/5 px-3 py-2 text-sm outline-none focus:border-indigo-500">
+            <p id="password-error" class="hidden text-xs text-red-500" data-i18n="wrongPassword">Incorrect password</p>
+            <button type="submit" class="w-full rounded-lg bg-indigo-600 hover:bg-indigo-500 text-white text-xs font-bold py-2" data-i18n="view">VIEW</button>
+        </form>
+    </div>
+
+    <main id="app" class="hidden max-w-6xl mx-auto p-4 md:p-8">
+        <header class="flex flex-wrap items-center justify-between gap-3 mb-6">
+            <div>
+                <h1 id="share-name" class="text-lg font-bold text-slate-900 dark:text-white"></h1>
+                <p id="share-site" class="text-xs font-mono text-slate-400"></p>
+            </div>
+            <div id="range-buttons" class="flex items-center gap-1">
+                <button onclick="changeRange('24h')" data-range="24h" class="range-btn">24H</button>
+                <button onclick="changeRange('7d')" data-range="7d" class="range-btn active">7D</button>
+                <button onclick="changeRange('30d')" data-range="30d" class="range-btn">30D</button>
+                <button onclick="changeRange('90d')" data-range="90d" class="range-btn">90D</button>
+            </div>
+        </header>
+
+        <section data-widget="summary" class="hidden grid grid-cols-3 gap-4 mb-6">
+            <div class="glass-card p-5">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest" data-i18n="totalVisits">Total Visits</p>
+                <p class="text-2xl font-bold font-mono text-slate-900 dark:text-white mt-1"><span id="total">0</span><span id="total-change"></span></p>
+            </div>
+            <div class="glass-card p-5">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest" data-i18n="uniqueVisitors">Unique Visitors</p>
+                <p class="text-2xl font-bold font-mono text-slate-900 dark:text-white mt-1"><span id="unique">0</span><span id="unique-change"></span></p>
+            </div>
+            <div class="glass-card p-5">
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest" data-i18n="visitorsNow">Visitors Now</p>
+                <p class="text-2xl font-bold font-mono text-emerald-500 mt-1" id="current">0</p>
+            </div>
+        </section>
+
+        <section data-widget="trend" class="hidden glass-card p-5 mb-6 h-[300px] flex flex-col">
+            <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-2" data-i18n="trend">Traffic Trend</h3>
+            <div class="flex-grow w-full relative"><canvas id="trend-chart"></canvas></div>
+        </section>
+
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <section data-widget="sessions" class="hidden glass-card p-5">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3" data-i18n="sessions">Sessions</h3>
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase" data-i18n="sessions">Sessions</p><p class="font-mono font-bold text-slate-900 dark:text-white" id="session-count">0</p></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase" data-i18n="bounceRate">Bounce Rate</p><p class="font-mono font-bold text-slate-900 dark:text-white" id="bounce-rate">0%</p></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase" data-i18n="pagesPerSession">Pages / Session</p><p class="font-mono font-bold text-slate-900 dark:text-white" id="pages-per-session">0</p></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase" data-i18n="avgDuration">Avg. Duration</p><p class="font-mono font-bold text-slate-900 dark:text-white" id="avg-duration">0s</p></div>
+                </div>
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="entryPages">Entry Pages</p>
+                <div id="entry-pages" class="space-y-1 max-h-48 overflow-y-auto"></div>
+            </section>
+
+            <section data-widget="pages" class="hidden glass-card p-5">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3" data-i18n="topPages">Top Pages</h3>
+                <div id="pages" class="space-y-1 max-h-72 overflow-y-auto"></div>
+            </section>
+
+            <section data-widget="geography" class="hidden glass-card p-5 lg:col-span-2">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3 flex items-center justify-between gap-2">
+                    <span data-i18n="geography">Geography</span>
+                    <span id="geo-breadcrumb" class="flex items-center gap-1 text-[11px] font-normal font-mono text-slate-400"></span>
+                </h3>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="countries">Countries</p><div id="countries" class="space-y-1 max-h-60 overflow-y-auto"></div></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="regions">Regions</p><div id="regions" class="space-y-1 max-h-60 overflow-y-auto"></div></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="cities">Cities</p><div id="cities" class="space-y-1 max-h-60 overflow-y-auto"></div></div>
+                </div>
+            </section>
+
+            <section data-widget="sources" class="hidden glass-card p-5">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3" data-i18n="sources">Traffic Sources</h3>
+                <div id="sources" class="space-y-1 mb-4"></div>
+                <p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="referrers">Referrers</p>
+                <div id="referrers" class="space-y-1 max-h-48 overflow-y-auto"></div>
+            </section>
+
+            <section data-widget="technology" class="hidden glass-card p-5">
+                <h3 class="text-sm font-bold text-slate-900 dark:text-white mb-3" data-i18n="technology">Technology</h3>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="browsers">Browsers</p><div id="browsers" class="space-y-1"></div></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="os">OS</p><div id="os" class="space-y-1"></div></div>
+                    <div><p class="text-[10px] text-slate-400 font-bold uppercase tracking-widest mb-2" data-i18n="devices">Devices</p><div id="devices" class="space-y-1"></div></div>
+                </div>
+            </section>
+        </div>
+
+        <p class="text-center text-[10px] text-slate-400 mt-8 font-mono">Powered by Leon Analytics</p>
+    </main>
+
+    <script>
+        const slug = location.pathname.split('/').filter(Boolean).pop();
+        const tokenKey = 'tj_share_' + slug;
+        const curLang = (navigator.language || '').toLowerCase().startsWith('zh') ? 'zh' : 'en';
+        const i18n = {
+            en: {
+                protected: "This dashboard is password protected", wrongPassword: "Incorrect password", tooManyAttempts: "Too many attempts, try again in a minute", view: "VIEW",
+                totalVisits: "Total Visits", uniqueVisitors: "Unique Visitors", visitorsNow: "Visitors Now", trend: "Traffic Trend",
+                sessions: "Sessions", bounceRate: "Bounce Rate", pagesPerSession: "Pages / Session", avgDuration: "Avg. Duration",
+                entryPages: "Entry Pages", topPages: "Top Pages", geography: "Geography", countries: "Countries", regions: "Regions",
+                cities: "Cities", world: "World", sources: "Traffic Sources", referrers: "Referrers", technology: "Technology",
+                browsers: "Browsers", os: "OS", devices: "Devices", notFound: "This share link does not exist or has expired."
+            },
+            zh: {
+                protected: "此页面需要访问口令", wrongPassword: "口令错误", tooManyAttempts: "尝试次数过多，请一分钟后再试", view: "查看",
+                totalVisits: "总访问量", uniqueVisitors: "独立访客", visitorsNow: "当前在线", trend: "访问趋势",
+                sessions: "会话", bounceRate: "跳出率", pagesPerSession: "每次会话页数", avgDuration: "平均时长",
+                entryPages: "入口页", topPages: "热门页面", geography: "地区分布", countries: "国家", regions: "省 / 州",
+                cities: "城市", world: "全球", sources: "访问来源", referrers: "来源网站", technology: "设备与浏览器",
+                browsers: "浏览器", os: "操作系统", devices: "设备", notFound: "分享链接不存在或已过期。"
+            }
+        };
+        let curRange = '7d';
+        let curGeo = { country: null, region: null };
+        let trendChart = null;
+
+        document.documentElement.lang = curLang === 'zh' ? 'zh-CN' : 'en';
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            const text = i18n[curLang][el.getAttribute('data-i18n')];
+            if (text) el.innerText = text;
+        });
+
+        function escapeHtml(value) {
+            return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+        }
+
+        function getFlagEmoji(countryCode) {
+            if (!countryCode || countryCode.length !== 2) return '🌐';
+            return countryCode.toUpperCase().replace(/./g, char => String.fromCodePoint(char.charCodeAt(0) + 127397));
+        }
+
+        function formatDuration(seconds) {
+            if (seconds < 60) return seconds + 's';
+            return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+        }
+
+        function changeBadge(value, invert = false) {
+            if (value === undefined) return '';
+            if (value === null) return '<span class="change-badge change-flat">—</span>';
+            const pct = Math.round(value * 1000) / 10;
+            const cls = pct === 0 ? 'change-flat' : ((pct > 0) !== invert ? 'change-up' : 'change-down');
+            return \`<span class="change-badge \${cls}">\${pct > 0 ? '▲' : (pct < 0 ? '▼' : '')}\${Math.abs(pct)}%</span>\`;
+        }
+
+        // 排行列表: attrs 为行上的 data-* 属性，存在时行可点击 (用于地区下钻)
+        function renderList(id, rows, label, count = r => r.count, attrs = null) {
+            const el = document.getElementById(id);
+            if (!rows || rows.length === 0) {
+                el.innerHTML = '<div class="text-center text-xs text-slate-400 py-2">No Data</div>';
+                return;
+            }
+            el.innerHTML = rows.map(r => \`
+                <div \${attrs ? attrs(r) + ' onclick="selectGeo(this.dataset.country, this.dataset.region)"' : ''} class="flex items-center justify-between gap-2 px-2 py-1 rounded text-xs \${attrs ? 'cursor-pointer hover:bg-slate-100 dark:hover:bg-white/5' : ''}">
+                    <span class="truncate text-slate-600 dark:text-slate-300">\${label(r)}</span>
+                    <span class="font-mono font-bold text-indigo-500">\${count(r)}</span>
+                </div>
+            \`).join('');
+        }
+
+        function changeRange(range) {
+            curRange = range;
+            document.querySelectorAll('#range-buttons .range-btn').forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-range') === range));
+            load();
+        }
+
+        function selectGeo(country, region = null) {
+            curGeo = { country: country || null, region: country ? (region || null) : null };
+            load();
+        }
+
+        async function load() {
+            const params = new URLSearchParams({ range: curRange, tz: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC' });
+            if (curGeo.country) params.set('geo_country', curGeo.country);
+            if (curGeo.region) params.set('geo_region', curGeo.region);
+            const token = sessionStorage.getItem(tokenKey);
+            const res = await fetch('/api/share/' + slug + '?' + params, { headers: token ? { 'Authorization': 'Bearer ' + token } : {} });
+            const data = await res.json().catch(() => ({ error: res.status }));
+            if (res.status === 401 && data.password) {
+                sessionStorage.removeItem(tokenKey);
+                document.getElementById('app').classList.add('hidden');
+                document.getElementById('password-view').classList.replace('hidden', 'flex');
+                return;
+            }
+            if (data.error) {
+                document.body.innerHTML = \`<p class="p-8 text-center text-sm text-slate-400">\${escapeHtml(res.status === 404 ? i18n[curLang].notFound : data.error)}</p>\`;
+                return;
+            }
+            document.getElementById('password-view').classList.replace('flex', 'hidden');
+            document.getElementById('app').classList.remove('hidden');
+            render(data);
+        }
+
+        async function unlock(e) {
+            e.preventDefault();
+            const res = await fetch('/api/share/' + slug, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: document.getElementById('password').value })
+            });
+            const data = await res.json();
+            if (!data.token) {
+                const error = document.getElementById('password-error');
+                error.innerText = i18n[curLang][res.status === 429 ? 'tooManyAttempts' : 'wrongPassword'];
+                error.classList.remove('hidden');
+                return;
+            }
+            sessionStorage.setItem(tokenKey, data.token);
+            load();
+        }
+
+        function render(data) {
+            const t = i18n[curLang];
+            const widgets = data.share.widgets;
+            document.title = data.share.name + ' · Leon Stats';
+            document.getElementById('share-name').innerText = data.share.name;
+            document.getElementById('share-site').innerText = data.share.site_id;
+            document.querySelectorAll('[data-widget]').forEach(el => {
+                el.classList.toggle('hidden', !widgets.includes(el.getAttribute('data-widget')));
+            });
+            const changes = data.changes || {};
+
+            if (widgets.includes('summary')) {
+                document.getElementById('total').innerText = data.total;
+                document.getElementById('unique').innerText = data.unique;
+                document.getElementById('current').innerText = data.current ? data.current.visitors : 0;
+                document.getElementById('total-change').innerHTML = changeBadge(changes.total);
+                document.getElementById('unique-change').innerHTML = changeBadge(changes.unique);
+            }
+
+            if (widgets.includes('trend')) renderTrend(data.series || [], data.range ? data.range.interval : 'day');
+
+            if (widgets.includes('sessions')) {
+                const sessions = data.sessions || {};
+                document.getElementById('session-count').innerText = sessions.count || 0;
+                document.getElementById('bounce-rate').innerText = ((sessions.bounceRate || 0) * 100).toFixed(1) + '%';
+                document.getElementById('pages-per-session').innerText = (sessions.pagesPerSession || 0).toFixed(2);
+                document.getElementById('avg-duration').innerText = formatDuration(sessions.avgDuration || 0);
+                renderList('entry-pages', data.entryPages, r => escapeHtml(r.path));
+            }
+
+            if (widgets.includes('pages')) {
+                renderList('pages', data.pages, r => escapeHtml(r.path), r => \`\${r.pv} <span class="font-normal text-slate-400">· \${r.uv}</span>\`);
+            }
+
+            if (widgets.includes('geography')) {
+                const crumbs = [\`<button onclick="selectGeo(null)" class="hover:text-indigo-500">\${t.world}</button>\`];
+                if (curGeo.country) crumbs.push(\`<button data-country="\${escapeHtml(curGeo.country)}" onclick="selectGeo(this.dataset.country)" class="hover:text-indigo-500">\${getFlagEmoji(curGeo.country)} \${escapeHtml(curGeo.country)}</button>\`);
+                if (curGeo.region) crumbs.push(\`<span class="text-slate-600 dark:text-slate-300">\${escapeHtml(curGeo.region)}</span>\`);
+                document.getElementById('geo-breadcrumb').innerHTML = crumbs.join('<span>›</span>');
+                renderList('countries', data.countries, r => \`\${getFlagEmoji(r.country)} \${escapeHtml(r.country)}\`, r => r.count, r => \`data-country="\${escapeHtml(r.country)}"\`);
+                renderList('regions', data.regions, r => \`\${curGeo.country ? '' : getFlagEmoji(r.country) + ' '}\${escapeHtml(r.region)}\`, r => r.count,
+                    r => \`data-country="\${escapeHtml(r.country)}" data-region="\${escapeHtml(r.region)}"\`);
+                renderList('cities', data.cities, r => \`\${curGeo.country ? '' : getFlagEmoji(r.country) + ' '}\${escapeHtml(r.city)} <span class="text-slate-400">\${curGeo.region ? '' : escapeHtml(r.region)}</span>\`);
+            }
+
+            if (widgets.includes('sources')) {
+                renderList('sources', data.sources, r => escapeHtml(r.source));
+                renderList('referrers', data.referrers, r => escapeHtml(r.referrer_host));
+            }
+
+            if (widgets.includes('technology')) {
+                renderList('browsers', data.browsers, r => escapeHtml(r.name));
+                renderList('os', data.os, r => escapeHtml(r.name));
+                renderList('devices', data.devices, r => escapeHtml(r.name));
+            }
+        }
+
+        function renderTrend(series, interval) {
+            const isDark = document.documentElement.classList.contains('dark');
+            const labels = series.map(p => interval === 'hour' ? p.bucket.slice(11, 16) : p.bucket.slice(5, 10));
+            const datasets = [
+                { label: 'PV', data: series.map(p => p.pv), borderColor: isDark ? '#818cf8' : '#6366f1', backgroundColor: 'rgba(99, 102, 241, 0.1)', fill: true, tension: 0.3, pointRadius: 0 },
+                { label: 'UV', data: series.map(p => p.uv), borderColor: isDark ? '#34d399' : '#10b981', backgroundColor: 'transparent', tension: 0.3, pointRadius: 0 }
+            ];
+            if (trendChart) {
+                trendChart.data = { labels, datasets };
+                trendChart.update('none');
+                return;
+            }
+            trendChart = new Chart(document.getElementById('trend-chart').getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: { legend: { labels: { color: '#94a3b8', boxWidth: 10, font: { size: 10 } } } },
+                    scales: {
+                        x: { grid: { display: false }, ticks: { color: '#94a3b8', font: { size: 10 }, maxTicksLimit: 12 } },
+                        y: { beginAtZero: true, grid: { color: isDark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)' }, ticks: { color: '#94a3b8', font: { size: 10 }, precision: 0 } }
+                    }
+                }
+            });
+        }
+
+        // 页面可见时每分钟刷新一次
+        setInterval(() => {
+            if (!document.hidden && !document.getElementById('app').classList.contains('hidden')) load();
+        }, 60000);
+        load();
+    </script>
+</body>
+</html>
+`;